@@ -1,20 +1,70 @@
 // analyzer.js — Main analysis engine
-// Runs all rules against a preset and returns results.
+// Runs every registered rule against a preset and returns results.
 
-const { checkMacroPlacement } = require('./rules/macro-placement');
-const { checkPromptOrdering } = require('./rules/prompt-ordering');
-const { checkTokenThresholds } = require('./rules/token-thresholds');
-const { checkInjectionDepth } = require('./rules/injection-depth');
-const { checkProviderSpecific } = require('./rules/provider-specific');
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { getRules, appliesToProvider, isRuleEnabled } = shared || require('./rules');
+const { normalizePreset, getOrderLabel, GENERATION_TYPES, DEFAULT_GENERATION_TYPE } = shared || require('./core/preset-model');
+const { computeCacheDiff, computeGenerationDiff } = shared || require('./core/cache-diff');
+const { analyzeWorldInfo } = shared || require('./core/world-info');
+const { analyzePeriodicity } = shared || require('./core/periodicity');
+const { resolveTokenizer } = shared || require('./core/tokenizers');
+const { attachLocations } = shared || require('./core/locations');
 
+/**
+ * Options:
+ *   provider    — a key of PROVIDER_PROFILES (core/providers.js); rules targeting other providers are skipped
+ *   modelId     — model id; selects per-model cache minimums from the provider's profile
+ *   characterId — prompt_order block to score (defaults to ST's global 100001 order)
+ *   generationType — GENERATION_TYPES entry to analyze (default 'normal'); entries
+ *                    whose injection_trigger leaves it out are not sent
+ *   tokenizer   — (text) => token count; defaults to the provider's offline counter (core/tokenizers.js)
+ *   rules       — { [ruleId]: boolean } to switch individual rules on or off for this run
+ *   severities  — { [ruleId]: { [key]: severity } } merged over each rule's default severity map
+ *   extensionPrompts — ST's registered extension prompts (Author's Note, Summarize,
+ *                 Vector Storage, ...); checked as entries alongside the preset's own
+ *   worldInfo   — active lorebooks and the chat to scan ({ entries, chat, scanDepth, ... };
+ *                 see core/world-info.js); switches on the World Info rule
+ *   periodicPrompts — Author's Note and Summarize schedules ({ authorsNote, summary };
+ *                 see core/periodicity.js); switches on the Periodic Prompts rule
+ *
+ * The preset is normalized once (core/preset-model.js) and handed to every
+ * rule as options.model; callers that already hold a model may pass it in.
+ *
+ * Every finding gets a `location` (core/locations.js): the JSON pointer of
+ * what it is about in the preset file, and for macros the character range
+ * inside the entry's content.
+ *
+ * results.cache holds the two-turn cache diff (core/cache-diff.js): the share
+ * of the next request's input tokens that would be served from cache, and
+ * results.worldInfo the lorebook report (analyzeWorldInfo) when worldInfo is given,
+ * and results.periodicity the per-turn session replay (analyzePeriodicity)
+ * when periodicPrompts is given.
+ */
 function analyze(preset, options = {}) {
-    const findings = [
-        ...checkMacroPlacement(preset, options),
-        ...checkPromptOrdering(preset, options),
-        ...checkTokenThresholds(preset, options),
-        ...checkInjectionDepth(preset, options),
-        ...checkProviderSpecific(preset, options),
-    ];
+    const findings = [];
+    const generationType = options.generationType || DEFAULT_GENERATION_TYPE;
+    const model = options.model || normalizePreset(preset, Object.assign({}, options, { generationType }));
+    const tokenizer = resolveTokenizer(options);
+
+    // Replayed once and shared with the Periodic Prompts rule
+    const periodicity = options.periodicPrompts ? analyzePeriodicity(preset, Object.assign({}, options, { model, tokenizer })) : null;
+
+    for (const rule of getRules()) {
+        if (!isRuleEnabled(rule, options)) continue;
+        if (!appliesToProvider(rule, options.provider)) continue;
+
+        const overrides = options.severities && options.severities[rule.id];
+        const ruleOptions = Object.assign({}, options, {
+            generationType,
+            model,
+            tokenizer,
+            periodicity,
+            severity: Object.assign({}, rule.severity, overrides)
+        });
+        findings.push(...rule.check(preset, ruleOptions));
+    }
+
+    attachLocations(preset, findings, { characterId: model ? model.characterId : null });
 
     const score = calculateScore(findings);
     const summary = {
@@ -23,7 +73,37 @@ function analyze(preset, options = {}) {
         info: findings.filter(f => f.severity === 'info').length,
     };
 
-    return { findings, score, summary };
+    const cache = computeCacheDiff(preset, Object.assign({}, options, { model, tokenizer }));
+
+    const worldInfo = options.worldInfo ? analyzeWorldInfo(preset, Object.assign({}, options, { model, tokenizer })) : null;
+
+    return { findings, score, summary, cache, worldInfo, periodicity, generationType, characterId: model ? model.characterId : null };
+}
+
+// Scores every prompt_order block — one result per character_id
+function analyzeOrders(preset, options = {}) {
+    const model = normalizePreset(preset, options);
+    if (!model) return [];
+
+    return model.orders.map(order => {
+        const orderOptions = Object.assign({}, options, { characterId: order.characterId, model: null });
+        return Object.assign({ label: getOrderLabel(order.characterId) }, analyze(preset, orderOptions));
+    });
+}
+
+// Analyzes every generation type (or options.generationTypes) of one
+// prompt_order block. Each result also carries `prefix`: what that
+// generation reads from the cache of the normal request before it
+// (computeGenerationDiff), e.g. swipes reusing it while continues do not.
+function analyzeGenerationTypes(preset, options = {}) {
+    const model = normalizePreset(preset, options);
+    if (!model) return [];
+
+    const types = options.generationTypes || GENERATION_TYPES;
+    return types.map(generationType => {
+        const typeOptions = Object.assign({}, options, { generationType, characterId: model.characterId, model: null });
+        return Object.assign(analyze(preset, typeOptions), { prefix: computeGenerationDiff(preset, typeOptions) });
+    });
 }
 
 function calculateScore(findings) {
@@ -38,12 +118,28 @@ function calculateScore(findings) {
     return Math.max(0, Math.min(100, score));
 }
 
+// Ordered, enabled prompt entries for the prompt-order visualization.
+// Entries named by a finding's affectedEntry are marked as flagged.
+function getPromptEntries(preset, findings = [], options = {}) {
+    const model = options.model || normalizePreset(preset, options);
+    if (!model) return [];
+
+    const flaggedIds = new Set(findings.map(f => f.affectedEntry));
+    return model.entries.map(entry => ({
+        identifier: entry.identifier,
+        name: entry.name,
+        volatile: entry.volatile,
+        extension: !!entry.extensionKey,
+        flagged: flaggedIds.has(entry.identifier)
+    }));
+}
+
 // Phase 2 hook — leave for LLM analysis
 function getPresetSummary(preset) {
     // TODO: Condensed representation for LLM analysis
     return { status: 'not-implemented' };
 }
 
-if (typeof module !== 'undefined') {
-    module.exports = { analyze, calculateScore, getPresetSummary };
-}
+const api = { analyze, analyzeOrders, analyzeGenerationTypes, calculateScore, getPromptEntries, getPresetSummary };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
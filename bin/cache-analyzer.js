@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// bin/cache-analyzer.js — Command-line entry point
+// Analyzes preset JSON files outside SillyTavern, for checking presets kept
+// in git before they are distributed:
+//
+//   node bin/cache-analyzer.js --provider openai --fail-on warning presets/*.json
+//
+// Exit codes: 0 passed, 1 a preset failed --min-score or --fail-on,
+// 2 bad arguments or a file that could not be read.
+
+const fs = require('fs');
+const path = require('path');
+const { analyze, getPromptEntries } = require('../analyzer');
+const { normalizePreset, GENERATION_TYPES, DEFAULT_GENERATION_TYPE } = require('../core/preset-model');
+const { PROVIDER_PROFILES, DEFAULT_PROVIDER } = require('../core/providers');
+const { REPORT_FORMATS, formatReport } = require('../core/report');
+const { normalizeLorebook } = require('../core/world-info');
+
+const FAIL_ON = ['critical', 'warning'];
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2 };
+
+// Inlined into --format html so the report opens anywhere
+const STYLES_PATH = path.join(__dirname, '..', 'ui', 'styles.css');
+
+const USAGE = `Usage: cache-analyzer [options] <preset.json...>
+
+Options:
+  --provider <name>    ${Object.keys(PROVIDER_PROFILES).join(' | ')} (default: ${DEFAULT_PROVIDER})
+  --model <id>         model id for per-model cache minimums, e.g. claude-3-5-haiku
+  --generation-type <type>
+                       ${GENERATION_TYPES.join(' | ')} (default: ${DEFAULT_GENERATION_TYPE})
+  --caching-at-depth <n>
+                       Claude cache_control depth as in config.yaml (-1 = off)
+  --system-prompt-cache <on|off>
+                       Claude system prompt caching as in config.yaml
+  --world-info <file>  lorebook JSON to check for prefix churn (repeatable)
+  --format <format>    ${REPORT_FORMATS.join(' | ')} (default: text)
+  --min-score <n>      fail when a preset scores below n
+  --fail-on <level>    fail on findings of this severity or worse: ${FAIL_ON.join(' | ')}
+  -h, --help           show this help`;
+
+class UsageError extends Error {}
+
+// Accepts --flag value and --flag=value
+function parseArgs(argv) {
+    const args = { provider: DEFAULT_PROVIDER, modelId: null, format: 'text', minScore: null, failOn: null, generationType: DEFAULT_GENERATION_TYPE, cacheControl: null, worldInfoFiles: [], files: [], help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            args.files.push(arg);
+            continue;
+        }
+
+        const separator = arg.indexOf('=');
+        const name = separator === -1 ? arg : arg.slice(0, separator);
+        const value = separator === -1 ? argv[++i] : arg.slice(separator + 1);
+        if (value === undefined) throw new UsageError(`${name} needs a value`);
+
+        switch (name) {
+            case '--provider':
+                if (!PROVIDER_PROFILES[value]) throw new UsageError(`Unknown provider "${value}"`);
+                args.provider = value;
+                break;
+            case '--model':
+                args.modelId = value;
+                break;
+            case '--generation-type':
+                if (!GENERATION_TYPES.includes(value)) throw new UsageError(`Unknown generation type "${value}"`);
+                args.generationType = value;
+                break;
+            case '--caching-at-depth': {
+                const depth = Number(value);
+                if (!Number.isInteger(depth) || depth < -1) throw new UsageError(`--caching-at-depth expects -1 or a depth, got "${value}"`);
+                args.cacheControl = Object.assign({}, args.cacheControl, { cachingAtDepth: depth });
+                break;
+            }
+            case '--system-prompt-cache':
+                if (value !== 'on' && value !== 'off') throw new UsageError(`--system-prompt-cache expects on or off, got "${value}"`);
+                args.cacheControl = Object.assign({}, args.cacheControl, { systemPromptCache: value === 'on' });
+                break;
+            case '--world-info':
+                args.worldInfoFiles.push(value);
+                break;
+            case '--format':
+                if (!REPORT_FORMATS.includes(value)) throw new UsageError(`Unknown format "${value}"`);
+                args.format = value;
+                break;
+            case '--min-score':
+                args.minScore = Number(value);
+                if (!Number.isFinite(args.minScore)) throw new UsageError(`--min-score expects a number, got "${value}"`);
+                break;
+            case '--fail-on':
+                if (!FAIL_ON.includes(value)) throw new UsageError(`--fail-on expects ${FAIL_ON.join(' or ')}, got "${value}"`);
+                args.failOn = value;
+                break;
+            default:
+                throw new UsageError(`Unknown option ${name}`);
+        }
+    }
+
+    if (!args.help && args.files.length === 0) throw new UsageError('No preset files given');
+    return args;
+}
+
+// Lorebooks from --world-info, read once for every preset
+function loadWorldInfo(files) {
+    const books = files.map(file => {
+        let book;
+        try {
+            book = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            throw new UsageError(`${file}: ${e.code === 'ENOENT' ? 'file not found' : `not valid JSON (${e.message})`}`);
+        }
+        if (normalizeLorebook(book).length === 0) throw new UsageError(`${file}: not a lorebook (no enabled entries)`);
+        return Object.assign({ name: path.basename(file, '.json') }, book);
+    });
+    return books.length > 0 ? { entries: books } : null;
+}
+
+function analyzeFile(file, args) {
+    let source;
+    let preset;
+    try {
+        source = fs.readFileSync(file, 'utf8');
+        preset = JSON.parse(source);
+    } catch (e) {
+        return { file, error: e.code === 'ENOENT' ? 'file not found' : `not valid JSON (${e.message})` };
+    }
+
+    if (!normalizePreset(preset)) {
+        return { file, error: 'not a chat completion preset (no prompts or prompt_order)' };
+    }
+    // The file text lets reports give line and column for each finding
+    const results = analyze(preset, {
+        provider: args.provider,
+        modelId: args.modelId,
+        generationType: args.generationType,
+        cacheControl: args.cacheControl,
+        worldInfo: args.worldInfo
+    });
+    const entries = getPromptEntries(preset, results.findings, { characterId: results.characterId, generationType: args.generationType });
+    return { file, source, results, entries };
+}
+
+// Why a report fails the run, or null when it passes
+function getFailure(report, args) {
+    if (report.error) return null;
+    const { score, summary } = report.results;
+
+    if (args.minScore !== null && score < args.minScore) return `score ${score} is below ${args.minScore}`;
+    if (args.failOn === 'critical' && summary.critical > 0) return `${summary.critical} critical finding(s)`;
+    if (args.failOn === 'warning' && summary.critical + summary.warning > 0) {
+        return `${summary.critical} critical and ${summary.warning} warning finding(s)`;
+    }
+    return null;
+}
+
+function main(argv, out = process.stdout, err = process.stderr) {
+    let args;
+    try {
+        args = parseArgs(argv);
+        args.worldInfo = args.help ? null : loadWorldInfo(args.worldInfoFiles);
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        err.write(`${e.message}\n\n${USAGE}\n`);
+        return EXIT.USAGE;
+    }
+    if (args.help) {
+        out.write(`${USAGE}\n`);
+        return EXIT.OK;
+    }
+
+    const reports = args.files.map(file => analyzeFile(file, args));
+    const css = args.format === 'html' ? fs.readFileSync(STYLES_PATH, 'utf8') : '';
+    out.write(`${formatReport(reports, args.format, { css })}\n`);
+
+    let exitCode = EXIT.OK;
+    for (const report of reports) {
+        if (report.error) {
+            err.write(`${report.file}: ${report.error}\n`);
+            exitCode = EXIT.USAGE;
+            continue;
+        }
+        const failure = getFailure(report, args);
+        if (failure) {
+            err.write(`${report.file}: failed — ${failure}\n`);
+            if (exitCode === EXIT.OK) exitCode = EXIT.FAILED;
+        }
+    }
+    return exitCode;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, main, EXIT };
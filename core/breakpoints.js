@@ -0,0 +1,231 @@
+// core/breakpoints.js — Anthropic cache_control planner
+// Claude only caches up to a cache_control breakpoint, and ST places those in
+// two ways (config.yaml): on the system prompt (claude.enableSystemPromptCache)
+// and on the messages at cachingAtDepth and cachingAtDepth + 2, counted from
+// the end of the chat (claude.cachingAtDepth). A breakpoint only pays off when
+// the next request still starts with the same prefix up to it; otherwise it is
+// written every turn at the cache-write price and never read.
+//
+// The planner converts two simulated turns to Claude's layout, checks which
+// breakpoints of turn N are read back on turn N+1, and searches for the
+// placement that reads the most tokens within the breakpoint limit.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel } = shared || require('./preset-model');
+const { DEFAULT_PROVIDER, getProviderProfile } = shared || require('./providers');
+const { resolveTokenizer } = shared || require('./tokenizers');
+const { simulateTurns } = shared || require('./simulator');
+
+// ST's defaults: both off. useSystemPrompt (claude_use_sysprompt) is read from
+// the preset when not given.
+const DEFAULT_CACHE_CONTROL = { systemPromptCache: false, cachingAtDepth: -1 };
+
+// Deepest cachingAtDepth the planner tries
+const MAX_PLANNED_DEPTH = 8;
+
+function normalizeCacheControl(cacheControl, preset) {
+    const merged = Object.assign({}, DEFAULT_CACHE_CONTROL, cacheControl);
+    const depth = Number(merged.cachingAtDepth);
+    return {
+        systemPromptCache: merged.systemPromptCache === true,
+        cachingAtDepth: Number.isInteger(depth) && depth >= 0 ? depth : -1,
+        useSystemPrompt: merged.useSystemPrompt === undefined
+            ? !!(preset && preset.claude_use_sysprompt)
+            : merged.useSystemPrompt === true
+    };
+}
+
+// Claude's request layout: leading system messages become the system prompt
+// (with claude_use_sysprompt), every other system message is sent as user,
+// and consecutive messages of one role are merged.
+function toClaudeMessages(messages, useSystemPrompt) {
+    let start = 0;
+    const system = [];
+    if (useSystemPrompt) {
+        while (start < messages.length && messages[start].role === 'system') system.push(messages[start++]);
+    }
+
+    const merged = [];
+    for (const message of messages.slice(start)) {
+        const role = message.role === 'assistant' ? 'assistant' : 'user';
+        const last = merged[merged.length - 1];
+        if (last && last.role === role) last.parts.push(message);
+        else merged.push({ role, parts: [message] });
+    }
+    return { system, messages: merged };
+}
+
+function partsText(parts) {
+    return parts.map(part => part.content).join('\n\n');
+}
+
+function claudeText(layout, messageCount) {
+    const system = partsText(layout.system);
+    const messages = layout.messages.slice(0, messageCount).map(message => `${message.role}\n${partsText(message.parts)}\n\n`);
+    return `${system}\n\n${messages.join('')}`;
+}
+
+// Indexes of the messages ST marks for cachingAtDepth: depth and depth + 2,
+// counted from the last message, skipping a trailing assistant prefill
+function findDepthIndexes(messages, depth) {
+    const indexes = [];
+    if (depth < 0) return indexes;
+
+    let current = 0;
+    let passedPrefill = false;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (!passedPrefill && messages[i].role === 'assistant') continue;
+        passedPrefill = true;
+        if (current === depth || current === depth + 2) indexes.push(i);
+        if (current === depth + 2) break;
+        current++;
+    }
+    return indexes;
+}
+
+// Leading messages identical in both turns; none when the system prompt differs
+function countSharedMessages(previous, next) {
+    if (partsText(previous.system) !== partsText(next.system)) return 0;
+    let count = 0;
+    while (count < previous.messages.length && count < next.messages.length &&
+        previous.messages[count].role === next.messages[count].role &&
+        partsText(previous.messages[count].parts) === partsText(next.messages[count].parts)) {
+        count++;
+    }
+    return count;
+}
+
+// The entry a Claude message (or system prompt) starts with
+function describeMessage(message) {
+    const part = message.parts ? message.parts[0] : message;
+    return { identifier: part.identifier, source: part.source, role: message.role };
+}
+
+/**
+ * Which breakpoints a placement writes on turn N and which of them turn N+1
+ * reads back: { breakpoints: [{ kind, depth?, messageIndex, tokens, hit, cached, message }],
+ * used, cachedTokens }. `cached` also needs the prefix to reach the model's minimum.
+ */
+function evaluatePlacement(layouts, cacheControl, context) {
+    const { previous } = layouts;
+    const breakpoints = [];
+
+    if (cacheControl.systemPromptCache && cacheControl.useSystemPrompt && previous.system.length > 0) {
+        breakpoints.push({
+            kind: 'system',
+            messageIndex: -1,
+            hit: context.systemStable,
+            tokens: context.countPrefix(0),
+            message: describeMessage(previous.system[0])
+        });
+    }
+
+    findDepthIndexes(previous.messages, cacheControl.cachingAtDepth).forEach((index, n) => {
+        breakpoints.push({
+            kind: 'depth',
+            depth: cacheControl.cachingAtDepth + n * 2,
+            messageIndex: index,
+            hit: index < context.sharedMessages,
+            tokens: context.countPrefix(index + 1),
+            message: describeMessage(previous.messages[index])
+        });
+    });
+
+    for (const breakpoint of breakpoints) {
+        breakpoint.cached = breakpoint.hit && breakpoint.tokens >= context.minTokens;
+    }
+    const cachedTokens = breakpoints.reduce((max, b) => (b.cached ? Math.max(max, b.tokens) : max), 0);
+    return { breakpoints, used: breakpoints.length, cachedTokens };
+}
+
+/**
+ * Plans cache_control breakpoints for Claude.
+ *
+ * Options (plus everything simulateTurns accepts):
+ *   provider, modelId — select the minimum cacheable prefix and breakpoint limit
+ *   cacheControl      — { systemPromptCache, cachingAtDepth, useSystemPrompt } as
+ *                       configured in ST; useSystemPrompt defaults to the preset's
+ *                       claude_use_sysprompt
+ *
+ * Returns null for an unusable preset, else
+ * { cacheControl, maxBreakpoints, totalTokens, stablePrefix, system, current, recommended, skipped }
+ * where current/recommended are evaluatePlacement() results (recommended also
+ * carries its systemPromptCache and cachingAtDepth) and stablePrefix names
+ * the first message that differs between the turns. skipped is null unless
+ * even the recommended placement caches nothing, else { reason, tokens, minTokens }:
+ * 'below-minimum' (the longest prefix read back is `tokens` long) or
+ * 'prefix-changes' (no breakpoint is read back).
+ */
+function planBreakpoints(preset, options = {}) {
+    const model = resolveModel(preset, options);
+    if (!model) return null;
+
+    const profile = getProviderProfile(options.provider || DEFAULT_PROVIDER, options.modelId);
+    const tokenizer = resolveTokenizer(options);
+    const cacheControl = normalizeCacheControl(options.cacheControl, model.preset);
+    const turns = simulateTurns(model.preset, Object.assign({}, options, { model }));
+
+    const layouts = {
+        previous: toClaudeMessages(turns.previous, cacheControl.useSystemPrompt),
+        next: toClaudeMessages(turns.next, cacheControl.useSystemPrompt)
+    };
+    const systemStable = partsText(layouts.previous.system) === partsText(layouts.next.system);
+    const sharedMessages = countSharedMessages(layouts.previous, layouts.next);
+    const context = {
+        systemStable,
+        sharedMessages,
+        minTokens: profile.minTokens,
+        countPrefix: messageCount => tokenizer(claudeText(layouts.previous, messageCount))
+    };
+
+    // Where the next request stops matching this one
+    let breaksAt = null;
+    if (!systemStable) {
+        const index = layouts.previous.system.findIndex((part, i) => !layouts.next.system[i] || layouts.next.system[i].content !== part.content);
+        breaksAt = describeMessage(layouts.previous.system[Math.max(0, index)]);
+    } else if (layouts.next.messages[sharedMessages]) {
+        breaksAt = describeMessage(layouts.next.messages[sharedMessages]);
+    }
+
+    const current = evaluatePlacement(layouts, cacheControl, context);
+
+    // System prompt caching costs one breakpoint and only helps when it is read back
+    const systemPromptCache = cacheControl.useSystemPrompt && layouts.previous.system.length > 0 && systemStable;
+    let recommended = null;
+    let longestHit = 0;
+    for (let depth = -1; depth <= MAX_PLANNED_DEPTH; depth++) {
+        const candidate = Object.assign({}, cacheControl, { systemPromptCache, cachingAtDepth: depth });
+        const result = evaluatePlacement(layouts, candidate, context);
+        if (result.used > profile.maxBreakpoints) continue;
+        for (const breakpoint of result.breakpoints) {
+            if (breakpoint.hit) longestHit = Math.max(longestHit, breakpoint.tokens);
+        }
+        if (!recommended || result.cachedTokens > recommended.cachedTokens) {
+            recommended = Object.assign({ systemPromptCache, cachingAtDepth: depth }, result);
+        }
+    }
+
+    // Why no placement reads anything back: the prefixes that are read back
+    // are below the minimum, or every breakpoint marks a changing message
+    let skipped = null;
+    if (recommended.cachedTokens === 0) {
+        skipped = longestHit > 0
+            ? { reason: 'below-minimum', tokens: longestHit, minTokens: profile.minTokens }
+            : { reason: 'prefix-changes', tokens: 0, minTokens: profile.minTokens };
+    }
+
+    return {
+        cacheControl,
+        maxBreakpoints: profile.maxBreakpoints,
+        totalTokens: tokenizer(claudeText(layouts.next, layouts.next.messages.length)),
+        stablePrefix: { messageIndex: sharedMessages, tokens: context.countPrefix(sharedMessages), breaksAt },
+        system: { messages: layouts.previous.system.length, stable: systemStable, tokens: context.countPrefix(0) },
+        current,
+        recommended,
+        skipped
+    };
+}
+
+const api = { DEFAULT_CACHE_CONTROL, toClaudeMessages, findDepthIndexes, planBreakpoints };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,134 @@
+// core/cache-diff.js — Two-turn cache diff
+// Renders turn N and N+1 with the simulator and measures the longest common
+// prefix in tokens: the part of the next request a provider can serve from
+// cache. Also names the entry or macro that ended the shared prefix.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel, DEFAULT_GENERATION_TYPE } = shared || require('./preset-model');
+const { findUnstableMacros } = shared || require('./variable-flow');
+const { simulateTurns, simulateGeneration, serializeMessages } = shared || require('./simulator');
+const { DEFAULT_PROVIDER, getProviderProfile } = shared || require('./providers');
+const { resolveTokenizer, isEstimate } = shared || require('./tokenizers');
+
+// Explains why the prefix stopped matching at the divergent message pair
+function describeCause(model, divergence) {
+    if (divergence.identical) {
+        return { kind: 'none', identifier: null, name: null, macro: null };
+    }
+
+    // An in-chat injection on either side moved relative to the chat
+    const injected = [divergence.previous, divergence.next].find(m => m && m.source === 'injection');
+    if (injected) {
+        const prompt = model.promptMap[injected.identifier];
+        return { kind: 'injection', identifier: injected.identifier, name: prompt ? prompt.name : injected.identifier, macro: null };
+    }
+
+    // An entry one request sends and the other leaves out (injection_trigger)
+    const [previousId, nextId] = [divergence.previous, divergence.next].map(m => (m ? m.identifier : null));
+    if (previousId !== nextId) {
+        const triggered = [divergence.previous, divergence.next].find(m =>
+            m && model.promptMap[m.identifier] && model.promptMap[m.identifier].injectionTrigger.length > 0
+        );
+        if (triggered) {
+            const prompt = model.promptMap[triggered.identifier];
+            return { kind: 'trigger', identifier: prompt.identifier, name: prompt.name, macro: null };
+        }
+    }
+
+    const message = divergence.next || divergence.previous;
+    if (message.source === 'generation') {
+        // A continue nudge, prefill or impersonation prompt
+        return { kind: 'generation', identifier: message.identifier, name: message.name, macro: null };
+    }
+    if (message.source === 'chat') {
+        // New chat messages are the expected, unavoidable divergence point
+        return { kind: 'chat', identifier: 'chatHistory', name: 'Chat History', macro: null };
+    }
+
+    for (const identifier of message.identifiers || [message.identifier]) {
+        const prompt = model.promptMap[identifier];
+        const macros = prompt ? findUnstableMacros(prompt.content, model.variables) : [];
+        if (macros.length > 0) {
+            return { kind: 'macro', identifier, name: prompt.name, macro: macros[0].macro };
+        }
+    }
+
+    const prompt = model.promptMap[message.identifier];
+    return { kind: 'entry', identifier: message.identifier, name: prompt ? prompt.name : message.identifier, macro: null };
+}
+
+/**
+ * Computes what the next message would actually read from cache.
+ *
+ * Options (plus everything simulateTurns accepts):
+ *   provider  — with modelId, selects the cache profile (core/providers.js)
+ *   modelId   — model id, for per-model minimums
+ *   tokenizer — (text) => token count (defaults to the provider's offline counter)
+ *   chat      — sample chat [{ role, content }]; otherwise a synthetic chat is used
+ *
+ * Returns null for an unusable preset, else
+ * { prefixTokens, cachedTokens, totalTokens, hitRate, threshold, belowThreshold, estimated, divergence, cause }.
+ * estimated is true when the counts come from an offline estimate (core/tokenizers.js).
+ * cachedTokens is 0 when the shared prefix is below the provider minimum or
+ * the provider does not cache, and rounded down to the provider's granularity.
+ */
+function computeCacheDiff(preset, options = {}) {
+    const model = resolveModel(preset, options);
+    if (!model) return null;
+
+    const turns = simulateTurns(model.preset, Object.assign({}, options, { model }));
+    return measureDiff(model, turns, options);
+}
+
+/**
+ * What a generation of `generationType` (core/preset-model.js GENERATION_TYPES)
+ * reads from the cache written by the normal request before it — e.g. whether
+ * a swipe or a continue reuses the prefix. 'normal' is the two-turn diff.
+ *
+ * Options: as computeCacheDiff, plus generationType and characterId.
+ * Returns null for an unusable preset, else computeCacheDiff's result plus generationType.
+ */
+function computeGenerationDiff(preset, options = {}) {
+    const generationType = options.generationType || DEFAULT_GENERATION_TYPE;
+    const simulation = simulateGeneration(preset, Object.assign({}, options, { generationType }));
+    if (!simulation) return null;
+
+    const model = resolveModel(preset, Object.assign({}, options, { model: null, generationType }));
+    return Object.assign({ generationType }, measureDiff(model, simulation, options));
+}
+
+// Shared prefix of two assembled requests ({ previous, next, divergence }) in tokens
+function measureDiff(model, turns, options) {
+    const tokenizer = resolveTokenizer(options);
+    const profile = getProviderProfile(options.provider || DEFAULT_PROVIDER, options.modelId);
+    const threshold = profile.minTokens;
+
+    const nextText = serializeMessages(turns.next);
+    const totalTokens = tokenizer(nextText);
+    const prefixTokens = Math.min(totalTokens, tokenizer(nextText.slice(0, turns.divergence.charOffset)));
+    const belowThreshold = prefixTokens < threshold;
+    const cachedTokens = belowThreshold || profile.caching === 'none'
+        ? 0
+        : prefixTokens - prefixTokens % profile.granularity;
+
+    return {
+        prefixTokens,
+        cachedTokens,
+        totalTokens,
+        hitRate: totalTokens > 0 ? cachedTokens / totalTokens : 0,
+        threshold,
+        belowThreshold,
+        estimated: isEstimate(tokenizer),
+        divergence: {
+            identical: turns.divergence.identical,
+            messageIndex: turns.divergence.messageIndex,
+            charOffset: turns.divergence.charOffset,
+            byteOffset: turns.divergence.byteOffset
+        },
+        cause: describeCause(model, turns.divergence)
+    };
+}
+
+const api = { computeCacheDiff, computeGenerationDiff };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
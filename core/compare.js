@@ -0,0 +1,136 @@
+// core/compare.js — Preset comparison
+// Analyzes two versions of a preset and reports what changed for caching:
+// findings that appeared or went away, the score and stable-prefix deltas,
+// and which entries moved, changed or were switched on or off. Meant for
+// checking a new release of a preset against the previous one.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { normalizePreset } = shared || require('./preset-model');
+const { analyze } = shared || require('../analyzer');
+
+// macro-placement and prompt-ordering ids carry the entry position; key those
+// by entry (and macro) so that a reorder alone is not reported as a new finding
+function findingKey(finding) {
+    const meta = finding.meta || {};
+    if (finding.rule === 'macro-placement') return `${finding.rule}:${finding.affectedEntry}:${meta.macroFound}`;
+    if (finding.rule === 'prompt-ordering') return `${finding.rule}:${finding.affectedEntry}`;
+    return finding.id;
+}
+
+// { [key]: finding }, numbering repeated keys (the same macro twice in one entry)
+function indexFindings(findings) {
+    const index = {};
+    for (const finding of findings) {
+        const base = findingKey(finding);
+        let key = base;
+        for (let n = 2; index[key]; n++) key = `${base}#${n}`;
+        index[key] = finding;
+    }
+    return index;
+}
+
+function diffFindings(before, after) {
+    const a = indexFindings(before);
+    const b = indexFindings(after);
+
+    const changed = [];
+    for (const key of Object.keys(b)) {
+        if (a[key] && a[key].severity !== b[key].severity) {
+            changed.push({ key, before: a[key], after: b[key] });
+        }
+    }
+    return {
+        added: Object.keys(b).filter(key => !a[key]).map(key => b[key]),
+        resolved: Object.keys(a).filter(key => !b[key]).map(key => a[key]),
+        changed
+    };
+}
+
+function delta(before, after) {
+    return { before, after, delta: after - before };
+}
+
+// Position, enabled state and content of every entry in either order
+function diffEntries(modelA, modelB) {
+    const describe = model => {
+        const entries = {};
+        model.order.forEach((entry, position) => {
+            entries[entry.identifier] = {
+                name: entry.name,
+                position,
+                enabled: entry.enabled && entry.promptEnabled,
+                content: entry.content
+            };
+        });
+        return entries;
+    };
+    const a = describe(modelA);
+    const b = describe(modelB);
+
+    // Order of the new version, then entries only the old version had
+    const identifiers = modelB.order.map(entry => entry.identifier)
+        .concat(modelA.order.map(entry => entry.identifier).filter(identifier => !b[identifier]));
+
+    return identifiers.map(identifier => {
+        const before = a[identifier] || null;
+        const after = b[identifier] || null;
+
+        let status;
+        if (!before) status = 'added';
+        else if (!after) status = 'removed';
+        else if (before.position !== after.position || before.enabled !== after.enabled || before.content !== after.content) status = 'changed';
+        else status = 'unchanged';
+
+        return {
+            identifier,
+            name: (after || before).name,
+            status,
+            position: { before: before ? before.position : null, after: after ? after.position : null },
+            enabled: { before: before ? before.enabled : null, after: after ? after.enabled : null },
+            contentChanged: !!before && !!after && before.content !== after.content
+        };
+    });
+}
+
+/**
+ * Compares `presetB` (the new version) against `presetA` (the baseline).
+ *
+ * Options: everything analyze() accepts; both presets are scored with the
+ * same provider, tokenizer and prompt_order block.
+ *
+ * Returns null when either preset is unusable, else {
+ *   before, after           — analyze() results for A and B
+ *   score                   — { before, after, delta }
+ *   stablePrefixTokens      — { before, after, delta } tokens shared by two consecutive turns
+ *   cacheHitRate            — { before, after, delta } next-message cache hit rate
+ *   findings                — { added, resolved, changed: [{ key, before, after }] }
+ *   entries                 — [{ identifier, name, status, position, enabled, contentChanged }]
+ *                             status is 'added' | 'removed' | 'changed' | 'unchanged'
+ * }
+ */
+function compare(presetA, presetB, options = {}) {
+    const modelA = normalizePreset(presetA, options);
+    const modelB = normalizePreset(presetB, options);
+    if (!modelA || !modelB) return null;
+
+    const runOptions = Object.assign({}, options, { model: null });
+    const before = analyze(presetA, Object.assign({}, runOptions, { characterId: modelA.characterId }));
+    const after = analyze(presetB, Object.assign({}, runOptions, { characterId: modelB.characterId }));
+
+    const prefix = result => (result.cache ? result.cache.prefixTokens : 0);
+    const hitRate = result => (result.cache ? result.cache.hitRate : 0);
+
+    return {
+        before,
+        after,
+        score: delta(before.score, after.score),
+        stablePrefixTokens: delta(prefix(before), prefix(after)),
+        cacheHitRate: delta(hitRate(before), hitRate(after)),
+        findings: diffFindings(before.findings, after.findings),
+        entries: diffEntries(modelA, modelB)
+    };
+}
+
+const api = { compare };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,229 @@
+// core/cost.js — Session cost and latency estimator
+// Puts a price on the cache score: plays a chat session through the simulator
+// turn by turn, counts the input tokens each request sends, reads from cache
+// and writes to cache, and prices them with per-model tables. Run on the
+// current preset and on the optimizer's layout, the difference is what the
+// restructuring saves per session.
+//
+// Assumes every request is written to cache in full and the next request
+// reads the prefix it shares with it — ST's system-prompt and depth caching
+// come close to that. Output tokens cost the same for both layouts and are
+// left out.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel } = shared || require('./preset-model');
+const { PROVIDER_PROFILES, DEFAULT_PROVIDER, getProviderProfile } = shared || require('./providers');
+const { resolveTokenizer } = shared || require('./tokenizers');
+const { assemblePrompt, serializeMessages } = shared || require('./simulator');
+const { computeCacheDiff } = shared || require('./cache-diff');
+const { optimizePreset } = shared || require('./optimizer');
+
+// USD per million input tokens: base input, cache write, cache read.
+// Providers without a write surcharge bill cache writes as base input.
+const DEFAULT_PRICING = {
+    anthropic: {
+        'claude-opus-4': { input: 15, cacheWrite: 18.75, cacheRead: 1.5 },
+        'claude-sonnet-4': { input: 3, cacheWrite: 3.75, cacheRead: 0.3 },
+        'claude-haiku-4-5': { input: 1, cacheWrite: 1.25, cacheRead: 0.1 },
+        'claude-3-5-haiku': { input: 0.8, cacheWrite: 1, cacheRead: 0.08 }
+    },
+    openai: {
+        'gpt-5': { input: 1.25, cacheWrite: 1.25, cacheRead: 0.125 },
+        'gpt-4.1': { input: 2, cacheWrite: 2, cacheRead: 0.5 },
+        'gpt-4o': { input: 2.5, cacheWrite: 2.5, cacheRead: 1.25 },
+        'gpt-4o-mini': { input: 0.15, cacheWrite: 0.15, cacheRead: 0.075 }
+    },
+    google: {
+        'gemini-2.5-pro': { input: 1.25, cacheWrite: 1.25, cacheRead: 0.31 },
+        'gemini-2.5-flash': { input: 0.3, cacheWrite: 0.3, cacheRead: 0.075 }
+    }
+};
+
+const PRICE_FIELDS = ['input', 'cacheWrite', 'cacheRead'];
+
+// Rough prefill speeds for time to first token: fixed overhead, then uncached
+// and cached input tokens per second
+const DEFAULT_LATENCY = {
+    anthropic: { overheadMs: 600, tokensPerSecond: 4000, cachedTokensPerSecond: 40000 },
+    openai: { overheadMs: 400, tokensPerSecond: 6000, cachedTokensPerSecond: 40000 },
+    google: { overheadMs: 500, tokensPerSecond: 8000, cachedTokensPerSecond: 60000 }
+};
+
+const DEFAULT_SESSION = { turns: 20, messageTokens: 150 };
+
+// Synthetic chat messages are sized in characters
+const CHARS_PER_TOKEN = 4;
+
+const TOKENS_PER_MILLION = 1e6;
+
+/**
+ * DEFAULT_PRICING with `overrides` laid over it, cell by cell:
+ * { [provider]: { [model]: { input?, cacheWrite?, cacheRead? } } }.
+ * Unknown providers and models in the overrides are added as they are.
+ */
+function mergePricing(overrides) {
+    const pricing = JSON.parse(JSON.stringify(DEFAULT_PRICING));
+    for (const [provider, models] of Object.entries(overrides || {})) {
+        pricing[provider] = pricing[provider] || {};
+        for (const [model, prices] of Object.entries(models || {})) {
+            const merged = Object.assign({}, pricing[provider][model]);
+            for (const field of PRICE_FIELDS) {
+                if (prices && Number.isFinite(prices[field])) merged[field] = prices[field];
+            }
+            pricing[provider][model] = merged;
+        }
+    }
+    return pricing;
+}
+
+/**
+ * Plays `turns` requests of a chat session and counts input tokens per request.
+ *
+ * Options (plus everything computeCacheDiff accepts):
+ *   provider — with modelId, selects the tokenizer and cache profile (core/providers.js)
+ *   session  — { turns, messageTokens } (defaults to DEFAULT_SESSION)
+ *
+ * Returns null for an unusable preset, else
+ * { turns: [{ inputTokens, cachedTokens, writtenTokens }], inputTokens, cachedTokens, writtenTokens }
+ * with the totals over the session.
+ */
+function simulateSession(preset, options = {}) {
+    const model = resolveModel(preset, options);
+    if (!model) return null;
+
+    const session = Object.assign({}, DEFAULT_SESSION, options.session);
+    const tokenizer = resolveTokenizer(options);
+    const profile = getProviderProfile(options.provider || DEFAULT_PROVIDER, options.modelId);
+    // The session opens on a single user message
+    const turnOptions = Object.assign({}, options, {
+        model,
+        tokenizer,
+        chat: undefined,
+        chatLength: 1,
+        messageLength: session.messageTokens * CHARS_PER_TOKEN
+    });
+
+    // Every turn repeats the first transition on a chat one exchange longer, so
+    // only the first two are measured and later turns add the same exchange
+    const diffs = new Map();
+    const measure = turn => {
+        if (!diffs.has(turn)) diffs.set(turn, computeCacheDiff(model.preset, Object.assign({}, turnOptions, { turn })));
+        return diffs.get(turn);
+    };
+
+    const turns = [];
+    for (let request = 0; request < session.turns; request++) {
+        let inputTokens;
+        let cachedTokens = 0;
+        if (request === 0) {
+            inputTokens = tokenizer(serializeMessages(assemblePrompt(model.preset, turnOptions)));
+        } else if (request <= 2) {
+            const diff = measure(request - 1);
+            inputTokens = diff.totalTokens;
+            cachedTokens = diff.cachedTokens;
+        } else {
+            const first = measure(0);
+            const second = measure(1);
+            const exchanges = request - 1;
+            inputTokens = first.totalTokens + exchanges * (second.totalTokens - first.totalTokens);
+            const prefixTokens = Math.min(inputTokens, first.prefixTokens + exchanges * (second.prefixTokens - first.prefixTokens));
+            // The provider minimum and granularity, as computeCacheDiff applies them
+            cachedTokens = profile.caching === 'none' || prefixTokens < profile.minTokens
+                ? 0
+                : prefixTokens - prefixTokens % profile.granularity;
+        }
+        // Requests below the minimum are not cached at all
+        const cacheable = profile.caching !== 'none' && inputTokens >= profile.minTokens;
+        const writtenTokens = cacheable ? inputTokens - cachedTokens : 0;
+        turns.push({ inputTokens, cachedTokens, writtenTokens });
+    }
+
+    const sum = field => turns.reduce((total, turn) => total + turn[field], 0);
+    return {
+        turns,
+        inputTokens: sum('inputTokens'),
+        cachedTokens: sum('cachedTokens'),
+        writtenTokens: sum('writtenTokens')
+    };
+}
+
+// USD for a simulated session at one model's prices
+function priceSession(usage, prices) {
+    const uncached = usage.inputTokens - usage.cachedTokens - usage.writtenTokens;
+    return (uncached * prices.input +
+        usage.writtenTokens * prices.cacheWrite +
+        usage.cachedTokens * prices.cacheRead) / TOKENS_PER_MILLION;
+}
+
+// Average time to first token over the session, in milliseconds
+function estimateLatency(usage, latency) {
+    const total = usage.turns.reduce((sum, turn) => sum + latency.overheadMs +
+        (turn.inputTokens - turn.cachedTokens) / latency.tokensPerSecond * 1000 +
+        turn.cachedTokens / latency.cachedTokensPerSecond * 1000, 0);
+    return usage.turns.length > 0 ? Math.round(total / usage.turns.length) : 0;
+}
+
+/**
+ * Cost and latency of a session with the current preset and with the
+ * optimizer's layout, for every priced model of the provider.
+ *
+ * Options (plus everything optimizePreset and simulateSession accept):
+ *   pricing   — overrides for DEFAULT_PRICING (see mergePricing)
+ *   optimized — an already optimized preset, to skip running the optimizer
+ *
+ * Returns null for an unusable preset, else
+ * { provider, session, current, optimized, latency: { current, optimized, delta },
+ *   models: [{ model, current, optimized, uncached, savings, percent }], message }
+ * where current/optimized at the top level are simulateSession() usages and
+ * per model are USD per session; uncached is the same session with no caching.
+ * `message` says why `models` is empty (no pricing for the provider), else null.
+ */
+function estimateSavings(preset, options = {}) {
+    const model = resolveModel(preset, options);
+    if (!model) return null;
+
+    const provider = options.provider || DEFAULT_PROVIDER;
+    const session = Object.assign({}, DEFAULT_SESSION, options.session);
+    const sessionOptions = Object.assign({}, options, { provider, session, characterId: model.characterId, model: null });
+
+    let optimizedPreset = options.optimized;
+    if (!optimizedPreset) {
+        const optimization = optimizePreset(preset, sessionOptions);
+        optimizedPreset = optimization ? optimization.preset : preset;
+    }
+
+    const current = simulateSession(preset, Object.assign({}, sessionOptions, { model }));
+    const optimized = simulateSession(optimizedPreset, sessionOptions);
+    // OpenRouter bills and serves vendor/model ids like the vendor does
+    const { family } = getProviderProfile(provider, options.modelId);
+    const latency = DEFAULT_LATENCY[family] || DEFAULT_LATENCY[DEFAULT_PROVIDER];
+    const currentMs = estimateLatency(current, latency);
+    const optimizedMs = estimateLatency(optimized, latency);
+
+    const models = Object.entries(mergePricing(options.pricing)[family] || {}).map(([name, prices]) => {
+        const currentCost = priceSession(current, prices);
+        const optimizedCost = priceSession(optimized, prices);
+        return {
+            model: name,
+            current: currentCost,
+            optimized: optimizedCost,
+            uncached: current.inputTokens * prices.input / TOKENS_PER_MILLION,
+            savings: currentCost - optimizedCost,
+            percent: currentCost > 0 ? (currentCost - optimizedCost) / currentCost : 0
+        };
+    });
+
+    return {
+        provider,
+        session,
+        current,
+        optimized,
+        latency: { current: currentMs, optimized: optimizedMs, delta: optimizedMs - currentMs },
+        models,
+        message: models.length === 0 ? `No pricing for ${PROVIDER_PROFILES[family].label}` : null
+    };
+}
+
+const api = { DEFAULT_PRICING, DEFAULT_SESSION, mergePricing, simulateSession, priceSession, estimateSavings };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,82 @@
+// core/extension-prompts.js — Extension prompt injections
+// Author's Note, Summarize, Vector Storage, the character's depth prompt and
+// other extensions register prompts through ST's setExtensionPrompt(): text
+// with a position, depth and role that ST adds to the request but the preset
+// never shows. This reads the registered prompts into preset-shaped pseudo
+// prompts that normalizePreset() places next to the preset's own entries.
+
+// ST's extension_prompt_types
+const EXTENSION_PROMPT_TYPES = {
+    NONE: -1,
+    IN_PROMPT: 0,
+    IN_CHAT: 1,
+    BEFORE_PROMPT: 2
+};
+
+// ST's extension_prompt_roles, by index
+const EXTENSION_PROMPT_ROLES = ['system', 'user', 'assistant'];
+
+// Keys the built-in extensions register under. Retrieved content (vectors,
+// Smart Context) depends on the latest messages, so it changes every turn.
+// Every pseudo prompt is identified as `extension:<key>`, so it never takes
+// the identifier of a preset prompt (presets often define their own authorsNote).
+const KNOWN_EXTENSION_PROMPTS = {
+    '2_floating_prompt': { name: "Author's Note", settings: "the Author's Note panel" },
+    '1_memory': { name: 'Summary', settings: 'the Summarize extension settings' },
+    '3_vectors': { name: 'Vector Storage (chat)', settings: 'the Vector Storage settings', volatile: true },
+    '4_vectors_data_bank': { name: 'Vector Storage (Data Bank)', settings: 'the Vector Storage settings', volatile: true },
+    'chromadb': { name: 'Smart Context', settings: 'the Smart Context settings', volatile: true },
+    'DEPTH_PROMPT': { name: 'Character Depth Prompt', settings: "the character's Advanced Definitions (Character's Note)" }
+};
+
+// World Info registers its @depth entries and outlets as extension prompts too;
+// core/world-info.js analyzes those with their activation rules instead
+const SKIPPED_KEY_PREFIXES = ['customDepthWI', 'customWIOutlet'];
+
+/**
+ * Reads ST's extension_prompts ({ [key]: { value, position, depth, role } })
+ * or an array of { key, value, position, depth, role }. Empty and NONE
+ * prompts are dropped.
+ *
+ * Returns preset-style prompts ({ identifier, name, role, content,
+ * injection_position, injection_depth }) plus extensionKey, settings (where
+ * the user changes it), placement — 'before' or 'after' the main prompt for
+ * BEFORE_PROMPT/IN_PROMPT, null in chat — and volatile for retrieved content.
+ */
+function normalizeExtensionPrompts(extensionPrompts) {
+    if (!extensionPrompts) return [];
+    const list = Array.isArray(extensionPrompts)
+        ? extensionPrompts
+        : Object.entries(extensionPrompts).map(([key, prompt]) => Object.assign({ key }, prompt));
+
+    return list
+        .filter(prompt => prompt && prompt.key && typeof prompt.value === 'string' && prompt.value.trim())
+        .filter(prompt => !SKIPPED_KEY_PREFIXES.some(prefix => String(prompt.key).startsWith(prefix)))
+        .filter(prompt => Object.values(EXTENSION_PROMPT_TYPES).includes(Number(prompt.position)) && Number(prompt.position) !== EXTENSION_PROMPT_TYPES.NONE)
+        .map(prompt => {
+            const known = KNOWN_EXTENSION_PROMPTS[prompt.key] || {};
+            const position = Number(prompt.position);
+            const inChat = position === EXTENSION_PROMPT_TYPES.IN_CHAT;
+            return {
+                identifier: `extension:${prompt.key}`,
+                name: known.name || prompt.key,
+                role: EXTENSION_PROMPT_ROLES[Number(prompt.role)] || 'system',
+                content: prompt.value,
+                injection_position: inChat ? 1 : 0,
+                injection_depth: inChat ? Number(prompt.depth) || 0 : null,
+                extensionKey: prompt.key,
+                settings: known.settings || `the settings of the extension that registers "${prompt.key}"`,
+                placement: inChat ? null : (position === EXTENSION_PROMPT_TYPES.BEFORE_PROMPT ? 'before' : 'after'),
+                volatile: known.volatile === true
+            };
+        });
+}
+
+const api = {
+    EXTENSION_PROMPT_TYPES,
+    EXTENSION_PROMPT_ROLES,
+    KNOWN_EXTENSION_PROMPTS,
+    normalizeExtensionPrompts
+};
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,179 @@
+// core/fixes.js — Structured fixes
+// Findings that have a mechanical remedy carry it as `finding.fix`, a plain
+// object the dashboard can apply to the live preset and the optimizer to its
+// copy. Three kinds cover what the rules recommend:
+//   set-prompt-field — { identifier, field, value }: change one prompt field
+//   move-entry       — { identifier, after }: move an entry in the prompt order
+//   set-setting      — { field, value }: change a preset-level setting
+// Every fix also has a `label` for the Apply button.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { GLOBAL_CHARACTER_ID } = shared || require('./preset-model');
+
+const FIX_TYPE = {
+    SET_PROMPT_FIELD: 'set-prompt-field',
+    MOVE_ENTRY: 'move-entry',
+    SET_SETTING: 'set-setting'
+};
+
+// Preset fields a fix can touch — what snapshotPreset() saves for undo
+const FIXABLE_FIELDS = ['prompts', 'prompt_order', 'squash_system_messages', 'continue_prefill'];
+
+// Undo keeps this many applied fixes by default
+const UNDO_LIMIT = 10;
+
+const FIELD_LABELS = {
+    injection_depth: 'injection depth',
+    injection_position: 'injection position',
+    enabled: 'enabled'
+};
+
+// Extension prompts (core/extension-prompts.js) are not in the preset, so
+// there is nothing for a fix to edit
+function setPromptFieldFix(entry, field, value) {
+    if (entry.extensionKey) return null;
+    return {
+        type: FIX_TYPE.SET_PROMPT_FIELD,
+        identifier: entry.identifier,
+        field,
+        value,
+        label: `Set ${FIELD_LABELS[field] || field} of "${entry.name || entry.identifier}" to ${value}`
+    };
+}
+
+function moveEntryFix(entry, anchor) {
+    if (entry.extensionKey || anchor.extensionKey) return null;
+    return {
+        type: FIX_TYPE.MOVE_ENTRY,
+        identifier: entry.identifier,
+        after: anchor.identifier,
+        label: `Move "${entry.name || entry.identifier}" after "${anchor.name || anchor.identifier}"`
+    };
+}
+
+function settingFix(field, value) {
+    return {
+        type: FIX_TYPE.SET_SETTING,
+        field,
+        value,
+        label: typeof value === 'boolean' ? `Turn ${value ? 'on' : 'off'} ${field}` : `Set ${field} to ${value}`
+    };
+}
+
+// The raw prompt_order list for `characterId`, so it can be edited in place.
+// Without a matching block the global order is used, like normalizePreset().
+function getOrderList(preset, characterId) {
+    const promptOrder = preset.prompt_order;
+    if (!Array.isArray(promptOrder) || promptOrder.length === 0) return null;
+    if (!promptOrder[0] || !Array.isArray(promptOrder[0].order)) return promptOrder;
+
+    const blocks = promptOrder.filter(block => block && Array.isArray(block.order));
+    const block = blocks.find(b => String(b.character_id) === String(characterId))
+        || blocks.find(b => String(b.character_id) === String(GLOBAL_CHARACTER_ID))
+        || blocks[0];
+    return block ? block.order : null;
+}
+
+/**
+ * Applies `fix` to `preset` in place.
+ *
+ * Options:
+ *   characterId — prompt_order block a move-entry fix edits (defaults to the
+ *                 block normalizePreset() would pick)
+ *
+ * Returns true when the preset changed.
+ */
+function applyFix(preset, fix, options = {}) {
+    if (!preset || !fix) return false;
+
+    if (fix.type === FIX_TYPE.SET_PROMPT_FIELD) {
+        const prompt = (preset.prompts || []).find(p => p && p.identifier === fix.identifier);
+        if (!prompt || prompt[fix.field] === fix.value) return false;
+        prompt[fix.field] = fix.value;
+        return true;
+    }
+
+    if (fix.type === FIX_TYPE.MOVE_ENTRY) {
+        const order = getOrderList(preset, options.characterId);
+        if (!order) return false;
+
+        const from = order.findIndex(entry => entry.identifier === fix.identifier);
+        if (from === -1 || !order.some(entry => entry.identifier === fix.after)) return false;
+
+        const [moved] = order.splice(from, 1);
+        const anchor = order.findIndex(entry => entry.identifier === fix.after);
+        order.splice(anchor + 1, 0, moved);
+        return from !== anchor + 1;
+    }
+
+    if (fix.type === FIX_TYPE.SET_SETTING) {
+        if (preset[fix.field] === fix.value) return false;
+        preset[fix.field] = fix.value;
+        return true;
+    }
+
+    return false;
+}
+
+// Copy of the fields fixes touch, for restoreSnapshot(). Fields the preset
+// lacks are recorded as undefined so restoring removes them again.
+function snapshotPreset(preset) {
+    const snapshot = {};
+    for (const field of FIXABLE_FIELDS) {
+        snapshot[field] = preset[field] === undefined ? undefined : JSON.parse(JSON.stringify(preset[field]));
+    }
+    return snapshot;
+}
+
+function restoreSnapshot(preset, snapshot) {
+    for (const field of FIXABLE_FIELDS) {
+        if (!(field in snapshot)) continue;
+        if (snapshot[field] === undefined) delete preset[field];
+        else preset[field] = JSON.parse(JSON.stringify(snapshot[field]));
+    }
+}
+
+/**
+ * Bounded undo stack of { label, snapshot } records, snapshots taken with
+ * snapshotPreset() before the change. The oldest record is dropped once
+ * `limit` is exceeded.
+ */
+function createUndoStack(limit = UNDO_LIMIT) {
+    const records = [];
+    return {
+        push(label, snapshot) {
+            records.push({ label, snapshot });
+            if (records.length > limit) records.shift();
+        },
+        // Restores the last snapshot into `preset`; returns its label, or null when empty
+        undo(preset) {
+            const record = records.pop();
+            if (!record) return null;
+            restoreSnapshot(preset, record.snapshot);
+            return record.label;
+        },
+        peek() {
+            return records.length > 0 ? records[records.length - 1].label : null;
+        },
+        get size() {
+            return records.length;
+        },
+        clear() {
+            records.length = 0;
+        }
+    };
+}
+
+const api = {
+    FIX_TYPE,
+    setPromptFieldFix,
+    moveEntryFix,
+    settingFix,
+    getOrderList,
+    applyFix,
+    snapshotPreset,
+    restoreSnapshot,
+    createUndoStack
+};
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,207 @@
+// core/locations.js — Finding locations
+// Points each finding at the part of the preset file it is about, as a JSON
+// pointer (RFC 6901) such as /prompts/12/content, plus the character range
+// inside that string for findings about one macro. When the file text is at
+// hand, findSourceRange() maps a location to offsets in the file itself, so
+// editors and code-scanning tools can highlight the exact spot.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { GLOBAL_CHARACTER_ID } = shared || require('./preset-model');
+const { FIX_TYPE } = shared || require('./fixes');
+
+function escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointerToken(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function promptPointer(preset, identifier) {
+    const index = (preset.prompts || []).findIndex(prompt => prompt && prompt.identifier === identifier);
+    return index === -1 ? null : `/prompts/${index}`;
+}
+
+// Pointer to `identifier` in the prompt_order block normalizePreset() resolves
+function orderPointer(preset, identifier, characterId) {
+    const promptOrder = preset.prompt_order;
+    if (!Array.isArray(promptOrder)) return null;
+
+    if (!promptOrder[0] || !Array.isArray(promptOrder[0].order)) {
+        const index = promptOrder.findIndex(entry => entry && entry.identifier === identifier);
+        return index === -1 ? null : `/prompt_order/${index}`;
+    }
+
+    let block = promptOrder.findIndex(b => b && Array.isArray(b.order) && String(b.character_id) === String(characterId));
+    if (block === -1) block = promptOrder.findIndex(b => b && Array.isArray(b.order) && String(b.character_id) === String(GLOBAL_CHARACTER_ID));
+    if (block === -1) block = promptOrder.findIndex(b => b && Array.isArray(b.order));
+    if (block === -1) return null;
+
+    const index = promptOrder[block].order.findIndex(entry => entry && entry.identifier === identifier);
+    return index === -1 ? null : `/prompt_order/${block}/order/${index}`;
+}
+
+/**
+ * Location of `finding` in `preset`:
+ * { pointer, offset?, length? } where offset/length are a character range
+ * inside the string at `pointer`. Findings about the whole preset point at
+ * the document root ('').
+ *
+ * Rules report text ranges through meta.offset/meta.length; everything else
+ * is derived from the finding's fix or affected entry.
+ */
+function locateFinding(preset, finding, options = {}) {
+    const meta = finding.meta || {};
+    const prompt = promptPointer(preset, finding.affectedEntry);
+    const fix = finding.fix;
+
+    if (prompt && Number.isInteger(meta.offset)) {
+        return { pointer: `${prompt}/content`, offset: meta.offset, length: meta.length || 0 };
+    }
+    if (fix && fix.type === FIX_TYPE.SET_PROMPT_FIELD && prompt) {
+        return { pointer: `${prompt}/${escapePointerToken(fix.field)}` };
+    }
+    if (fix && fix.type === FIX_TYPE.SET_SETTING) {
+        return { pointer: `/${escapePointerToken(fix.field)}` };
+    }
+    if (finding.rule === 'prompt-ordering') {
+        const order = orderPointer(preset, finding.affectedEntry, options.characterId);
+        if (order) return { pointer: order };
+    }
+    return { pointer: prompt || '' };
+}
+
+// Sets finding.location on every finding
+function attachLocations(preset, findings, options = {}) {
+    for (const finding of findings) {
+        finding.location = locateFinding(preset, finding, options);
+    }
+    return findings;
+}
+
+// ---- Source mapping ----
+
+// Minimal JSON scanner: offset of the first character after whitespace
+function skipWhitespace(source, index) {
+    while (index < source.length && /\s/.test(source[index])) index++;
+    return index;
+}
+
+// End (exclusive) of the string literal starting at `index`
+function scanString(source, index) {
+    for (let i = index + 1; i < source.length; i++) {
+        if (source[i] === '\\') i++;
+        else if (source[i] === '"') return i + 1;
+    }
+    return -1;
+}
+
+// End (exclusive) of the JSON value starting at `index`
+function scanValue(source, index) {
+    const first = source[index];
+    if (first === '"') return scanString(source, index);
+    if (first !== '{' && first !== '[') {
+        const match = /^[^,\]}\s]+/.exec(source.slice(index, index + 64));
+        return match ? index + match[0].length : -1;
+    }
+
+    let depth = 0;
+    for (let i = index; i < source.length; i++) {
+        const char = source[i];
+        if (char === '"') {
+            i = scanString(source, i) - 1;
+            if (i < 0) return -1;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) return i + 1;
+        }
+    }
+    return -1;
+}
+
+// Start of the child `token` of the container starting at `index`
+function findChild(source, index, token) {
+    const isArray = source[index] === '[';
+    let i = skipWhitespace(source, index + 1);
+    let position = 0;
+
+    while (i < source.length && source[i] !== '}' && source[i] !== ']') {
+        let key = null;
+        if (!isArray) {
+            const keyEnd = scanString(source, i);
+            if (keyEnd < 0) return -1;
+            key = JSON.parse(source.slice(i, keyEnd));
+            i = skipWhitespace(source, keyEnd);
+            if (source[i] !== ':') return -1;
+            i = skipWhitespace(source, i + 1);
+        }
+
+        if (isArray ? String(position) === token : key === token) return i;
+
+        const end = scanValue(source, i);
+        if (end < 0) return -1;
+        i = skipWhitespace(source, end);
+        if (source[i] === ',') i = skipWhitespace(source, i + 1);
+        position++;
+    }
+    return -1;
+}
+
+// Raw offset in a string literal of decoded character `offset`
+function mapStringOffset(source, start, offset) {
+    let i = start + 1;
+    for (let decoded = 0; decoded < offset && i < source.length; decoded++) {
+        if (source[i] !== '\\') i++;
+        else i += source[i + 1] === 'u' ? 6 : 2;
+    }
+    return i;
+}
+
+function toLineColumn(source, index) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < index; i++) {
+        if (source[i] === '\n') {
+            line++;
+            lineStart = i + 1;
+        }
+    }
+    return { line, column: index - lineStart + 1 };
+}
+
+/**
+ * Maps a location to the preset file text it was parsed from:
+ * { start, end, startLine, startColumn, endLine, endColumn } with offsets
+ * into `source` and 1-based lines/columns, or null when the pointer does not
+ * resolve. Text ranges account for JSON escapes such as \n and \u00e9.
+ */
+function findSourceRange(source, location) {
+    if (typeof source !== 'string' || !location) return null;
+
+    let index = skipWhitespace(source, 0);
+    const tokens = location.pointer ? location.pointer.split('/').slice(1).map(unescapePointerToken) : [];
+    for (const token of tokens) {
+        if (source[index] !== '{' && source[index] !== '[') return null;
+        index = findChild(source, index, token);
+        if (index < 0) return null;
+    }
+
+    let start = index;
+    let end = scanValue(source, index);
+    if (end < 0) return null;
+
+    if (Number.isInteger(location.offset) && source[index] === '"') {
+        start = mapStringOffset(source, index, location.offset);
+        end = mapStringOffset(source, index, location.offset + (location.length || 0));
+    }
+
+    const from = toLineColumn(source, start);
+    const to = toLineColumn(source, end);
+    return { start, end, startLine: from.line, startColumn: from.column, endLine: to.line, endColumn: to.column };
+}
+
+const api = { locateFinding, attachLocations, findSourceRange };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
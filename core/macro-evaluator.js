@@ -0,0 +1,211 @@
+// core/macro-evaluator.js — Sandboxed macro evaluator
+// Renders entry content the way ST's macro engine would, but with fixed
+// stand-in values: no clock, no randomness, no chat access and no code
+// execution — only string operations on the template. Comments, {{trim}},
+// {{noop}} and variable writes render to nothing, so rules measure the text
+// that is actually sent instead of the raw template.
+//
+// Per-generation and per-message macros render as "<letter>:<name>", the
+// letter following the generation number, so consecutive generations differ
+// exactly at the macro (see core/simulator.js).
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { parseMacros, getMacroInfo, isTurnVolatile } = shared || require('./macros');
+
+// Stand-ins for chat- and character-scoped macros, keyed by lower-case name
+const DEFAULT_STAND_INS = {
+    char: 'Character',
+    charifnotgroup: 'Character',
+    user: 'User',
+    persona: '[Persona description]',
+    description: '[Character description]',
+    personality: '[Character personality]',
+    scenario: '[Scenario]',
+    charprompt: '',
+    charinstruction: '',
+    charjailbreak: '',
+    chardepthprompt: '',
+    charauthorsnote: '',
+    authorsnote: '',
+    defaultauthorsnote: '',
+    charversion: '',
+    char_version: '',
+    mesexamples: '',
+    mesexamplesraw: '',
+    original: '',
+    group: 'Character',
+    groupnotmuted: 'Character',
+    notchar: 'User',
+    model: '[Model]',
+    maxprompt: '0'
+};
+
+// Runaway templates (addvar in a loop, deep nesting) stop here
+const MAX_DEPTH = 32;
+const MAX_VARIABLE_LENGTH = 100000;
+
+const TRIM_SENTINEL = '\u0000trim\u0000';
+
+function standInFor(name, generation) {
+    const letter = String.fromCharCode(65 + ((generation % 26) + 26) % 26);
+    return `${letter}:${name}`;
+}
+
+// {{random::a::b}} and {{random::a,b}} / {{random:a,b}} both list options
+function splitOptions(args) {
+    if (args.includes('::')) return args.split('::');
+    return args.split(',');
+}
+
+function splitVariableArgs(args) {
+    const separator = args.indexOf('::');
+    if (separator === -1) return { name: args.trim(), value: '' };
+    return { name: args.slice(0, separator).trim(), value: args.slice(separator + 2) };
+}
+
+function addValues(current, value) {
+    const a = Number(current);
+    const b = Number(value);
+    if (current !== '' && value !== '' && Number.isFinite(a) && Number.isFinite(b)) return String(a + b);
+    return (current + value).slice(0, MAX_VARIABLE_LENGTH);
+}
+
+// Variable macros: name → (store, args) => printed text
+const VARIABLE_HANDLERS = {
+    getvar: (store, args) => store.get(splitVariableArgs(args).name) || '',
+    setvar: (store, args) => {
+        const { name, value } = splitVariableArgs(args);
+        store.set(name, value.slice(0, MAX_VARIABLE_LENGTH));
+        return '';
+    },
+    addvar: (store, args) => {
+        const { name, value } = splitVariableArgs(args);
+        store.set(name, addValues(store.get(name) || '', value));
+        return '';
+    },
+    incvar: (store, args) => {
+        const name = splitVariableArgs(args).name;
+        const value = String((Number(store.get(name)) || 0) + 1);
+        store.set(name, value);
+        return value;
+    },
+    decvar: (store, args) => {
+        const name = splitVariableArgs(args).name;
+        const value = String((Number(store.get(name)) || 0) - 1);
+        store.set(name, value);
+        return value;
+    }
+};
+
+const GLOBAL_VARIABLE_MACROS = {
+    getglobalvar: 'getvar',
+    setglobalvar: 'setvar',
+    addglobalvar: 'addvar',
+    incglobalvar: 'incvar',
+    decglobalvar: 'decvar'
+};
+
+/**
+ * Evaluation state shared by every entry of one generation.
+ *
+ * Options:
+ *   generation — generation number; picks the stand-in letter for volatile macros
+ *   standIns   — { [macroName]: text } overriding DEFAULT_STAND_INS
+ *   variables  — { [name]: value } initial chat variables
+ */
+function createEvaluationState(options = {}) {
+    const standIns = Object.assign({}, DEFAULT_STAND_INS);
+    for (const [name, value] of Object.entries(options.standIns || {})) {
+        standIns[name.toLowerCase()] = value;
+    }
+    return {
+        generation: options.generation || 0,
+        standIns,
+        local: new Map(Object.entries(options.variables || {})),
+        global: new Map()
+    };
+}
+
+function evaluateMacro(macro, args, state) {
+    const lower = macro.name.toLowerCase();
+
+    if (lower === '//' || lower === 'noop' || lower === 'banned') return '';
+    if (lower === 'newline') return '\n';
+    if (lower === 'trim') return TRIM_SENTINEL;
+    if (lower === 'reverse') return Array.from(args).reverse().join('');
+    // Seeded per chat in ST — any fixed choice is stable
+    if (lower === 'pick') return splitOptions(args)[0].trim();
+
+    if (VARIABLE_HANDLERS[lower]) return VARIABLE_HANDLERS[lower](state.local, args);
+    if (GLOBAL_VARIABLE_MACROS[lower]) return VARIABLE_HANDLERS[GLOBAL_VARIABLE_MACROS[lower]](state.global, args);
+
+    const info = getMacroInfo(macro.name);
+    if (isTurnVolatile(info.volatility)) return standInFor(macro.name, state.generation);
+    if (Object.prototype.hasOwnProperty.call(state.standIns, lower)) return state.standIns[lower];
+
+    // ST leaves macros it does not know untouched
+    return info.known ? `[${macro.name}]` : null;
+}
+
+function evaluate(content, state, depth) {
+    if (!content || depth > MAX_DEPTH) return content || '';
+
+    let output = '';
+    let cursor = 0;
+    for (const macro of parseMacros(content)) {
+        // Nested macros are evaluated as part of the macro around them
+        if (macro.index < cursor) continue;
+
+        let value = '';
+        if (macro.name !== '//') {
+            // Inner macros first, then the outer one sees their output
+            const body = evaluate(macro.raw.slice(2, -2), state, depth + 1);
+            const args = body.trim().slice(macro.name.length).replace(/^(::|:|\s)/, '');
+            value = evaluateMacro(macro, args, state);
+            if (value === null) value = `{{${body}}}`;
+        }
+
+        output += content.slice(cursor, macro.index) + value;
+        cursor = macro.index + macro.length;
+    }
+    return output + content.slice(cursor);
+}
+
+// Renders one template against `state` (created when omitted)
+function evaluateMacros(content, state) {
+    const rendered = evaluate(content, state || createEvaluationState(), 0);
+    // {{trim}} removes itself and the newlines around it
+    return rendered.includes(TRIM_SENTINEL)
+        ? rendered.replace(/(?:\r?\n)*\u0000trim\u0000(?:\r?\n)*/g, '')
+        : rendered;
+}
+
+/**
+ * Renders `entries` ([{ identifier, content }]) in order, as of one generation.
+ * Chat variables persist between generations, so a getvar that runs before
+ * its setvar reads the value from the previous build: a warm-up build
+ * (generation -1) and every generation up to `options.generation` are replayed
+ * with the same variable store, and the last one is returned as
+ * { [identifier]: text }. Accumulating writes ({{addvar}}, {{incvar}}) thereby
+ * differ between consecutive generations, like they do in ST.
+ *
+ * Options: createEvaluationState's options.
+ */
+function renderEntries(entries, options = {}) {
+    const generation = options.generation || 0;
+    const state = createEvaluationState(options);
+    let rendered = {};
+
+    for (let current = -1; current <= generation; current++) {
+        state.generation = current;
+        rendered = {};
+        for (const entry of entries) {
+            rendered[entry.identifier] = evaluateMacros(entry.content, state);
+        }
+    }
+    return rendered;
+}
+
+const api = { DEFAULT_STAND_INS, createEvaluationState, evaluateMacros, renderEntries };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
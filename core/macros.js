@@ -0,0 +1,233 @@
+// core/macros.js — Macro catalogue
+// Classifies every ST macro by how often its rendered value changes. Only
+// values that change between two consecutive requests bust the cached prefix:
+//   per-generation — new value on every request, swipes and regenerations included
+//   per-message    — new value whenever the chat gains a message
+//   per-chat       — fixed for one chat (persona, chat variables, seeded {{pick}})
+//   per-character  — fixed for one character card
+//   static         — always renders the same text ({{newline}}, {{trim}}, comments)
+
+const MACRO_VOLATILITY = {
+    PER_GENERATION: 'per-generation',
+    PER_MESSAGE: 'per-message',
+    PER_CHAT: 'per-chat',
+    PER_CHARACTER: 'per-character',
+    STATIC: 'static'
+};
+
+// Most volatile first
+const VOLATILITY_RANK = [
+    MACRO_VOLATILITY.PER_GENERATION,
+    MACRO_VOLATILITY.PER_MESSAGE,
+    MACRO_VOLATILITY.PER_CHAT,
+    MACRO_VOLATILITY.PER_CHARACTER,
+    MACRO_VOLATILITY.STATIC
+];
+
+// Classes whose value differs between turn N and N+1
+const TURN_VOLATILE = new Set([MACRO_VOLATILITY.PER_GENERATION, MACRO_VOLATILITY.PER_MESSAGE]);
+
+const { PER_GENERATION, PER_MESSAGE, PER_CHAT, PER_CHARACTER, STATIC } = MACRO_VOLATILITY;
+
+// Keyed by lower-case name — ST matches macro names case-insensitively
+const MACRO_CATALOGUE = {
+    // Clock and randomness
+    random: { volatility: PER_GENERATION, description: 'Random item from a list' },
+    roll: { volatility: PER_GENERATION, description: 'Dice roll' },
+    time: { volatility: PER_GENERATION, description: 'Current time' },
+    time_utc: { volatility: PER_GENERATION, description: 'Current time at a UTC offset' },
+    date: { volatility: PER_GENERATION, description: 'Current date' },
+    weekday: { volatility: PER_GENERATION, description: 'Current weekday' },
+    isotime: { volatility: PER_GENERATION, description: 'Current time, ISO format' },
+    isodate: { volatility: PER_GENERATION, description: 'Current date, ISO format' },
+    datetimeformat: { volatility: PER_GENERATION, description: 'Current date and time, custom format' },
+    timediff: { volatility: PER_GENERATION, description: 'Difference between two times' },
+    input: { volatility: PER_GENERATION, description: 'Text in the send box' },
+    currentswipeid: { volatility: PER_GENERATION, description: 'Swipe number being generated' },
+    lastswipeid: { volatility: PER_GENERATION, description: 'Swipe count of the last message' },
+    incvar: { volatility: PER_GENERATION, description: 'Increments a chat variable and prints it' },
+    decvar: { volatility: PER_GENERATION, description: 'Decrements a chat variable and prints it' },
+    incglobalvar: { volatility: PER_GENERATION, description: 'Increments a global variable and prints it' },
+    decglobalvar: { volatility: PER_GENERATION, description: 'Decrements a global variable and prints it' },
+
+    // Chat contents
+    lastmessage: { volatility: PER_MESSAGE, description: 'Last chat message' },
+    lastchatmessage: { volatility: PER_MESSAGE, description: 'Last chat message' },
+    lastusermessage: { volatility: PER_MESSAGE, description: 'Last user message' },
+    lastcharmessage: { volatility: PER_MESSAGE, description: 'Last character message' },
+    lastmessageid: { volatility: PER_MESSAGE, description: 'Index of the last chat message' },
+    firstincludedmessageid: { volatility: PER_MESSAGE, description: 'First message that fits the context' },
+    firstdisplayedmessageid: { volatility: PER_MESSAGE, description: 'First message shown in the chat' },
+    idle_duration: { volatility: PER_MESSAGE, description: 'Time since the last user message' },
+    outlet: { volatility: PER_MESSAGE, description: 'World Info outlet — follows entry activation' },
+    summary: { volatility: PER_MESSAGE, description: 'Latest Summarize extension summary' },
+
+    // Chat-scoped state
+    user: { volatility: PER_CHAT, description: 'Persona name' },
+    persona: { volatility: PER_CHAT, description: 'Persona description' },
+    pick: { volatility: PER_CHAT, description: 'Random item, seeded per chat' },
+    getvar: { volatility: PER_CHAT, description: 'Chat variable — changes only when something writes it' },
+    getglobalvar: { volatility: PER_CHAT, description: 'Global variable — changes only when something writes it' },
+    setvar: { volatility: STATIC, silent: true, description: 'Sets a chat variable, prints nothing' },
+    addvar: { volatility: STATIC, silent: true, description: 'Adds to a chat variable, prints nothing' },
+    setglobalvar: { volatility: STATIC, silent: true, description: 'Sets a global variable, prints nothing' },
+    addglobalvar: { volatility: STATIC, silent: true, description: 'Adds to a global variable, prints nothing' },
+    authorsnote: { volatility: PER_CHAT, description: "Chat Author's Note" },
+    defaultauthorsnote: { volatility: PER_CHAT, description: "Default Author's Note" },
+    model: { volatility: PER_CHAT, description: 'Selected model name' },
+    maxprompt: { volatility: PER_CHAT, description: 'Context size' },
+    group: { volatility: PER_CHAT, description: 'Group member names' },
+    groupnotmuted: { volatility: PER_CHAT, description: 'Unmuted group member names' },
+    notchar: { volatility: PER_CHAT, description: 'Group members other than the speaker' },
+
+    // Character card
+    char: { volatility: PER_CHARACTER, description: 'Character name' },
+    charifnotgroup: { volatility: PER_CHARACTER, description: 'Character name outside groups' },
+    description: { volatility: PER_CHARACTER, description: 'Character description' },
+    personality: { volatility: PER_CHARACTER, description: 'Character personality' },
+    scenario: { volatility: PER_CHARACTER, description: 'Character scenario' },
+    charprompt: { volatility: PER_CHARACTER, description: 'Character main prompt override' },
+    charinstruction: { volatility: PER_CHARACTER, description: 'Character post-history instructions' },
+    charjailbreak: { volatility: PER_CHARACTER, description: 'Character post-history instructions' },
+    chardepthprompt: { volatility: PER_CHARACTER, description: 'Character depth prompt' },
+    charauthorsnote: { volatility: PER_CHARACTER, description: "Character Author's Note" },
+    charversion: { volatility: PER_CHARACTER, description: 'Character card version' },
+    char_version: { volatility: PER_CHARACTER, description: 'Character card version' },
+    mesexamples: { volatility: PER_CHARACTER, description: 'Formatted example dialogue' },
+    mesexamplesraw: { volatility: PER_CHARACTER, description: 'Raw example dialogue' },
+    original: { volatility: PER_CHARACTER, description: 'Prompt text being overridden' },
+
+    // Formatting
+    newline: { volatility: STATIC, description: 'Line break' },
+    trim: { volatility: STATIC, description: 'Trims surrounding newlines' },
+    noop: { volatility: STATIC, silent: true, description: 'Prints nothing' },
+    reverse: { volatility: STATIC, description: 'Reverses its argument' },
+    banned: { volatility: STATIC, silent: true, description: 'Banned word list, prints nothing' },
+    '//': { volatility: STATIC, silent: true, description: 'Comment, prints nothing' }
+};
+
+// Unknown macros (extension or typo) — assumed stable within a chat
+const UNKNOWN_VOLATILITY = PER_CHAT;
+
+// Name is everything before the first separator: {{random::a::b}}, {{roll:d6}},
+// {{time_UTC+2}}, {{datetimeformat YYYY}}; comments start with //
+function parseMacroName(body) {
+    const trimmed = body.trim();
+    if (trimmed.startsWith('//')) return '//';
+    const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(trimmed);
+    if (!match) return null;
+    // {{time_UTC-5}} is the time_UTC macro with an offset
+    if (/^time_utc/i.test(match[0])) return 'time_UTC';
+    return match[0];
+}
+
+function getMacroInfo(name) {
+    if (!name) return null;
+    const info = MACRO_CATALOGUE[name.toLowerCase()];
+    if (info) return Object.assign({ name, known: true, silent: false }, info);
+    return { name, known: false, silent: false, volatility: UNKNOWN_VOLATILITY, description: 'Unknown macro' };
+}
+
+// End of the macro opened at `start`, honouring nested {{...}}; -1 when unclosed
+function findMacroEnd(content, start) {
+    let depth = 0;
+    for (let i = start; i < content.length - 1; i++) {
+        if (content[i] === '{' && content[i + 1] === '{') {
+            depth++;
+            i++;
+        } else if (content[i] === '}' && content[i + 1] === '}') {
+            depth--;
+            i++;
+            if (depth === 0) return i + 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Every macro in `content`, outer macros before the ones nested in them:
+ * [{ macro, raw, name, args, index, length, volatility, known, printed }]
+ * where `macro` is the normalized '{{name}}' and `raw` the text as written.
+ * `printed` is false for macros nested in one that prints nothing
+ * ({{setvar::x::{{random}}}}) — their value only reaches the prompt through
+ * a variable (see core/variable-flow.js).
+ */
+function parseMacros(content) {
+    const found = [];
+    if (!content) return found;
+
+    // End offsets of the silent macros enclosing the current position
+    let silentEnd = -1;
+    let index = content.indexOf('{{');
+    while (index !== -1) {
+        const comment = content.startsWith('{{//', index);
+        // Comments end at the first }}; everything else may nest
+        const end = comment ? content.indexOf('}}', index) + 2 : findMacroEnd(content, index);
+        if (end < 2) break;
+
+        const body = content.slice(index + 2, end - 2);
+        const name = parseMacroName(body);
+        if (name) {
+            const info = getMacroInfo(name);
+            const printed = index >= silentEnd;
+            if (info.silent && printed) silentEnd = end;
+            found.push({
+                macro: name === '//' ? '{{//}}' : `{{${name}}}`,
+                raw: content.slice(index, end),
+                name,
+                args: name === '//' ? '' : body.trim().slice(name.length).replace(/^(::|:|\s)/, ''),
+                index,
+                length: end - index,
+                volatility: info.volatility,
+                known: info.known,
+                printed
+            });
+        }
+
+        // Step inside to pick up nested macros, but never into a comment
+        index = content.indexOf('{{', comment ? end : index + 2);
+    }
+    return found;
+}
+
+function isTurnVolatile(volatility) {
+    return TURN_VOLATILE.has(volatility);
+}
+
+// Printed macros whose value changes from one turn to the next
+function findDynamicMacros(content) {
+    return parseMacros(content).filter(macro => macro.printed && isTurnVolatile(macro.volatility));
+}
+
+function hasDynamicMacros(content) {
+    return findDynamicMacros(content).length > 0;
+}
+
+// Most volatile of the given classes (static when none are given)
+function mostVolatile(classes) {
+    let best = VOLATILITY_RANK.length - 1;
+    for (const volatility of classes) {
+        const rank = VOLATILITY_RANK.indexOf(volatility);
+        if (rank !== -1) best = Math.min(best, rank);
+    }
+    return VOLATILITY_RANK[best];
+}
+
+// Most volatile class among the printed macros in `content` (static when there are none)
+function getContentVolatility(content) {
+    return mostVolatile(parseMacros(content).filter(macro => macro.printed).map(macro => macro.volatility));
+}
+
+const api = {
+    MACRO_VOLATILITY,
+    MACRO_CATALOGUE,
+    getMacroInfo,
+    parseMacros,
+    isTurnVolatile,
+    findDynamicMacros,
+    hasDynamicMacros,
+    mostVolatile,
+    getContentVolatility
+};
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
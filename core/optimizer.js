@@ -0,0 +1,224 @@
+// core/optimizer.js — Preset optimizer
+// Acts on what the rules recommend: produces a rewritten copy of the preset
+// and re-runs analyze() on it so the dashboard can show the score before and
+// after. The input preset is never modified.
+//
+// Steps run in order, each against the output of the previous one, and each
+// asks its rule for fresh findings — extracting macros from an entry can make
+// it stable, which changes what prompt-ordering flags afterwards.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { normalizePreset, INJECTION_POSITION } = shared || require('./preset-model');
+const { getProviderProfile } = shared || require('./providers');
+const { findDynamicMacros } = shared || require('./macros');
+const { getOrderList, applyFix } = shared || require('./fixes');
+const { getRule } = shared || require('../rules');
+const { analyze } = shared || require('../analyzer');
+
+// Identifier of the entry that collects macros moved out of the cached prefix
+const MOVED_MACROS_IDENTIFIER = 'cacheAnalyzerDynamic';
+const MOVED_MACROS_NAME = 'Dynamic Macros (moved)';
+
+// injection-depth stops flagging at this depth
+const SAFE_INJECTION_DEPTH = 4;
+
+// Markers ST fills with the chat itself; they are never moved
+const MARKER_IDENTIFIERS = new Set(['chatHistory', 'dialogueExamples']);
+
+function runRule(id, preset, options) {
+    const rule = getRule(id);
+    if (!rule) return [];
+    const severity = Object.assign({}, rule.severity, options.severities && options.severities[id]);
+    return rule.check(preset, Object.assign({}, options, { model: null, severity }));
+}
+
+function findPrompt(preset, identifier) {
+    return preset.prompts.find(prompt => prompt && prompt.identifier === identifier) || null;
+}
+
+// Lines of `content` touched by a dynamic macro, and the content without them
+function splitDynamicLines(content) {
+    const macros = findDynamicMacros(content);
+    const lines = content.split('\n');
+    const kept = [];
+    const moved = [];
+
+    let offset = 0;
+    for (const line of lines) {
+        const start = offset;
+        const end = offset + line.length;
+        offset = end + 1;
+        const touched = macros.some(macro => macro.index <= end && macro.index + macro.length > start);
+        (touched ? moved : kept).push(line);
+    }
+    return { kept: kept.join('\n'), moved };
+}
+
+// Moves lines with dynamic macros out of entries in the cached prefix into
+// one entry placed right after the chat history
+function moveDynamicMacros(preset, options) {
+    const model = normalizePreset(preset, options);
+    const order = getOrderList(preset, model.characterId);
+    if (!order) return [];
+
+    const historyIndex = model.entries.findIndex(entry => entry.identifier === 'chatHistory');
+    const inPrefix = new Set(model.entries
+        .filter((entry, index) => entry.injectionPosition === INJECTION_POSITION.RELATIVE && (historyIndex === -1 || index < historyIndex))
+        .map(entry => entry.identifier));
+
+    const flagged = Array.from(new Set(runRule('macro-placement', preset, options).map(f => f.affectedEntry)))
+        .filter(identifier => inPrefix.has(identifier) && identifier !== MOVED_MACROS_IDENTIFIER);
+
+    const changes = [];
+    const movedLines = [];
+    for (const identifier of flagged) {
+        const prompt = findPrompt(preset, identifier);
+        if (!prompt || typeof prompt.content !== 'string') continue;
+
+        const { kept, moved } = splitDynamicLines(prompt.content);
+        if (moved.length === 0) continue;
+
+        prompt.content = kept;
+        movedLines.push(...moved);
+        changes.push({
+            rule: 'macro-placement',
+            identifier,
+            description: `Moved ${moved.length} line${moved.length === 1 ? '' : 's'} with dynamic macros out of "${prompt.name || identifier}" to "${MOVED_MACROS_NAME}" after the chat history.`
+        });
+    }
+    if (movedLines.length === 0) return changes;
+
+    let target = findPrompt(preset, MOVED_MACROS_IDENTIFIER);
+    if (target) {
+        target.content = [target.content, ...movedLines].filter(Boolean).join('\n');
+    } else {
+        target = {
+            identifier: MOVED_MACROS_IDENTIFIER,
+            name: MOVED_MACROS_NAME,
+            role: 'system',
+            content: movedLines.join('\n'),
+            system_prompt: false,
+            marker: false,
+            injection_position: INJECTION_POSITION.RELATIVE,
+            injection_depth: SAFE_INJECTION_DEPTH,
+            forbid_overrides: false
+        };
+        preset.prompts.push(target);
+    }
+
+    if (!order.some(entry => entry.identifier === MOVED_MACROS_IDENTIFIER)) {
+        const history = order.findIndex(entry => entry.identifier === 'chatHistory');
+        order.splice(history === -1 ? order.length : history + 1, 0, { identifier: MOVED_MACROS_IDENTIFIER, enabled: true });
+    }
+    return changes;
+}
+
+// Moves volatile entries flagged by prompt-ordering after the last stable
+// entry ahead of the chat history. Markers stay where they are, and so does
+// everything from the chat history on: post-history entries are positional.
+function moveVolatileEntries(preset, options) {
+    const model = normalizePreset(preset, options);
+    const order = getOrderList(preset, model.characterId);
+    if (!order) return [];
+
+    const flagged = new Set(runRule('prompt-ordering', preset, options).map(f => f.affectedEntry));
+    if (flagged.size === 0) return [];
+
+    const historyIndex = order.findIndex(entry => entry.identifier === 'chatHistory');
+    const head = historyIndex === -1 ? order.slice() : order.slice(0, historyIndex);
+    const tail = historyIndex === -1 ? [] : order.slice(historyIndex);
+
+    const volatileIds = new Set(model.entries.filter(entry => entry.volatile).map(entry => entry.identifier));
+    const moved = head.filter(entry => flagged.has(entry.identifier) && !MARKER_IDENTIFIERS.has(entry.identifier));
+    if (moved.length === 0) return [];
+    const rest = head.filter(entry => !moved.includes(entry));
+
+    let lastStable = -1;
+    rest.forEach((entry, index) => {
+        if (entry.enabled && !volatileIds.has(entry.identifier)) lastStable = index;
+    });
+    rest.splice(lastStable + 1, 0, ...moved);
+    order.splice(0, order.length, ...rest, ...tail);
+
+    return moved.map(entry => {
+        const prompt = model.promptMap[entry.identifier];
+        const name = prompt ? prompt.name : entry.identifier;
+        return {
+            rule: 'prompt-ordering',
+            identifier: entry.identifier,
+            description: `Moved "${name}" after the stable entries.`
+        };
+    });
+}
+
+// Applies the structured fix of every finding `rule` reports
+function applyRuleFixes(id, preset, options) {
+    const changes = [];
+    for (const finding of runRule(id, preset, options)) {
+        if (!finding.fix || !applyFix(preset, finding.fix, options)) continue;
+        changes.push({
+            rule: id,
+            identifier: finding.affectedEntry,
+            description: `${finding.fix.label}.`
+        });
+    }
+    return changes;
+}
+
+// Deepens in-chat injections flagged by injection-depth
+function deepenInjections(preset, options) {
+    return applyRuleFixes('injection-depth', preset, options);
+}
+
+// cache_control providers (Claude, directly or through OpenRouter): one
+// squashed system message instead of several
+function enableSquash(preset, options) {
+    if (!getProviderProfile(options.provider, options.modelId).cacheControl) return [];
+    return applyRuleFixes('provider-specific', preset, options);
+}
+
+const OPTIMIZATIONS = [
+    moveDynamicMacros,
+    moveVolatileEntries,
+    deepenInjections,
+    enableSquash
+];
+
+/**
+ * Produces an optimized copy of `preset`.
+ *
+ * Options: everything analyze() accepts (provider, characterId, ...).
+ *
+ * Returns null for an unusable preset, else
+ * { preset, changes: [{ rule, identifier, description }], before, after }
+ * where before/after are analyze() results for the original and the copy.
+ */
+function optimizePreset(preset, options = {}) {
+    const model = normalizePreset(preset, options);
+    if (!model) return null;
+
+    // Every step edits the block the analysis scored
+    const stepOptions = Object.assign({}, options, { characterId: model.characterId, model: null });
+    const optimized = JSON.parse(JSON.stringify(preset));
+
+    const changes = [];
+    for (const optimization of OPTIMIZATIONS) {
+        changes.push(...optimization(optimized, stepOptions));
+    }
+
+    return {
+        preset: optimized,
+        changes,
+        before: analyze(preset, stepOptions),
+        after: analyze(optimized, stepOptions)
+    };
+}
+
+// ST preset files are 4-space indented JSON
+function exportPreset(preset) {
+    return JSON.stringify(preset, null, 4);
+}
+
+const api = { optimizePreset, exportPreset };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
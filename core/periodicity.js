@@ -0,0 +1,201 @@
+// core/periodicity.js — Author's Note interval and summary refresh churn
+// The Author's Note can be inserted every N user messages instead of on every
+// turn, and Summarize rewrites its summary every N messages. Each change
+// rewrites the request from where that prompt sits, so the cache goes cold on
+// a schedule. This module reads both settings, replays a session turn by turn
+// and predicts which turns start from a cold prefix.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel } = shared || require('./preset-model');
+const { computeCacheDiff } = shared || require('./cache-diff');
+const { EXTENSION_PROMPT_TYPES } = shared || require('./extension-prompts');
+
+// Turns replayed per session
+const PERIODIC_SESSION_TURNS = 50;
+
+// ST defaults: the Author's Note metadata (note_interval, note_depth,
+// note_position, note_role) and Summarize's promptInterval, depth, position, role
+const AUTHORS_NOTE_DEFAULTS = { interval: 1, depth: 4, position: EXTENSION_PROMPT_TYPES.IN_CHAT, role: 0 };
+const SUMMARY_DEFAULTS = { interval: 10, depth: 2, position: EXTENSION_PROMPT_TYPES.IN_PROMPT, role: 0 };
+
+// Extension prompt keys the two extensions register under
+const AUTHORS_NOTE_KEY = '2_floating_prompt';
+const SUMMARY_KEY = '1_memory';
+
+// Summary text when the chat has not been summarized yet
+const SUMMARY_STAND_IN = '[Summary of the chat so far]';
+
+// Each turn adds the user's message and the reply
+const MESSAGES_PER_TURN = 2;
+
+function toNumber(value, fallback) {
+    const number = Number(value);
+    return value === null || value === undefined || value === '' || !Number.isFinite(number) ? fallback : number;
+}
+
+function normalizeSource(settings, defaults, fallbackContent) {
+    const content = typeof settings.content === 'string' && settings.content.trim() ? settings.content : fallbackContent;
+    return {
+        content,
+        interval: Math.max(0, Math.floor(toNumber(settings.interval, defaults.interval))),
+        depth: toNumber(settings.depth, defaults.depth),
+        position: toNumber(settings.position, defaults.position),
+        role: toNumber(settings.role, defaults.role)
+    };
+}
+
+/**
+ * Reads { authorsNote, summary }, each { content, interval, depth, position, role }
+ * with ST's extension_prompt_types positions. The Author's Note interval counts
+ * user messages (1 = every turn), the summary interval counts messages between
+ * rewrites; 0 switches either off. Missing fields take ST's defaults.
+ *
+ * Returns { authorsNote, summary }, null for a source that is off or has no note text.
+ */
+function normalizePeriodicPrompts(settings) {
+    const source = settings || {};
+    const authorsNote = source.authorsNote ? normalizeSource(source.authorsNote, AUTHORS_NOTE_DEFAULTS, null) : null;
+    const summary = source.summary ? normalizeSource(source.summary, SUMMARY_DEFAULTS, SUMMARY_STAND_IN) : null;
+    return {
+        authorsNote: authorsNote && authorsNote.content && authorsNote.interval > 0 && authorsNote.position !== EXTENSION_PROMPT_TYPES.NONE ? authorsNote : null,
+        summary: summary && summary.interval > 0 && summary.position !== EXTENSION_PROMPT_TYPES.NONE ? summary : null
+    };
+}
+
+// ST's authors-note.js: inserted when the user message count is a multiple of the interval
+function isNoteInserted(authorsNote, turn) {
+    if (!authorsNote) return false;
+    return turn >= authorsNote.interval && turn % authorsNote.interval === 0;
+}
+
+// Summarize rewrites the summary once `interval` messages arrived since the last one
+function summaryVersion(summary, turn) {
+    if (!summary) return 0;
+    return Math.floor(turn * MESSAGES_PER_TURN / summary.interval);
+}
+
+function toExtensionPrompt(source, content) {
+    return { value: content, position: source.position, depth: source.depth, role: source.role, scan: false };
+}
+
+// The request's extension prompts with or without the note, and the original
+// or a rewritten summary. A rewrite is modeled as changing from its first
+// character, as a regenerated summary usually does.
+function buildExtensionPrompts(base, periodic, noteInserted, rewritten) {
+    const prompts = Object.assign({}, base);
+    delete prompts[AUTHORS_NOTE_KEY];
+    delete prompts[SUMMARY_KEY];
+    if (noteInserted) prompts[AUTHORS_NOTE_KEY] = toExtensionPrompt(periodic.authorsNote, periodic.authorsNote.content);
+    if (periodic.summary) {
+        const content = rewritten ? `(Rewritten) ${periodic.summary.content}` : periodic.summary.content;
+        prompts[SUMMARY_KEY] = toExtensionPrompt(periodic.summary, content);
+    }
+    return prompts;
+}
+
+/**
+ * Replays options.periodicPrompts (see normalizePeriodicPrompts) over
+ * options.sessionTurns turns (default 50) of one chat and measures each
+ * turn's request against the one before it with computeCacheDiff.
+ *
+ * A turn is cold when an Author's Note insertion or removal, or a summary
+ * rewrite, leaves it fewer cached tokens than a turn without either. The first
+ * turn writes the cache and is not counted.
+ *
+ * Returns null for an unusable preset, else { turns, baseline, sources, summary }:
+ * turns[] holds { turn, authorsNote, summaryRewritten, causes, cachedTokens,
+ * totalTokens, hitRate, lostTokens, cold }.
+ */
+function analyzePeriodicity(preset, options = {}) {
+    const model = resolveModel(preset, options);
+    if (!model) return null;
+
+    const periodic = normalizePeriodicPrompts(options.periodicPrompts);
+    const sessionTurns = options.sessionTurns || PERIODIC_SESSION_TURNS;
+    const base = options.extensionPrompts && !Array.isArray(options.extensionPrompts) ? options.extensionPrompts : {};
+
+    // Only a handful of distinct transitions occur, so each is measured once
+    const diffs = new Map();
+    const measure = (notePrevious, noteNext, rewritten) => {
+        const key = `${notePrevious}|${noteNext}|${rewritten}`;
+        if (!diffs.has(key)) {
+            diffs.set(key, computeCacheDiff(model.preset, Object.assign({}, options, {
+                model: null,
+                characterId: model.characterId,
+                extensionPrompts: buildExtensionPrompts(base, periodic, noteNext, rewritten),
+                previousExtensionPrompts: buildExtensionPrompts(base, periodic, notePrevious, false)
+            })));
+        }
+        return diffs.get(key);
+    };
+
+    // A turn where neither prompt changes; an every-turn note is part of it
+    const steadyNote = !!periodic.authorsNote && periodic.authorsNote.interval === 1;
+    const baseline = measure(steadyNote, steadyNote, false);
+
+    const turns = [];
+    for (let turn = 1; turn <= sessionTurns; turn++) {
+        const authorsNote = isNoteInserted(periodic.authorsNote, turn);
+        const summaryRewritten = summaryVersion(periodic.summary, turn) !== summaryVersion(periodic.summary, turn - 1);
+        const notePrevious = isNoteInserted(periodic.authorsNote, turn - 1);
+        const noteChanged = turn > 1 && authorsNote !== notePrevious;
+        const causes = [];
+        if (noteChanged) causes.push('authorsNote');
+        if (summaryRewritten) causes.push('summary');
+
+        if (turn === 1) {
+            turns.push({ turn, authorsNote, summaryRewritten, causes: [], cachedTokens: 0, totalTokens: baseline.totalTokens, hitRate: 0, lostTokens: 0, cold: false });
+            continue;
+        }
+
+        const diff = causes.length > 0 ? measure(notePrevious, authorsNote, summaryRewritten) : baseline;
+        const lostTokens = Math.max(0, baseline.cachedTokens - diff.cachedTokens);
+        turns.push({
+            turn,
+            authorsNote,
+            summaryRewritten,
+            causes,
+            cachedTokens: diff.cachedTokens,
+            totalTokens: diff.totalTokens,
+            hitRate: diff.hitRate,
+            lostTokens,
+            cold: lostTokens > 0
+        });
+    }
+
+    const cold = turns.filter(t => t.cold);
+    const sources = ['authorsNote', 'summary']
+        .filter(source => periodic[source])
+        .map(source => {
+            const caused = cold.filter(t => t.causes.includes(source));
+            return {
+                source,
+                interval: periodic[source].interval,
+                position: periodic[source].position,
+                depth: periodic[source].depth,
+                coldTurns: caused.map(t => t.turn),
+                lostTokens: caused.reduce((sum, t) => sum + t.lostTokens, 0)
+            };
+        });
+
+    const measured = turns.slice(1);
+    return {
+        turns,
+        baseline: { cachedTokens: baseline.cachedTokens, totalTokens: baseline.totalTokens, hitRate: baseline.hitRate },
+        sources,
+        summary: {
+            turns: turns.length,
+            coldTurns: cold.length,
+            lostTokens: cold.reduce((sum, t) => sum + t.lostTokens, 0),
+            hitRate: measured.length > 0 ? measured.reduce((sum, t) => sum + t.hitRate, 0) / measured.length : 0
+        }
+    };
+}
+
+const api = {
+    PERIODIC_SESSION_TURNS,
+    normalizePeriodicPrompts,
+    analyzePeriodicity
+};
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
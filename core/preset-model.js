@@ -0,0 +1,308 @@
+// core/preset-model.js — Normalized preset model
+// Parses a raw ST preset once per analysis: resolves prompt_order blocks,
+// builds the prompt lookup and normalizes the per-prompt fields ST writes
+// (marker, system_prompt, injection_*, forbid_overrides). Rules consume the
+// model instead of re-parsing prompt_order themselves.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { hasDynamicMacros, getContentVolatility, mostVolatile } = shared || require('./macros');
+const { analyzeVariableFlow } = shared || require('./variable-flow');
+const { renderEntries } = shared || require('./macro-evaluator');
+const { normalizeExtensionPrompts } = shared || require('./extension-prompts');
+
+const VOLATILE_IDENTIFIERS = new Set([
+    'chatHistory',
+    'dialogueExamples'
+]);
+
+// Built-in ST markers — placeholders ST fills with character/chat data
+const MARKER_IDENTIFIERS = new Set([
+    'chatHistory',
+    'dialogueExamples',
+    'worldInfoBefore',
+    'worldInfoAfter',
+    'charDescription',
+    'charPersonality',
+    'scenario',
+    'personaDescription'
+]);
+
+// Markers that expand into chat messages rather than a single prompt message
+const CHAT_MARKERS = new Set([
+    'chatHistory',
+    'dialogueExamples'
+]);
+
+// ST's chat completion prompt manager uses the "global" strategy and reads the
+// order stored under this dummy character id; 100000 holds the factory default.
+const GLOBAL_CHARACTER_ID = 100001;
+const DEFAULT_CHARACTER_ID = 100000;
+
+// Generation types ST passes to the prompt manager. An entry with a non-empty
+// injection_trigger is only sent for the types it lists.
+const GENERATION_TYPES = ['normal', 'continue', 'swipe', 'regenerate', 'impersonate', 'quiet'];
+const DEFAULT_GENERATION_TYPE = 'normal';
+
+// ST's defaults for the fields that shape the end of continue, impersonate
+// and prefilled requests
+const DEFAULT_GENERATION_SETTINGS = {
+    assistantPrefill: '',
+    assistantImpersonation: '',
+    continuePrefill: false,
+    continuePostfix: ' ',
+    continueNudgePrompt: '[Continue your last message without repeating its original content.]',
+    impersonationPrompt: '[Write your next reply from the point of view of {{user}}, using the chat history so far as a guideline for the writing style of {{user}}. Don\'t write as {{char}} or system. Don\'t describe actions of {{char}}.]'
+};
+
+const INJECTION_POSITION = {
+    RELATIVE: 0,
+    IN_CHAT: 1
+};
+
+// ST's injection_order for prompts that do not set one
+const DEFAULT_INJECTION_ORDER = 100;
+
+function isVolatile(identifier, content) {
+    if (VOLATILE_IDENTIFIERS.has(identifier)) return true;
+    return hasDynamicMacros(content);
+}
+
+// Mirrors ST's PromptManager.shouldTrigger; no generation type means every entry
+function triggersOn(entry, generationType) {
+    if (!generationType || entry.injectionTrigger.length === 0) return true;
+    return entry.injectionTrigger.includes(generationType);
+}
+
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function normalizePrompt(prompt) {
+    const identifier = prompt.identifier;
+    const content = typeof prompt.content === 'string' ? prompt.content : '';
+
+    // Fixtures and older exports omit `marker`; fall back to the built-in marker
+    // list, but only for empty entries — a filled entry carries its own content.
+    const marker = typeof prompt.marker === 'boolean'
+        ? prompt.marker
+        : MARKER_IDENTIFIERS.has(identifier) && !content;
+    const injectionOrder = toNumberOrNull(prompt.injection_order);
+
+    return {
+        identifier,
+        name: prompt.name || identifier,
+        content,
+        role: prompt.role || 'system',
+        enabled: prompt.enabled !== false,
+        marker,
+        systemPrompt: prompt.system_prompt === true,
+        injectionPosition: Number(prompt.injection_position) === INJECTION_POSITION.IN_CHAT
+            ? INJECTION_POSITION.IN_CHAT
+            : INJECTION_POSITION.RELATIVE,
+        injectionDepth: toNumberOrNull(prompt.injection_depth),
+        injectionOrder: injectionOrder === null ? DEFAULT_INJECTION_ORDER : injectionOrder,
+        injectionTrigger: Array.isArray(prompt.injection_trigger) ? prompt.injection_trigger.slice() : [],
+        forbidOverrides: prompt.forbid_overrides === true,
+        volatile: isVolatile(identifier, content),
+        // Most volatile macro class in the content (core/macros.js)
+        volatility: getContentVolatility(content)
+    };
+}
+
+function normalizeGenerationSettings(preset) {
+    const text = (value, fallback) => (typeof value === 'string' ? value : fallback);
+    const defaults = DEFAULT_GENERATION_SETTINGS;
+    return {
+        assistantPrefill: text(preset.assistant_prefill, defaults.assistantPrefill),
+        assistantImpersonation: text(preset.assistant_impersonation, defaults.assistantImpersonation),
+        continuePrefill: typeof preset.continue_prefill === 'boolean' ? preset.continue_prefill : defaults.continuePrefill,
+        continuePostfix: text(preset.continue_postfix, defaults.continuePostfix),
+        continueNudgePrompt: text(preset.continue_nudge_prompt, defaults.continueNudgePrompt),
+        impersonationPrompt: text(preset.impersonation_prompt, defaults.impersonationPrompt)
+    };
+}
+
+// prompt_order is either [{ character_id, order: [...] }, ...] (ST settings and
+// exported presets) or a bare [{ identifier, enabled }] list (older exports).
+function parseOrders(promptOrder) {
+    if (!Array.isArray(promptOrder) || promptOrder.length === 0) return [];
+
+    if (promptOrder[0] && Array.isArray(promptOrder[0].order)) {
+        return promptOrder
+            .filter(block => block && Array.isArray(block.order))
+            .map(block => ({
+                characterId: block.character_id === undefined ? null : block.character_id,
+                entries: block.order.filter(entry => entry && entry.identifier)
+            }));
+    }
+
+    return [{ characterId: null, entries: promptOrder.filter(entry => entry && entry.identifier) }];
+}
+
+function findOrder(orders, characterId) {
+    return orders.find(order => String(order.characterId) === String(characterId)) || null;
+}
+
+// Requested block first, then the global order ST actually sends, then whatever comes first
+function selectOrder(orders, characterId) {
+    if (orders.length === 0) return null;
+    if (characterId !== undefined && characterId !== null) {
+        const match = findOrder(orders, characterId);
+        if (match) return match;
+    }
+    return findOrder(orders, GLOBAL_CHARACTER_ID) || orders[0];
+}
+
+function getOrderLabel(characterId) {
+    if (characterId === null || characterId === undefined) return 'Preset order';
+    if (Number(characterId) === GLOBAL_CHARACTER_ID) return `Global (${characterId})`;
+    if (Number(characterId) === DEFAULT_CHARACTER_ID) return `Default (${characterId})`;
+    return `Character ${characterId}`;
+}
+
+function resolveEntries(order, promptMap) {
+    if (!order) return [];
+
+    return order.entries.map(orderEntry => {
+        const prompt = promptMap[orderEntry.identifier];
+        const base = prompt || normalizePrompt({ identifier: orderEntry.identifier });
+        return Object.assign({}, base, {
+            enabled: orderEntry.enabled === true,
+            promptEnabled: base.enabled,
+            missing: !prompt
+        });
+    });
+}
+
+// Extension prompts as entries: in-chat ones are injections like the preset's
+// own; the others sit before or after the main prompt, as ST inserts them
+function withExtensionPrompts(entries, extensionPrompts) {
+    const prompts = normalizeExtensionPrompts(extensionPrompts);
+    if (prompts.length === 0) return entries;
+
+    const toEntry = prompt => Object.assign(normalizePrompt(prompt), {
+        enabled: true,
+        promptEnabled: true,
+        missing: false,
+        extensionKey: prompt.extensionKey,
+        settings: prompt.settings,
+        volatile: prompt.volatile || isVolatile(prompt.identifier, prompt.content)
+    });
+    const placed = placement => prompts.filter(prompt => prompt.placement === placement).map(toEntry);
+
+    const result = entries.slice();
+    const main = result.findIndex(entry => entry.identifier === 'main');
+    result.splice(main === -1 ? 0 : main + 1, 0, ...placed('after'));
+    result.splice(main === -1 ? 0 : main, 0, ...placed('before'));
+    return result.concat(placed(null));
+}
+
+/**
+ * Builds the normalized model for one preset.
+ *
+ * Options:
+ *   characterId    — prompt_order block to resolve (defaults to the global
+ *                    100001 block, else the first block)
+ *   generationType — one of GENERATION_TYPES; entries whose injection_trigger
+ *                    leaves it out are not sent. Omitted, every entry is.
+ *   standIns       — { [macroName]: text } values for {{char}}, {{user}}, ... when
+ *                    rendering entries (core/macro-evaluator.js)
+ *   extensionPrompts — ST's registered extension prompts (Author's Note, Summarize,
+ *                    ...; core/extension-prompts.js), added to `entries` with an
+ *                    extensionKey. `order` stays the preset's own.
+ *
+ * Returns null when the preset has no prompts or prompt_order.
+ */
+function normalizePreset(preset, options = {}) {
+    if (!preset || !Array.isArray(preset.prompts) || !preset.prompt_order) {
+        return null;
+    }
+
+    const prompts = preset.prompts
+        .filter(prompt => prompt && prompt.identifier)
+        .map(normalizePrompt);
+
+    const promptMap = {};
+    for (const prompt of prompts) {
+        promptMap[prompt.identifier] = prompt;
+    }
+
+    const orders = parseOrders(preset.prompt_order);
+    const selected = selectOrder(orders, options.characterId);
+    const order = resolveEntries(selected, promptMap);
+
+    // Enabled entries in send order, each tagged with its position among them
+    const entries = withExtensionPrompts(order.filter(entry => entry.enabled && triggersOn(entry, options.generationType)), options.extensionPrompts)
+        .map((entry, position) => Object.assign(entry, { position }));
+    for (const entry of entries) {
+        if (entry.extensionKey && !promptMap[entry.identifier]) promptMap[entry.identifier] = entry;
+    }
+
+    // A getvar makes its entry volatile when the variable depends on a volatile macro
+    const variables = analyzeVariableFlow(entries);
+    for (const entry of entries) {
+        const flow = variables.entries[entry.identifier];
+        if (!flow) continue;
+        entry.volatility = mostVolatile([entry.volatility, flow.volatility]);
+        entry.volatile = entry.volatile || flow.volatile;
+    }
+
+    // Text each entry actually sends, with stand-ins for {{char}}/{{user}}
+    const rendered = renderEntries(entries.filter(entry => entry.promptEnabled && !entry.missing), {
+        standIns: options.standIns
+    });
+    for (const entry of entries) {
+        entry.rendered = rendered[entry.identifier] || '';
+    }
+
+    return {
+        preset,
+        prompts,
+        promptMap,
+        orders,
+        characterId: selected ? selected.characterId : null,
+        order,
+        entries,
+        variables,
+        generationType: options.generationType || null,
+        // assistant_prefill, continue_nudge_prompt, ... (see DEFAULT_GENERATION_SETTINGS)
+        generationSettings: normalizeGenerationSettings(preset),
+        squashSystemMessages: preset.squash_system_messages === true
+    };
+}
+
+// Rules accept a raw preset; analyze() passes the shared model as options.model
+function resolveModel(preset, options = {}) {
+    if (options.model) return options.model;
+    return normalizePreset(preset, options);
+}
+
+// Rendered text of every enabled, non-volatile entry, in order
+function getStableText(model) {
+    if (!model) return '';
+    return model.entries
+        .filter(entry => !entry.volatile && entry.rendered)
+        .map(entry => entry.rendered)
+        .join('\n');
+}
+
+const api = {
+    GLOBAL_CHARACTER_ID,
+    MARKER_IDENTIFIERS,
+    CHAT_MARKERS,
+    INJECTION_POSITION,
+    DEFAULT_INJECTION_ORDER,
+    GENERATION_TYPES,
+    DEFAULT_GENERATION_TYPE,
+    DEFAULT_GENERATION_SETTINGS,
+    isVolatile,
+    triggersOn,
+    normalizePreset,
+    getOrderLabel,
+    resolveModel,
+    getStableText
+};
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,191 @@
+// core/providers.js — Provider cache profiles
+// How each provider and model caches prompts, as data: the rules, the cache
+// diff and the cost estimator read this table instead of hard-coding numbers.
+//
+// Profile fields:
+//   caching        — 'explicit' (the request marks what to cache: cache_control,
+//                    Gemini context caches), 'automatic' (the provider caches
+//                    shared prefixes on its own) or 'none'
+//   minTokens      — smallest prefix that is cached at all
+//   granularity    — the cached prefix is rounded down to a multiple of this
+//   maxBreakpoints — cache markers allowed per request (explicit caching only)
+//   cacheControl   — the request marks breakpoints with cache_control blocks,
+//                    which also reach Claude through OpenRouter
+//   ttlSeconds     — how long an unused cache entry lives; null when it is kept
+//                    until evicted (a local backend's KV cache)
+
+const DEFAULT_PROVIDER = 'anthropic';
+
+// Profiles by provider. `defaults` covers every model; `models` holds the
+// differences, keyed by a substring of the model id (the longest match wins).
+const PROVIDER_PROFILES = {
+    anthropic: {
+        label: 'Anthropic',
+        defaults: { caching: 'explicit', minTokens: 1024, granularity: 1, maxBreakpoints: 4, cacheControl: true, ttlSeconds: 300 },
+        models: {
+            'claude-3-haiku': { minTokens: 2048 },
+            'claude-3-5-haiku': { minTokens: 2048 },
+            'claude-haiku-4-5': { minTokens: 4096 },
+            'claude-opus-4-5': { minTokens: 4096 }
+        }
+    },
+    openai: {
+        label: 'OpenAI',
+        defaults: { caching: 'automatic', minTokens: 1024, granularity: 128, maxBreakpoints: 0, cacheControl: false, ttlSeconds: 600 },
+        models: {}
+    },
+    google: {
+        label: 'Google',
+        // Older Gemini models only cache through explicit context caches
+        defaults: { caching: 'explicit', minTokens: 4096, granularity: 1, maxBreakpoints: 1, cacheControl: false, ttlSeconds: 3600 },
+        models: {
+            // 2.5 models also cache implicitly, from a lower minimum
+            'gemini-2.5-flash': { caching: 'automatic', minTokens: 1024, maxBreakpoints: 0, ttlSeconds: 300 },
+            'gemini-2.5-pro': { caching: 'automatic', minTokens: 2048, maxBreakpoints: 0, ttlSeconds: 300 }
+        }
+    },
+    // OpenRouter forwards to the model's own provider; vendor/model ids
+    // resolve through that provider's profile (see getProviderProfile)
+    openrouter: {
+        label: 'OpenRouter',
+        defaults: { caching: 'automatic', minTokens: 1024, granularity: 1, maxBreakpoints: 0, cacheControl: false, ttlSeconds: 300 },
+        models: {}
+    },
+    deepseek: {
+        label: 'DeepSeek',
+        // Disk cache in 64-token units, kept for hours
+        defaults: { caching: 'automatic', minTokens: 64, granularity: 64, maxBreakpoints: 0, cacheControl: false, ttlSeconds: 3600 },
+        models: {}
+    },
+    mistral: {
+        label: 'Mistral',
+        defaults: { caching: 'none', minTokens: 0, granularity: 1, maxBreakpoints: 0, cacheControl: false, ttlSeconds: 0 },
+        models: {}
+    },
+    cohere: {
+        label: 'Cohere',
+        defaults: { caching: 'none', minTokens: 0, granularity: 1, maxBreakpoints: 0, cacheControl: false, ttlSeconds: 0 },
+        models: {}
+    },
+    // llama.cpp, KoboldCpp, text-generation-webui: the KV cache keeps the last
+    // request, so any shared prefix is reused and the rest is reprocessed
+    local: {
+        label: 'Local backend',
+        defaults: { caching: 'automatic', minTokens: 0, granularity: 1, maxBreakpoints: 0, cacheControl: false, ttlSeconds: null },
+        models: {}
+    },
+    // Sources without a profile (Groq, xAI, ...): plain prefix caching, with
+    // no cache_control or provider-specific checks
+    generic: {
+        label: 'Generic',
+        defaults: { caching: 'automatic', minTokens: 1024, granularity: 1, maxBreakpoints: 0, cacheControl: false, ttlSeconds: 300 },
+        models: {}
+    }
+};
+
+// Profile for chat completion sources that have none of their own
+const GENERIC_PROVIDER = 'generic';
+
+// OpenRouter model id prefixes that map onto a profiled provider
+const OPENROUTER_VENDORS = {
+    anthropic: 'anthropic',
+    openai: 'openai',
+    google: 'google',
+    deepseek: 'deepseek',
+    mistralai: 'mistral',
+    cohere: 'cohere'
+};
+
+// ST chat_completion_source → profile and the oai_settings field holding the model.
+// 'custom' endpoints are proxies or local servers: the model id tells which.
+const CHAT_COMPLETION_SOURCES = {
+    claude: { provider: 'anthropic', modelField: 'claude_model' },
+    openai: { provider: 'openai', modelField: 'openai_model' },
+    azure_openai: { provider: 'openai', modelField: 'azure_openai_model' },
+    makersuite: { provider: 'google', modelField: 'google_model' },
+    vertexai: { provider: 'google', modelField: 'vertexai_model' },
+    openrouter: { provider: 'openrouter', modelField: 'openrouter_model' },
+    deepseek: { provider: 'deepseek', modelField: 'deepseek_model' },
+    mistralai: { provider: 'mistral', modelField: 'mistralai_model' },
+    cohere: { provider: 'cohere', modelField: 'cohere_model' },
+    custom: { provider: null, fromModel: true, fallback: 'local', modelField: 'custom_model' }
+};
+
+// Model id patterns for custom endpoints, which forward to the model's own provider
+const MODEL_PROVIDERS = [
+    { pattern: /claude/i, provider: 'anthropic' },
+    { pattern: /gemini/i, provider: 'google' },
+    { pattern: /deepseek/i, provider: 'deepseek' },
+    { pattern: /mistral|mixtral|magistral|codestral/i, provider: 'mistral' },
+    { pattern: /command-|\bc4ai/i, provider: 'cohere' },
+    { pattern: /^(gpt-|o\d|chatgpt)/i, provider: 'openai' }
+];
+
+function findModelOverrides(models, modelId) {
+    const id = String(modelId || '').toLowerCase();
+    let best = null;
+    for (const key of Object.keys(models)) {
+        if (id.includes(key) && (!best || key.length > best.length)) best = key;
+    }
+    return best ? models[best] : null;
+}
+
+/**
+ * Cache profile for a provider and (optionally) model id:
+ * { provider, family, label, model, caching, minTokens, granularity, maxBreakpoints, cacheControl, ttlSeconds }.
+ * `family` is the provider whose caching rules apply — the same as `provider`
+ * except for OpenRouter models such as anthropic/claude-sonnet-4. Unknown
+ * providers get the default provider's profile.
+ */
+function getProviderProfile(provider, modelId) {
+    const name = PROVIDER_PROFILES[provider] ? provider : DEFAULT_PROVIDER;
+    let family = name;
+    let model = modelId ? String(modelId) : null;
+
+    if (name === 'openrouter' && model && model.includes('/')) {
+        const vendor = OPENROUTER_VENDORS[model.slice(0, model.indexOf('/')).toLowerCase()];
+        if (vendor) {
+            family = vendor;
+            model = model.slice(model.indexOf('/') + 1);
+        }
+    }
+
+    const profile = PROVIDER_PROFILES[family];
+    return Object.assign(
+        { provider: name, family, label: PROVIDER_PROFILES[name].label, model },
+        profile.defaults,
+        model ? findModelOverrides(profile.models, model) : null
+    );
+}
+
+/**
+ * Reads the provider and model from ST's chat completion settings
+ * (oai_settings): { source, provider, modelId, assumed, profile }.
+ * Custom endpoints are matched by model id. `assumed` is true for sources
+ * without a profile (Groq, xAI, ...), which get the generic profile.
+ */
+function detectConnection(settings) {
+    const source = settings && settings.chat_completion_source ? String(settings.chat_completion_source) : null;
+    const known = CHAT_COMPLETION_SOURCES[source] || {};
+    const modelField = known.modelField || (source ? `${source}_model` : null);
+    const modelId = modelField && settings[modelField] ? String(settings[modelField]) : null;
+
+    let provider = known.provider || null;
+    if (!provider && known.fromModel && modelId) {
+        const match = MODEL_PROVIDERS.find(entry => entry.pattern.test(modelId));
+        if (match) provider = match.provider;
+    }
+    provider = provider || known.fallback || null;
+
+    const assumed = !provider;
+    const profile = getProviderProfile(provider || GENERIC_PROVIDER, modelId);
+    return { source, provider: profile.provider, modelId, assumed, profile };
+}
+
+function getCacheThreshold(provider, modelId) {
+    return getProviderProfile(provider, modelId).minTokens;
+}
+
+const api = { PROVIDER_PROFILES, DEFAULT_PROVIDER, GENERIC_PROVIDER, getProviderProfile, getCacheThreshold, detectConnection };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,226 @@
+// core/report.js — Report formatters
+// Turns analyze() results for one or more preset files into text, JSON,
+// SARIF, Markdown or HTML. Used by the command-line entry point (bin/) and
+// shared with the dashboard so both print the same report.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { getScoreLabel, sortFindings } = shared || require('../ui/components');
+const { renderHtmlReport, renderMarkdownReport } = shared || require('../ui/report');
+const { getRule } = shared || require('../rules');
+const { findSourceRange } = shared || require('./locations');
+
+// Keep in sync with manifest.json
+const TOOL_NAME = 'preset-cache-analyzer';
+const TOOL_VERSION = '0.1.0';
+const TOOL_URI = 'https://github.com/Cheesedozer/SillyTavern-Preset-Analyzer';
+
+const REPORT_FORMATS = ['text', 'json', 'sarif', 'markdown', 'html'];
+
+// Version of the JSON report layout described by schema/report.v<N>.schema.json.
+// Bump it (and add a new schema file) for any change that is not a pure addition.
+const REPORT_SCHEMA_VERSION = 1;
+const REPORT_SCHEMA_URI = `${TOOL_URI}/blob/main/schema/report.v${REPORT_SCHEMA_VERSION}.schema.json`;
+
+// SARIF has no "critical"; error is the closest level
+const SARIF_LEVELS = { critical: 'error', warning: 'warning', info: 'note' };
+
+function formatHitRate(results) {
+    return results.cache ? `${Math.round(results.cache.hitRate * 100)}%` : 'n/a';
+}
+
+// Location with line/column in the file when the file text came with the
+// report; findings about the whole preset get no range
+function resolveLocation(report, finding) {
+    const location = finding.location || { pointer: '' };
+    const range = location.pointer ? findSourceRange(report.source, location) : null;
+    return { location, range };
+}
+
+/**
+ * Reports are [{ file, results, source?, entries? }] where results is an
+ * analyze() result, source the file text (enables line/column regions) and
+ * entries the getPromptEntries() list for the Markdown/HTML prompt order, or
+ * [{ file, error }] for files that could not be read.
+ */
+function formatText(reports) {
+    const lines = [];
+    for (const report of reports) {
+        if (report.error) {
+            lines.push(`${report.file}: ${report.error}`, '');
+            continue;
+        }
+
+        const { results } = report;
+        const { critical, warning, info } = results.summary;
+        lines.push(`${report.file}: score ${results.score}/100 (${getScoreLabel(results.score).label}), next message cache hit ${formatHitRate(results)}`);
+        lines.push(`  ${critical} critical, ${warning} warning${warning === 1 ? '' : 's'}, ${info} info`);
+        for (const finding of sortFindings(results.findings)) {
+            const { range } = resolveLocation(report, finding);
+            const at = range ? ` at ${range.startLine}:${range.startColumn}` : '';
+            lines.push(`  ${finding.severity.padEnd(8)} ${finding.title} [${finding.rule}, ${finding.affectedEntry}]${at}`);
+            lines.push(`           ${finding.recommendation}`);
+        }
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+// Fixed field list, so the JSON report only changes with the schema version
+function serializeFinding(report, finding) {
+    const { location, range } = resolveLocation(report, finding);
+    const serialized = Object.assign({}, location);
+    if (range) {
+        serialized.region = {
+            startLine: range.startLine,
+            startColumn: range.startColumn,
+            endLine: range.endLine,
+            endColumn: range.endColumn
+        };
+    }
+
+    return {
+        id: finding.id,
+        rule: finding.rule,
+        severity: finding.severity,
+        title: finding.title,
+        description: finding.description,
+        recommendation: finding.recommendation,
+        affectedEntry: finding.affectedEntry,
+        provider: finding.provider,
+        location: serialized,
+        fix: finding.fix || null,
+        meta: finding.meta || {}
+    };
+}
+
+function formatJson(reports) {
+    return JSON.stringify({
+        $schema: REPORT_SCHEMA_URI,
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        tool: { name: TOOL_NAME, version: TOOL_VERSION },
+        files: reports.map(report => (report.error
+            ? { file: report.file, error: report.error }
+            : {
+                file: report.file,
+                score: report.results.score,
+                summary: report.results.summary,
+                cache: report.results.cache || null,
+                characterId: report.results.characterId,
+                findings: report.results.findings.map(finding => serializeFinding(report, finding))
+            }))
+    }, null, 2);
+}
+
+function sarifRule(id) {
+    const rule = getRule(id);
+    const name = rule && rule.name ? rule.name : id;
+    return { id, name, shortDescription: { text: name }, helpUri: `${TOOL_URI}#what-it-checks` };
+}
+
+function sarifLocation(report, finding) {
+    const { location, range } = resolveLocation(report, finding);
+    // SARIF URIs use forward slashes
+    const physicalLocation = { artifactLocation: { uri: String(report.file).replace(/\\/g, '/') } };
+    if (range) {
+        physicalLocation.region = {
+            startLine: range.startLine,
+            startColumn: range.startColumn,
+            endLine: range.endLine,
+            endColumn: range.endColumn,
+            charOffset: range.start,
+            charLength: range.end - range.start
+        };
+    }
+
+    return {
+        physicalLocation,
+        logicalLocations: [{
+            name: finding.affectedEntry,
+            fullyQualifiedName: location.pointer,
+            kind: 'member'
+        }]
+    };
+}
+
+function formatSarif(reports) {
+    const rules = [];
+    const ruleIndex = {};
+    const results = [];
+
+    for (const report of reports) {
+        if (report.error) continue;
+        for (const finding of report.results.findings) {
+            if (ruleIndex[finding.rule] === undefined) {
+                ruleIndex[finding.rule] = rules.length;
+                rules.push(sarifRule(finding.rule));
+            }
+
+            const location = finding.location || { pointer: '' };
+            const properties = { severity: finding.severity, jsonPointer: location.pointer };
+            if (Number.isInteger(location.offset)) {
+                properties.contentOffset = location.offset;
+                properties.contentLength = location.length;
+            }
+
+            results.push({
+                ruleId: finding.rule,
+                ruleIndex: ruleIndex[finding.rule],
+                level: SARIF_LEVELS[finding.severity] || 'note',
+                message: { text: `${finding.title}. ${finding.description} ${finding.recommendation}` },
+                locations: [sarifLocation(report, finding)],
+                partialFingerprints: { findingId: finding.id },
+                properties
+            });
+        }
+    }
+
+    return JSON.stringify({
+        version: '2.1.0',
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    version: TOOL_VERSION,
+                    informationUri: TOOL_URI,
+                    rules
+                }
+            },
+            results
+        }]
+    }, null, 2);
+}
+
+// One dashboard section per file; entries come from getPromptEntries()
+function toSections(reports) {
+    return reports.map(report => (report.error
+        ? { title: report.file, error: report.error }
+        : { title: report.file, results: report.results, entries: report.entries || [] }));
+}
+
+function formatMarkdown(reports, options) {
+    return renderMarkdownReport(toSections(reports), options);
+}
+
+// options.css is the styles.css text to inline
+function formatHtml(reports, options) {
+    return renderHtmlReport(toSections(reports), options);
+}
+
+const FORMATTERS = {
+    text: formatText,
+    json: formatJson,
+    sarif: formatSarif,
+    markdown: formatMarkdown,
+    html: formatHtml
+};
+
+function formatReport(reports, format = 'text', options = {}) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) throw new Error(`Unknown report format "${format}" (expected ${REPORT_FORMATS.join(', ')})`);
+    return formatter(reports, options);
+}
+
+const api = { REPORT_FORMATS, REPORT_SCHEMA_VERSION, formatReport };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
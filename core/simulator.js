@@ -0,0 +1,382 @@
+// core/simulator.js — Prompt assembly simulator
+// Rebuilds the message array ST sends for a chat completion request: markers
+// resolved, relative entries in prompt_order, in-chat injections placed at
+// their injection_depth/injection_order, roles assigned, macros rendered by
+// the sandboxed evaluator and a synthetic chat history of N messages. Two
+// assembled turns can then be compared to find the exact byte where the
+// cached prefix stops matching.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel, normalizePreset, INJECTION_POSITION, DEFAULT_INJECTION_ORDER, DEFAULT_GENERATION_TYPE } = shared || require('./preset-model');
+const { renderEntries, createEvaluationState, evaluateMacros } = shared || require('./macro-evaluator');
+const { getProviderProfile } = shared || require('./providers');
+
+// Stand-in card data — stable across turns, like real character fields
+const DEFAULT_CONTEXT = {
+    charDescription: '[Character description]',
+    charPersonality: '[Character personality]',
+    scenario: '[Scenario]',
+    personaDescription: '[Persona description]',
+    worldInfoBefore: '',
+    worldInfoAfter: '',
+    dialogueExamples: []
+};
+
+const DEFAULT_CHAT_LENGTH = 10;
+const DEFAULT_MESSAGE_LENGTH = 200;
+
+// Chat each generation type sends after turn N's normal request: swipes and
+// regenerations resend turn N's chat, impersonate and quiet generations follow
+// the assistant's reply, and a normal one is turn N+1. A continue keeps the
+// reply in the chat and adds the nudge after it, or with continue_prefill
+// takes it out of the chat and sends it as the prefill instead.
+const GENERATION_CHAT = {
+    normal: 'next',
+    continue: 'reply',
+    swipe: 'current',
+    regenerate: 'current',
+    impersonate: 'reply',
+    quiet: 'reply'
+};
+
+// ST groups in-chat injections of the same depth and order by role in this sequence
+const INJECTION_ROLES = ['system', 'user', 'assistant'];
+
+// Synthetic chat: alternating user/assistant messages ending on a user message.
+// Message i is identical on every turn, so turn N+1 extends turn N's history
+// exactly like a real chat does.
+function buildSyntheticChat(length, options = {}) {
+    const messageLength = options.messageLength || DEFAULT_MESSAGE_LENGTH;
+    const messages = [];
+    for (let i = 0; i < length; i++) {
+        // Count backwards so the newest message is always from the user
+        const role = (length - 1 - i) % 2 === 0 ? 'user' : 'assistant';
+        const label = `Synthetic ${role} message ${i + 1}. `;
+        messages.push({ role, content: label.repeat(Math.max(1, Math.ceil(messageLength / label.length))).slice(0, messageLength) });
+    }
+    return messages;
+}
+
+// Mirrors ST's populationInjectionPrompts: depth 0 lands after the last message,
+// higher injection_order sits closer to the end, roles merge per depth/order.
+function injectIntoChat(chat, injections, rendered) {
+    const reversed = chat.slice().reverse();
+    const depths = Array.from(new Set(injections.map(p => p.injectionDepth))).sort((a, b) => a - b);
+    const orderOf = p => (p.injectionOrder === null || p.injectionOrder === undefined ? DEFAULT_INJECTION_ORDER : p.injectionOrder);
+    let inserted = 0;
+
+    for (const depth of depths) {
+        const atDepth = injections.filter(p => p.injectionDepth === depth);
+        const orders = Array.from(new Set(atDepth.map(orderOf))).sort((a, b) => b - a);
+        const group = [];
+
+        for (const order of orders) {
+            const atOrder = atDepth.filter(p => orderOf(p) === order);
+            for (const role of INJECTION_ROLES) {
+                const prompts = atOrder.filter(p => p.role === role);
+                const content = prompts.map(p => rendered[p.identifier]).filter(Boolean).join('\n');
+                if (!content) continue;
+                group.push({
+                    role,
+                    content,
+                    source: 'injection',
+                    identifier: prompts[0].identifier,
+                    identifiers: prompts.map(p => p.identifier),
+                    injected: true
+                });
+            }
+        }
+
+        if (group.length > 0) {
+            reversed.splice(depth + inserted, 0, ...group);
+            inserted += group.length;
+        }
+    }
+
+    return reversed.reverse();
+}
+
+// Messages ST adds for the generation type rather than for an entry
+function generationMessage(identifier, name, role, content) {
+    return { role, content, source: 'generation', identifier, identifiers: [identifier], name };
+}
+
+// What ST appends after the prompt: the impersonation prompt, then the
+// continued message (continue_prefill) or the assistant prefill
+function buildGenerationTail(settings, generationType, options, state) {
+    const tail = [];
+    if (generationType === 'impersonate' && settings.impersonationPrompt) {
+        tail.push(generationMessage('impersonationPrompt', 'Impersonation prompt', 'system', evaluateMacros(settings.impersonationPrompt, state)));
+    }
+
+    if (generationType === 'continue' && options.continueMessage && settings.continuePrefill) {
+        // The user's prefill still leads when the continued message becomes the prefill
+        const lead = options.prefill && settings.assistantPrefill ? `${evaluateMacros(settings.assistantPrefill, state)}\n\n` : '';
+        tail.push(generationMessage('continuePrefill', 'Continue prefill', 'assistant', lead + options.continueMessage.content + settings.continuePostfix));
+        return tail;
+    }
+
+    const prefill = generationType === 'impersonate' ? settings.assistantImpersonation : settings.assistantPrefill;
+    if (options.prefill && prefill) {
+        tail.push(generationMessage('assistantPrefill', generationType === 'impersonate' ? 'Impersonation prefill' : 'Assistant prefill', 'assistant', evaluateMacros(prefill, state)));
+    }
+    return tail;
+}
+
+function squashSystemMessages(messages) {
+    const squashed = [];
+    for (const message of messages) {
+        const previous = squashed[squashed.length - 1];
+        if (previous && previous.role === 'system' && message.role === 'system' &&
+            previous.source === 'prompt' && message.source === 'prompt') {
+            previous.content += '\n' + message.content;
+            previous.identifiers = previous.identifiers.concat(message.identifiers);
+            continue;
+        }
+        squashed.push(Object.assign({}, message));
+    }
+    return squashed;
+}
+
+/**
+ * Assembles the outgoing message array for one turn.
+ *
+ * Options:
+ *   turn          — turn number; each turn adds an assistant reply and a user message
+ *   chatLength    — synthetic history length at turn 0 (default 10)
+ *   messageLength — characters per synthetic message (default 200)
+ *   chat          — explicit chat messages [{ role, content }] instead of synthetic history
+ *   context       — marker contents (charDescription, scenario, dialogueExamples, ...)
+ *   standIns      — macro stand-in values ({{char}}, {{user}}, ...; see core/macro-evaluator.js)
+ *   squash        — squash consecutive system prompts (defaults to the preset setting)
+ *   generationType  — GENERATION_TYPES entry the request is for (default 'normal');
+ *                     continue and impersonate change the end of the request
+ *   continueMessage — the { role, content } message being continued
+ *   prefill         — end on the assistant prefill, as ST does for Claude
+ *
+ * Returns [{ role, content, source, identifier, identifiers }] where source is
+ * 'prompt', 'marker', 'example', 'chat', 'injection' or 'generation' (nudges,
+ * prefills and the impersonation prompt, which also carry a `name`).
+ */
+function assemblePrompt(preset, options = {}) {
+    const model = resolveModel(preset, options);
+    if (!model) return [];
+
+    const turn = options.turn || 0;
+    const generationType = options.generationType || DEFAULT_GENERATION_TYPE;
+    const settings = model.generationSettings;
+    const context = Object.assign({}, DEFAULT_CONTEXT, options.context);
+    const chatLength = options.chatLength === undefined ? DEFAULT_CHAT_LENGTH : options.chatLength;
+    const chat = options.chat
+        ? options.chat.slice()
+        : buildSyntheticChat(chatLength + turn * 2, options);
+
+    const active = model.entries.filter(entry => entry.promptEnabled && !entry.missing);
+    const injections = active.filter(entry =>
+        entry.injectionPosition === INJECTION_POSITION.IN_CHAT && entry.content && entry.injectionDepth !== null
+    );
+
+    // Volatile macros take this turn's stand-in; variables carry over from earlier turns
+    const rendered = renderEntries(active, { generation: turn, standIns: options.standIns });
+    const markerState = createEvaluationState({ generation: turn, standIns: options.standIns });
+
+    const messages = [];
+    for (const entry of active) {
+        if (entry.injectionPosition === INJECTION_POSITION.IN_CHAT) continue;
+
+        const base = { identifier: entry.identifier, identifiers: [entry.identifier] };
+
+        if (entry.identifier === 'chatHistory' && entry.marker) {
+            const newChatPrompt = model.preset.new_chat_prompt;
+            if (newChatPrompt) {
+                messages.push(Object.assign({ role: 'system', content: newChatPrompt, source: 'marker' }, base));
+            }
+            const withInjections = injectIntoChat(chat.map((message, index) =>
+                Object.assign({ source: 'chat', identifier: 'chatHistory', identifiers: ['chatHistory'], chatIndex: index }, message)
+            ), injections, rendered);
+            messages.push(...withInjections);
+
+            // Without continue_prefill, ST asks for the continuation in a nudge after the chat
+            if (generationType === 'continue' && options.continueMessage && !settings.continuePrefill) {
+                const nudge = settings.continueNudgePrompt.replace(/\{\{lastChatMessage\}\}/gi, () => options.continueMessage.content.trim());
+                messages.push(generationMessage('continueNudge', 'Continue nudge', 'system', evaluateMacros(nudge, markerState)));
+            }
+            continue;
+        }
+
+        if (entry.identifier === 'dialogueExamples' && entry.marker) {
+            for (const example of context.dialogueExamples || []) {
+                messages.push(Object.assign({ role: example.role || 'system', content: example.content, source: 'example' }, base));
+            }
+            continue;
+        }
+
+        if (entry.marker) {
+            const content = context[entry.identifier];
+            if (content) {
+                messages.push(Object.assign({ role: entry.role, content: evaluateMacros(content, markerState), source: 'marker' }, base));
+            }
+            continue;
+        }
+
+        const content = rendered[entry.identifier];
+        if (content) {
+            messages.push(Object.assign({ role: entry.role, content, source: 'prompt' }, base));
+        }
+    }
+
+    messages.push(...buildGenerationTail(settings, generationType, options, markerState));
+
+    const squash = options.squash === undefined ? model.squashSystemMessages : options.squash;
+    return squash ? squashSystemMessages(messages) : messages;
+}
+
+// Canonical request text — what a provider hashes when matching a cached prefix
+function serializeMessages(messages) {
+    return messages.map(message => `${message.role}\n${message.content}\n\n`).join('');
+}
+
+function utf8Length(text) {
+    let bytes = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code < 0x80) bytes += 1;
+        else if (code < 0x800) bytes += 2;
+        else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+            // Surrogate pair → one 4-byte code point
+            bytes += 4;
+            i++;
+        } else bytes += 3;
+    }
+    return bytes;
+}
+
+/**
+ * Locates where two assembled message arrays stop sharing a prefix.
+ * Returns { identical, charOffset, byteOffset, messageIndex, previous, next }
+ * where previous/next are the first differing messages (null past the end).
+ */
+function findDivergence(previousMessages, nextMessages) {
+    let charOffset = 0;
+    const count = Math.max(previousMessages.length, nextMessages.length);
+
+    for (let i = 0; i < count; i++) {
+        const a = previousMessages[i] ? serializeMessages([previousMessages[i]]) : null;
+        const b = nextMessages[i] ? serializeMessages([nextMessages[i]]) : null;
+
+        if (a !== null && a === b) {
+            charOffset += a.length;
+            continue;
+        }
+
+        // Walk into the first differing message to the exact character
+        let within = 0;
+        if (a !== null && b !== null) {
+            while (within < a.length && within < b.length && a[within] === b[within]) within++;
+            // Never split a surrogate pair
+            if (within > 0 && a.charCodeAt(within - 1) >= 0xD800 && a.charCodeAt(within - 1) <= 0xDBFF) within--;
+        }
+
+        const prefix = serializeMessages(previousMessages.slice(0, i)) + (a || '').slice(0, within);
+        return {
+            identical: false,
+            charOffset: charOffset + within,
+            byteOffset: utf8Length(prefix),
+            messageIndex: i,
+            previous: previousMessages[i] || null,
+            next: nextMessages[i] || null
+        };
+    }
+
+    const serialized = serializeMessages(previousMessages);
+    return {
+        identical: true,
+        charOffset: serialized.length,
+        byteOffset: utf8Length(serialized),
+        messageIndex: count,
+        previous: null,
+        next: null
+    };
+}
+
+// Assembles turn N and N+1 and reports where the prefix first diverges.
+// With options.chat, turn N+1 sends the whole sample chat and turn N the same
+// chat minus its last exchange (assistant reply + new user message).
+// options.previousExtensionPrompts are turn N's extension prompts when they
+// differ from turn N+1's (an Author's Note interval, a summary refresh).
+function simulateTurns(preset, options = {}) {
+    const model = resolveModel(preset, options);
+    if (!model) return null;
+
+    const turn = options.turn || 0;
+    const turnOptions = Object.assign({}, options, { model });
+    const previousModel = options.previousExtensionPrompts
+        ? normalizePreset(model.preset, Object.assign({}, options, { model: null, characterId: model.characterId, extensionPrompts: options.previousExtensionPrompts }))
+        : model;
+    const previousOptions = Object.assign({}, turnOptions, { turn, model: previousModel });
+    const nextOptions = Object.assign({}, turnOptions, { turn: turn + 1 });
+    if (options.chat) {
+        previousOptions.chat = options.chat.slice(0, Math.max(0, options.chat.length - 2));
+    }
+
+    const previous = assemblePrompt(model.preset, previousOptions);
+    const next = assemblePrompt(model.preset, nextOptions);
+
+    return { previous, next, divergence: findDivergence(previous, next) };
+}
+
+/**
+ * Assembles turn N's normal request and the `generationType` request that
+ * follows it, each with the entries its injection_trigger lets through, and
+ * reports where the prefix first diverges — what that generation reads from
+ * the cache the normal request wrote.
+ *
+ * Options: as simulateTurns, plus generationType (default 'normal'),
+ * characterId and provider/modelId — Claude requests end on the assistant
+ * prefill. A given options.chat is turn N+1's chat, as in simulateTurns.
+ *
+ * Returns null for an unusable preset, else { generationType, previous, next, divergence }.
+ */
+function simulateGeneration(preset, options = {}) {
+    const generationType = options.generationType || DEFAULT_GENERATION_TYPE;
+    const base = Object.assign({}, options, { model: null });
+    const normal = normalizePreset(preset, Object.assign({}, base, { generationType: DEFAULT_GENERATION_TYPE }));
+    if (!normal) return null;
+    const model = generationType === DEFAULT_GENERATION_TYPE
+        ? normal
+        : normalizePreset(preset, Object.assign({}, base, { generationType }));
+
+    const turn = options.turn || 0;
+    const chatLength = options.chatLength === undefined ? DEFAULT_CHAT_LENGTH : options.chatLength;
+    const next = options.chat ? options.chat.slice() : buildSyntheticChat(chatLength + turn * 2 + 2, options);
+    const current = next.slice(0, Math.max(0, next.length - 2));
+    const chats = { current, reply: next.slice(0, current.length + 1), next };
+    const prefill = getProviderProfile(options.provider, options.modelId).family === 'anthropic';
+
+    // The follow-up is a new generation, so per-generation macros roll again
+    const previous = assemblePrompt(preset, Object.assign({}, base, { model: normal, turn, chat: current, prefill, generationType: DEFAULT_GENERATION_TYPE }));
+    const request = assemblePrompt(preset, Object.assign({}, base, {
+        model,
+        turn: turn + 1,
+        chat: generationType === 'continue' && model.generationSettings.continuePrefill
+            ? current
+            : chats[GENERATION_CHAT[generationType] || 'current'],
+        continueMessage: next[current.length] || null,
+        prefill,
+        generationType
+    }));
+
+    return { generationType, previous, next: request, divergence: findDivergence(previous, request) };
+}
+
+const api = {
+    buildSyntheticChat,
+    assemblePrompt,
+    serializeMessages,
+    utf8Length,
+    findDivergence,
+    simulateTurns,
+    simulateGeneration
+};
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
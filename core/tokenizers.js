@@ -0,0 +1,205 @@
+// core/tokenizers.js — Offline token estimators
+// Thresholds (1024/4096) and OpenAI's 128-token alignment need counts close to
+// what the provider bills, not chars/4. Each estimator splits text with its
+// encoding's pre-tokenizer (the cl100k or o200k split pattern, SentencePiece
+// word pieces) and then estimates how many merged tokens every piece becomes
+// from its length, case and script. These are not BPE encoders: the merge
+// tables (100k–256k entries) are not bundled. The cl100k and o200k constants
+// are calibrated against the real encoders to within about 1% in total on
+// the English and Chinese prompts under tests/fixtures; single entries can be
+// 10-20% off, and Claude's and Gemini's vocabularies are unpublished, so
+// their counts are rougher still. Offline counts are flagged `estimated`;
+// inside SillyTavern, createCachedTokenizer() wraps ST's exact async counter.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { DEFAULT_PROVIDER } = shared || require('./providers');
+
+// cl100k_base pre-tokenizer. JS has no inline (?i:), so the contraction
+// alternatives spell out both cases.
+const BPE_SPLIT_REGEX = /'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE])|[^\r\n\p{L}\p{N}]?[\p{L}\p{M}]+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+
+// o200k_base pre-tokenizer: splits camelCase runs at the capital, keeps a
+// trailing contraction on its word and lets "/" join a punctuation run
+const O200K_SPLIT_REGEX = /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+(?:'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE]))?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*(?:'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE]))?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n/]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+
+// SentencePiece keeps the leading space (▁) on a word and splits every digit
+const SENTENCEPIECE_SPLIT_REGEX = /\s?[\p{L}\p{M}]+|\p{N}|\s?[^\s\p{L}\p{M}\p{N}]+|\s+/gu;
+
+const CJK_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const NON_ASCII_REGEX = /[^\x00-\x7F]/g;
+
+// Per-family merge behaviour:
+//   split        — pre-tokenizer
+//   wordChars    — lowercase ASCII words up to this length are a single token
+//   capitalChars — the same for Capitalized words, which are more often rare
+//   chunkChars   — average characters per extra token in longer words
+//   upperChars   — characters per token in ALL-CAPS words
+//   punctChars   — characters per token in punctuation runs
+//   cjkTokens    — tokens per CJK character
+//   otherTokens  — tokens per other non-ASCII letter (Cyrillic, Greek, ...)
+//   scale        — ratio to the counts above, for vocabularies without a
+//                  published encoder
+const ENCODINGS = {
+    cl100k: { split: BPE_SPLIT_REGEX, wordChars: 8, capitalChars: 7, chunkChars: 4, upperChars: 2, punctChars: 1.5, cjkTokens: 1.2, otherTokens: 0.55, scale: 1 },
+    o200k: { split: O200K_SPLIT_REGEX, wordChars: 11, capitalChars: 9, chunkChars: 5, upperChars: 3, punctChars: 1.5, cjkTokens: 0.8, otherTokens: 0.35, scale: 1 },
+    // Claude's tokenizer is not published; on English text it produces about
+    // 15% more tokens than cl100k for the same input
+    claude: { split: BPE_SPLIT_REGEX, wordChars: 8, capitalChars: 7, chunkChars: 4, upperChars: 2, punctChars: 1.5, cjkTokens: 1.2, otherTokens: 0.55, scale: 1.15 },
+    // Gemini's 256k SentencePiece vocabulary keeps most words and scripts whole
+    gemini: { split: SENTENCEPIECE_SPLIT_REGEX, wordChars: 12, capitalChars: 10, chunkChars: 5, upperChars: 3, punctChars: 2.5, cjkTokens: 0.7, otherTokens: 0.3, scale: 1 }
+};
+
+// Which encoding each provider bills with when the model id does not say.
+// The others use byte-level BPE vocabularies close enough to cl100k/o200k
+// for threshold checks.
+const PROVIDER_ENCODINGS = {
+    anthropic: 'claude',
+    openai: 'o200k',
+    google: 'gemini',
+    openrouter: 'cl100k',
+    deepseek: 'cl100k',
+    mistral: 'o200k',
+    cohere: 'cl100k',
+    local: 'cl100k',
+    generic: 'cl100k'
+};
+
+// Encodings by model id, checked before the provider's: OpenAI moved from
+// cl100k to o200k with GPT-4o, and OpenRouter or custom endpoints name the
+// model's own vendor
+const MODEL_ENCODINGS = [
+    { pattern: /^(?:gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|gpt-oss|chatgpt-|o\d)/i, encoding: 'o200k' },
+    { pattern: /^(?:gpt-4|gpt-3\.5|text-embedding-3|text-embedding-ada)/i, encoding: 'cl100k' },
+    { pattern: /claude/i, encoding: 'claude' },
+    { pattern: /gemini|gemma/i, encoding: 'gemini' }
+];
+
+function countPiece(piece, encoding) {
+    const text = piece.trim();
+    if (!text) return 1;
+
+    if (/^\p{N}+$/u.test(text)) return encoding.split === SENTENCEPIECE_SPLIT_REGEX ? text.length : 1;
+    if (!/[\p{L}\p{M}]/u.test(text)) return Math.max(1, Math.ceil(text.length / encoding.punctChars));
+
+    const cjk = (text.match(CJK_REGEX) || []).length;
+    const other = (text.match(NON_ASCII_REGEX) || []).length - cjk;
+    const ascii = text.length - cjk - other;
+
+    let tokens = cjk * encoding.cjkTokens + other * encoding.otherTokens;
+    // Punctuation glued to a word (",sad", "(note") is rarely one merged token
+    if (/^[^\s\p{L}\p{M}\p{N}'"]/u.test(text) && ascii > 1) tokens += 1;
+    if (ascii > 0) {
+        const word = text.replace(/^[^\p{L}]+/u, '');
+        let wordChars = encoding.wordChars;
+        let chunkChars = encoding.chunkChars;
+        if (/^[A-Z]{2,}$/.test(word)) {
+            wordChars = encoding.upperChars;
+            chunkChars = encoding.upperChars;
+        } else if (/^[A-Z][a-z]/.test(word)) {
+            wordChars = encoding.capitalChars;
+        }
+        tokens += 1 + Math.max(0, Math.ceil((ascii - wordChars) / chunkChars));
+    }
+    return Math.max(1, Math.round(tokens));
+}
+
+function countTokens(text, encodingName) {
+    if (!text) return 0;
+    const encoding = ENCODINGS[encodingName] || ENCODINGS[PROVIDER_ENCODINGS[DEFAULT_PROVIDER]];
+
+    let tokens = 0;
+    encoding.split.lastIndex = 0;
+    let match;
+    while ((match = encoding.split.exec(text)) !== null) {
+        tokens += countPiece(match[0], encoding);
+    }
+    return Math.round(tokens * encoding.scale);
+}
+
+function getEncodingName(provider, modelId) {
+    if (ENCODINGS[provider]) return provider;
+    if (modelId) {
+        // OpenRouter ids carry the vendor: openai/gpt-4, anthropic/claude-sonnet-4
+        const id = String(modelId).slice(String(modelId).lastIndexOf('/') + 1);
+        const match = MODEL_ENCODINGS.find(entry => entry.pattern.test(id));
+        if (match) return match.encoding;
+    }
+    return PROVIDER_ENCODINGS[provider] || PROVIDER_ENCODINGS[DEFAULT_PROVIDER];
+}
+
+// (text) => token count for a provider ('anthropic', 'openai', 'google') and
+// optional model id, or an encoding name ('cl100k', 'o200k', 'claude', 'gemini').
+// The counter is flagged `estimated`.
+function getTokenizer(provider, modelId) {
+    const encodingName = getEncodingName(provider, modelId);
+    const tokenizer = text => countTokens(text, encodingName);
+    tokenizer.encoding = encodingName;
+    tokenizer.estimated = true;
+    return tokenizer;
+}
+
+// options.tokenizer wins; otherwise the provider's and model's offline counter
+function resolveTokenizer(options = {}) {
+    return options.tokenizer || getTokenizer(options.provider || DEFAULT_PROVIDER, options.modelId);
+}
+
+// Whether counts from this tokenizer are estimates rather than the provider's
+// own. Tokenizers passed in by callers are taken as exact.
+function isEstimate(tokenizer) {
+    return !!tokenizer && tokenizer.estimated === true;
+}
+
+const CACHE_LIMIT = 500;
+
+/**
+ * Wraps an async exact counter (ST's getTokenCountAsync) as the synchronous
+ * (text) => count the rules expect. Unknown texts are answered by `fallback`
+ * and queued; `await tokenizer.flush()` counts the queue and resolves to the
+ * number of newly counted texts, so callers re-run once to get exact numbers.
+ * `estimated` stays true while any answered text is still waiting for its count.
+ */
+function createCachedTokenizer(countAsync, fallback) {
+    const cache = new Map();
+    const pending = new Set();
+    const estimate = fallback || getTokenizer(DEFAULT_PROVIDER);
+
+    function tokenizer(text) {
+        if (!text) return 0;
+        if (cache.has(text)) return cache.get(text);
+        pending.add(text);
+        return estimate(text);
+    }
+
+    tokenizer.flush = async function () {
+        const texts = Array.from(pending);
+        pending.clear();
+        if (cache.size + texts.length > CACHE_LIMIT) cache.clear();
+
+        let counted = 0;
+        for (const text of texts) {
+            try {
+                const count = await countAsync(text);
+                if (Number.isFinite(count)) {
+                    cache.set(text, count);
+                    counted++;
+                }
+            } catch (e) { /* keep the estimate for this text */ }
+        }
+        return counted;
+    };
+
+    Object.defineProperty(tokenizer, 'estimated', { get: () => pending.size > 0 });
+    return tokenizer;
+}
+
+const api = {
+    ENCODINGS,
+    PROVIDER_ENCODINGS,
+    countTokens,
+    getTokenizer,
+    resolveTokenizer,
+    isEstimate,
+    createCachedTokenizer
+};
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,207 @@
+// core/variable-flow.js — Variable flow analysis
+// Presets like Izumi build toggles with {{setvar::x::...}} in one entry and
+// {{getvar::x}} in others. A getvar is only as volatile as what is written
+// into its variable, so this pass collects every write and read across the
+// enabled entries, resolves variable-to-variable dependencies to a fixed
+// point and reports which entries read a variable that ends up depending on
+// a per-generation or per-message macro.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { parseMacros, isTurnVolatile, mostVolatile, findDynamicMacros, MACRO_VOLATILITY } = shared || require('./macros');
+
+// Macros that write a variable. setvar stores its value; the others change
+// the stored value every time the prompt is built.
+const WRITE_MACROS = {
+    setvar: { scope: 'local', accumulates: false },
+    addvar: { scope: 'local', accumulates: true },
+    incvar: { scope: 'local', accumulates: true },
+    decvar: { scope: 'local', accumulates: true },
+    setglobalvar: { scope: 'global', accumulates: false },
+    addglobalvar: { scope: 'global', accumulates: true },
+    incglobalvar: { scope: 'global', accumulates: true },
+    decglobalvar: { scope: 'global', accumulates: true }
+};
+
+const READ_MACROS = {
+    getvar: 'local',
+    getglobalvar: 'global',
+    incvar: 'local',
+    decvar: 'local',
+    incglobalvar: 'global',
+    decglobalvar: 'global'
+};
+
+function variableKey(scope, name) {
+    return `${scope}:${name}`;
+}
+
+// {{setvar::name::value}} → { name, value }; {{incvar::name}} → { name, value: '' }
+function splitArgs(args) {
+    const separator = args.indexOf('::');
+    if (separator === -1) return { name: args.trim(), value: '' };
+    return { name: args.slice(0, separator).trim(), value: args.slice(separator + 2) };
+}
+
+function getVariable(variables, scope, name) {
+    const key = variableKey(scope, name);
+    if (!variables.has(key)) {
+        variables.set(key, {
+            name,
+            scope,
+            writes: [],
+            reads: [],
+            dependsOn: new Set(),
+            volatility: MACRO_VOLATILITY.STATIC,
+            origins: new Set()
+        });
+    }
+    return variables.get(key);
+}
+
+function collectAccess(entries) {
+    const variables = new Map();
+
+    for (const entry of entries) {
+        for (const macro of parseMacros(entry.content)) {
+            const lower = macro.name.toLowerCase();
+            const write = WRITE_MACROS[lower];
+            const readScope = READ_MACROS[lower];
+            const { name, value } = splitArgs(macro.args);
+            if (!name || (!write && !readScope)) continue;
+
+            if (readScope) {
+                getVariable(variables, readScope, name).reads.push({
+                    identifier: entry.identifier,
+                    index: macro.index,
+                    printed: macro.printed
+                });
+            }
+
+            if (write) {
+                const variable = getVariable(variables, write.scope, name);
+                const valueMacros = parseMacros(value);
+                const dynamic = findDynamicMacros(value);
+                variable.writes.push({ identifier: entry.identifier, index: macro.index, value });
+
+                // Accumulating writes change the stored value on every build
+                if (write.accumulates) {
+                    variable.volatility = mostVolatile([variable.volatility, MACRO_VOLATILITY.PER_GENERATION]);
+                    variable.origins.add(`${macro.macro} in "${entry.name}"`);
+                } else {
+                    variable.volatility = mostVolatile([variable.volatility].concat(valueMacros.map(m => m.volatility)));
+                    dynamic.forEach(m => variable.origins.add(`${m.macro} in "${entry.name}"`));
+                }
+
+                for (const nested of valueMacros) {
+                    const nestedScope = READ_MACROS[nested.name.toLowerCase()];
+                    if (nestedScope) variable.dependsOn.add(variableKey(nestedScope, splitArgs(nested.args).name));
+                }
+            }
+        }
+    }
+
+    return variables;
+}
+
+// A variable is at least as volatile as every variable its value reads
+function propagate(variables) {
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const variable of variables.values()) {
+            for (const key of variable.dependsOn) {
+                const source = variables.get(key);
+                if (!source) continue;
+
+                const volatility = mostVolatile([variable.volatility, source.volatility]);
+                if (volatility !== variable.volatility) {
+                    variable.volatility = volatility;
+                    changed = true;
+                }
+                for (const origin of source.origins) {
+                    if (!variable.origins.has(origin)) {
+                        variable.origins.add(origin);
+                        changed = true;
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Tracks {{setvar}}/{{getvar}} chains across the enabled entries of a model.
+ *
+ * Returns {
+ *   variables — [{ name, scope, volatility, volatile, writes, reads, dependsOn, origins }]
+ *   entries   — { [identifier]: { volatility, volatile, unstableVariables } } for
+ *               entries that print a getvar
+ *   unset     — variables read but never written by the preset
+ *   unread    — variables written but never read by the preset
+ * }
+ */
+function analyzeVariableFlow(entries) {
+    const active = (entries || []).filter(entry => entry.promptEnabled !== false && !entry.missing && entry.content);
+    const variables = collectAccess(active);
+    propagate(variables);
+
+    const byEntry = {};
+    for (const variable of variables.values()) {
+        const volatile = isTurnVolatile(variable.volatility);
+        for (const read of variable.reads) {
+            if (!read.printed) continue;
+            const result = byEntry[read.identifier] || (byEntry[read.identifier] = {
+                volatility: MACRO_VOLATILITY.STATIC,
+                volatile: false,
+                unstableVariables: []
+            });
+            result.volatility = mostVolatile([result.volatility, variable.volatility]);
+            result.volatile = result.volatile || volatile;
+            if (volatile && !result.unstableVariables.includes(variable.name)) {
+                result.unstableVariables.push(variable.name);
+            }
+        }
+    }
+
+    const list = Array.from(variables.values()).map(variable => ({
+        name: variable.name,
+        scope: variable.scope,
+        volatility: variable.volatility,
+        volatile: isTurnVolatile(variable.volatility),
+        writes: variable.writes,
+        reads: variable.reads,
+        dependsOn: Array.from(variable.dependsOn),
+        origins: Array.from(variable.origins)
+    }));
+
+    return {
+        variables: list,
+        entries: byEntry,
+        unset: list.filter(v => v.reads.length > 0 && v.writes.length === 0),
+        unread: list.filter(v => v.writes.length > 0 && v.reads.length === 0)
+    };
+}
+
+// Printed getvars in `content` whose variable changes between turns
+function findVolatileReads(content, flow) {
+    if (!flow) return [];
+    const volatileKeys = new Set(flow.variables.filter(v => v.volatile).map(v => variableKey(v.scope, v.name)));
+
+    return parseMacros(content).filter(macro => {
+        const scope = READ_MACROS[macro.name.toLowerCase()];
+        return scope && macro.printed && volatileKeys.has(variableKey(scope, splitArgs(macro.args).name));
+    });
+}
+
+// Everything in `content` that renders differently next turn, in text order
+function findUnstableMacros(content, flow) {
+    const dynamic = findDynamicMacros(content);
+    const seen = new Set(dynamic.map(macro => macro.index));
+    return dynamic
+        .concat(findVolatileReads(content, flow).filter(macro => !seen.has(macro.index)))
+        .sort((a, b) => a.index - b.index);
+}
+
+const api = { analyzeVariableFlow, findVolatileReads, findUnstableMacros };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
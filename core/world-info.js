@@ -0,0 +1,377 @@
+// core/world-info.js — World Info / lorebook cache impact
+// Lorebook entries are spliced into the request at the worldInfoBefore/
+// worldInfoAfter markers, around the example messages or inside the chat.
+// Entries that fire on keywords, roll a probability or run sticky/cooldown
+// timers come and go between turns, and every change rewrites the request
+// from where they land. This module classifies the entries, replays their
+// activation over a run of turns and measures what each change invalidates.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel } = shared || require('./preset-model');
+const { assemblePrompt, buildSyntheticChat, serializeMessages } = shared || require('./simulator');
+const { resolveTokenizer } = shared || require('./tokenizers');
+
+// ST's world_info_position values
+const WORLD_INFO_POSITION = {
+    BEFORE: 0,
+    AFTER: 1,
+    AN_TOP: 2,
+    AN_BOTTOM: 3,
+    AT_DEPTH: 4,
+    EM_TOP: 5,
+    EM_BOTTOM: 6,
+    OUTLET: 7
+};
+
+// What decides whether an entry is sent: always, a keyword scan, a probability
+// roll, or sticky/cooldown/delay timers
+const WORLD_INFO_KINDS = ['constant', 'keyword', 'probability', 'timed'];
+
+// Where each position puts the entry in the request. Author's Note positions
+// follow the note into the chat; outlets only appear where {{outlet}} is used.
+const POSITION_ANCHORS = {
+    [WORLD_INFO_POSITION.BEFORE]: 'worldInfoBefore',
+    [WORLD_INFO_POSITION.AFTER]: 'worldInfoAfter',
+    [WORLD_INFO_POSITION.AN_TOP]: 'authorsNote',
+    [WORLD_INFO_POSITION.AN_BOTTOM]: 'authorsNote',
+    [WORLD_INFO_POSITION.AT_DEPTH]: 'atDepth',
+    [WORLD_INFO_POSITION.EM_TOP]: 'dialogueExamples',
+    [WORLD_INFO_POSITION.EM_BOTTOM]: 'dialogueExamples'
+};
+
+const IN_CHAT_ANCHORS = new Set(['authorsNote', 'atDepth']);
+
+// ST defaults: world_info_depth, an entry's @D depth and the Author's Note depth
+const DEFAULT_SCAN_DEPTH = 2;
+const DEFAULT_ENTRY_DEPTH = 4;
+const DEFAULT_AUTHORS_NOTE_DEPTH = 4;
+
+// Turns replayed per entry
+const DEFAULT_WORLD_INFO_TURNS = 20;
+
+// Without a chat to scan, share of turns a keyword entry is assumed to match
+const DEFAULT_KEYWORD_RATE = 0.25;
+
+// Entries firing this often are cheaper as constants than as cache misses
+const CONSTANT_ACTIVATION_RATE = 0.8;
+
+// Depth recommended for churning entries — injection-depth's safe depth
+const RECOMMENDED_DEPTH = 4;
+
+function toNumber(value, fallback) {
+    const number = Number(value);
+    return value === null || value === undefined || value === '' || !Number.isFinite(number) ? fallback : number;
+}
+
+function toKeys(value) {
+    if (Array.isArray(value)) return value.map(String).map(key => key.trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(',').map(key => key.trim()).filter(Boolean);
+    return [];
+}
+
+// ST world files ({ entries: { uid: entry } }), getSortedEntries() results and
+// V2 character books ({ entries: [{ keys, extensions }] }) share most fields
+function normalizeEntry(raw, index, world) {
+    const extensions = raw.extensions || {};
+    const field = (name, extensionName = name) => (raw[name] !== undefined ? raw[name] : extensions[extensionName]);
+    const probability = toNumber(field('probability'), 100);
+
+    const entry = {
+        uid: raw.uid !== undefined ? raw.uid : (raw.id !== undefined ? raw.id : index),
+        world: raw.world || world || null,
+        name: raw.comment || raw.name || toKeys(raw.key || raw.keys)[0] || `Entry ${index + 1}`,
+        content: typeof raw.content === 'string' ? raw.content : '',
+        keys: toKeys(raw.key || raw.keys),
+        secondaryKeys: toKeys(raw.keysecondary || raw.secondary_keys),
+        selectiveLogic: toNumber(field('selectiveLogic', 'selectiveLogic'), 0),
+        enabled: raw.disable !== undefined ? !raw.disable : raw.enabled !== false,
+        constant: raw.constant === true,
+        position: toNumber(field('position'), WORLD_INFO_POSITION.BEFORE),
+        depth: toNumber(field('depth'), DEFAULT_ENTRY_DEPTH),
+        role: toNumber(field('role'), 0),
+        order: toNumber(raw.order !== undefined ? raw.order : raw.insertion_order, 100),
+        probability,
+        useProbability: field('useProbability') !== false && probability < 100,
+        sticky: toNumber(field('sticky'), 0),
+        cooldown: toNumber(field('cooldown'), 0),
+        delay: toNumber(field('delay'), 0),
+        scanDepth: toNumber(field('scanDepth', 'scan_depth'), null),
+        caseSensitive: field('caseSensitive', 'case_sensitive') === true,
+        matchWholeWords: field('matchWholeWords', 'match_whole_words') === true
+    };
+    entry.kind = classifyWorldInfoEntry(entry);
+    return entry;
+}
+
+/**
+ * Reads lorebook entries from any of: an ST world file ({ entries: { ... } }),
+ * a V2 character book ({ entries: [...] }), a plain entry array (ST's
+ * getSortedEntries()), or an array of those. Disabled entries are dropped.
+ */
+function normalizeLorebook(data, world = null) {
+    if (!data) return [];
+    if (Array.isArray(data)) {
+        // An array of lorebooks, or an array of entries
+        if (data.every(item => item && item.entries)) {
+            return data.flatMap(book => normalizeLorebook(book, book.name || world));
+        }
+        return data
+            .filter(raw => raw && typeof raw === 'object')
+            .map((raw, index) => normalizeEntry(raw, index, world))
+            .filter(entry => entry.enabled);
+    }
+    if (data.entries) {
+        const entries = Array.isArray(data.entries) ? data.entries : Object.values(data.entries);
+        return normalizeLorebook(entries, data.name || world);
+    }
+    if (data.character_book) return normalizeLorebook(data.character_book, world);
+    if (data.data && data.data.character_book) return normalizeLorebook(data.data.character_book, world);
+    return [];
+}
+
+// Probability gates even constant entries; timers decide between the scans
+function classifyWorldInfoEntry(entry) {
+    if (entry.useProbability && entry.probability < 100) return 'probability';
+    if (entry.sticky > 0 || entry.cooldown > 0 || entry.delay > 0) return 'timed';
+    if (entry.constant) return 'constant';
+    return 'keyword';
+}
+
+// Small seeded generator, so probability rolls repeat from run to run
+function createRandom(seed) {
+    let state = 0;
+    for (const char of String(seed)) state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0;
+    return function () {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Plain keys match case-insensitively anywhere unless the entry says otherwise;
+// "/pattern/flags" keys are regular expressions, as in ST
+function matchesKey(key, text, entry) {
+    const regex = /^\/(.+)\/([a-z]*)$/i.exec(key);
+    if (regex) {
+        try {
+            return new RegExp(regex[1], regex[2]).test(text);
+        } catch (e) {
+            return false;
+        }
+    }
+    const flags = entry.caseSensitive ? '' : 'i';
+    const pattern = entry.matchWholeWords && !/\s/.test(key) ? `(?:^|\\W)${escapeRegex(key)}(?:$|\\W)` : escapeRegex(key);
+    return new RegExp(pattern, flags).test(text);
+}
+
+// ST's selectiveLogic: AND_ANY, NOT_ALL, NOT_ANY, AND_ALL
+function matchesEntry(entry, text) {
+    if (!entry.keys.some(key => matchesKey(key, text, entry))) return false;
+    if (entry.secondaryKeys.length === 0) return true;
+
+    const hits = entry.secondaryKeys.filter(key => matchesKey(key, text, entry)).length;
+    switch (entry.selectiveLogic) {
+        case 1: return hits < entry.secondaryKeys.length;
+        case 2: return hits === 0;
+        case 3: return hits === entry.secondaryKeys.length;
+        default: return hits > 0;
+    }
+}
+
+/**
+ * Replays one entry over `turns` generations and returns [boolean] — whether
+ * it is sent on each. Keyword entries scan the last scanDepth messages of
+ * options.chat as it grew turn by turn; without a chat they fire on
+ * keywordRate of the turns. Sticky, cooldown and delay count messages, two
+ * per turn, as ST's timed effects do.
+ */
+function simulateActivation(entry, options = {}) {
+    const chat = options.chat && options.chat.length > 0 ? options.chat : null;
+    const turns = chat
+        ? Math.max(1, Math.min(options.turns || DEFAULT_WORLD_INFO_TURNS, Math.floor(chat.length / 2)))
+        : options.turns || DEFAULT_WORLD_INFO_TURNS;
+    const startLength = chat ? chat.length - 2 * (turns - 1) : (options.chatLength === undefined ? 10 : options.chatLength);
+    const scanDepth = entry.scanDepth !== null ? entry.scanDepth : (options.scanDepth === undefined ? DEFAULT_SCAN_DEPTH : options.scanDepth);
+    const keywordRate = options.keywordRate === undefined ? DEFAULT_KEYWORD_RATE : options.keywordRate;
+    const random = createRandom(`${entry.world || ''}:${entry.uid}`);
+
+    const active = [];
+    let stickyUntil = -1;
+    let cooldownUntil = -1;
+    for (let turn = 0; turn < turns; turn++) {
+        const length = startLength + turn * 2;
+
+        // The keyword roll happens on every turn so rates do not depend on timers
+        const scanned = chat
+            ? matchesEntry(entry, chat.slice(Math.max(0, length - scanDepth), length).map(m => m.content).join('\n'))
+            : random() < keywordRate;
+
+        if (length < stickyUntil) {
+            active.push(true);
+            continue;
+        }
+        const triggered = (entry.constant || scanned) && length >= entry.delay && length >= cooldownUntil;
+        const rolled = triggered && (!entry.useProbability || random() * 100 < entry.probability);
+        if (rolled) {
+            stickyUntil = entry.sticky > 0 ? length + entry.sticky : -1;
+            cooldownUntil = entry.cooldown > 0 ? Math.max(length, stickyUntil) + entry.cooldown : -1;
+        }
+        active.push(rolled);
+    }
+    return active;
+}
+
+// Turn-to-turn changes of an activation trace, as a share of turn pairs
+function measureChurn(active) {
+    if (active.length < 2) return 0;
+    let changes = 0;
+    for (let i = 1; i < active.length; i++) {
+        if (active[i] !== active[i - 1]) changes++;
+    }
+    return changes / (active.length - 1);
+}
+
+// Char offset in the request where content at `anchor` (depth for in-chat
+// anchors) is inserted, and the request text; -1 when it is not sent
+function findInsertion(messages, anchor, depth) {
+    if (IN_CHAT_ANCHORS.has(anchor)) {
+        const chatIndexes = messages.map((m, i) => (m.source === 'chat' ? i : -1)).filter(i => i !== -1);
+        if (chatIndexes.length === 0) return -1;
+        const target = depth <= 0
+            ? chatIndexes[chatIndexes.length - 1] + 1
+            : chatIndexes[Math.max(0, chatIndexes.length - depth)];
+        return serializeMessages(messages.slice(0, target)).length;
+    }
+    const index = messages.findIndex(m => (m.identifiers || [m.identifier]).includes(anchor));
+    return index === -1 ? -1 : serializeMessages(messages.slice(0, index)).length;
+}
+
+function recommendPlacement(result) {
+    if (result.kind === 'constant' || result.churn === 0 || !result.beforeStableEnd) return null;
+    if (result.activationRate >= CONSTANT_ACTIVATION_RATE) {
+        return {
+            constant: true,
+            text: `Fires on ${Math.round(result.activationRate * 100)}% of turns — make it constant, so its ${result.tokens} tokens stay in the cached prefix.`
+        };
+    }
+    return {
+        position: WORLD_INFO_POSITION.AT_DEPTH,
+        depth: RECOMMENDED_DEPTH,
+        text: `Move it to @D (in-chat) at depth ${RECOMMENDED_DEPTH}, so turning on or off only resends the last ${RECOMMENDED_DEPTH} messages.`
+    };
+}
+
+/**
+ * Cache impact of lorebook entries on a preset.
+ *
+ * Options (plus provider/modelId/tokenizer/characterId as elsewhere):
+ *   worldInfo — { entries, chat, scanDepth, authorsNoteDepth, turns, keywordRate };
+ *               entries in any format normalizeLorebook() reads, chat the
+ *               messages [{ role, content }] to scan for keywords
+ *
+ * Returns null without a usable preset, else
+ * { entries, anchors, stablePrefix, summary }. Each entry carries its kind,
+ * anchor (marker or in-chat spot it lands at), whether that is before the
+ * stable prefix ends, activationRate and churn over the replayed turns,
+ * invalidatedTokens (request tokens resent when it changes) and a
+ * recommendation { position, depth | constant, text } or null.
+ */
+function analyzeWorldInfo(preset, options = {}) {
+    const model = resolveModel(preset, options);
+    if (!model) return null;
+
+    const worldInfo = options.worldInfo || {};
+    const lorebook = normalizeLorebook(worldInfo.entries);
+    const tokenizer = resolveTokenizer(options);
+
+    // The cached prefix runs up to the first volatile entry or the chat
+    const relative = model.entries.filter(entry => entry.promptEnabled && !entry.missing);
+    const stableEnd = relative.findIndex(entry => entry.volatile || entry.identifier === 'chatHistory');
+    const stableIndex = stableEnd === -1 ? relative.length : stableEnd;
+    const placeOf = identifier => relative.findIndex(entry => entry.identifier === identifier);
+
+    // A request with every World Info spot filled, to measure what follows each one
+    const messages = assemblePrompt(preset, {
+        model,
+        chat: worldInfo.chat && worldInfo.chat.length > 0 ? worldInfo.chat : buildSyntheticChat(10, options),
+        context: { worldInfoBefore: '[World Info]', worldInfoAfter: '[World Info]', dialogueExamples: [{ role: 'system', content: '[Example]' }] },
+        squash: false
+    });
+    const text = serializeMessages(messages);
+    const totalTokens = tokenizer(text);
+    // Author's Note entries follow the note, when its extension prompt is known
+    const note = model.entries.find(entry => entry.extensionKey === '2_floating_prompt');
+    const authorsNoteDepth = worldInfo.authorsNoteDepth !== undefined
+        ? worldInfo.authorsNoteDepth
+        : (note && note.injectionDepth !== null ? note.injectionDepth : DEFAULT_AUTHORS_NOTE_DEPTH);
+
+    const traces = new Map();
+    const entries = lorebook.map(entry => {
+        const anchor = POSITION_ANCHORS[entry.position] || 'outlet';
+        const depth = anchor === 'atDepth' ? entry.depth : (anchor === 'authorsNote' ? authorsNoteDepth : null);
+        const offset = anchor === 'outlet' ? -1 : findInsertion(messages, anchor, depth);
+        const sent = offset !== -1;
+        const active = sent ? simulateActivation(entry, worldInfo) : [];
+        const activationRate = active.length > 0 ? active.filter(Boolean).length / active.length : 0;
+        const result = {
+            uid: entry.uid,
+            world: entry.world,
+            name: entry.name,
+            kind: entry.kind,
+            position: entry.position,
+            depth,
+            anchor,
+            sent,
+            beforeStableEnd: sent && !IN_CHAT_ANCHORS.has(anchor) && placeOf(anchor) !== -1 && placeOf(anchor) < stableIndex,
+            tokens: tokenizer(entry.content),
+            activationRate,
+            churn: entry.kind === 'constant' ? 0 : measureChurn(active),
+            invalidatedTokens: sent ? Math.max(0, totalTokens - tokenizer(text.slice(0, offset))) : 0
+        };
+        result.recommendation = recommendPlacement(result);
+        traces.set(result, active);
+        return result;
+    });
+
+    // Entries sharing a spot break the prefix together: any change rewrites it
+    const anchors = [];
+    for (const result of entries.filter(r => r.churn > 0)) {
+        let group = anchors.find(a => a.anchor === result.anchor && a.depth === result.depth);
+        if (!group) {
+            group = { anchor: result.anchor, depth: result.depth, beforeStableEnd: result.beforeStableEnd, invalidatedTokens: result.invalidatedTokens, churn: 0, entries: [] };
+            anchors.push(group);
+        }
+        group.entries.push(result);
+    }
+    for (const group of anchors) {
+        const combined = traces.get(group.entries[0]).map((_, turn) => group.entries.map(r => traces.get(r)[turn]).join());
+        group.churn = measureChurn(combined);
+        group.entries = group.entries.map(r => r.uid);
+    }
+
+    const summary = { total: entries.length, churning: entries.filter(r => r.churn > 0).length, beforeStableEnd: entries.filter(r => r.beforeStableEnd && r.churn > 0).length };
+    for (const kind of WORLD_INFO_KINDS) summary[kind] = entries.filter(r => r.kind === kind).length;
+
+    return {
+        entries,
+        anchors,
+        stablePrefix: { identifier: stableEnd === -1 ? null : relative[stableEnd].identifier, totalTokens },
+        summary
+    };
+}
+
+const api = {
+    WORLD_INFO_POSITION,
+    WORLD_INFO_KINDS,
+    normalizeLorebook,
+    classifyWorldInfoEntry,
+    simulateActivation,
+    analyzeWorldInfo
+};
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
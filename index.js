@@ -1,17 +1,91 @@
 /**
  * SillyTavern Extension: Preset Cache Analyzer
  *
- * Self-contained ES module loaded by SillyTavern via import().
- * All rule logic, component rendering, and dashboard management are inlined
- * because ST's ES module loader cannot resolve require() calls to the
- * separate CommonJS files.
+ * ES module loaded by SillyTavern via import(). Holds only the ST glue:
+ * settings, DOM wiring, events and slash commands.
  *
- * The separate CommonJS files (rules/, ui/, analyzer.js) remain for
- * Node.js test coverage — they contain identical logic.
+ * Rules, the analyzer and the HTML renderers live in the dual-format files
+ * under rules/, analyzer.js and ui/components.js. Node loads them through
+ * require(); here they are imported for their side effect of registering on
+ * globalThis.CacheAnalyzer, so the code tested in tests/ is exactly the code
+ * running inside SillyTavern.
  */
 
 import { getContext } from '../../../extensions.js';
-import { eventSource, event_types } from '../../../../script.js';
+import { eventSource, event_types, saveSettingsDebounced } from '../../../../script.js';
+import { oai_settings, promptManager } from '../../../openai.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
+import { copyText, download } from '../../../utils.js';
+import { getSortedEntries, world_info_depth } from '../../../world-info.js';
+
+// Shared sources — dependencies must be imported before their dependents
+import './core/macros.js';
+import './core/variable-flow.js';
+import './core/macro-evaluator.js';
+import './core/extension-prompts.js';
+import './core/preset-model.js';
+import './core/providers.js';
+import './core/tokenizers.js';
+import './core/simulator.js';
+import './core/cache-diff.js';
+import './core/breakpoints.js';
+import './core/world-info.js';
+import './core/periodicity.js';
+import './core/fixes.js';
+import './core/locations.js';
+import './rules/macro-placement.js';
+import './rules/prompt-ordering.js';
+import './rules/token-thresholds.js';
+import './rules/injection-depth.js';
+import './rules/provider-specific.js';
+import './rules/cache-breakpoints.js';
+import './rules/generation-types.js';
+import './rules/world-info.js';
+import './rules/variable-flow.js';
+import './rules/periodic-prompts.js';
+import './rules/index.js';
+import './analyzer.js';
+import './core/optimizer.js';
+import './core/compare.js';
+import './core/cost.js';
+import './ui/components.js';
+import './ui/report.js';
+import './core/report.js';
+
+const {
+    normalizePreset,
+    analyzeOrders,
+    analyzeGenerationTypes,
+    DEFAULT_GENERATION_TYPE,
+    optimizePreset,
+    exportPreset,
+    compare,
+    DEFAULT_SESSION,
+    DEFAULT_CACHE_CONTROL,
+    mergePricing,
+    estimateSavings,
+    applyFix,
+    snapshotPreset,
+    createUndoStack,
+    getTokenizer,
+    getProviderProfile,
+    detectConnection,
+    createCachedTokenizer,
+    getPromptEntries,
+    renderDashboard,
+    renderOrderSelector,
+    renderConnection,
+    renderAssumedProvider,
+    renderPricingEditor,
+    renderCacheControlEditor,
+    renderOptimization,
+    renderComparePicker,
+    renderComparison,
+    renderEmptyState,
+    renderLoadingState,
+    renderHtmlReport,
+    renderMarkdownReport,
+} = globalThis.CacheAnalyzer;
 
 // ============================================================
 // Constants
@@ -19,502 +93,49 @@ import { eventSource, event_types } from '../../../../script.js';
 
 const MODULE_NAME = 'cache_analyzer';
 
+const REPORT_ACTIONS = ['copy', 'download'];
+const REPORT_TYPES = {
+    markdown: { extension: 'md', mime: 'text/markdown' },
+    html: { extension: 'html', mime: 'text/html' },
+};
+
 const defaultSettings = {
     enabled: true,
     autoAnalyze: true,
     provider: 'auto',
+    // Edited cells only, laid over DEFAULT_PRICING (core/cost.js)
+    pricing: {},
+    session: { turns: DEFAULT_SESSION.turns, messageTokens: DEFAULT_SESSION.messageTokens },
+    // Mirrors config.yaml's claude.enableSystemPromptCache / claude.cachingAtDepth
+    cacheControl: { systemPromptCache: DEFAULT_CACHE_CONTROL.systemPromptCache, cachingAtDepth: DEFAULT_CACHE_CONTROL.cachingAtDepth },
 };
 
-const DYNAMIC_MACRO_REGEX = /\{\{(random|roll|time|date|weekday|isotime|isodate|idle_duration|time_UTC)(::|\}\})/gi;
-
-const VOLATILE_IDENTIFIERS = new Set(['chatHistory', 'dialogueExamples']);
-
-const THRESHOLDS = {
-    anthropic: 1024,
-    openai: 1024,
-    google: 4096,
-};
-
-// ============================================================
-// Rule: macro-placement
-// ============================================================
-
-function checkMacroPlacement(preset) {
-    const findings = [];
-    if (!preset || !preset.prompts || !preset.prompt_order) return findings;
-
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-
-    const enabledEntries = orderArray.filter(e => e.enabled);
-    const totalEntries = enabledEntries.length;
-    if (totalEntries === 0) return findings;
-
-    const promptMap = {};
-    for (const p of preset.prompts) promptMap[p.identifier] = p;
-
-    for (let i = 0; i < enabledEntries.length; i++) {
-        const entry = enabledEntries[i];
-        const prompt = promptMap[entry.identifier];
-        if (!prompt || !prompt.content) continue;
-
-        DYNAMIC_MACRO_REGEX.lastIndex = 0;
-        let match;
-        let mi = 0;
-        while ((match = DYNAMIC_MACRO_REGEX.exec(prompt.content)) !== null) {
-            const macroFound = `{{${match[1]}}}`;
-            const pct = i / totalEntries;
-            const severity = i === 0 ? 'critical' : pct < 0.4 ? 'warning' : 'info';
-            const name = prompt.name || entry.identifier;
-            findings.push({
-                id: `macro-placement-${i}-${mi}`, rule: 'macro-placement', severity,
-                title: `Dynamic macro in ${severity === 'critical' ? 'system prompt' : 'early prompt section'}`,
-                description: `${macroFound} found in "${name}" (position ${i + 1} of ${totalEntries}). This changes every generation and invalidates the cached prefix for all content after it.`,
-                affectedEntry: entry.identifier,
-                recommendation: `Move ${macroFound} to a prompt entry in the latter half of the prompt order (after chat history), or replace it with a fixed value.`,
-                provider: 'all',
-                meta: { macroFound, position: i, totalEntries, positionPercent: pct },
-            });
-            mi++;
-        }
-    }
-    return findings;
-}
-
-// ============================================================
-// Rule: prompt-ordering
-// ============================================================
-
-function isVolatile(identifier, content) {
-    if (VOLATILE_IDENTIFIERS.has(identifier)) return true;
-    if (content) {
-        DYNAMIC_MACRO_REGEX.lastIndex = 0;
-        if (DYNAMIC_MACRO_REGEX.test(content)) return true;
-    }
-    return false;
-}
-
-function checkPromptOrdering(preset) {
-    const findings = [];
-    if (!preset || !preset.prompts || !preset.prompt_order) return findings;
-
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-
-    const enabledEntries = orderArray.filter(e => e.enabled);
-    if (enabledEntries.length === 0) return findings;
-
-    const promptMap = {};
-    for (const p of preset.prompts) promptMap[p.identifier] = p;
-
-    const classified = enabledEntries.map((entry, index) => {
-        const prompt = promptMap[entry.identifier];
-        const content = prompt ? prompt.content : '';
-        return { entry, prompt, index, volatile: isVolatile(entry.identifier, content) };
-    });
-
-    for (let i = 0; i < classified.length; i++) {
-        if (!classified[i].volatile) continue;
-        const stableAfter = [];
-        for (let j = i + 1; j < classified.length; j++) {
-            if (!classified[j].volatile) stableAfter.push(classified[j]);
-        }
-        if (stableAfter.length < 2) continue;
-
-        const v = classified[i];
-        const entryName = v.prompt ? v.prompt.name : v.entry.identifier;
-        const stableNames = stableAfter.map(s => s.prompt ? s.prompt.name : s.entry.identifier);
-        findings.push({
-            id: `prompt-ordering-${i}`, rule: 'prompt-ordering', severity: 'warning',
-            title: 'Volatile entry interleaved before stable content',
-            description: `"${entryName}" (position ${i + 1}) is volatile and appears before ${stableAfter.length} stable entries (${stableNames.join(', ')}). This breaks the cacheable prefix — all stable content after this point cannot be cached together with earlier stable content.`,
-            affectedEntry: v.entry.identifier,
-            recommendation: `Move "${entryName}" after all stable prompt entries so that the maximum amount of static content forms a contiguous cacheable prefix.`,
-            provider: 'all',
-            meta: { volatilePosition: i, stableEntriesAfter: stableAfter.length, stableIdentifiers: stableAfter.map(s => s.entry.identifier) },
-        });
-    }
-    return findings;
-}
-
-// ============================================================
-// Rule: token-thresholds
-// ============================================================
-
-function defaultTokenizer(text) {
-    return Math.ceil(text.length / 4);
-}
-
-function checkTokenThresholds(preset, options) {
-    const findings = [];
-    if (!preset || !preset.prompts || !preset.prompt_order) return findings;
-
-    const provider = options.provider || 'anthropic';
-    const threshold = THRESHOLDS[provider] || THRESHOLDS.anthropic;
-    const tokenizer = options.tokenizer || defaultTokenizer;
-
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-
-    const enabledEntries = orderArray.filter(e => e.enabled);
-    const promptMap = {};
-    for (const p of preset.prompts) promptMap[p.identifier] = p;
-
-    const stableContent = [];
-    for (const entry of enabledEntries) {
-        const prompt = promptMap[entry.identifier];
-        const content = prompt ? prompt.content : '';
-        if (!isVolatile(entry.identifier, content) && content) stableContent.push(content);
-    }
-
-    const estimatedTokens = tokenizer(stableContent.join('\n'));
-    if (estimatedTokens >= threshold) return findings;
-
-    const ratio = estimatedTokens / threshold;
-    const severity = ratio >= 0.9 ? 'warning' : 'info';
-
-    findings.push({
-        id: `token-thresholds-${provider}`, rule: 'token-thresholds', severity,
-        title: `Stable prefix below ${provider} cache threshold`,
-        description: `The stable prefix is estimated at ${estimatedTokens} tokens, which is below the ${provider} caching threshold of ${threshold} tokens. The prompt prefix will not be cached, resulting in full re-processing on every request.`,
-        affectedEntry: 'all',
-        recommendation: `Add more static content to your prompt entries before the chat history, or consolidate prompt entries to reach at least ${threshold} tokens in the stable prefix.`,
-        provider,
-        meta: { estimatedTokens, threshold, deficit: threshold - estimatedTokens, ratio },
-    });
-    return findings;
-}
-
 // ============================================================
-// Rule: injection-depth
-// ============================================================
-
-function hasDynamicMacros(content) {
-    if (!content) return false;
-    DYNAMIC_MACRO_REGEX.lastIndex = 0;
-    return DYNAMIC_MACRO_REGEX.test(content);
-}
-
-function checkInjectionDepth(preset) {
-    const findings = [];
-    if (!preset || !preset.prompts || !preset.prompt_order) return findings;
-
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-
-    const enabledIds = new Set(orderArray.filter(e => e.enabled).map(e => e.identifier));
-
-    for (const prompt of preset.prompts) {
-        if (!prompt.enabled || !enabledIds.has(prompt.identifier)) continue;
-        if (prompt.injection_position !== 1) continue;
-        const depth = prompt.injection_depth;
-        if (depth === null || depth === undefined || depth >= 4) continue;
-
-        const isDynamic = hasDynamicMacros(prompt.content);
-        let severity;
-        if (depth <= 1 && isDynamic) severity = 'critical';
-        else if (depth <= 1) severity = 'warning';
-        else if (isDynamic) severity = 'warning';
-        else severity = 'info';
-
-        const name = prompt.name || prompt.identifier;
-        findings.push({
-            id: `injection-depth-${prompt.identifier}`, rule: 'injection-depth', severity,
-            title: `${isDynamic ? 'Dynamic' : 'Static'} content injected at shallow depth ${depth}`,
-            description: `"${name}" is injected into chat at depth ${depth}${isDynamic ? ' with dynamic macros' : ''}. Shallow injections near the end of conversation disrupt the cacheable portion of recent messages.`,
-            affectedEntry: prompt.identifier,
-            recommendation: 'Consider increasing the injection depth to 4+ or moving this content to a fixed prompt position to preserve cache efficiency.',
-            provider: 'all',
-            meta: { depth, injectionPosition: prompt.injection_position, hasDynamicContent: isDynamic },
-        });
-    }
-    return findings;
-}
-
-// ============================================================
-// Rule: provider-specific
-// ============================================================
-
-function getStablePrefixTokens(preset, tokenizer) {
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-    const enabledEntries = orderArray.filter(e => e.enabled);
-    const promptMap = {};
-    for (const p of preset.prompts) promptMap[p.identifier] = p;
-
-    const stableContent = [];
-    for (const entry of enabledEntries) {
-        const prompt = promptMap[entry.identifier];
-        const content = prompt ? prompt.content : '';
-        if (!isVolatile(entry.identifier, content) && content) stableContent.push(content);
-    }
-    return tokenizer(stableContent.join('\n'));
-}
-
-function checkProviderSpecific(preset, options) {
-    const findings = [];
-    if (!preset || !preset.prompts || !preset.prompt_order) return findings;
-    const provider = options.provider;
-    if (!provider) return findings;
-
-    if (provider === 'anthropic') return checkAnthropic(preset, options);
-    if (provider === 'openai') return checkOpenAI(preset, options);
-    if (provider === 'google') return checkGoogle(preset, options);
-    return findings;
-}
-
-function checkAnthropic(preset, options) {
-    const findings = [];
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-    const enabledIds = new Set(orderArray.filter(e => e.enabled).map(e => e.identifier));
-    const systemPrompts = preset.prompts.filter(p => p.enabled && p.role === 'system' && enabledIds.has(p.identifier));
-
-    if (systemPrompts.length > 1) {
-        if (preset.squash_system_messages === true) {
-            findings.push({
-                id: 'provider-specific-anthropic-squash-on', rule: 'provider-specific', severity: 'info',
-                title: 'System message squashing enabled',
-                description: `squash_system_messages is enabled with ${systemPrompts.length} system prompts. This consolidates them into a single system message, which is optimal for Anthropic prompt caching.`,
-                affectedEntry: 'all',
-                recommendation: 'No action needed — this is the recommended configuration for Anthropic caching.',
-                provider: 'anthropic',
-                meta: { systemPromptCount: systemPrompts.length, squashEnabled: true },
-            });
-        } else {
-            findings.push({
-                id: 'provider-specific-anthropic-squash-off', rule: 'provider-specific', severity: 'warning',
-                title: 'Fragmented system messages without squashing',
-                description: `${systemPrompts.length} separate system prompts detected but squash_system_messages is not enabled. Anthropic treats each system message as a separate cache-breaking boundary.`,
-                affectedEntry: 'all',
-                recommendation: 'Enable squash_system_messages in your preset settings to consolidate system prompts into a single message for better cache utilization.',
-                provider: 'anthropic',
-                meta: { systemPromptCount: systemPrompts.length, squashEnabled: false },
-            });
-        }
-    }
-    return findings;
-}
-
-function checkOpenAI(preset, options) {
-    const findings = [];
-    const tokenizer = options.tokenizer || defaultTokenizer;
-    const estimatedTokens = getStablePrefixTokens(preset, tokenizer);
-    const remainder = estimatedTokens % 128;
-    if (remainder !== 0) {
-        const padding = 128 - remainder;
-        findings.push({
-            id: 'provider-specific-openai-alignment', rule: 'provider-specific', severity: 'info',
-            title: 'Stable prefix not aligned to 128-token boundary',
-            description: `The stable prefix is estimated at ${estimatedTokens} tokens (remainder ${remainder} when divided by 128). OpenAI caches at 128-token boundaries, so ${padding} tokens are wasted in the current boundary.`,
-            affectedEntry: 'all',
-            recommendation: `Consider adding ~${padding} tokens of static content to align your prefix to the next 128-token boundary for optimal cache utilization.`,
-            provider: 'openai',
-            meta: { estimatedTokens, remainder, paddingNeeded: padding },
-        });
-    }
-    return findings;
-}
-
-function checkGoogle(preset, options) {
-    const findings = [];
-    const tokenizer = options.tokenizer || defaultTokenizer;
-    const estimatedTokens = getStablePrefixTokens(preset, tokenizer);
-    const threshold = 4096;
-    if (estimatedTokens < threshold) {
-        findings.push({
-            id: 'provider-specific-google-threshold', rule: 'provider-specific', severity: 'warning',
-            title: 'Stable prefix below Google caching threshold',
-            description: `The stable prefix is estimated at ${estimatedTokens} tokens, below Google's ${threshold}-token minimum for context caching. The prefix will not be cached.`,
-            affectedEntry: 'all',
-            recommendation: `Add more static content to reach at least ${threshold} tokens in your stable prefix for Google context caching to activate.`,
-            provider: 'google',
-            meta: { estimatedTokens, threshold, deficit: threshold - estimatedTokens },
-        });
-    }
-    return findings;
-}
-
-// ============================================================
-// Analyzer
-// ============================================================
-
-function analyze(preset, options = {}) {
-    const findings = [
-        ...checkMacroPlacement(preset, options),
-        ...checkPromptOrdering(preset, options),
-        ...checkTokenThresholds(preset, options),
-        ...checkInjectionDepth(preset, options),
-        ...checkProviderSpecific(preset, options),
-    ];
-    const score = calculateScore(findings);
-    const summary = {
-        critical: findings.filter(f => f.severity === 'critical').length,
-        warning: findings.filter(f => f.severity === 'warning').length,
-        info: findings.filter(f => f.severity === 'info').length,
-    };
-    return { findings, score, summary };
-}
-
-function calculateScore(findings) {
-    let score = 100;
-    for (const f of findings) {
-        if (f.severity === 'critical') score -= 20;
-        else if (f.severity === 'warning') score -= 10;
-        else if (f.severity === 'info') score -= 3;
-    }
-    return Math.max(0, Math.min(100, score));
-}
-
-// ============================================================
-// UI Components (HTML string renderers)
+// Dashboard DOM Management
 // ============================================================
 
-function escapeHtml(str) {
-    if (!str) return '';
-    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-}
-
-function getScoreLabel(score) {
-    if (score >= 90) return { label: 'Excellent', cls: 'ca-score-excellent' };
-    if (score >= 70) return { label: 'Good', cls: 'ca-score-good' };
-    if (score >= 50) return { label: 'Needs Work', cls: 'ca-score-needswork' };
-    return { label: 'Poor', cls: 'ca-score-poor' };
-}
-
-function getSeverityIcon(severity) {
-    if (severity === 'critical') return '\u26D4';
-    if (severity === 'warning') return '\u26A0\uFE0F';
-    if (severity === 'info') return '\u2139\uFE0F';
-    return '\u2022';
-}
-
-function renderScoreBar(score) {
-    const info = getScoreLabel(score);
-    return `<div class="ca-score-section">
-        <div class="ca-score-header">
-            <span class="ca-score-label ${info.cls}">${score}</span>
-            <span class="ca-score-descriptor">${info.label}</span>
-        </div>
-        <div class="ca-score-bar">
-            <div class="ca-score-bar-fill ${info.cls}" style="width: ${score}%"></div>
-        </div>
-    </div>`;
-}
-
-function renderSummaryPills(summary) {
-    const pills = [];
-    if (summary.critical > 0) pills.push(`<span class="ca-pill ca-pill-critical">\u26D4 ${summary.critical} Critical</span>`);
-    if (summary.warning > 0) pills.push(`<span class="ca-pill ca-pill-warning">\u26A0\uFE0F ${summary.warning} Warning</span>`);
-    if (summary.info > 0) pills.push(`<span class="ca-pill ca-pill-info">\u2139\uFE0F ${summary.info} Info</span>`);
-    if (pills.length === 0) pills.push('<span class="ca-pill" style="background:rgba(68,204,68,0.15);color:#44CC44;">\u2705 No issues</span>');
-    return `<div class="ca-summary-pills">${pills.join('')}</div>`;
-}
-
-function renderFindingCard(finding) {
-    const icon = getSeverityIcon(finding.severity);
-    return `<div class="ca-finding-card ca-finding-${finding.severity}">
-        <div class="ca-finding-header">
-            <span class="ca-severity-badge ca-badge-${finding.severity}">${icon} ${finding.severity}</span>
-            <span class="ca-finding-title">${escapeHtml(finding.title)}</span>
-        </div>
-        <div class="ca-finding-desc">${escapeHtml(finding.description)}</div>
-        <div class="ca-finding-rec">\uD83D\uDCA1 ${escapeHtml(finding.recommendation)}</div>
-        <div class="ca-finding-meta">${escapeHtml(finding.rule)} \u2022 ${escapeHtml(finding.affectedEntry)}</div>
-    </div>`;
-}
+let panelBody = null;
+let analyzeBtn = null;
 
-function renderFindingsList(findings) {
-    if (!findings || findings.length === 0) {
-        return `<div class="ca-findings-list"><div class="ca-empty-state">
-            <div class="ca-empty-icon">\u2705</div>
-            <div class="ca-empty-text">No issues found</div>
-            <div class="ca-empty-subtext">Your preset looks cache-friendly!</div>
-        </div></div>`;
-    }
-    const order = { critical: 0, warning: 1, info: 2 };
-    const sorted = [...findings].sort((a, b) => (order[a.severity] || 3) - (order[b.severity] || 3));
-    return `<div class="ca-findings-list">${sorted.map(f => renderFindingCard(f)).join('')}</div>`;
-}
+// prompt_order block shown in the dashboard; null follows the analyzer default
+let selectedCharacterId = null;
 
-function renderPromptViz(preset) {
-    if (!preset || !preset.prompt_order) return '';
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-    const enabledEntries = orderArray.filter(e => e.enabled);
-    if (enabledEntries.length === 0) return '';
-
-    const promptMap = {};
-    for (const p of preset.prompts) promptMap[p.identifier] = p;
-
-    const rows = enabledEntries.map(entry => {
-        const prompt = promptMap[entry.identifier];
-        const content = prompt ? prompt.content : '';
-        const vol = isVolatile(entry.identifier, content);
-        const dotClass = vol ? 'ca-dot-volatile' : 'ca-dot-stable';
-        const tagClass = vol ? 'ca-tag-volatile' : 'ca-tag-stable';
-        const tagText = vol ? 'volatile' : 'stable';
-        const name = escapeHtml(prompt ? prompt.name : entry.identifier);
-        return `<div class="ca-prompt-entry">
-            <div class="ca-prompt-dot ${dotClass}"></div>
-            <span class="ca-prompt-name">${name}</span>
-            <span class="ca-prompt-tag ${tagClass}">${tagText}</span>
-        </div>`;
-    });
+// Cached wrapper around ST's exact counter, rebuilt when the provider or model changes
+let stTokenizer = null;
 
-    return `<div class="ca-prompt-viz">
-        <div class="ca-prompt-viz-title">Prompt Order</div>
-        ${rows.join('')}
-    </div>`;
-}
+// Last optimizePreset() result, kept for the export and apply buttons
+let lastOptimization = null;
 
-function renderEmptyState() {
-    return `<div class="ca-empty-state">
-        <div class="ca-empty-icon">\uD83D\uDD25</div>
-        <div class="ca-empty-text">Click Analyze to scan your preset</div>
-        <div class="ca-empty-subtext">Check for cache efficiency issues across all providers</div>
-    </div>`;
-}
+// Last results shown, so a finding's Apply button can find its fix
+let lastResults = null;
 
-function renderLoadingState() {
-    return `<div class="ca-loading-state">
-        <div class="ca-loading-dots">
-            <div class="ca-loading-dot"></div>
-            <div class="ca-loading-dot"></div>
-            <div class="ca-loading-dot"></div>
-        </div>
-        <div class="ca-loading-text">Analyzing preset...</div>
-    </div>`;
-}
+// Preset and cache settings as the extension last saved them. The code that
+// saved runs the analysis itself, so the SETTINGS_UPDATED that save raises is
+// skipped — unless the settings no longer match, i.e. the user changed them too
+let ownSaveState = null;
 
-function renderResults(results, preset) {
-    if (!results) return renderEmptyState();
-    return renderScoreBar(results.score) +
-        renderSummaryPills(results.summary) +
-        renderFindingsList(results.findings) +
-        renderPromptViz(preset);
-}
-
-// ============================================================
-// Dashboard DOM Management
-// ============================================================
-
-let panelBody = null;
-let analyzeBtn = null;
+// Snapshots taken before each applied fix or optimization
+const undoStack = createUndoStack();
 
 function createSettingsHTML() {
     return `<div class="cache-analyzer-settings">
@@ -525,12 +146,30 @@ function createSettingsHTML() {
             </div>
             <div class="inline-drawer-content" id="ca-drawer-content">
                 <div class="cache-analyzer">
+                    <div class="ca-connection" id="ca-connection"></div>
                     <div style="margin-bottom: 10px;">
                         <button class="ca-btn-analyze menu_button" id="ca-btn-analyze">Analyze</button>
+                        <button class="ca-btn-analyze menu_button" id="ca-btn-optimize">Optimize</button>
+                        <button class="ca-btn-analyze menu_button" id="ca-btn-compare">Compare</button>
+                        <button class="menu_button ca-btn-secondary" id="ca-btn-undo" disabled>Undo</button>
                     </div>
                     <div id="ca-body">
                         ${renderEmptyState()}
                     </div>
+                    <div class="inline-drawer">
+                        <div class="inline-drawer-toggle inline-drawer-header">
+                            <b>Pricing</b>
+                            <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                        </div>
+                        <div class="inline-drawer-content" id="ca-pricing-body"></div>
+                    </div>
+                    <div class="inline-drawer">
+                        <div class="inline-drawer-toggle inline-drawer-header">
+                            <b>Claude caching</b>
+                            <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                        </div>
+                        <div class="inline-drawer-content" id="ca-cache-control-body"></div>
+                    </div>
                 </div>
             </div>
         </div>
@@ -550,12 +189,103 @@ function initDashboard() {
         showLoading();
         setTimeout(function () { runAnalysis(); }, 50);
     });
+
+    $('#ca-btn-optimize').on('click', function (e) {
+        e.stopPropagation();
+        showLoading();
+        setTimeout(function () { runOptimization(); }, 50);
+    });
+
+    $(document).on('click', '#ca-btn-export', function () {
+        if (lastOptimization) exportOptimizedPreset(lastOptimization.preset);
+    });
+
+    $(document).on('click', '#ca-btn-apply', function () {
+        if (lastOptimization) applyOptimizedPreset(lastOptimization.preset);
+    });
+
+    renderPricing();
+
+    $(document).on('change', '.ca-pricing-input', function () {
+        const { provider, model, field } = this.dataset;
+        const value = Number(this.value);
+        if (!Number.isFinite(value) || value < 0) return;
+        const settings = getSettings();
+        // Settings saved before pricing existed have no table yet
+        const pricing = settings.pricing || (settings.pricing = {});
+        pricing[provider] = pricing[provider] || {};
+        pricing[provider][model] = Object.assign({}, pricing[provider][model], { [field]: value });
+        saveSettingsDebounced();
+    });
+
+    $(document).on('change', '.ca-session-input', function () {
+        const settings = getSettings();
+        const turns = Math.round(Number($('#ca-session-turns').val()));
+        const messageTokens = Math.round(Number($('#ca-session-message-tokens').val()));
+        settings.session = {
+            turns: turns > 0 ? turns : DEFAULT_SESSION.turns,
+            messageTokens: messageTokens > 0 ? messageTokens : DEFAULT_SESSION.messageTokens,
+        };
+        saveSettingsDebounced();
+    });
+
+    $(document).on('click', '#ca-btn-pricing-reset', function () {
+        getSettings().pricing = {};
+        saveSettingsDebounced();
+        renderPricing();
+    });
+
+    $('#ca-cache-control-body').html(renderCacheControlEditor(getCacheControl()));
+
+    $(document).on('change', '.ca-cache-control-input', function () {
+        const depth = Math.round(Number($('#ca-cache-depth').val()));
+        getSettings().cacheControl = {
+            systemPromptCache: $('#ca-cache-system').prop('checked'),
+            cachingAtDepth: depth >= 0 ? depth : -1,
+        };
+        if (getSettings().autoAnalyze) ownSaveState = getAnalyzedState();
+        saveSettingsDebounced();
+        if (getSettings().autoAnalyze) runAnalysis();
+    });
+
+    $('#ca-btn-compare').on('click', function (e) {
+        e.stopPropagation();
+        showComparePicker();
+    });
+
+    $(document).on('click', '#ca-btn-compare-run', function () {
+        const name = $('#ca-compare-select').val();
+        showLoading();
+        setTimeout(function () { runComparison(name); }, 50);
+    });
+
+    $(document).on('click', '.ca-btn-fix', function () {
+        applyFindingFix(this.dataset.findingId);
+    });
+
+    $('#ca-btn-undo').on('click', function (e) {
+        e.stopPropagation();
+        undoLastFix();
+    });
+
+    $(document).on('click', '#ca-btn-back', function () {
+        lastOptimization = null;
+        runAnalysis();
+    });
+
+    // Switching prompt_order block re-renders with that block's results
+    $(document).on('change', '#ca-order-select', function () {
+        selectedCharacterId = this.value;
+        runAnalysis();
+    });
 }
 
-function updateDashboard(results, preset) {
+function updateDashboard(results, model, orderResults, typeResults, connection) {
     if (!panelBody) return;
     if (analyzeBtn) analyzeBtn.classList.remove('ca-loading');
-    panelBody.innerHTML = renderResults(results, preset);
+    panelBody.innerHTML = renderAssumedProvider(connection) +
+        renderOrderSelector(orderResults, results.characterId) +
+        renderDashboard(results, getPromptEntries(model.preset, results.findings, { model }), typeResults);
 
     // Trigger score bar animation after render
     requestAnimationFrame(function () {
@@ -564,6 +294,36 @@ function updateDashboard(results, preset) {
     });
 }
 
+function updateUndoButton() {
+    const button = document.getElementById('ca-btn-undo');
+    if (!button) return;
+    button.disabled = undoStack.size === 0;
+    button.title = undoStack.size > 0 ? `Undo: ${undoStack.peek()}` : 'Nothing to undo';
+}
+
+function showOptimization(result, cost) {
+    if (!panelBody) return;
+    if (analyzeBtn) analyzeBtn.classList.remove('ca-loading');
+    panelBody.innerHTML = renderOptimization(result, cost);
+}
+
+function renderPricing() {
+    const settings = getSettings();
+    $('#ca-pricing-body').html(renderPricingEditor(mergePricing(settings.pricing), getSession()));
+}
+
+function showComparePicker() {
+    if (!panelBody) return;
+    const manager = getOpenAIPresetManager();
+    panelBody.innerHTML = renderComparePicker(getSavedPresetNames(), manager ? manager.getSelectedPresetName() : null);
+}
+
+function showComparison(result, labels) {
+    if (!panelBody) return;
+    if (analyzeBtn) analyzeBtn.classList.remove('ca-loading');
+    panelBody.innerHTML = renderComparison(result, labels);
+}
+
 function showLoading() {
     if (!panelBody) return;
     if (analyzeBtn) analyzeBtn.classList.add('ca-loading');
@@ -580,16 +340,31 @@ function showEmpty() {
 // ST Integration
 // ============================================================
 
-function detectProvider() {
+// Provider and model to analyze for: the live connection, unless the
+// provider setting pins one
+function getConnection() {
+    const settings = getSettings();
+    if (settings.provider && settings.provider !== 'auto') {
+        return { source: null, provider: settings.provider, modelId: null, assumed: false, profile: getProviderProfile(settings.provider) };
+    }
     try {
-        if (typeof oai_settings !== 'undefined') {
-            const source = oai_settings.chat_completion_source;
-            if (source === 'claude') return 'anthropic';
-            if (source === 'openai') return 'openai';
-            if (source === 'google') return 'google';
-        }
-    } catch (e) { /* not in ST environment */ }
-    return 'anthropic';
+        return detectConnection(typeof oai_settings !== 'undefined' ? oai_settings : null);
+    } catch (e) {
+        return detectConnection(null);
+    }
+}
+
+// cache_control placement for Claude: the mirrored config.yaml settings, plus
+// whether the connection sends a real system prompt
+function getCacheControl() {
+    const settings = getSettings();
+    return Object.assign({}, DEFAULT_CACHE_CONTROL, settings.cacheControl, {
+        useSystemPrompt: typeof oai_settings !== 'undefined' && !!oai_settings.claude_use_sysprompt,
+    });
+}
+
+function updateConnection(connection) {
+    $('#ca-connection').html(renderConnection(connection || getConnection()));
 }
 
 function getCurrentPreset() {
@@ -601,6 +376,14 @@ function getCurrentPreset() {
             squash_system_messages: oai_settings.squash_system_messages || false,
             stream_openai: oai_settings.stream_openai || false,
             openai_max_context: oai_settings.openai_max_context || 0,
+            claude_use_sysprompt: oai_settings.claude_use_sysprompt || false,
+            // Unset text settings fall back to ST's defaults (DEFAULT_GENERATION_SETTINGS)
+            assistant_prefill: oai_settings.assistant_prefill,
+            assistant_impersonation: oai_settings.assistant_impersonation,
+            continue_prefill: oai_settings.continue_prefill || false,
+            continue_postfix: oai_settings.continue_postfix,
+            continue_nudge_prompt: oai_settings.continue_nudge_prompt,
+            impersonation_prompt: oai_settings.impersonation_prompt,
         };
     } catch (e) {
         console.error('[Cache Analyzer] Could not read preset data:', e);
@@ -608,6 +391,106 @@ function getCurrentPreset() {
     }
 }
 
+// Everything a save can change that the analysis reads, for telling the
+// extension's own saves from the user's
+function getAnalyzedState() {
+    return JSON.stringify({ preset: getCurrentPreset(), cacheControl: getCacheControl() });
+}
+
+// The settings object ST's prompt manager edits — oai_settings in practice
+function getLiveSettings() {
+    return (promptManager && promptManager.serviceSettings) || oai_settings;
+}
+
+// Saves prompt changes made outside the prompt manager and redraws it
+function savePromptChanges() {
+    const settings = getLiveSettings();
+    $('#squash_system_messages').prop('checked', !!settings.squash_system_messages);
+    $('#continue_prefill').prop('checked', !!settings.continue_prefill);
+
+    ownSaveState = getAnalyzedState();
+    if (promptManager && typeof promptManager.saveServiceSettings === 'function') {
+        promptManager.saveServiceSettings();
+        promptManager.render?.();
+    } else {
+        saveSettingsDebounced();
+    }
+    updateUndoButton();
+}
+
+// ST counts with the selected model's real tokenizer, but only asynchronously.
+// The offline counter answers first; flush() then fills the cache.
+function getSillyTavernTokenizer(provider, modelId) {
+    try {
+        const context = getContext();
+        if (typeof context.getTokenCountAsync !== 'function') return null;
+        if (!stTokenizer || stTokenizer.provider !== provider || stTokenizer.modelId !== modelId) {
+            stTokenizer = {
+                provider,
+                modelId,
+                tokenizer: createCachedTokenizer(text => context.getTokenCountAsync(text), getTokenizer(provider, modelId)),
+            };
+        }
+        return stTokenizer.tokenizer;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Prompts extensions registered for the next generation (Author's Note, Summarize,
+// Vector Storage, the character's depth prompt, ...). Filters may be async.
+async function getExtensionPrompts() {
+    try {
+        const registered = getContext().extensionPrompts || {};
+        const prompts = {};
+        for (const [key, prompt] of Object.entries(registered)) {
+            if (!prompt || (typeof prompt.filter === 'function' && !(await prompt.filter()))) continue;
+            prompts[key] = prompt;
+        }
+        return prompts;
+    } catch (e) {
+        console.warn('[Cache Analyzer] Could not read extension prompts:', e);
+        return null;
+    }
+}
+
+// Active lorebooks (global, character, chat and persona) and the chat their keywords are scanned against
+async function getWorldInfo() {
+    try {
+        const entries = await getSortedEntries();
+        if (!Array.isArray(entries) || entries.length === 0) return null;
+        const chat = (getContext().chat || [])
+            .filter(message => !message.is_system)
+            .map(message => ({ role: message.is_user ? 'user' : 'assistant', content: message.mes || '' }));
+        return { entries, chat, scanDepth: world_info_depth };
+    } catch (e) {
+        console.warn('[Cache Analyzer] Could not read World Info:', e);
+        return null;
+    }
+}
+
+// Author's Note schedule (chat metadata) and Summarize's update interval, for the
+// session replay. The summary text is whatever Summarize registered last.
+function getPeriodicPrompts() {
+    try {
+        const context = getContext();
+        const metadata = context.chatMetadata || {};
+        const memory = (context.extensionSettings || {}).memory;
+        const summary = (context.extensionPrompts || {})['1_memory'];
+        return {
+            authorsNote: metadata.note_prompt
+                ? { content: metadata.note_prompt, interval: metadata.note_interval, depth: metadata.note_depth, position: metadata.note_position, role: metadata.note_role }
+                : null,
+            summary: memory && !memory.memoryFrozen
+                ? { content: summary ? summary.value : '', interval: memory.promptInterval, depth: memory.depth, position: memory.position, role: memory.role }
+                : null
+        };
+    } catch (e) {
+        console.warn("[Cache Analyzer] Could not read Author's Note or Summarize settings:", e);
+        return null;
+    }
+}
+
 function getSettings() {
     try {
         const context = getContext();
@@ -620,7 +503,24 @@ function getSettings() {
     }
 }
 
-function runAnalysis() {
+// Everything the analysis reads about the live request: connection, ST's
+// counter, cache_control settings, lorebooks and extension prompts. Every view
+// of the current preset starts from these so they describe the same request.
+async function getAnalysisOptions(connection = getConnection()) {
+    const { provider, modelId } = connection;
+    return {
+        provider,
+        modelId,
+        generationType: DEFAULT_GENERATION_TYPE,
+        tokenizer: getSillyTavernTokenizer(provider, modelId),
+        cacheControl: getCacheControl(),
+        worldInfo: await getWorldInfo(),
+        extensionPrompts: await getExtensionPrompts(),
+        periodicPrompts: getPeriodicPrompts(),
+    };
+}
+
+async function runAnalysis() {
     const preset = getCurrentPreset();
     if (!preset) {
         console.warn('[Cache Analyzer] No preset data available');
@@ -628,33 +528,269 @@ function runAnalysis() {
         return null;
     }
 
-    const settings = getSettings();
-    const provider = settings.provider === 'auto' ? detectProvider() : settings.provider;
-    const results = analyze(preset, { provider });
+    const connection = getConnection();
+    updateConnection(connection);
+    const options = await getAnalysisOptions(connection);
+    let orderResults = analyzeOrders(preset, options);
+    // Texts ST had not counted yet were estimated — count them and score again
+    if (options.tokenizer && await options.tokenizer.flush() > 0) {
+        orderResults = analyzeOrders(preset, options);
+    }
+    if (orderResults.length === 0) {
+        showEmpty();
+        return null;
+    }
 
-    updateDashboard(results, preset);
+    // The prompt order view shows what the analyzed generation type sends
+    const model = normalizePreset(preset, Object.assign({}, options, { characterId: selectedCharacterId }));
+    const results = orderResults.find(r => r.characterId === model.characterId) || orderResults[0];
+
+    // Entries limited by injection_trigger make each generation type its own prompt
+    const triggered = model.order.some(entry => entry.enabled && entry.injectionTrigger.length > 0);
+    const typeResults = triggered
+        ? analyzeGenerationTypes(preset, Object.assign({}, options, { characterId: model.characterId }))
+        : null;
+
+    lastResults = results;
+    updateDashboard(results, model, orderResults, typeResults, connection);
     return results;
 }
 
+async function runOptimization() {
+    const preset = getCurrentPreset();
+    if (!preset) {
+        showEmpty();
+        return null;
+    }
+
+    const options = await getAnalysisOptions();
+    lastOptimization = optimizePreset(preset, Object.assign({}, options, { characterId: selectedCharacterId }));
+    if (!lastOptimization) {
+        showEmpty();
+        return null;
+    }
+
+    showOptimization(lastOptimization, runCostEstimate(preset, options, lastOptimization.preset));
+    return lastOptimization;
+}
+
+function getSession() {
+    return Object.assign({}, DEFAULT_SESSION, getSettings().session);
+}
+
+// Session cost of the current preset vs `optimized` (optimizes when omitted),
+// with the options from getAnalysisOptions
+function runCostEstimate(preset, options, optimized) {
+    const settings = getSettings();
+    return estimateSavings(preset, Object.assign({}, options, {
+        characterId: selectedCharacterId,
+        pricing: settings.pricing,
+        session: getSession(),
+        optimized,
+    }));
+}
+
+function getOpenAIPresetManager() {
+    try {
+        return getContext().getPresetManager('openai') || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function getSavedPresetNames() {
+    const manager = getOpenAIPresetManager();
+    try {
+        return manager ? manager.getAllPresets() : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// The saved preset with the optimized prompt fields laid over it, so the
+// exported file keeps samplers and every other setting
+function getSavedPreset() {
+    const manager = getOpenAIPresetManager();
+    if (!manager) return { name: 'preset', preset: {} };
+    const name = manager.getSelectedPresetName();
+    return { name, preset: manager.getCompletionPresetByName(name) || {} };
+}
+
+function exportOptimizedPreset(optimized) {
+    const saved = getSavedPreset();
+    const merged = Object.assign({}, saved.preset, {
+        prompts: optimized.prompts,
+        prompt_order: optimized.prompt_order,
+        squash_system_messages: optimized.squash_system_messages,
+    });
+    download(exportPreset(merged), `${saved.name} (cache-optimized).json`, 'application/json');
+}
+
+// styles.css next to this file, inlined into HTML reports
+async function getStylesheet() {
+    try {
+        const response = await fetch(new URL('./ui/styles.css', import.meta.url));
+        return response.ok ? await response.text() : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+// Copies or downloads a shareable report of `results` for the current preset
+async function exportReport(results, action, format) {
+    const { name } = getSavedPreset();
+    const options = Object.assign(await getAnalysisOptions(), { characterId: results.characterId });
+    const entries = getPromptEntries(getCurrentPreset(), results.findings, options);
+    const sections = [{ title: name, results, entries }];
+    const content = format === 'html'
+        ? renderHtmlReport(sections, { css: await getStylesheet() })
+        : renderMarkdownReport(sections);
+
+    if (action === 'copy') {
+        await copyText(content);
+        toastr.success('Cache report copied to clipboard');
+    } else {
+        const type = REPORT_TYPES[format];
+        download(content, `${name} (cache report).${type.extension}`, type.mime);
+    }
+}
+
+async function applyOptimizedPreset(optimized) {
+    const confirmed = await callGenericPopup(
+        'Replace the prompts and prompt order of the current preset with the optimized version? Save the preset afterwards to keep the change.',
+        POPUP_TYPE.CONFIRM,
+    );
+    if (!confirmed) return;
+
+    const settings = getLiveSettings();
+    undoStack.push('Optimized preset', snapshotPreset(settings));
+    settings.prompts = optimized.prompts;
+    settings.prompt_order = optimized.prompt_order;
+    settings.squash_system_messages = optimized.squash_system_messages;
+    savePromptChanges();
+
+    lastOptimization = null;
+    await runAnalysis();
+}
+
+async function applyFindingFix(findingId) {
+    const finding = lastResults && lastResults.findings.find(f => f.id === findingId);
+    if (!finding || !finding.fix) return;
+
+    const settings = getLiveSettings();
+    const snapshot = snapshotPreset(settings);
+    if (!applyFix(settings, finding.fix, { characterId: lastResults.characterId })) return;
+
+    undoStack.push(finding.fix.label, snapshot);
+    savePromptChanges();
+    await runAnalysis();
+}
+
+async function undoLastFix() {
+    const label = undoStack.undo(getLiveSettings());
+    if (label === null) return;
+
+    toastr.info(`Undid: ${label}`);
+    savePromptChanges();
+    await runAnalysis();
+}
+
+// Compares the current (possibly unsaved) preset against a saved one, for the
+// same request the dashboard analyzes
+async function runComparison(name) {
+    const manager = getOpenAIPresetManager();
+    const saved = manager && name ? manager.getCompletionPresetByName(name) : null;
+    const preset = getCurrentPreset();
+    if (!saved || !preset) {
+        showEmpty();
+        return null;
+    }
+
+    const options = Object.assign(await getAnalysisOptions(), { characterId: selectedCharacterId });
+    let result = compare(saved, preset, options);
+    if (result && options.tokenizer && await options.tokenizer.flush() > 0) {
+        result = compare(saved, preset, options);
+    }
+    if (!result) {
+        showEmpty();
+        return null;
+    }
+
+    // Apply buttons on new findings act on the current preset
+    lastResults = result.after;
+    showComparison(result, { before: name, after: 'Current' });
+    return result;
+}
+
 function registerSlashCommands() {
     try {
         if (typeof SlashCommandParser === 'undefined') return;
 
         SlashCommandParser.addCommandObject({
             name: 'cache-analyze',
-            callback: async function () { runAnalysis(); return ''; },
-            helpString: 'Run cache analysis on current preset',
+            callback: async function (args) {
+                const action = args && args.report;
+                const format = (args && args.format) || 'markdown';
+                if (action && !REPORT_ACTIONS.includes(action)) return `report= expects ${REPORT_ACTIONS.join(' or ')}`;
+                if (!REPORT_TYPES[format]) return `format= expects ${Object.keys(REPORT_TYPES).join(' or ')}`;
+
+                const results = await runAnalysis();
+                if (results && action) await exportReport(results, action, format);
+                return '';
+            },
+            helpString: 'Run cache analysis on current preset. report=copy|download also copies or downloads a shareable report; format=markdown (default) or html.',
         });
 
         SlashCommandParser.addCommandObject({
             name: 'cache-score',
             callback: async function () {
-                const results = runAnalysis();
+                const results = await runAnalysis();
                 if (!results) return 'No preset loaded';
-                return `Cache Efficiency Score: ${results.score}/100 (${results.summary.critical} critical, ${results.summary.warning} warnings, ${results.summary.info} info)`;
+                const hit = results.cache ? ` — next message cache hit ${Math.round(results.cache.hitRate * 100)}%` : '';
+                return `Cache Efficiency Score: ${results.score}/100 (${results.summary.critical} critical, ${results.summary.warning} warnings, ${results.summary.info} info)${hit}`;
             },
             helpString: 'Quick cache efficiency score check',
         });
+
+        SlashCommandParser.addCommandObject({
+            name: 'cache-types',
+            callback: async function () {
+                const preset = getCurrentPreset();
+                if (!preset) return 'No preset loaded';
+                const options = await getAnalysisOptions();
+                const typeResults = analyzeGenerationTypes(preset, Object.assign({}, options, { characterId: selectedCharacterId }));
+                if (typeResults.length === 0) return 'No preset loaded';
+                const rows = typeResults.map(r => `${r.generationType} ${r.score}/100, cache hit ${Math.round(r.prefix.hitRate * 100)}%`);
+                return `Per generation type: ${rows.join('; ')}`;
+            },
+            helpString: 'Score and cache hit per generation type (normal, continue, swipe, regenerate, impersonate, quiet); entries with an injection_trigger only count for the types they fire on',
+        });
+
+        SlashCommandParser.addCommandObject({
+            name: 'cache-cost',
+            callback: async function () {
+                const preset = getCurrentPreset();
+                const estimate = preset ? runCostEstimate(preset, await getAnalysisOptions()) : null;
+                if (!estimate) return 'No preset loaded';
+                if (estimate.message) return estimate.message;
+                const rows = estimate.models.map(row => `${row.model} $${row.current.toFixed(4)} \u2192 $${row.optimized.toFixed(4)}`);
+                return `Cost per ${estimate.session.turns}-turn session, current \u2192 optimized: ${rows.join(', ')}; time to first token ${estimate.latency.current} \u2192 ${estimate.latency.optimized} ms`;
+            },
+            helpString: 'Estimate input cost and latency per chat session for the current preset and its optimized layout',
+        });
+
+        SlashCommandParser.addCommandObject({
+            name: 'cache-compare',
+            callback: async function (args, name) {
+                const presetName = String(name || '').trim();
+                if (!presetName) return 'Usage: /cache-compare <saved preset name>';
+                const result = await runComparison(presetName);
+                if (!result) return `No saved preset named "${presetName}"`;
+                const { score, stablePrefixTokens, findings } = result;
+                return `Current vs "${presetName}": score ${score.before} \u2192 ${score.after} (${score.delta >= 0 ? '+' : ''}${score.delta}), stable prefix ${stablePrefixTokens.delta >= 0 ? '+' : ''}${stablePrefixTokens.delta} tokens, ${findings.added.length} new and ${findings.resolved.length} resolved findings`;
+            },
+            helpString: 'Compare the current preset with a saved preset by name',
+        });
     } catch (e) {
         console.warn('[Cache Analyzer] Could not register slash commands:', e);
     }
@@ -670,10 +806,33 @@ async function init() {
     // Inject UI panel into ST extensions drawer using ST's inline-drawer pattern
     initDashboard();
 
+    updateConnection();
+
+    // Switching API, model or connection profile changes which cache rules apply
+    const connectionEvents = [
+        event_types.CHATCOMPLETION_SOURCE_CHANGED,
+        event_types.CHATCOMPLETION_MODEL_CHANGED,
+        event_types.CONNECTION_PROFILE_LOADED,
+    ].filter(Boolean);
+    for (const event of connectionEvents) {
+        eventSource.on(event, function () {
+            if (getSettings().autoAnalyze) runAnalysis();
+            else updateConnection();
+        });
+    }
+
     // Register auto-analyze events
     if (settings.autoAnalyze) {
         eventSource.on(event_types.OAI_PRESET_CHANGED, function () { runAnalysis(); });
-        eventSource.on(event_types.SETTINGS_UPDATED, function () { runAnalysis(); });
+        eventSource.on(event_types.SETTINGS_UPDATED, function () {
+            const ownSave = ownSaveState !== null && ownSaveState === getAnalyzedState();
+            ownSaveState = null;
+            if (!ownSave) runAnalysis();
+        });
+        // Lorebook edits and switching lorebooks change what World Info is sent
+        for (const event of [event_types.WORLDINFO_UPDATED, event_types.WORLDINFO_SETTINGS_UPDATED].filter(Boolean)) {
+            eventSource.on(event, function () { runAnalysis(); });
+        }
     }
 
     // Register slash commands
@@ -0,0 +1,164 @@
+// rules/cache-breakpoints.js
+// Claude's cache_control placement: checks the breakpoints ST writes for the
+// configured cachingAtDepth and system prompt caching against the planner in
+// core/breakpoints.js and recommends a placement that is read back.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { getProviderProfile } = shared || require('../core/providers');
+const { planBreakpoints } = shared || require('../core/breakpoints');
+
+// Severity per finding kind — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    off: 'warning',
+    systemVolatile: 'warning',
+    depthMiss: 'warning',
+    plan: 'info'
+};
+
+function describePlacement(placement) {
+    return `claude.enableSystemPromptCache: ${placement.systemPromptCache}, claude.cachingAtDepth: ${placement.cachingAtDepth}`;
+}
+
+function describeTarget(breakpoint) {
+    const message = breakpoint.message;
+    return message.source === 'chat'
+        ? `a ${message.role} chat message`
+        : `the ${message.role} message starting with "${message.identifier}"`;
+}
+
+// Why the current settings write no breakpoint
+function describeNoBreakpoints(plan) {
+    const { cacheControl, system } = plan;
+    const depth = cacheControl.cachingAtDepth >= 0 ? '' : ', and cachingAtDepth is off';
+    if (cacheControl.systemPromptCache && !cacheControl.useSystemPrompt) {
+        return `System prompt caching is enabled, but claude_use_sysprompt is off, so the system prompt is not sent as a system block and gets no breakpoint${depth}.`;
+    }
+    if (cacheControl.systemPromptCache && system.messages === 0) {
+        return `System prompt caching is enabled, but the prompt does not start with system messages, so there is no system block to mark${depth}.`;
+    }
+    if (cacheControl.cachingAtDepth >= 0) {
+        return `cachingAtDepth ${cacheControl.cachingAtDepth} is deeper than the chat, so no message is marked.`;
+    }
+    return 'Neither system prompt caching nor cachingAtDepth is enabled.';
+}
+
+// Why no placement would be cached, from the planner's skip reason
+function describeSkipped(plan) {
+    const { skipped, stablePrefix } = plan;
+    if (skipped.reason === 'below-minimum') {
+        return `The longest prefix a breakpoint would read back is ${skipped.tokens} tokens, below the ${skipped.minTokens}-token minimum, so breakpoints would not be cached yet. Enable cachingAtDepth once the prompt grows past it.`;
+    }
+    const from = stablePrefix.breaksAt ? ` from the message starting with "${stablePrefix.breaksAt.identifier}"` : '';
+    return `The request changes${from} on every turn, so no breakpoint would be read back. Move the changing content below the chat history first.`;
+}
+
+function checkCacheBreakpoints(preset, options = {}) {
+    const findings = [];
+
+    // Only when the caller knows ST's cache_control settings
+    if (!options.cacheControl) return findings;
+
+    const profile = getProviderProfile(options.provider, options.modelId);
+    if (profile.family !== 'anthropic') return findings;
+
+    const plan = planBreakpoints(preset, options);
+    if (!plan) return findings;
+
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
+    const { current, recommended } = plan;
+    const meta = {
+        used: current.used,
+        maxBreakpoints: plan.maxBreakpoints,
+        cachedTokens: current.cachedTokens,
+        stablePrefixTokens: plan.stablePrefix.tokens,
+        totalTokens: plan.totalTokens,
+        current: { systemPromptCache: plan.cacheControl.systemPromptCache, cachingAtDepth: plan.cacheControl.cachingAtDepth },
+        recommended: { systemPromptCache: recommended.systemPromptCache, cachingAtDepth: recommended.cachingAtDepth, used: recommended.used, cachedTokens: recommended.cachedTokens }
+    };
+    const better = recommended.cachedTokens > current.cachedTokens;
+
+    if (current.used === 0) {
+        const sysprompt = plan.cacheControl.systemPromptCache && !plan.cacheControl.useSystemPrompt
+            ? ' To cache the system prompt as well, enable "Use system prompt" (claude_use_sysprompt) in the preset.'
+            : '';
+        findings.push({
+            id: 'cache-breakpoints-off',
+            rule: 'cache-breakpoints',
+            severity: severities.off,
+            title: 'No cache_control breakpoints',
+            description: `Claude only caches up to a cache_control breakpoint. ${describeNoBreakpoints(plan)} All ${plan.totalTokens} tokens are processed at full price on every request, although the first ${plan.stablePrefix.tokens} repeat from turn to turn.`,
+            affectedEntry: 'all',
+            recommendation: better
+                ? `Set ${describePlacement(recommended)} in SillyTavern's config.yaml to read ${recommended.cachedTokens} tokens from cache per request (${recommended.used} of ${plan.maxBreakpoints} breakpoints).${sysprompt}`
+                : describeSkipped(plan),
+            provider: profile.provider,
+            meta
+        });
+        return findings;
+    }
+
+    const system = current.breakpoints.find(b => b.kind === 'system');
+    if (system && !system.hit) {
+        findings.push({
+            id: 'cache-breakpoints-system-volatile',
+            rule: 'cache-breakpoints',
+            severity: severities.systemVolatile,
+            title: 'System prompt changes every turn',
+            description: 'System prompt caching is enabled, but the system prompt is different on the next request, so its breakpoint is written at the cache-write price every turn and never read.',
+            affectedEntry: plan.stablePrefix.breaksAt ? plan.stablePrefix.breaksAt.identifier : 'all',
+            recommendation: 'Move the changing content out of the system prompt, below the chat history, or disable claude.enableSystemPromptCache.',
+            provider: profile.provider,
+            meta
+        });
+    }
+
+    const depth = current.breakpoints.filter(b => b.kind === 'depth');
+    // ST marks depth and depth + 2; the first one is what the setting is for
+    if (depth.length > 0 && !depth[0].hit) {
+        const fallback = depth.length > 1 && depth[1].hit
+            ? ` Only the breakpoint at depth ${depth[1].depth} is read back, ${depth[0].tokens - depth[1].tokens} tokens short of it.`
+            : '';
+        findings.push({
+            id: 'cache-breakpoints-depth-miss',
+            rule: 'cache-breakpoints',
+            severity: severities.depthMiss,
+            title: `cachingAtDepth ${plan.cacheControl.cachingAtDepth} lands on a changing message`,
+            description: `The breakpoint at depth ${depth[0].depth} marks ${describeTarget(depth[0])}, which is different on the next request, so it is written every turn and never read.${fallback}`,
+            affectedEntry: depth[0].message.identifier,
+            recommendation: recommended.cachingAtDepth >= 0
+                ? `Set claude.cachingAtDepth to ${recommended.cachingAtDepth}, which marks messages that are still unchanged on the next request.`
+                : 'No depth keeps a cacheable prefix; disable claude.cachingAtDepth or move per-turn injections further from the end of the chat.',
+            provider: profile.provider,
+            meta
+        });
+    }
+
+    // The findings above already say what to change
+    if (better && findings.length === 0) {
+        findings.push({
+            id: 'cache-breakpoints-plan',
+            rule: 'cache-breakpoints',
+            severity: severities.plan,
+            title: 'Better cache_control placement available',
+            description: `The current breakpoints (${current.used} of ${plan.maxBreakpoints}) read ${current.cachedTokens} tokens from cache per request. ${describePlacement(recommended)} uses ${recommended.used} of ${plan.maxBreakpoints} and reads ${recommended.cachedTokens}.`,
+            affectedEntry: 'all',
+            recommendation: `Set ${describePlacement(recommended)} in SillyTavern's config.yaml.`,
+            provider: profile.provider,
+            meta
+        });
+    }
+
+    return findings;
+}
+
+const cacheBreakpointsRule = {
+    id: 'cache-breakpoints',
+    name: 'Cache Breakpoints',
+    providers: ['anthropic', 'openrouter'],
+    severity: DEFAULT_SEVERITY,
+    check: checkCacheBreakpoints
+};
+
+const api = { checkCacheBreakpoints, cacheBreakpointsRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
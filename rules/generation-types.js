@@ -0,0 +1,116 @@
+// rules/generation-types.js
+// Continues, swipes, regenerations and impersonations follow a normal reply
+// and should read the cache it wrote. The simulator models what each of them
+// sends — entries limited by injection_trigger, the continue nudge or prefill,
+// the assistant prefill, the impersonation prompt — and this rule flags the
+// types that keep less of the cached prefix than the next normal turn does.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel, DEFAULT_GENERATION_TYPE } = shared || require('../core/preset-model');
+const { getProviderProfile } = shared || require('../core/providers');
+const { computeGenerationDiff } = shared || require('../core/cache-diff');
+const { settingFix } = shared || require('../core/fixes');
+
+// Severity per finding kind — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    prefixLoss: 'warning',
+    continueNudge: 'info'
+};
+
+// Generations started on an existing turn; quiet ones run in the background
+const CHECKED_TYPES = ['continue', 'swipe', 'regenerate', 'impersonate'];
+
+function recommendFor(cause) {
+    switch (cause.kind) {
+        case 'trigger':
+            return `"${cause.name}" is only sent for some generation types. Move it after the chat history, so sending it or not only changes the end of the request.`;
+        case 'generation':
+            return `Keep the ${cause.name.toLowerCase()} short and free of per-generation macros, or switch it off for this preset.`;
+        case 'injection':
+            return `Raise the injection depth of "${cause.name}" or place it before the chat history, so the extra or missing message does not move it.`;
+        case 'macro':
+            return `Move "${cause.name}" after the chat history, or replace ${cause.macro} with a fixed value.`;
+        default:
+            return `Move "${cause.name}" after the chat history.`;
+    }
+}
+
+function checkGenerationTypes(preset, options = {}) {
+    const findings = [];
+
+    // analyzeGenerationTypes() runs every type; compare once, from the normal run
+    if (options.generationType && options.generationType !== DEFAULT_GENERATION_TYPE) return findings;
+
+    const model = resolveModel(preset, options);
+    if (!model) return findings;
+
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
+    const profile = getProviderProfile(options.provider, options.modelId);
+    const diffOptions = Object.assign({}, options, { model: null, characterId: model.characterId });
+    const diff = generationType => computeGenerationDiff(preset, Object.assign({}, diffOptions, { generationType }));
+
+    const normal = diff(DEFAULT_GENERATION_TYPE);
+    const diffs = {};
+    for (const generationType of CHECKED_TYPES) {
+        const result = diffs[generationType] = diff(generationType);
+        if (result.divergence.charOffset >= normal.divergence.charOffset) continue;
+
+        const lostTokens = Math.max(0, normal.prefixTokens - result.prefixTokens);
+        findings.push({
+            id: `generation-types-${generationType}-prefix-loss`,
+            rule: 'generation-types',
+            severity: severities.prefixLoss,
+            title: `${generationType[0].toUpperCase()}${generationType.slice(1)} invalidates more of the cache than a normal turn`,
+            description: `A ${generationType} after a normal reply shares ${result.prefixTokens} tokens with the request before it, ${lostTokens} fewer than the next normal turn. It stops matching at "${result.cause.name}".`,
+            affectedEntry: result.cause.identifier || 'all',
+            recommendation: recommendFor(result.cause),
+            provider: profile.provider,
+            meta: {
+                generationType,
+                prefixTokens: result.prefixTokens,
+                normalPrefixTokens: normal.prefixTokens,
+                lostTokens,
+                cause: result.cause.kind
+            }
+        });
+    }
+
+    // Claude can continue from a prefill, which keeps the previous request as
+    // prefix; without it the continued message lands inside the chat history
+    if (profile.family === 'anthropic' && !model.generationSettings.continuePrefill) {
+        const withPrefill = computeGenerationDiff(Object.assign({}, preset, { continue_prefill: true }),
+            Object.assign({}, diffOptions, { generationType: 'continue' }));
+        const nudged = diffs.continue;
+        if (withPrefill && withPrefill.divergence.charOffset > nudged.divergence.charOffset) {
+            findings.push({
+                id: 'generation-types-continue-nudge',
+                rule: 'generation-types',
+                severity: severities.continueNudge,
+                title: 'Continue sends a nudge instead of a prefill',
+                description: `continue_prefill is off, so a continue sends the message being continued as chat history, followed by the continue nudge, and everything after the chat is resent like on a new turn. As a prefill, the continue would share ${withPrefill.prefixTokens} tokens with the request before it instead of ${nudged.prefixTokens}.`,
+                affectedEntry: 'all',
+                recommendation: 'Turn on continue_prefill ("Continue prefill" in the chat completion settings).',
+                fix: settingFix('continue_prefill', true),
+                provider: profile.provider,
+                meta: {
+                    prefixTokens: nudged.prefixTokens,
+                    prefillPrefixTokens: withPrefill.prefixTokens
+                }
+            });
+        }
+    }
+
+    return findings;
+}
+
+const generationTypesRule = {
+    id: 'generation-types',
+    name: 'Generation Types',
+    providers: ['all'],
+    severity: DEFAULT_SEVERITY,
+    check: checkGenerationTypes
+};
+
+const api = { checkGenerationTypes, generationTypesRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -1,4 +1,94 @@
-// rules/index.js — Stub
-// Will aggregate all rules in a future session.
+// rules/index.js — Rule registry
+// Every rule is a descriptor { id, name, providers, severity, check }.
+// analyze() runs whatever is registered here, so house rules can be added
+// with registerRule() without touching analyzer.js.
+
+// Node resolves siblings through require(); in the browser each rule file has
+// already registered itself on globalThis.CacheAnalyzer (see index.js imports).
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { macroPlacementRule } = shared || require('./macro-placement');
+const { promptOrderingRule } = shared || require('./prompt-ordering');
+const { tokenThresholdsRule } = shared || require('./token-thresholds');
+const { injectionDepthRule } = shared || require('./injection-depth');
+const { providerSpecificRule } = shared || require('./provider-specific');
+const { cacheBreakpointsRule } = shared || require('./cache-breakpoints');
+const { generationTypesRule } = shared || require('./generation-types');
+const { worldInfoRule } = shared || require('./world-info');
+const { variableFlowRule } = shared || require('./variable-flow');
+const { periodicPromptsRule } = shared || require('./periodic-prompts');
+
 const rules = [];
-if (typeof module !== 'undefined') module.exports = { rules };
+
+function registerRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+        throw new Error('Rule must declare a string id');
+    }
+    if (typeof rule.check !== 'function') {
+        throw new Error(`Rule "${rule.id}" must declare a check function`);
+    }
+
+    const descriptor = {
+        id: rule.id,
+        name: rule.name || rule.id,
+        providers: Array.isArray(rule.providers) && rule.providers.length > 0 ? rule.providers : ['all'],
+        severity: rule.severity || {},
+        enabled: rule.enabled !== false,
+        check: rule.check
+    };
+
+    // Re-registering an id replaces the previous rule (lets house rules override built-ins)
+    const existing = rules.findIndex(r => r.id === descriptor.id);
+    if (existing !== -1) {
+        rules[existing] = descriptor;
+    } else {
+        rules.push(descriptor);
+    }
+    return descriptor;
+}
+
+function unregisterRule(id) {
+    const index = rules.findIndex(r => r.id === id);
+    if (index === -1) return false;
+    rules.splice(index, 1);
+    return true;
+}
+
+function getRule(id) {
+    return rules.find(r => r.id === id) || null;
+}
+
+function getRules() {
+    return rules.slice();
+}
+
+// A rule applies when it targets 'all' providers or the one being analyzed
+function appliesToProvider(rule, provider) {
+    if (rule.providers.includes('all')) return true;
+    return !!provider && rule.providers.includes(provider);
+}
+
+// options.rules maps rule id → boolean and overrides the rule's own default
+function isRuleEnabled(rule, options = {}) {
+    const toggles = options.rules || {};
+    if (Object.prototype.hasOwnProperty.call(toggles, rule.id)) {
+        return toggles[rule.id] !== false;
+    }
+    return rule.enabled;
+}
+
+[
+    macroPlacementRule,
+    promptOrderingRule,
+    tokenThresholdsRule,
+    injectionDepthRule,
+    providerSpecificRule,
+    cacheBreakpointsRule,
+    generationTypesRule,
+    worldInfoRule,
+    variableFlowRule,
+    periodicPromptsRule
+].forEach(registerRule);
+
+const api = { rules, registerRule, unregisterRule, getRule, getRules, appliesToProvider, isRuleEnabled };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -1,61 +1,59 @@
 // rules/injection-depth.js
 // Checks for injection entries at shallow depths that disrupt the cache prefix.
 
-const DYNAMIC_MACRO_REGEX = /\{\{(random|roll|time|date|weekday|isotime|isodate|idle_duration|time_UTC)(::|\}\})/gi;
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel, INJECTION_POSITION } = shared || require('../core/preset-model');
+const { setPromptFieldFix } = shared || require('../core/fixes');
 
-function hasDynamicMacros(content) {
-    if (!content) return false;
-    DYNAMIC_MACRO_REGEX.lastIndex = 0;
-    return DYNAMIC_MACRO_REGEX.test(content);
-}
+// Injections at this depth or deeper are not flagged
+const SAFE_DEPTH = 4;
+
+// Severity per depth/content combination — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    dynamicShallow: 'critical',
+    staticShallow: 'warning',
+    dynamicNear: 'warning',
+    staticNear: 'info'
+};
 
 function checkInjectionDepth(preset, options = {}) {
     const findings = [];
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
 
-    if (!preset || !preset.prompts || !preset.prompt_order) {
+    const model = resolveModel(preset, options);
+    if (!model) {
         return findings;
     }
 
-    // Get the prompt order array — handle the nested character_id structure
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-
-    // Filter to only enabled entries
-    const enabledIdentifiers = new Set(
-        orderArray.filter(entry => entry.enabled).map(entry => entry.identifier)
-    );
-
-    // Check each enabled prompt with injection_position === 1 (in-chat injection)
-    for (const prompt of preset.prompts) {
-        if (!prompt.enabled) continue;
-        if (!enabledIdentifiers.has(prompt.identifier)) continue;
-        if (prompt.injection_position !== 1) continue;
+    // Check each enabled in-chat injection (injection_position === 1)
+    for (const prompt of model.entries) {
+        if (!prompt.promptEnabled || prompt.missing) continue;
+        if (prompt.injectionPosition !== INJECTION_POSITION.IN_CHAT) continue;
 
-        const depth = prompt.injection_depth;
+        const depth = prompt.injectionDepth;
 
         // Depth 4+ → no finding (deep enough to not disrupt prefix)
-        if (depth === null || depth === undefined || depth >= 4) continue;
+        if (depth === null || depth >= SAFE_DEPTH) continue;
 
-        const isDynamic = hasDynamicMacros(prompt.content);
+        // Dynamic macros, or a getvar whose variable depends on one
+        const isDynamic = prompt.volatile;
 
         let severity;
         if (depth <= 1 && isDynamic) {
             // Dynamic content at depth 0-1 → critical
-            severity = 'critical';
+            severity = severities.dynamicShallow;
         } else if (depth <= 1) {
             // Static content at depth 0-1 → warning
-            severity = 'warning';
+            severity = severities.staticShallow;
         } else if (isDynamic) {
             // Dynamic content at depth 2-3 → warning
-            severity = 'warning';
+            severity = severities.dynamicNear;
         } else {
             // Static content at depth 2-3 → info
-            severity = 'info';
+            severity = severities.staticNear;
         }
 
-        const entryName = prompt.name || prompt.identifier;
+        const entryName = prompt.name;
 
         findings.push({
             id: `injection-depth-${prompt.identifier}`,
@@ -64,12 +62,16 @@ function checkInjectionDepth(preset, options = {}) {
             title: `${isDynamic ? 'Dynamic' : 'Static'} content injected at shallow depth ${depth}`,
             description: `"${entryName}" is injected into chat at depth ${depth}${isDynamic ? ' with dynamic macros' : ''}. Shallow injections near the end of conversation disrupt the cacheable portion of recent messages.`,
             affectedEntry: prompt.identifier,
-            recommendation: `Consider increasing the injection depth to 4+ or moving this content to a fixed prompt position to preserve cache efficiency.`,
+            recommendation: prompt.extensionKey
+                ? `Raise its depth to ${SAFE_DEPTH}+ in ${prompt.settings}, or insert it before the main prompt if it changes rarely.`
+                : `Consider increasing the injection depth to ${SAFE_DEPTH}+ or moving this content to a fixed prompt position to preserve cache efficiency.`,
+            fix: setPromptFieldFix(prompt, 'injection_depth', SAFE_DEPTH),
             provider: 'all',
             meta: {
                 depth: depth,
-                injectionPosition: prompt.injection_position,
-                hasDynamicContent: isDynamic
+                injectionPosition: prompt.injectionPosition,
+                hasDynamicContent: isDynamic,
+                extensionKey: prompt.extensionKey || null
             }
         });
     }
@@ -77,4 +79,14 @@ function checkInjectionDepth(preset, options = {}) {
     return findings;
 }
 
-if (typeof module !== 'undefined') module.exports = { checkInjectionDepth };
+const injectionDepthRule = {
+    id: 'injection-depth',
+    name: 'Injection Depth',
+    providers: ['all'],
+    severity: DEFAULT_SEVERITY,
+    check: checkInjectionDepth
+};
+
+const api = { checkInjectionDepth, injectionDepthRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -2,88 +2,102 @@
 // Checks for dynamic macros placed in early prompt positions that would
 // invalidate the cached prefix.
 
-const DYNAMIC_MACRO_REGEX = /\{\{(random|roll|time|date|weekday|isotime|isodate|idle_duration|time_UTC)(::|\}\})/gi;
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel, INJECTION_POSITION } = shared || require('../core/preset-model');
+const { findDynamicMacros, MACRO_VOLATILITY } = shared || require('../core/macros');
+const { moveEntryFix } = shared || require('../core/fixes');
+
+// Severity per placement bucket — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    firstEntry: 'critical',
+    earlyEntry: 'warning',
+    lateEntry: 'info'
+};
 
 function checkMacroPlacement(preset, options = {}) {
     const findings = [];
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
 
-    if (!preset || !preset.prompts || !preset.prompt_order) {
+    const model = resolveModel(preset, options);
+    if (!model) {
         return findings;
     }
 
-    // Get the prompt order array — handle the nested character_id structure
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-
-    // Filter to only enabled entries in prompt_order
-    const enabledEntries = orderArray.filter(entry => entry.enabled);
+    const enabledEntries = model.entries;
     const totalEntries = enabledEntries.length;
 
     if (totalEntries === 0) {
         return findings;
     }
 
-    // Build a lookup map from identifier to prompt content
-    const promptMap = {};
-    for (const prompt of preset.prompts) {
-        promptMap[prompt.identifier] = prompt;
-    }
+    // Relative entries before the chat history can be moved behind it
+    const historyIndex = enabledEntries.findIndex(entry => entry.identifier === 'chatHistory');
 
     // For each enabled entry in order, scan for dynamic macros
     for (let entryIndex = 0; entryIndex < enabledEntries.length; entryIndex++) {
         const entry = enabledEntries[entryIndex];
-        const prompt = promptMap[entry.identifier];
 
-        if (!prompt || !prompt.content) {
+        if (entry.missing || !entry.content) {
             continue;
         }
 
-        // Reset regex lastIndex since we reuse it
-        DYNAMIC_MACRO_REGEX.lastIndex = 0;
+        const macros = findDynamicMacros(entry.content);
 
-        let match;
-        let macroIndex = 0;
-
-        while ((match = DYNAMIC_MACRO_REGEX.exec(prompt.content)) !== null) {
-            const macroFound = `{{${match[1]}}}`;
+        for (let macroIndex = 0; macroIndex < macros.length; macroIndex++) {
+            const macroFound = macros[macroIndex].macro;
+            const volatility = macros[macroIndex].volatility;
+            const changes = volatility === MACRO_VOLATILITY.PER_MESSAGE
+                ? 'This changes with every new chat message'
+                : 'This changes every generation';
             const positionPercent = entryIndex / totalEntries;
 
             // Assign severity
             let severity;
             if (entryIndex === 0) {
-                severity = 'critical';
+                severity = severities.firstEntry;
             } else if (positionPercent < 0.4) {
-                severity = 'warning';
+                severity = severities.earlyEntry;
             } else {
-                severity = 'info';
+                severity = severities.lateEntry;
             }
 
-            const entryName = prompt.name || entry.identifier;
+            const entryName = entry.name;
+            const movable = entryIndex < historyIndex && entry.injectionPosition === INJECTION_POSITION.RELATIVE;
 
             findings.push({
                 id: `macro-placement-${entryIndex}-${macroIndex}`,
                 rule: 'macro-placement',
                 severity: severity,
-                title: `Dynamic macro in ${severity === 'critical' ? 'system prompt' : 'early prompt section'}`,
-                description: `${macroFound} found in "${entryName}" (position ${entryIndex + 1} of ${totalEntries}). This changes every generation and invalidates the cached prefix for all content after it.`,
+                title: `Dynamic macro in ${entryIndex === 0 ? 'system prompt' : 'early prompt section'}`,
+                description: `${macroFound} found in "${entryName}" (position ${entryIndex + 1} of ${totalEntries}). ${changes} and invalidates the cached prefix for all content after it.`,
                 affectedEntry: entry.identifier,
                 recommendation: `Move ${macroFound} to a prompt entry in the latter half of the prompt order (after chat history), or replace it with a fixed value.`,
+                fix: movable ? moveEntryFix(entry, enabledEntries[historyIndex]) : null,
                 provider: 'all',
                 meta: {
                     macroFound: macroFound,
+                    volatility: volatility,
                     position: entryIndex,
                     totalEntries: totalEntries,
-                    positionPercent: positionPercent
+                    positionPercent: positionPercent,
+                    offset: macros[macroIndex].index,
+                    length: macros[macroIndex].length
                 }
             });
-
-            macroIndex++;
         }
     }
 
     return findings;
 }
 
-if (typeof module !== 'undefined') module.exports = { checkMacroPlacement };
+const macroPlacementRule = {
+    id: 'macro-placement',
+    name: 'Dynamic Macros',
+    providers: ['all'],
+    severity: DEFAULT_SEVERITY,
+    check: checkMacroPlacement
+};
+
+const api = { checkMacroPlacement, macroPlacementRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,91 @@
+// rules/periodic-prompts.js
+// An Author's Note inserted every N turns and a summary rewritten every N
+// messages change the request on a schedule. Replays a session with
+// core/periodicity.js and flags each source that leaves turns with a cold
+// prefix. analyze() passes the replay it already ran as options.periodicity.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { getProviderProfile } = shared || require('../core/providers');
+const { analyzePeriodicity } = shared || require('../core/periodicity');
+const { EXTENSION_PROMPT_TYPES } = shared || require('../core/extension-prompts');
+
+// Severity per finding kind — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    coldTurns: 'warning'
+};
+
+const SOURCE_NAMES = {
+    authorsNote: "Author's Note",
+    summary: 'Summary'
+};
+
+function describeSchedule(source) {
+    if (source.source === 'authorsNote') {
+        return `inserted every ${source.interval} user messages`;
+    }
+    return `rewritten every ${source.interval} messages`;
+}
+
+function recommend(source) {
+    if (source.source === 'authorsNote') {
+        // In the chat even an every-turn note moves up a message each turn
+        const placement = source.position === EXTENSION_PROMPT_TYPES.IN_CHAT
+            ? ' and its position to After Main Prompt / Story String'
+            : '';
+        return `Set the Author's Note insertion frequency to 1${placement}, so it is sent unchanged on every turn, or to 0 if it is not needed. Between insertions it appears and disappears, rewriting everything after it.`;
+    }
+    if (source.position !== EXTENSION_PROMPT_TYPES.IN_CHAT) {
+        return `Switch the summary's injection position to In-chat @ Depth in the Summarize extension settings, so a rewrite only resends the messages after it, or raise its update interval.`;
+    }
+    return `Raise the update interval in the Summarize extension settings, or lower the summary's injection depth so a rewrite resends fewer messages.`;
+}
+
+function checkPeriodicPrompts(preset, options = {}) {
+    const findings = [];
+
+    // Only when the caller passes the Author's Note and Summarize settings
+    if (!options.periodicPrompts) return findings;
+
+    const report = options.periodicity || analyzePeriodicity(preset, options);
+    if (!report) return findings;
+
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
+    const profile = getProviderProfile(options.provider, options.modelId);
+
+    for (const source of report.sources) {
+        if (source.coldTurns.length === 0) continue;
+
+        const name = SOURCE_NAMES[source.source];
+        findings.push({
+            id: `periodic-prompts-${source.source}-cold-turns`,
+            rule: 'periodic-prompts',
+            severity: severities.coldTurns,
+            title: `${name} changes leave ${source.coldTurns.length} of ${report.summary.turns} turns cold`,
+            description: `The ${name} is ${describeSchedule(source)}. Over a ${report.summary.turns}-turn session, turns ${source.coldTurns.slice(0, 5).join(', ')}${source.coldTurns.length > 5 ? ', ...' : ''} read less from cache than a turn without the change, resending ${source.lostTokens} tokens in total.`,
+            affectedEntry: source.source,
+            recommendation: recommend(source),
+            provider: profile.provider,
+            meta: {
+                source: source.source,
+                interval: source.interval,
+                coldTurns: source.coldTurns,
+                lostTokens: source.lostTokens,
+                sessionTurns: report.summary.turns
+            }
+        });
+    }
+
+    return findings;
+}
+
+const periodicPromptsRule = {
+    id: 'periodic-prompts',
+    name: 'Periodic Prompts',
+    providers: ['all'],
+    severity: DEFAULT_SEVERITY,
+    check: checkPeriodicPrompts
+};
+
+const api = { checkPeriodicPrompts, periodicPromptsRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -2,60 +2,31 @@
 // Checks if volatile entries are interleaved between stable entries,
 // which fragments the cacheable prefix.
 
-const DYNAMIC_MACRO_REGEX = /\{\{(random|roll|time|date|weekday|isotime|isodate|idle_duration|time_UTC)(::|\}\})/gi;
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel, INJECTION_POSITION } = shared || require('../core/preset-model');
+const { moveEntryFix } = shared || require('../core/fixes');
 
-const VOLATILE_IDENTIFIERS = new Set([
-    'chatHistory',
-    'dialogueExamples'
-]);
-
-function isVolatile(identifier, content) {
-    if (VOLATILE_IDENTIFIERS.has(identifier)) {
-        return true;
-    }
-    if (content) {
-        DYNAMIC_MACRO_REGEX.lastIndex = 0;
-        if (DYNAMIC_MACRO_REGEX.test(content)) {
-            return true;
-        }
-    }
-    return false;
-}
+// Severity per finding kind — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    interleaved: 'warning'
+};
 
 function checkPromptOrdering(preset, options = {}) {
     const findings = [];
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
 
-    if (!preset || !preset.prompts || !preset.prompt_order) {
+    const model = resolveModel(preset, options);
+    if (!model) {
         return findings;
     }
 
-    // Get the prompt order array — handle the nested character_id structure
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-
-    // Filter to only enabled entries
-    const enabledEntries = orderArray.filter(entry => entry.enabled);
+    // Enabled entries arrive already classified as stable or volatile
+    const classified = model.entries;
 
-    if (enabledEntries.length === 0) {
+    if (classified.length === 0) {
         return findings;
     }
 
-    // Build a lookup map from identifier to prompt content
-    const promptMap = {};
-    for (const prompt of preset.prompts) {
-        promptMap[prompt.identifier] = prompt;
-    }
-
-    // Classify each entry as stable or volatile
-    const classified = enabledEntries.map((entry, index) => {
-        const prompt = promptMap[entry.identifier];
-        const content = prompt ? prompt.content : '';
-        const volatile = isVolatile(entry.identifier, content);
-        return { entry, prompt, index, volatile };
-    });
-
     // Find each volatile entry that has stable entries after it
     for (let i = 0; i < classified.length; i++) {
         if (!classified[i].volatile) continue;
@@ -73,24 +44,29 @@ function checkPromptOrdering(preset, options = {}) {
         if (stableAfter.length < 2) continue;
 
         const volatileEntry = classified[i];
-        const entryName = volatileEntry.prompt ? volatileEntry.prompt.name : volatileEntry.entry.identifier;
-        const stableNames = stableAfter.map(s =>
-            s.prompt ? s.prompt.name : s.entry.identifier
-        );
+        const entryName = volatileEntry.name;
+        const stableNames = stableAfter.map(s => s.name);
 
         findings.push({
             id: `prompt-ordering-${i}`,
             rule: 'prompt-ordering',
-            severity: 'warning',
+            severity: severities.interleaved,
             title: 'Volatile entry interleaved before stable content',
             description: `"${entryName}" (position ${i + 1}) is volatile and appears before ${stableAfter.length} stable entries (${stableNames.join(', ')}). This breaks the cacheable prefix — all stable content after this point cannot be cached together with earlier stable content.`,
-            affectedEntry: volatileEntry.entry.identifier,
-            recommendation: `Move "${entryName}" after all stable prompt entries so that the maximum amount of static content forms a contiguous cacheable prefix.`,
+            affectedEntry: volatileEntry.identifier,
+            recommendation: volatileEntry.extensionKey
+                ? `"${entryName}" is added by an extension. Switch it to in-chat insertion (at depth) in ${volatileEntry.settings}, so it stops splitting the stable prompts.`
+                : `Move "${entryName}" after all stable prompt entries so that the maximum amount of static content forms a contiguous cacheable prefix.`,
+            // In-chat injections are placed by depth, not by prompt order
+            fix: volatileEntry.injectionPosition === INJECTION_POSITION.IN_CHAT
+                ? null
+                : moveEntryFix(volatileEntry, stableAfter[stableAfter.length - 1]),
             provider: 'all',
             meta: {
                 volatilePosition: i,
                 stableEntriesAfter: stableAfter.length,
-                stableIdentifiers: stableAfter.map(s => s.entry.identifier)
+                stableIdentifiers: stableAfter.map(s => s.identifier),
+                extensionKey: volatileEntry.extensionKey || null
             }
         });
     }
@@ -98,4 +74,14 @@ function checkPromptOrdering(preset, options = {}) {
     return findings;
 }
 
-if (typeof module !== 'undefined') module.exports = { checkPromptOrdering };
+const promptOrderingRule = {
+    id: 'prompt-ordering',
+    name: 'Prompt Ordering',
+    providers: ['all'],
+    severity: DEFAULT_SEVERITY,
+    check: checkPromptOrdering
+};
+
+const api = { checkPromptOrdering, promptOrderingRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
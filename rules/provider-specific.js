@@ -1,101 +1,92 @@
 // rules/provider-specific.js
-// Provider-specific cache behavior checks.
-
-const VOLATILE_IDENTIFIERS = new Set([
-    'chatHistory',
-    'dialogueExamples'
-]);
-
-const DYNAMIC_MACRO_REGEX = /\{\{(random|roll|time|date|weekday|isotime|isodate|idle_duration|time_UTC)(::|\}\})/gi;
-
-function isVolatile(identifier, content) {
-    if (VOLATILE_IDENTIFIERS.has(identifier)) return true;
-    if (content) {
-        DYNAMIC_MACRO_REGEX.lastIndex = 0;
-        if (DYNAMIC_MACRO_REGEX.test(content)) return true;
-    }
-    return false;
-}
-
-function getStablePrefixTokens(preset, tokenizer) {
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-
-    const enabledEntries = orderArray.filter(entry => entry.enabled);
-    const promptMap = {};
-    for (const prompt of preset.prompts) {
-        promptMap[prompt.identifier] = prompt;
-    }
-
-    const stableContent = [];
-    for (const entry of enabledEntries) {
-        const prompt = promptMap[entry.identifier];
-        const content = prompt ? prompt.content : '';
-        if (!isVolatile(entry.identifier, content) && content) {
-            stableContent.push(content);
-        }
-    }
-
-    const concatenated = stableContent.join('\n');
-    return tokenizer(concatenated);
-}
-
-function defaultTokenizer(text) {
-    return Math.ceil(text.length / 4);
+// Provider-specific cache behavior checks, driven by the cache profile of the
+// provider and model (core/providers.js).
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel, getStableText, CHAT_MARKERS } = shared || require('../core/preset-model');
+const { PROVIDER_PROFILES, getProviderProfile } = shared || require('../core/providers');
+const { resolveTokenizer } = shared || require('../core/tokenizers');
+const { settingFix } = shared || require('../core/fixes');
+
+// Severity per finding kind — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    anthropicSquashOn: 'info',
+    anthropicSquashOff: 'warning',
+    alignment: 'info',
+    googleThreshold: 'warning',
+    noCaching: 'info'
+};
+
+function getStablePrefixTokens(model, tokenizer) {
+    return tokenizer(getStableText(model));
 }
 
 function checkProviderSpecific(preset, options = {}) {
     const findings = [];
 
-    if (!preset || !preset.prompts || !preset.prompt_order) {
+    const model = resolveModel(preset, options);
+    if (!model) {
         return findings;
     }
 
     const provider = options.provider;
-    if (!provider) return findings;
-
-    if (provider === 'anthropic') {
-        return checkAnthropic(preset, options);
-    } else if (provider === 'openai') {
-        return checkOpenAI(preset, options);
-    } else if (provider === 'google') {
-        return checkGoogle(preset, options);
+    if (!provider || !PROVIDER_PROFILES[provider]) return findings;
+
+    // OpenRouter's anthropic/... models follow Anthropic's rules, and so on
+    const profile = getProviderProfile(provider, options.modelId);
+    if (profile.caching === 'none') {
+        return checkNoCaching(profile, options);
+    }
+    if (profile.family === 'anthropic') {
+        findings.push(...checkAnthropic(model, options, profile));
+    }
+    if (profile.caching === 'automatic' && profile.granularity > 1) {
+        findings.push(...checkAlignment(model, options, profile));
+    }
+    if (profile.family === 'google' && profile.caching === 'explicit') {
+        findings.push(...checkGoogle(model, options, profile));
     }
 
     return findings;
 }
 
-function checkAnthropic(preset, options) {
-    const findings = [];
-    const tokenizer = options.tokenizer || defaultTokenizer;
+function checkNoCaching(profile, options) {
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
+    return [{
+        id: `provider-specific-${profile.family}-no-caching`,
+        rule: 'provider-specific',
+        severity: severities.noCaching,
+        title: `${profile.label} does not cache prompts`,
+        description: `${profile.label} bills and processes the full prompt on every request, so the prompt layout does not change cost or latency with this provider.`,
+        affectedEntry: 'all',
+        recommendation: 'No action needed. Cache findings only matter if the preset is also used with a provider that caches.',
+        provider: profile.provider,
+        meta: {
+            caching: profile.caching
+        }
+    }];
+}
 
-    // Get enabled entries
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-    const enabledIdentifiers = new Set(
-        orderArray.filter(e => e.enabled).map(e => e.identifier)
-    );
+function checkAnthropic(model, options, profile) {
+    const findings = [];
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
 
-    // Count system role prompts
-    const systemPrompts = preset.prompts.filter(p =>
-        p.enabled && p.role === 'system' && enabledIdentifiers.has(p.identifier)
+    // Count system role prompts — chat markers expand into chat messages instead
+    const systemPrompts = model.entries.filter(p =>
+        p.promptEnabled && !p.missing && p.role === 'system' && !CHAT_MARKERS.has(p.identifier)
     );
 
     if (systemPrompts.length > 1) {
-        if (preset.squash_system_messages === true) {
+        if (model.squashSystemMessages) {
             findings.push({
                 id: 'provider-specific-anthropic-squash-on',
                 rule: 'provider-specific',
-                severity: 'info',
+                severity: severities.anthropicSquashOn,
                 title: 'System message squashing enabled',
                 description: `squash_system_messages is enabled with ${systemPrompts.length} system prompts. This consolidates them into a single system message, which is optimal for Anthropic prompt caching.`,
                 affectedEntry: 'all',
                 recommendation: 'No action needed — this is the recommended configuration for Anthropic caching.',
-                provider: 'anthropic',
+                provider: profile.provider,
                 meta: {
                     systemPromptCount: systemPrompts.length,
                     squashEnabled: true
@@ -105,12 +96,13 @@ function checkAnthropic(preset, options) {
             findings.push({
                 id: 'provider-specific-anthropic-squash-off',
                 rule: 'provider-specific',
-                severity: 'warning',
+                severity: severities.anthropicSquashOff,
                 title: 'Fragmented system messages without squashing',
                 description: `${systemPrompts.length} separate system prompts detected but squash_system_messages is not enabled. Anthropic treats each system message as a separate cache-breaking boundary.`,
                 affectedEntry: 'all',
                 recommendation: 'Enable squash_system_messages in your preset settings to consolidate system prompts into a single message for better cache utilization.',
-                provider: 'anthropic',
+                fix: settingFix('squash_system_messages', true),
+                provider: profile.provider,
                 meta: {
                     systemPromptCount: systemPrompts.length,
                     squashEnabled: false
@@ -122,26 +114,29 @@ function checkAnthropic(preset, options) {
     return findings;
 }
 
-function checkOpenAI(preset, options) {
+// Automatic caches store the prefix in whole blocks (OpenAI 128 tokens, DeepSeek 64)
+function checkAlignment(model, options, profile) {
     const findings = [];
-    const tokenizer = options.tokenizer || defaultTokenizer;
-    const estimatedTokens = getStablePrefixTokens(preset, tokenizer);
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
+    const tokenizer = resolveTokenizer(options);
+    const estimatedTokens = getStablePrefixTokens(model, tokenizer);
+    const granularity = profile.granularity;
 
-    // Check 128-token alignment
-    const remainder = estimatedTokens % 128;
+    const remainder = estimatedTokens % granularity;
     if (remainder !== 0) {
-        const padding = 128 - remainder;
+        const padding = granularity - remainder;
         findings.push({
-            id: 'provider-specific-openai-alignment',
+            id: `provider-specific-${profile.family}-alignment`,
             rule: 'provider-specific',
-            severity: 'info',
-            title: 'Stable prefix not aligned to 128-token boundary',
-            description: `The stable prefix is estimated at ${estimatedTokens} tokens (remainder ${remainder} when divided by 128). OpenAI caches at 128-token boundaries, so ${padding} tokens are wasted in the current boundary.`,
+            severity: severities.alignment,
+            title: `Stable prefix not aligned to ${granularity}-token boundary`,
+            description: `The stable prefix is estimated at ${estimatedTokens} tokens (remainder ${remainder} when divided by ${granularity}). ${profile.label} caches at ${granularity}-token boundaries, so ${padding} tokens are wasted in the current boundary.`,
             affectedEntry: 'all',
-            recommendation: `Consider adding ~${padding} tokens of static content to align your prefix to the next 128-token boundary for optimal cache utilization.`,
-            provider: 'openai',
+            recommendation: `Consider adding ~${padding} tokens of static content to align your prefix to the next ${granularity}-token boundary for optimal cache utilization.`,
+            provider: profile.provider,
             meta: {
                 estimatedTokens: estimatedTokens,
+                granularity: granularity,
                 remainder: remainder,
                 paddingNeeded: padding
             }
@@ -151,22 +146,24 @@ function checkOpenAI(preset, options) {
     return findings;
 }
 
-function checkGoogle(preset, options) {
+// Gemini models without implicit caching need an explicit context cache
+function checkGoogle(model, options, profile) {
     const findings = [];
-    const tokenizer = options.tokenizer || defaultTokenizer;
-    const estimatedTokens = getStablePrefixTokens(preset, tokenizer);
-    const threshold = 4096;
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
+    const tokenizer = resolveTokenizer(options);
+    const estimatedTokens = getStablePrefixTokens(model, tokenizer);
+    const threshold = profile.minTokens;
 
     if (estimatedTokens < threshold) {
         findings.push({
             id: 'provider-specific-google-threshold',
             rule: 'provider-specific',
-            severity: 'warning',
+            severity: severities.googleThreshold,
             title: 'Stable prefix below Google caching threshold',
             description: `The stable prefix is estimated at ${estimatedTokens} tokens, below Google's ${threshold}-token minimum for context caching. The prefix will not be cached.`,
             affectedEntry: 'all',
             recommendation: `Add more static content to reach at least ${threshold} tokens in your stable prefix for Google context caching to activate.`,
-            provider: 'google',
+            provider: profile.provider,
             meta: {
                 estimatedTokens: estimatedTokens,
                 threshold: threshold,
@@ -178,4 +175,14 @@ function checkGoogle(preset, options) {
     return findings;
 }
 
-if (typeof module !== 'undefined') module.exports = { checkProviderSpecific };
+const providerSpecificRule = {
+    id: 'provider-specific',
+    name: 'Provider-Specific',
+    providers: Object.keys(PROVIDER_PROFILES),
+    severity: DEFAULT_SEVERITY,
+    check: checkProviderSpecific
+};
+
+const api = { checkProviderSpecific, providerSpecificRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
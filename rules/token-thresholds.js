@@ -1,72 +1,42 @@
 // rules/token-thresholds.js
 // Checks if the stable prefix falls below provider cache activation thresholds.
 
-const DYNAMIC_MACRO_REGEX = /\{\{(random|roll|time|date|weekday|isotime|isodate|idle_duration|time_UTC)(::|\}\})/gi;
-
-const VOLATILE_IDENTIFIERS = new Set([
-    'chatHistory',
-    'dialogueExamples'
-]);
-
-const THRESHOLDS = {
-    anthropic: 1024,
-    openai: 1024,
-    google: 4096
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel, getStableText } = shared || require('../core/preset-model');
+const { DEFAULT_PROVIDER, getProviderProfile } = shared || require('../core/providers');
+const { resolveTokenizer, isEstimate } = shared || require('../core/tokenizers');
+
+// Share of the threshold counted as near it. Offline counts are estimates
+// that can be 10-20% off for a single prompt, so they get the wider margin.
+const NEAR_RATIO = 0.9;
+const NEAR_RATIO_ESTIMATED = 0.8;
+
+// Severity per finding kind — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    nearThreshold: 'warning',
+    belowThreshold: 'info'
 };
 
-function isVolatile(identifier, content) {
-    if (VOLATILE_IDENTIFIERS.has(identifier)) {
-        return true;
-    }
-    if (content) {
-        DYNAMIC_MACRO_REGEX.lastIndex = 0;
-        if (DYNAMIC_MACRO_REGEX.test(content)) {
-            return true;
-        }
-    }
-    return false;
-}
-
 function checkTokenThresholds(preset, options = {}) {
     const findings = [];
 
-    if (!preset || !preset.prompts || !preset.prompt_order) {
+    const model = resolveModel(preset, options);
+    if (!model) {
         return findings;
     }
 
-    const provider = options.provider || 'anthropic';
-    const threshold = THRESHOLDS[provider] || THRESHOLDS.anthropic;
-    const tokenizer = options.tokenizer || defaultTokenizer;
-
-    // Get the prompt order array — handle the nested character_id structure
-    let orderArray = preset.prompt_order;
-    if (Array.isArray(orderArray) && orderArray.length > 0 && orderArray[0].order) {
-        orderArray = orderArray[0].order;
-    }
-
-    // Filter to only enabled entries
-    const enabledEntries = orderArray.filter(entry => entry.enabled);
-
-    // Build a lookup map from identifier to prompt content
-    const promptMap = {};
-    for (const prompt of preset.prompts) {
-        promptMap[prompt.identifier] = prompt;
-    }
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
+    const provider = options.provider || DEFAULT_PROVIDER;
+    const profile = getProviderProfile(provider, options.modelId);
+    // Nothing to reach when the provider does not cache
+    if (profile.caching === 'none') return findings;
+    const threshold = profile.minTokens;
+    const target = profile.model ? `${provider} (${profile.model})` : provider;
+    const tokenizer = resolveTokenizer(Object.assign({}, options, { provider }));
 
-    // Collect stable entry content only
-    const stableContent = [];
-    for (const entry of enabledEntries) {
-        const prompt = promptMap[entry.identifier];
-        const content = prompt ? prompt.content : '';
-        if (!isVolatile(entry.identifier, content)) {
-            if (content) {
-                stableContent.push(content);
-            }
-        }
-    }
-
-    const concatenated = stableContent.join('\n');
-    const estimatedTokens = tokenizer(concatenated);
+    // Tokenize stable entry content only
+    const estimatedTokens = tokenizer(getStableText(model));
+    const estimated = isEstimate(tokenizer);
 
     if (estimatedTokens >= threshold) {
         return findings;
@@ -74,24 +44,16 @@ function checkTokenThresholds(preset, options = {}) {
 
     // Determine severity based on how far below threshold
     const ratio = estimatedTokens / threshold;
-    let severity;
-    if (ratio >= 0.9) {
-        // Within 10% below threshold
-        severity = 'warning';
-    } else if (ratio >= 0.8) {
-        // Within 20% below threshold
-        severity = 'info';
-    } else {
-        // More than 20% below
-        severity = 'info';
-    }
+    const near = ratio >= (estimated ? NEAR_RATIO_ESTIMATED : NEAR_RATIO);
+    const severity = near ? severities.nearThreshold : severities.belowThreshold;
+    const margin = near && estimated ? ' The count is an estimate, so the real prefix may already reach it.' : '';
 
     findings.push({
         id: `token-thresholds-${provider}`,
         rule: 'token-thresholds',
         severity: severity,
         title: `Stable prefix below ${provider} cache threshold`,
-        description: `The stable prefix is estimated at ${estimatedTokens} tokens, which is below the ${provider} caching threshold of ${threshold} tokens. The prompt prefix will not be cached, resulting in full re-processing on every request.`,
+        description: `The stable prefix is ${estimated ? 'estimated at ' : ''}${estimatedTokens} tokens, which is below the ${target} caching threshold of ${threshold} tokens. The prompt prefix will not be cached, resulting in full re-processing on every request.${margin}`,
         affectedEntry: 'all',
         recommendation: `Add more static content to your prompt entries before the chat history, or consolidate prompt entries to reach at least ${threshold} tokens in the stable prefix.`,
         provider: provider,
@@ -99,15 +61,22 @@ function checkTokenThresholds(preset, options = {}) {
             estimatedTokens: estimatedTokens,
             threshold: threshold,
             deficit: threshold - estimatedTokens,
-            ratio: ratio
+            ratio: ratio,
+            estimated: estimated
         }
     });
 
     return findings;
 }
 
-function defaultTokenizer(text) {
-    return Math.ceil(text.length / 4);
-}
+const tokenThresholdsRule = {
+    id: 'token-thresholds',
+    name: 'Token Thresholds',
+    providers: ['all'],
+    severity: DEFAULT_SEVERITY,
+    check: checkTokenThresholds
+};
 
-if (typeof module !== 'undefined') module.exports = { checkTokenThresholds };
+const api = { checkTokenThresholds, tokenThresholdsRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
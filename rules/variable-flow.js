@@ -0,0 +1,116 @@
+// rules/variable-flow.js
+// Checks {{setvar}}/{{getvar}} chains: cached entries that print a variable
+// fed by a volatile macro, variables read but never set, and variables set
+// but never read.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { resolveModel, INJECTION_POSITION } = shared || require('../core/preset-model');
+const { moveEntryFix } = shared || require('../core/fixes');
+const { findVolatileReads } = shared || require('../core/variable-flow');
+
+// Severity per finding kind — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    unstableRead: 'warning',
+    unstableReadLate: 'info',
+    unsetVariable: 'info',
+    unreadVariable: 'info'
+};
+
+function formatNames(variables) {
+    return variables.map(v => (v.scope === 'global' ? `${v.name} (global)` : v.name)).join(', ');
+}
+
+function checkVariableFlow(preset, options = {}) {
+    const findings = [];
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
+
+    const model = resolveModel(preset, options);
+    if (!model || !model.variables) {
+        return findings;
+    }
+
+    const flow = model.variables;
+    const historyIndex = model.entries.findIndex(entry => entry.identifier === 'chatHistory');
+
+    // Relative entries reading a volatile variable; in-chat injections are
+    // covered by the injection-depth rule
+    model.entries.forEach((entry, index) => {
+        const result = flow.entries[entry.identifier];
+        if (!result || !result.volatile) return;
+        if (entry.injectionPosition === INJECTION_POSITION.IN_CHAT) return;
+
+        const inPrefix = historyIndex === -1 || index < historyIndex;
+        const unstable = flow.variables.filter(v => result.unstableVariables.includes(v.name) && v.volatile);
+        const origins = Array.from(new Set([].concat(...unstable.map(v => v.origins))));
+        const firstRead = findVolatileReads(entry.content, flow)[0];
+
+        findings.push({
+            id: `variable-flow-unstable-${entry.identifier}`,
+            rule: 'variable-flow',
+            severity: inPrefix ? severities.unstableRead : severities.unstableReadLate,
+            title: 'Entry reads a variable that changes every turn',
+            description: `"${entry.name}" prints ${result.unstableVariables.map(name => `{{getvar::${name}}}`).join(', ')}, and ${unstable.length === 1 ? 'that variable is' : 'those variables are'} set from ${origins.join(', ')}. The entry renders differently on every turn and invalidates the cached prefix from this point on.`,
+            affectedEntry: entry.identifier,
+            recommendation: 'Set the variable from a fixed value, or move the entry reading it after the chat history.',
+            fix: historyIndex !== -1 && index < historyIndex ? moveEntryFix(entry, model.entries[historyIndex]) : null,
+            provider: 'all',
+            meta: {
+                variables: result.unstableVariables,
+                volatility: result.volatility,
+                origins: origins,
+                position: index,
+                inPrefix: inPrefix,
+                offset: firstRead ? firstRead.index : null,
+                length: firstRead ? firstRead.length : null
+            }
+        });
+    });
+
+    if (flow.unset.length > 0) {
+        findings.push({
+            id: 'variable-flow-unset',
+            rule: 'variable-flow',
+            severity: severities.unsetVariable,
+            title: 'Variables read but never set',
+            description: `${flow.unset.length} variable${flow.unset.length === 1 ? ' is' : 's are'} read with {{getvar}} but never set by an enabled entry: ${formatNames(flow.unset)}. They render empty unless a script or another preset sets them.`,
+            affectedEntry: flow.unset[0].reads[0].identifier,
+            recommendation: 'Enable the entry that sets these variables, or remove the unused {{getvar}} calls.',
+            provider: 'all',
+            meta: {
+                variables: flow.unset.map(v => v.name),
+                readBy: Array.from(new Set([].concat(...flow.unset.map(v => v.reads.map(r => r.identifier)))))
+            }
+        });
+    }
+
+    if (flow.unread.length > 0) {
+        findings.push({
+            id: 'variable-flow-unread',
+            rule: 'variable-flow',
+            severity: severities.unreadVariable,
+            title: 'Variables set but never read',
+            description: `${flow.unread.length} variable${flow.unread.length === 1 ? ' is' : 's are'} set with {{setvar}} but never read by an enabled entry: ${formatNames(flow.unread)}.`,
+            affectedEntry: flow.unread[0].writes[0].identifier,
+            recommendation: 'Remove the unused {{setvar}} calls, or enable the entry that reads them.',
+            provider: 'all',
+            meta: {
+                variables: flow.unread.map(v => v.name),
+                setBy: Array.from(new Set([].concat(...flow.unread.map(v => v.writes.map(w => w.identifier)))))
+            }
+        });
+    }
+
+    return findings;
+}
+
+const variableFlowRule = {
+    id: 'variable-flow',
+    name: 'Variable Flow',
+    providers: ['all'],
+    severity: DEFAULT_SEVERITY,
+    check: checkVariableFlow
+};
+
+const api = { checkVariableFlow, variableFlowRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,88 @@
+// rules/world-info.js
+// Lorebook entries that come and go between turns rewrite the request from
+// where they land. Checks the entries placed before the stable prefix ends
+// (core/world-info.js) and recommends a position or depth that keeps the
+// cached prefix intact.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const { getProviderProfile } = shared || require('../core/providers');
+const { analyzeWorldInfo } = shared || require('../core/world-info');
+
+// Severity per finding kind — overridable through options.severity
+const DEFAULT_SEVERITY = {
+    prefixChurn: 'warning'
+};
+
+// Entries named per finding; the rest are counted
+const LISTED_ENTRIES = 3;
+
+const KIND_LABELS = {
+    keyword: 'keyword',
+    probability: 'probability',
+    timed: 'sticky/cooldown'
+};
+
+function percent(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
+
+function checkWorldInfo(preset, options = {}) {
+    const findings = [];
+
+    // Only when the caller passes the active lorebooks
+    if (!options.worldInfo) return findings;
+
+    const report = analyzeWorldInfo(preset, options);
+    if (!report) return findings;
+
+    const severities = Object.assign({}, DEFAULT_SEVERITY, options.severity);
+    const profile = getProviderProfile(options.provider, options.modelId);
+
+    for (const anchor of report.anchors) {
+        if (!anchor.beforeStableEnd) continue;
+
+        const entries = report.entries
+            .filter(entry => anchor.entries.includes(entry.uid) && entry.anchor === anchor.anchor)
+            .sort((a, b) => b.churn - a.churn);
+        const listed = entries.slice(0, LISTED_ENTRIES);
+        const more = entries.length - listed.length;
+        const names = listed.map(entry => `"${entry.name}" (${KIND_LABELS[entry.kind]}, fires on ${percent(entry.activationRate)} of turns)`);
+        const recommendations = listed
+            .filter(entry => entry.recommendation)
+            .map(entry => `"${entry.name}": ${entry.recommendation.text}`);
+
+        findings.push({
+            id: `world-info-${anchor.anchor}-churn`,
+            rule: 'world-info',
+            severity: severities.prefixChurn,
+            title: `World Info at ${anchor.anchor} changes the cached prefix`,
+            description: `${names.join(', ')}${more > 0 ? ` and ${more} more` : ''} ${entries.length === 1 ? 'is' : 'are'} inserted before the stable prefix ends. The World Info there changes on ${percent(anchor.churn)} of turns, and each change resends ${anchor.invalidatedTokens} tokens that would otherwise be read from cache.`,
+            affectedEntry: anchor.anchor,
+            recommendation: recommendations.length > 0
+                ? recommendations.join(' ')
+                : `Move these entries to @D (in-chat) or after the chat history, so they stop rewriting the prompts before it.`,
+            provider: profile.provider,
+            meta: {
+                anchor: anchor.anchor,
+                churn: anchor.churn,
+                invalidatedTokens: anchor.invalidatedTokens,
+                expectedTokensPerTurn: Math.round(anchor.churn * anchor.invalidatedTokens),
+                entries: entries.map(entry => ({ uid: entry.uid, world: entry.world, name: entry.name, kind: entry.kind, churn: entry.churn, recommendation: entry.recommendation }))
+            }
+        });
+    }
+
+    return findings;
+}
+
+const worldInfoRule = {
+    id: 'world-info',
+    name: 'World Info',
+    providers: ['all'],
+    severity: DEFAULT_SEVERITY,
+    check: checkWorldInfo
+};
+
+const api = { checkWorldInfo, worldInfoRule };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -1,6 +1,6 @@
 // tests/analyzer.test.js — Integration tests for the full analysis engine
 
-const { analyze, calculateScore } = require('../analyzer');
+const { analyze, analyzeGenerationTypes, calculateScore } = require('../analyzer');
 
 const presetGood = require('./fixtures/preset-good.json');
 const presetBadMacros = require('./fixtures/preset-bad-macros.json');
@@ -8,6 +8,7 @@ const presetBadOrdering = require('./fixtures/preset-bad-ordering.json');
 const presetThresholdMiss = require('./fixtures/preset-threshold-miss.json');
 const presetDeepInjection = require('./fixtures/preset-deep-injection.json');
 const presetRealComplex = require('./fixtures/preset-real-complex.json');
+const presetIzumi = require('./fixtures/preset-real-izumi.json');
 
 describe('Analyzer Integration', function () {
     it('should return high score for clean preset with no critical findings', function () {
@@ -74,6 +75,61 @@ describe('Analyzer Integration', function () {
     });
 });
 
+describe('Real-World Preset: Izumi', function () {
+    it('should analyze the full ST preset shape', function () {
+        const results = analyze(presetIzumi, { provider: 'anthropic' });
+        expect(typeof results.score).toBe('number');
+        var squash = results.findings.find(function (f) { return f.id === 'provider-specific-anthropic-squash-on'; });
+        expect(typeof squash).toBe('object');
+    });
+});
+
+describe('Per-Character Prompt Orders', function () {
+    // Global order is clean; a per-character override puts chat history first
+    function buildMultiOrderPreset() {
+        const preset = JSON.parse(JSON.stringify(presetBadOrdering));
+        const cleanOrder = [
+            'main', 'charDescription', 'charPersonality', 'scenario', 'nsfw', 'chatHistory'
+        ].map(function (id) { return { identifier: id, enabled: true }; });
+        preset.prompt_order = [
+            { character_id: 100000, order: cleanOrder },
+            { character_id: 4242, order: preset.prompt_order[0].order },
+            { character_id: 100001, order: cleanOrder }
+        ];
+        return preset;
+    }
+
+    it('should score the global order by default', function () {
+        const results = analyze(buildMultiOrderPreset(), { provider: 'anthropic' });
+        expect(results.characterId).toBe(100001);
+        expect(results.findings.filter(function (f) { return f.rule === 'prompt-ordering'; }).length).toBe(0);
+    });
+
+    it('should score a chosen character_id block', function () {
+        const results = analyze(buildMultiOrderPreset(), { provider: 'anthropic', characterId: 4242 });
+        expect(results.characterId).toBe(4242);
+        expect(results.findings.filter(function (f) { return f.rule === 'prompt-ordering'; }).length).toBeGreaterThan(0);
+    });
+
+    it('should score every order block with analyzeOrders', function () {
+        const { analyzeOrders } = require('../analyzer');
+        const all = analyzeOrders(buildMultiOrderPreset(), { provider: 'anthropic' });
+        expect(all.map(function (r) { return r.characterId; })).toEqual([100000, 4242, 100001]);
+        expect(all[1].score).toBeLessThan(all[0].score);
+        expect(all[2].label).toBe('Global (100001)');
+    });
+
+    it('should render an order selector only when there are several blocks', function () {
+        const components = require('../ui/components');
+        const { analyzeOrders } = require('../analyzer');
+        const all = analyzeOrders(buildMultiOrderPreset(), { provider: 'anthropic' });
+        const html = components.renderOrderSelector(all, 4242);
+        expect(html).toContain('ca-order-select');
+        expect(html).toContain('value="4242" selected');
+        expect(components.renderOrderSelector(all.slice(0, 1), 100000)).toBe('');
+    });
+});
+
 describe('Real-World Preset: Complex RP Preset', function () {
     it('should handle 14 prompt entries without error', function () {
         const results = analyze(presetRealComplex, { provider: 'anthropic' });
@@ -149,8 +205,8 @@ describe('Real-World Preset: Complex RP Preset', function () {
 });
 
 // Note: index.js is an ES module (export { init }) loaded by SillyTavern
-// via import(). It cannot be require()'d from Node.js tests. The logic it
-// inlines is identical to the CommonJS rule/analyzer files tested above.
+// via import(). It imports the same rule/analyzer/component files tested
+// here — browser-parity.test.js guards that it never inlines its own copy.
 // These tests verify the analyzer module exports and UI components instead.
 
 describe('Analyzer Module Exports', function () {
@@ -158,6 +214,7 @@ describe('Analyzer Module Exports', function () {
         const mod = require('../analyzer');
         expect(typeof mod.analyze).toBe('function');
         expect(typeof mod.calculateScore).toBe('function');
+        expect(typeof mod.getPromptEntries).toBe('function');
         expect(typeof mod.getPresetSummary).toBe('function');
     });
 
@@ -202,4 +259,47 @@ describe('UI Components Module', function () {
         expect(typeof html).toBe('string');
         expect(html.length).toBeGreaterThan(0);
     });
+
+    it('should render prompt order with flagged entries from findings', function () {
+        const components = require('../ui/components');
+        const { getPromptEntries } = require('../analyzer');
+        const results = analyze(presetBadOrdering, { provider: 'anthropic' });
+        const entries = getPromptEntries(presetBadOrdering, results.findings);
+        var history = entries.find(function (e) { return e.identifier === 'chatHistory'; });
+        expect(history.volatile).toBe(true);
+        expect(history.flagged).toBe(true);
+        const html = components.renderDashboard(results, entries);
+        expect(html).toContain('ca-prompt-viz');
+        expect(html).toContain('ca-dot-flagged');
+    });
+});
+
+describe('Generation Types', function () {
+    // Main Prompt only fires on impersonate
+    function impersonateOnly() {
+        const preset = JSON.parse(JSON.stringify(presetBadMacros));
+        preset.prompts.find(p => p.identifier === 'main').injection_trigger = ['impersonate'];
+        return preset;
+    }
+
+    it('should only report entries for the generation types they fire on', function () {
+        const preset = impersonateOnly();
+        const normal = analyze(preset, { provider: 'anthropic' });
+        const impersonate = analyze(preset, { provider: 'anthropic', generationType: 'impersonate' });
+        expect(normal.generationType).toBe('normal');
+        expect(normal.findings.some(f => f.affectedEntry === 'main' && f.rule !== 'generation-types')).toBe(false);
+        expect(impersonate.findings.some(f => f.affectedEntry === 'main')).toBe(true);
+        // The normal run still reports what the impersonation costs the cache
+        expect(normal.findings.some(f => f.id === 'generation-types-impersonate-prefix-loss')).toBe(true);
+        expect(impersonate.score).toBeLessThan(normal.score);
+    });
+
+    it('should sweep every generation type with its prefix stability', function () {
+        const results = analyzeGenerationTypes(impersonateOnly(), { provider: 'anthropic' });
+        expect(results.map(r => r.generationType)).toEqual(['normal', 'continue', 'swipe', 'regenerate', 'impersonate', 'quiet']);
+        const byType = type => results.find(r => r.generationType === type);
+        expect(byType('swipe').prefix.divergence.messageIndex).toBeGreaterThan(byType('impersonate').prefix.divergence.messageIndex);
+        expect(byType('impersonate').prefix.cause.identifier).toBe('main');
+        expect(analyzeGenerationTypes(null)).toEqual([]);
+    });
 });
@@ -0,0 +1,86 @@
+const { toClaudeMessages, findDepthIndexes, planBreakpoints } = require('../core/breakpoints');
+const presetGood = require('./fixtures/preset-good.json');
+const presetBadMacros = require('./fixtures/preset-bad-macros.json');
+const presetDeepInjection = require('./fixtures/preset-deep-injection.json');
+
+// Pads the first entry so the stable prefix clears Anthropic's minimum
+function withLongMain(preset) {
+    const copy = JSON.parse(JSON.stringify(preset));
+    copy.prompts[0].content += ' ' + 'Stable system instructions. '.repeat(700);
+    return copy;
+}
+
+function plan(preset, cacheControl) {
+    return planBreakpoints(withLongMain(preset), {
+        provider: 'anthropic',
+        cacheControl: Object.assign({ useSystemPrompt: true }, cacheControl)
+    });
+}
+
+describe('Cache Breakpoint Planner', () => {
+
+    // TEST 1: Leading system messages become the system prompt, the rest alternate
+    it('should convert messages to Claude layout', () => {
+        const layout = toClaudeMessages([
+            { role: 'system', content: 'a' },
+            { role: 'system', content: 'b' },
+            { role: 'user', content: 'c' },
+            { role: 'system', content: 'd' },
+            { role: 'assistant', content: 'e' }
+        ], true);
+        expect(layout.system).toHaveLength(2);
+        expect(layout.messages.map(m => m.role)).toEqual(['user', 'assistant']);
+        expect(layout.messages[0].parts).toHaveLength(2);
+        expect(toClaudeMessages([{ role: 'system', content: 'a' }], false).system).toHaveLength(0);
+    });
+
+    // TEST 2: Depth and depth + 2 from the end, skipping an assistant prefill
+    it('should find the messages ST marks for cachingAtDepth', () => {
+        const messages = ['user', 'assistant', 'user', 'assistant', 'user', 'assistant'].map(role => ({ role }));
+        expect(findDepthIndexes(messages, 0)).toEqual([4, 2]);
+        expect(findDepthIndexes(messages, 1)).toEqual([3, 1]);
+        expect(findDepthIndexes(messages, -1)).toEqual([]);
+    });
+
+    // TEST 3: Post-history prompts merge into the last user message, so depth 0 misses
+    it('should report a depth breakpoint on a message that changes each turn', () => {
+        const result = plan(presetGood, { systemPromptCache: true, cachingAtDepth: 0 });
+        const depth = result.current.breakpoints.filter(b => b.kind === 'depth');
+        expect(depth).toHaveLength(2);
+        expect(depth[0].hit).toBe(false);
+        expect(depth[1].hit).toBe(true);
+        expect(result.current.used).toBe(3);
+    });
+
+    // TEST 4: The recommended depth reads the whole stable prefix
+    it('should recommend a depth that is read back', () => {
+        const result = plan(presetDeepInjection, { systemPromptCache: true, cachingAtDepth: 0 });
+        expect(result.recommended.cachingAtDepth).toBeGreaterThan(0);
+        expect(result.recommended.cachedTokens).toBe(result.stablePrefix.tokens);
+        expect(result.recommended.cachedTokens).toBeGreaterThan(result.current.cachedTokens);
+        expect(result.recommended.used).toBeLessThan(result.maxBreakpoints + 1);
+    });
+
+    // TEST 5: A system prompt with a per-turn macro is never read back
+    it('should detect a system prompt that changes every turn', () => {
+        const result = plan(presetBadMacros, { systemPromptCache: true, cachingAtDepth: 2 });
+        expect(result.system.stable).toBe(false);
+        expect(result.stablePrefix.breaksAt.identifier).toBe('main');
+        expect(result.current.cachedTokens).toBe(0);
+        expect(result.recommended.systemPromptCache).toBe(false);
+        expect(result.skipped.reason).toBe('prefix-changes');
+        expect(plan(presetDeepInjection, {}).skipped).toBe(null);
+    });
+
+    // TEST 6: Without claude_use_sysprompt the system prompt cache has nothing to mark
+    it('should read claude_use_sysprompt from the preset', () => {
+        const result = planBreakpoints(withLongMain(presetGood), { provider: 'anthropic', cacheControl: { systemPromptCache: true } });
+        expect(result.cacheControl.useSystemPrompt).toBe(false);
+        expect(result.current.used).toBe(0);
+    });
+
+    // TEST 7: Unusable presets
+    it('should return null for an unusable preset', () => {
+        expect(planBreakpoints({}, { provider: 'anthropic' })).toBe(null);
+    });
+});
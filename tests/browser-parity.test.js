@@ -0,0 +1,109 @@
+// tests/browser-parity.test.js — Guards the single shared source between
+// SillyTavern (index.js, ES module) and Node (CommonJS).
+//
+// index.js imports the shared files for their side effect of registering on
+// globalThis.CacheAnalyzer. These tests load the same files the way the
+// browser does — no `module`, no `require`, one scope per file — and fail if
+// index.js ever grows its own copy of shared logic again.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const indexSource = fs.readFileSync(path.join(ROOT, 'index.js'), 'utf8');
+const presetRealComplex = require('./fixtures/preset-real-complex.json');
+
+function getSharedImports() {
+    const imports = [];
+    const importRegex = /^import '\.\/([^']+)';$/gm;
+    let match;
+    while ((match = importRegex.exec(indexSource)) !== null) {
+        imports.push(match[1]);
+    }
+    return imports;
+}
+
+// Evaluate each file in its own function scope, mirroring ES module scoping
+function loadBrowserNamespace() {
+    const context = vm.createContext({ console });
+    for (const file of getSharedImports()) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(`(function () {\n'use strict';\n${source}\n})();`, context, { filename: file });
+    }
+    return context.CacheAnalyzer;
+}
+
+describe('Browser Parity (index.js ↔ CommonJS)', () => {
+
+    // TEST 1: Every shared source file is imported by index.js
+    it('should import every core module, rule, the analyzer and the components', () => {
+        const imports = getSharedImports();
+        for (const dir of ['core', 'rules']) {
+            const files = fs.readdirSync(path.join(ROOT, dir)).filter(f => f.endsWith('.js'));
+            for (const file of files) {
+                expect(imports).toContain(`${dir}/${file}`);
+            }
+        }
+        expect(imports).toContain('analyzer.js');
+        expect(imports).toContain('ui/components.js');
+    });
+
+    // TEST 2: Browser loading resolves every dependency in import order
+    it('should load all shared files without CommonJS', () => {
+        const ns = loadBrowserNamespace();
+        expect(typeof ns.analyze).toBe('function');
+        expect(typeof ns.registerRule).toBe('function');
+        expect(ns.getRules().length).toBe(require('../rules').getRules().length);
+    });
+
+    // TEST 3: The namespace exposes exactly the CommonJS exports, from the same source
+    it('should expose the same functions as the CommonJS modules', () => {
+        const ns = loadBrowserNamespace();
+        const seen = {};
+        for (const file of getSharedImports()) {
+            const cjs = require(path.join(ROOT, file));
+            for (const key of Object.keys(cjs)) {
+                if (seen[key]) throw new Error(`"${key}" is exported by both ${seen[key]} and ${file}`);
+                seen[key] = file;
+                expect(typeof ns[key]).toBe(typeof cjs[key]);
+                if (typeof cjs[key] === 'function') {
+                    expect(ns[key].toString()).toBe(cjs[key].toString());
+                }
+            }
+        }
+    });
+
+    // TEST 4: index.js defines no function that the shared sources already provide
+    it('should not duplicate shared functions inside index.js', () => {
+        const ns = loadBrowserNamespace();
+        const defined = [];
+        const fnRegex = /^(?:async\s+)?function\s+(\w+)/gm;
+        let match;
+        while ((match = fnRegex.exec(indexSource)) !== null) {
+            defined.push(match[1]);
+        }
+        const duplicated = defined.filter(name => Object.prototype.hasOwnProperty.call(ns, name));
+        expect(duplicated).toEqual([]);
+    });
+
+    // TEST 5: Names index.js pulls from the namespace all exist
+    it('should only destructure names the namespace provides', () => {
+        const ns = loadBrowserNamespace();
+        const block = indexSource.match(/const \{([^}]+)\} = globalThis\.CacheAnalyzer;/);
+        expect(block).toBeTruthy();
+        const names = block[1].split(',').map(n => n.trim()).filter(Boolean);
+        const missing = names.filter(name => typeof ns[name] === 'undefined');
+        expect(missing).toEqual([]);
+    });
+
+    // TEST 6: Both loaders produce identical analysis results
+    it('should produce identical results in browser and Node', () => {
+        const ns = loadBrowserNamespace();
+        const { analyze } = require('../analyzer');
+        const browser = ns.analyze(presetRealComplex, { provider: 'anthropic' });
+        const node = analyze(presetRealComplex, { provider: 'anthropic' });
+        expect(JSON.stringify(browser)).toBe(JSON.stringify(node));
+    });
+
+});
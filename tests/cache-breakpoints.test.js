@@ -0,0 +1,81 @@
+const { checkCacheBreakpoints } = require('../rules/cache-breakpoints');
+const presetGood = require('./fixtures/preset-good.json');
+const presetBadMacros = require('./fixtures/preset-bad-macros.json');
+
+function withLongMain(preset) {
+    const copy = JSON.parse(JSON.stringify(preset));
+    copy.prompts[0].content += ' ' + 'Stable system instructions. '.repeat(700);
+    copy.claude_use_sysprompt = true;
+    return copy;
+}
+
+describe('Cache Breakpoints Rule', () => {
+
+    // TEST 1: Nothing to check without ST's cache_control settings or for other providers
+    it('should only run for Claude with cache_control settings', () => {
+        const preset = withLongMain(presetGood);
+        expect(checkCacheBreakpoints(preset, { provider: 'anthropic' })).toHaveLength(0);
+        expect(checkCacheBreakpoints(preset, { provider: 'openai', cacheControl: {} })).toHaveLength(0);
+        expect(checkCacheBreakpoints(preset, { provider: 'openrouter', modelId: 'anthropic/claude-sonnet-4', cacheControl: {} }).length).toBeGreaterThan(0);
+    });
+
+    // TEST 2: No breakpoints → warning with a concrete placement
+    it('should warn when no breakpoints are set', () => {
+        const findings = checkCacheBreakpoints(withLongMain(presetGood), { provider: 'anthropic', cacheControl: {} });
+        expect(findings).toHaveLength(1);
+        expect(findings[0].id).toBe('cache-breakpoints-off');
+        expect(findings[0].severity).toBe('warning');
+        expect(findings[0].recommendation).toContain('claude.cachingAtDepth: 1');
+        expect(findings[0].meta.maxBreakpoints).toBe(4);
+    });
+
+    // TEST 3: A configured depth on a changing message
+    it('should flag a depth that lands on a changing message', () => {
+        const findings = checkCacheBreakpoints(withLongMain(presetGood), { provider: 'anthropic', cacheControl: { systemPromptCache: true, cachingAtDepth: 0 } });
+        const miss = findings.find(f => f.id === 'cache-breakpoints-depth-miss');
+        expect(miss.severity).toBe('warning');
+        expect(miss.recommendation).toContain('claude.cachingAtDepth to 1');
+        expect(miss.meta.used).toBe(3);
+    });
+
+    // TEST 4: A volatile system prompt is blamed on the entry that changes
+    it('should flag system prompt caching on a changing system prompt', () => {
+        const findings = checkCacheBreakpoints(withLongMain(presetBadMacros), { provider: 'anthropic', cacheControl: { systemPromptCache: true, cachingAtDepth: 1 } });
+        const volatile = findings.find(f => f.id === 'cache-breakpoints-system-volatile');
+        expect(volatile.affectedEntry).toBe('main');
+    });
+
+    // TEST 5: A placement that is read back but not the best gets a plan
+    it('should suggest a better placement as info', () => {
+        const findings = checkCacheBreakpoints(withLongMain(presetGood), { provider: 'anthropic', cacheControl: { systemPromptCache: false, cachingAtDepth: 2 } });
+        expect(findings).toHaveLength(1);
+        expect(findings[0].id).toBe('cache-breakpoints-plan');
+        expect(findings[0].severity).toBe('info');
+        expect(findings[0].meta.recommended.cachedTokens).toBeGreaterThan(findings[0].meta.cachedTokens);
+    });
+
+    // TEST 6: Severities are overridable
+    it('should honor severity overrides', () => {
+        const findings = checkCacheBreakpoints(withLongMain(presetGood), { provider: 'anthropic', cacheControl: {}, severity: { off: 'critical' } });
+        expect(findings[0].severity).toBe('critical');
+    });
+
+    // TEST 7: System prompt caching without claude_use_sysprompt has no system block to mark
+    it('should say when the system prompt is not sent as a system block', () => {
+        const preset = withLongMain(presetGood);
+        preset.claude_use_sysprompt = false;
+        const findings = checkCacheBreakpoints(preset, { provider: 'anthropic', cacheControl: { systemPromptCache: true } });
+        expect(findings[0].id).toBe('cache-breakpoints-off');
+        expect(findings[0].description).toContain('claude_use_sysprompt is off');
+        expect(findings[0].recommendation).toContain('"Use system prompt"');
+    });
+
+    // TEST 8: With nothing cacheable the recommendation names the planner's reason
+    it('should explain why no placement would be cached', () => {
+        const short = checkCacheBreakpoints(presetGood, { provider: 'anthropic', cacheControl: {} });
+        expect(short[0].recommendation).toContain('below the 1024-token minimum');
+        const volatile = checkCacheBreakpoints(withLongMain(presetBadMacros), { provider: 'anthropic', cacheControl: {} });
+        expect(volatile[0].recommendation).toContain('no breakpoint would be read back');
+        expect(volatile[0].recommendation).toContain('"main"');
+    });
+});
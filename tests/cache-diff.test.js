@@ -0,0 +1,88 @@
+const { computeCacheDiff, computeGenerationDiff } = require('../core/cache-diff');
+const presetGood = require('./fixtures/preset-good.json');
+const presetBadMacros = require('./fixtures/preset-bad-macros.json');
+const presetDeepInjection = require('./fixtures/preset-deep-injection.json');
+
+// Pads the first entry so the stable prefix clears every provider minimum
+function withLongMain(preset) {
+    const copy = JSON.parse(JSON.stringify(preset));
+    copy.prompts[0].content += ' ' + 'Stable system instructions. '.repeat(700);
+    return copy;
+}
+
+describe('Two-Turn Cache Diff', () => {
+
+    // TEST 1: Static preset caches everything up to the new chat messages
+    it('should cache everything before the new chat messages for a static preset', () => {
+        const diff = computeCacheDiff(withLongMain(presetGood), { provider: 'anthropic', chatLength: 4 });
+        expect(diff.cause.kind).toBe('chat');
+        expect(diff.belowThreshold).toBe(false);
+        expect(diff.cachedTokens).toBe(diff.prefixTokens);
+        expect(diff.hitRate).toBeGreaterThan(0.9);
+    });
+
+    // TEST 2: A dynamic macro in the first entry busts the whole prefix
+    it('should attribute the divergence to the dynamic macro that caused it', () => {
+        const diff = computeCacheDiff(withLongMain(presetBadMacros), { provider: 'anthropic', chatLength: 4 });
+        expect(diff.cause.kind).toBe('macro');
+        expect(diff.cause.identifier).toBe('main');
+        expect(diff.cause.macro).toBe('{{random}}');
+        expect(diff.hitRate).toBe(0);
+    });
+
+    // TEST 3: The deepest in-chat injection shifts first as the chat grows
+    it('should attribute the divergence to the deepest in-chat injection', () => {
+        const diff = computeCacheDiff(withLongMain(presetDeepInjection), { provider: 'anthropic', chatLength: 6 });
+        expect(diff.cause.kind).toBe('injection');
+        expect(diff.cause.identifier).toBe('deep-inject');
+        expect(diff.hitRate).toBeGreaterThan(0);
+        expect(diff.hitRate).toBeLessThan(1);
+    });
+
+    // TEST 4: Prefixes below the provider minimum are not cached at all
+    it('should report zero cached tokens below the provider minimum', () => {
+        const diff = computeCacheDiff(presetGood, { provider: 'google', chatLength: 4 });
+        expect(diff.belowThreshold).toBe(true);
+        expect(diff.threshold).toBe(4096);
+        expect(diff.cachedTokens).toBe(0);
+        expect(diff.prefixTokens).toBeGreaterThan(0);
+    });
+
+    // TEST 5: Works from a sample chat instead of the synthetic one
+    it('should diff the last exchange of a sample chat', () => {
+        const chat = [
+            { role: 'user', content: 'Hello there.' },
+            { role: 'assistant', content: 'Greetings, traveler.' },
+            { role: 'user', content: 'Where are we?' }
+        ];
+        const diff = computeCacheDiff(withLongMain(presetGood), { provider: 'anthropic', chat, squash: false });
+        expect(diff.divergence.messageIndex).toBe(3);
+        expect(diff.cause.kind).toBe('chat');
+    });
+
+    // TEST 6: analyze() reports the diff alongside the findings
+    it('should attach the cache diff to analysis results', () => {
+        const { analyze } = require('../analyzer');
+        const results = analyze(presetBadMacros, { provider: 'anthropic' });
+        expect(results.cache.cause.kind).toBe('macro');
+        expect(typeof results.cache.hitRate).toBe('number');
+        expect(computeCacheDiff(null)).toBe(null);
+    });
+
+    // TEST 7: An entry only continues send ends the prefix the normal request cached
+    it('should attribute a generation type divergence to the triggered entry', () => {
+        const preset = withLongMain(presetGood);
+        preset.prompts.push({ identifier: 'continueNote', name: 'Continue Note', content: 'Continue the reply.', role: 'system', injection_trigger: ['continue'] });
+        preset.prompt_order[0].order.splice(1, 0, { identifier: 'continueNote', enabled: true });
+
+        const continued = computeGenerationDiff(preset, { provider: 'anthropic', generationType: 'continue', chatLength: 4 });
+        expect(continued.generationType).toBe('continue');
+        expect(continued.cause.kind).toBe('trigger');
+        expect(continued.cause.identifier).toBe('continueNote');
+
+        const swipe = computeGenerationDiff(preset, { provider: 'anthropic', generationType: 'swipe', chatLength: 4 });
+        expect(swipe.cause.kind).toBe('none');
+        expect(swipe.hitRate).toBeGreaterThan(continued.hitRate);
+    });
+
+});
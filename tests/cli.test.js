@@ -0,0 +1,121 @@
+const path = require('path');
+const { parseArgs, main, EXIT } = require('../bin/cache-analyzer');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const fixture = name => path.join(FIXTURES, name);
+
+// Collects what main() writes
+function createStream() {
+    const stream = { text: '' };
+    stream.write = chunk => { stream.text += chunk; };
+    return stream;
+}
+
+function run(argv) {
+    const out = createStream();
+    const err = createStream();
+    const code = main(argv, out, err);
+    return { code, out: out.text, err: err.text };
+}
+
+describe('Command-Line Interface', () => {
+
+    // TEST 1: Flags in both --flag value and --flag=value form
+    it('should parse flags and files', () => {
+        const args = parseArgs(['--provider', 'openai', '--format=json', '--min-score', '80', '--fail-on=critical', 'a.json', 'b.json']);
+        expect(args.provider).toBe('openai');
+        expect(args.format).toBe('json');
+        expect(args.minScore).toBe(80);
+        expect(args.failOn).toBe('critical');
+        expect(args.files).toEqual(['a.json', 'b.json']);
+    });
+
+    // TEST 2: A clean run exits 0
+    it('should exit 0 when no threshold is set', () => {
+        const result = run([fixture('preset-bad-macros.json')]);
+        expect(result.code).toBe(EXIT.OK);
+        expect(result.out).toContain('preset-bad-macros.json: score');
+    });
+
+    // TEST 3: --fail-on critical fails on a critical finding
+    it('should fail on critical findings', () => {
+        expect(run(['--fail-on', 'critical', fixture('preset-bad-macros.json')]).code).toBe(EXIT.FAILED);
+        expect(run(['--fail-on', 'critical', fixture('preset-good.json')]).code).toBe(EXIT.OK);
+    });
+
+    // TEST 4: --fail-on warning also fails on warnings
+    it('should fail on warnings with --fail-on warning', () => {
+        const result = run(['--fail-on', 'warning', fixture('preset-good.json')]);
+        expect(result.code).toBe(EXIT.FAILED);
+        expect(result.err).toContain('failed');
+    });
+
+    // TEST 5: --min-score
+    it('should fail below --min-score', () => {
+        expect(run(['--min-score', '90', fixture('preset-bad-macros.json')]).code).toBe(EXIT.FAILED);
+        expect(run(['--min-score', '10', fixture('preset-bad-macros.json')]).code).toBe(EXIT.OK);
+    });
+
+    // TEST 6: Bad arguments and unreadable files exit 2
+    it('should exit 2 on usage errors and unreadable files', () => {
+        expect(run(['--format', 'xml', fixture('preset-good.json')]).code).toBe(EXIT.USAGE);
+        expect(run([]).code).toBe(EXIT.USAGE);
+        const missing = run([fixture('does-not-exist.json')]);
+        expect(missing.code).toBe(EXIT.USAGE);
+        expect(missing.err).toContain('file not found');
+    });
+
+    // TEST 7: --format json prints parseable output
+    it('should print JSON with --format json', () => {
+        const result = run(['--format', 'json', '--provider', 'openai', fixture('preset-good.json')]);
+        expect(JSON.parse(result.out).files[0].score).toBeGreaterThan(0);
+    });
+
+    // TEST 8: --format html inlines the dashboard stylesheet
+    it('should print a standalone HTML report with --format html', () => {
+        const result = run(['--format=html', fixture('preset-bad-ordering.json')]);
+        expect(result.out).toContain('<!DOCTYPE html>');
+        expect(result.out).toContain('.ca-score-bar-fill');
+        expect(result.out).toContain('ca-prompt-viz');
+    });
+
+    // TEST 9: --model selects the per-model cache minimum
+    it('should pass --model through to the analysis', () => {
+        expect(parseArgs(['--provider', 'openrouter', '--model', 'anthropic/claude-3-5-haiku', 'a.json']).modelId).toBe('anthropic/claude-3-5-haiku');
+        const result = run(['--format', 'json', '--model', 'claude-3-5-haiku', fixture('preset-threshold-miss.json')]);
+        const threshold = JSON.parse(result.out).files[0].findings.find(f => f.rule === 'token-thresholds');
+        expect(threshold.meta.threshold).toBe(2048);
+    });
+
+    // TEST 10: The Claude caching flags switch on the Cache Breakpoints rule
+    it('should pass Claude cache_control settings through to the analysis', () => {
+        const args = parseArgs(['--caching-at-depth', '2', '--system-prompt-cache=on', 'a.json']);
+        expect(args.cacheControl).toEqual({ cachingAtDepth: 2, systemPromptCache: true });
+        expect(run(['--caching-at-depth', 'deep', 'a.json']).code).toBe(EXIT.USAGE);
+        const result = run(['--format', 'json', '--caching-at-depth', '-1', fixture('preset-real-izumi.json')]);
+        const finding = JSON.parse(result.out).files[0].findings.find(f => f.rule === 'cache-breakpoints');
+        expect(finding.id).toBe('cache-breakpoints-off');
+    });
+
+    // TEST 11: --generation-type selects which entries are sent
+    it('should pass --generation-type through to the analysis', () => {
+        expect(parseArgs(['--generation-type', 'swipe', 'a.json']).generationType).toBe('swipe');
+        expect(run(['--generation-type', 'reroll', 'a.json']).code).toBe(EXIT.USAGE);
+        const result = run(['--format', 'json', '--generation-type', 'impersonate', fixture('preset-good.json')]);
+        expect(result.code).toBe(EXIT.OK);
+    });
+
+    // TEST 12: --world-info loads lorebooks for the World Info rule
+    it('should check lorebooks given with --world-info', () => {
+        expect(parseArgs(['--world-info', 'a.json', '--world-info=b.json', 'p.json']).worldInfoFiles).toEqual(['a.json', 'b.json']);
+        const missing = run(['--world-info', fixture('missing.json'), fixture('preset-good.json')]);
+        expect(missing.code).toBe(EXIT.USAGE);
+        expect(missing.err).toContain('file not found');
+        expect(run(['--world-info', fixture('preset-good.json'), fixture('preset-good.json')]).code).toBe(EXIT.USAGE);
+
+        const result = run(['--format', 'json', '--world-info', fixture('lorebook.json'), fixture('preset-real-izumi.json')]);
+        const findings = JSON.parse(result.out).files[0].findings.filter(f => f.rule === 'world-info');
+        expect(findings.map(f => f.id)).toContain('world-info-worldInfoBefore-churn');
+    });
+
+});
@@ -0,0 +1,87 @@
+const { compare } = require('../core/compare');
+const { optimizePreset } = require('../core/optimizer');
+const presetGood = require('./fixtures/preset-good.json');
+const presetBadOrdering = require('./fixtures/preset-bad-ordering.json');
+const presetRealComplex = require('./fixtures/preset-real-complex.json');
+
+function copy(preset) {
+    return JSON.parse(JSON.stringify(preset));
+}
+
+describe('Preset Comparison', () => {
+
+    // TEST 1: Identical presets compare as unchanged
+    it('should report no differences for identical presets', () => {
+        const result = compare(presetGood, copy(presetGood), { provider: 'anthropic' });
+        expect(result.score.delta).toBe(0);
+        expect(result.stablePrefixTokens.delta).toBe(0);
+        expect(result.findings.added).toHaveLength(0);
+        expect(result.findings.resolved).toHaveLength(0);
+        expect(result.entries.every(entry => entry.status === 'unchanged')).toBe(true);
+    });
+
+    // TEST 2: Optimizing resolves findings and raises the score
+    it('should list findings resolved by a better version', () => {
+        const optimized = optimizePreset(presetRealComplex, { provider: 'anthropic' }).preset;
+        const result = compare(presetRealComplex, optimized, { provider: 'anthropic' });
+        expect(result.score.delta).toBeGreaterThan(0);
+        expect(result.findings.resolved.length).toBeGreaterThan(0);
+        expect(result.findings.added).toHaveLength(0);
+    });
+
+    // TEST 3: A regression shows up as added findings
+    it('should list findings added by a worse version', () => {
+        const worse = copy(presetGood);
+        worse.prompts.find(p => p.identifier === 'main').content += '\nToday is {{weekday}}.';
+        const result = compare(presetGood, worse, { provider: 'anthropic' });
+        expect(result.score.delta).toBeLessThan(0);
+        expect(result.findings.added.some(f => f.rule === 'macro-placement')).toBe(true);
+        expect(result.stablePrefixTokens.delta).toBeLessThan(0);
+    });
+
+    // TEST 4: Per-entry diff of order, content and enabled state
+    it('should diff entry order, content and enabled state', () => {
+        const changed = copy(presetBadOrdering);
+        const order = changed.prompt_order[0].order;
+        order.push(order.splice(order.findIndex(e => e.identifier === 'chatHistory'), 1)[0]);
+        order.find(e => e.identifier === 'nsfw').enabled = false;
+        changed.prompts.find(p => p.identifier === 'scenario').content += ' Extra.';
+
+        const entries = compare(presetBadOrdering, changed, { provider: 'openai' }).entries;
+        const byId = id => entries.find(entry => entry.identifier === id);
+        expect(byId('chatHistory').position.after).toBe(order.length - 1);
+        expect(byId('nsfw').enabled).toEqual({ before: true, after: false });
+        expect(byId('scenario').contentChanged).toBe(true);
+        expect(byId('main').status).toBe('unchanged');
+    });
+
+    // TEST 5: Added and removed entries
+    it('should report entries only one version has', () => {
+        const changed = copy(presetGood);
+        const removed = changed.prompt_order[0].order.pop();
+        changed.prompts.push({ identifier: 'newEntry', name: 'New Entry', content: 'Hello.', role: 'system' });
+        changed.prompt_order[0].order.push({ identifier: 'newEntry', enabled: true });
+
+        const entries = compare(presetGood, changed, { provider: 'anthropic' }).entries;
+        expect(entries.find(entry => entry.identifier === 'newEntry').status).toBe('added');
+        expect(entries.find(entry => entry.identifier === removed.identifier).status).toBe('removed');
+    });
+
+    // TEST 6: A reorder alone does not count as a new finding
+    it('should key positional findings by entry', () => {
+        const moved = copy(presetBadOrdering);
+        const order = moved.prompt_order[0].order;
+        // chatHistory shifts one position down and is still flagged, under a new id
+        order.unshift(order.splice(order.findIndex(e => e.identifier === 'charDescription'), 1)[0]);
+
+        const result = compare(presetBadOrdering, moved, { provider: 'openai' });
+        expect(result.findings.added.filter(f => f.rule === 'prompt-ordering')).toHaveLength(0);
+        expect(result.findings.resolved.filter(f => f.rule === 'prompt-ordering')).toHaveLength(0);
+    });
+
+    // TEST 7: Unusable presets
+    it('should return null when either preset is unusable', () => {
+        expect(compare(presetGood, {}, {})).toBe(null);
+        expect(compare(null, presetGood, {})).toBe(null);
+    });
+});
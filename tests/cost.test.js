@@ -0,0 +1,100 @@
+const { DEFAULT_PRICING, mergePricing, simulateSession, priceSession, estimateSavings } = require('../core/cost');
+const { computeCacheDiff } = require('../core/cache-diff');
+const { renderCostEstimate } = require('../ui/components');
+const presetIzumi = require('./fixtures/preset-real-izumi.json');
+const presetThresholdMiss = require('./fixtures/preset-threshold-miss.json');
+
+const SHORT_SESSION = { turns: 5, messageTokens: 100 };
+
+describe('Cost Estimator', () => {
+
+    // TEST 1: Edited cells are laid over the defaults without touching them
+    it('should merge pricing overrides cell by cell', () => {
+        const pricing = mergePricing({ anthropic: { 'claude-sonnet-4': { cacheRead: 0.5 } }, local: { llama: { input: 0, cacheWrite: 0, cacheRead: 0 } } });
+        expect(pricing.anthropic['claude-sonnet-4'].cacheRead).toBe(0.5);
+        expect(pricing.anthropic['claude-sonnet-4'].input).toBe(DEFAULT_PRICING.anthropic['claude-sonnet-4'].input);
+        expect(pricing.local.llama.input).toBe(0);
+        expect(DEFAULT_PRICING.anthropic['claude-sonnet-4'].cacheRead).toBe(0.3);
+    });
+
+    // TEST 2: One request per turn; the first has nothing to read from cache
+    it('should simulate one request per turn', () => {
+        const usage = simulateSession(presetIzumi, { provider: 'anthropic', session: SHORT_SESSION });
+        expect(usage.turns).toHaveLength(5);
+        expect(usage.turns[0].cachedTokens).toBe(0);
+        expect(usage.turns[0].writtenTokens).toBe(usage.turns[0].inputTokens);
+        expect(usage.turns[1].cachedTokens).toBeGreaterThan(0);
+        expect(usage.turns[4].inputTokens).toBeGreaterThan(usage.turns[0].inputTokens);
+    });
+
+    // TEST 3: Requests below the provider minimum are neither read nor written
+    it('should not cache requests below the provider minimum', () => {
+        const usage = simulateSession(presetThresholdMiss, { provider: 'google', session: { turns: 2, messageTokens: 10 } });
+        expect(usage.cachedTokens).toBe(0);
+        expect(usage.writtenTokens).toBe(0);
+    });
+
+    // TEST 4: Uncached, written and read tokens each at their own price
+    it('should price input, cache writes and cache reads', () => {
+        const usage = { inputTokens: 3000000, cachedTokens: 1000000, writtenTokens: 1000000 };
+        expect(priceSession(usage, { input: 3, cacheWrite: 3.75, cacheRead: 0.3 })).toBe(3 + 3.75 + 0.3);
+    });
+
+    // TEST 5: One row per priced model of the provider
+    it('should estimate every model of the provider', () => {
+        const estimate = estimateSavings(presetIzumi, { provider: 'openai', session: SHORT_SESSION });
+        expect(estimate.models.map(row => row.model)).toEqual(Object.keys(DEFAULT_PRICING.openai));
+        for (const row of estimate.models) {
+            expect(row.current).toBeLessThan(row.uncached);
+        }
+    });
+
+    // TEST 6: The optimizer's layout reads more from cache on a real preset with a
+    // per-turn macro in its main prompt
+    it('should report savings for the optimized layout', () => {
+        const preset = JSON.parse(JSON.stringify(presetIzumi));
+        const main = preset.prompts.find(prompt => prompt.identifier === 'main');
+        main.content = `Mood today: {{random::calm,tense}}\n${main.content}`;
+        const estimate = estimateSavings(preset, { provider: 'anthropic', session: SHORT_SESSION });
+        expect(estimate.optimized.cachedTokens).toBeGreaterThan(estimate.current.cachedTokens);
+        expect(estimate.models[0].savings).toBeGreaterThan(0);
+        expect(estimate.latency.delta).toBeLessThan(0);
+    });
+
+    // TEST 7: Edited prices and a given optimized preset are used as they are
+    it('should use custom pricing and a given optimized preset', () => {
+        const estimate = estimateSavings(presetIzumi, {
+            provider: 'anthropic',
+            session: SHORT_SESSION,
+            optimized: presetIzumi,
+            pricing: { anthropic: { 'claude-opus-4': { input: 0, cacheWrite: 0, cacheRead: 0 } } }
+        });
+        const opus = estimate.models.find(row => row.model === 'claude-opus-4');
+        expect(opus.current).toBe(0);
+        expect(estimate.models[1].savings).toBe(0);
+    });
+
+    // TEST 8: Unusable presets
+    it('should return null for an unusable preset', () => {
+        expect(estimateSavings({}, { provider: 'anthropic' })).toBe(null);
+        expect(simulateSession(null)).toBe(null);
+    });
+
+    // TEST 9: Later turns add the exchange measured between the first two
+    it('should extend the first measured turns exchange by exchange', () => {
+        const usage = simulateSession(presetIzumi, { provider: 'anthropic', session: { turns: 6, messageTokens: 150 } });
+        const exchange = usage.turns[2].inputTokens - usage.turns[1].inputTokens;
+        expect(usage.turns[5].inputTokens).toBe(usage.turns[1].inputTokens + 4 * exchange);
+        expect(usage.turns[2].cachedTokens).toBe(computeCacheDiff(presetIzumi, { provider: 'anthropic', chatLength: 1, messageLength: 600, turn: 1 }).cachedTokens);
+        expect(usage.turns[5].cachedTokens).toBeLessThan(usage.turns[5].inputTokens);
+    });
+
+    // TEST 10: Providers without a pricing table say so instead of an empty table
+    it('should report providers without pricing', () => {
+        const estimate = estimateSavings(presetIzumi, { provider: 'deepseek', session: SHORT_SESSION });
+        expect(estimate.models).toHaveLength(0);
+        expect(estimate.message).toBe('No pricing for DeepSeek');
+        expect(renderCostEstimate(estimate)).toContain('No pricing for DeepSeek');
+        expect(estimateSavings(presetIzumi, { provider: 'openrouter', modelId: 'anthropic/claude-sonnet-4', session: SHORT_SESSION }).message).toBe(null);
+    });
+});
@@ -0,0 +1,104 @@
+const { normalizeExtensionPrompts, EXTENSION_PROMPT_TYPES } = require('../core/extension-prompts');
+const { normalizePreset } = require('../core/preset-model');
+const { assemblePrompt } = require('../core/simulator');
+const { computeCacheDiff } = require('../core/cache-diff');
+const { checkInjectionDepth } = require('../rules/injection-depth');
+const { checkPromptOrdering } = require('../rules/prompt-ordering');
+const { analyze, getPromptEntries } = require('../analyzer');
+const presetGood = require('./fixtures/preset-good.json');
+const presetRealComplex = require('./fixtures/preset-real-complex.json');
+
+// What ST's extension_prompts holds after a generation with these extensions on
+const EXTENSION_PROMPTS = {
+    '2_floating_prompt': { value: '[Keep replies under 200 words.]', position: EXTENSION_PROMPT_TYPES.IN_CHAT, depth: 1, role: 0, scan: false },
+    '1_memory': { value: 'Summary: the party reached the northern pass.', position: EXTENSION_PROMPT_TYPES.IN_PROMPT, depth: 2, role: 0, scan: false },
+    '3_vectors': { value: 'Past events: the dragon was seen.', position: EXTENSION_PROMPT_TYPES.BEFORE_PROMPT, depth: 2, role: 0, scan: false },
+    'DEPTH_PROMPT': { value: 'Speaks in short sentences.', position: EXTENSION_PROMPT_TYPES.IN_CHAT, depth: 4, role: 0, scan: false },
+    'customDepthWI-4-0': { value: 'World Info at depth.', position: EXTENSION_PROMPT_TYPES.IN_CHAT, depth: 4, role: 0 },
+    'my_extension': { value: 'Custom text.', position: EXTENSION_PROMPT_TYPES.IN_CHAT, depth: 0, role: 1 },
+    'unused': { value: '', position: EXTENSION_PROMPT_TYPES.IN_CHAT, depth: 0, role: 0 },
+    'off': { value: 'Never sent.', position: EXTENSION_PROMPT_TYPES.NONE, depth: 0, role: 0 }
+};
+
+describe('Extension Prompts', () => {
+
+    // TEST 1: Registered prompts become preset-style pseudo prompts
+    it('should read extension prompts with their position, depth and role', () => {
+        const prompts = normalizeExtensionPrompts(EXTENSION_PROMPTS);
+        expect(prompts.map(p => p.identifier)).toEqual(['extension:2_floating_prompt', 'extension:1_memory', 'extension:3_vectors', 'extension:DEPTH_PROMPT', 'extension:my_extension']);
+        const note = prompts[0];
+        expect(note.name).toBe("Author's Note");
+        expect(note.injection_position).toBe(1);
+        expect(note.injection_depth).toBe(1);
+        expect(prompts[1].placement).toBe('after');
+        expect(prompts[2].placement).toBe('before');
+        expect(prompts[2].volatile).toBe(true);
+        expect(prompts[4].role).toBe('user');
+        expect(normalizeExtensionPrompts(null)).toEqual([]);
+    });
+
+    // TEST 2: Pseudo-entries sit around the main prompt or in the chat, as ST sends them
+    it('should place extension prompts in the model and the simulated request', () => {
+        const model = normalizePreset(presetGood, { extensionPrompts: EXTENSION_PROMPTS });
+        expect(model.entries.map(e => e.identifier).slice(0, 4)).toEqual(['extension:3_vectors', 'main', 'extension:1_memory', 'char-desc']);
+        expect(model.entries.find(e => e.identifier === 'extension:2_floating_prompt').extensionKey).toBe('2_floating_prompt');
+        expect(model.order.some(e => e.identifier === 'extension:2_floating_prompt')).toBe(false);
+
+        const messages = assemblePrompt(presetGood, { model, chatLength: 4, squash: false });
+        const note = messages.findIndex(m => m.identifier === 'extension:2_floating_prompt');
+        expect(messages[note].source).toBe('injection');
+        expect(messages.slice(note + 1).filter(m => m.source === 'chat')).toHaveLength(1);
+    });
+
+    // TEST 3: Injection depth and prompt ordering see the pseudo-entries, without preset fixes
+    it('should feed the injection-depth and prompt-ordering rules', () => {
+        const options = { extensionPrompts: EXTENSION_PROMPTS };
+        const depth = checkInjectionDepth(presetGood, options);
+        const note = depth.find(f => f.affectedEntry === 'extension:2_floating_prompt');
+        expect(note.severity).toBe('warning');
+        expect(note.fix).toBe(null);
+        expect(note.recommendation).toContain("the Author's Note panel");
+        expect(depth.some(f => f.affectedEntry === 'extension:DEPTH_PROMPT')).toBe(false);
+
+        const ordering = checkPromptOrdering(presetGood, options);
+        const vectors = ordering.find(f => f.affectedEntry === 'extension:3_vectors');
+        expect(vectors.fix).toBe(null);
+        expect(vectors.recommendation).toContain('Vector Storage settings');
+        expect(checkPromptOrdering(presetGood, {}).some(f => f.affectedEntry === 'extension:3_vectors')).toBe(false);
+    });
+
+    // TEST 4: The cache diff names the extension prompt that ends the prefix
+    it('should attribute the divergence to an extension prompt', () => {
+        const diff = computeCacheDiff(presetGood, { provider: 'anthropic', chatLength: 4, extensionPrompts: { '2_floating_prompt': EXTENSION_PROMPTS['2_floating_prompt'] } });
+        expect(diff.cause.kind).toBe('injection');
+        expect(diff.cause.name).toBe("Author's Note");
+    });
+
+    // TEST 5: analyze() reports on what is actually sent and marks the pseudo-entries
+    it('should include extension prompts in the analysis', () => {
+        const plain = analyze(presetGood, { provider: 'anthropic' });
+        const results = analyze(presetGood, { provider: 'anthropic', extensionPrompts: EXTENSION_PROMPTS });
+        expect(results.score).toBeLessThan(plain.score);
+        const entries = getPromptEntries(presetGood, results.findings, { extensionPrompts: EXTENSION_PROMPTS });
+        const note = entries.find(e => e.identifier === 'extension:2_floating_prompt');
+        expect(note.extension).toBe(true);
+        expect(note.flagged).toBe(true);
+        expect(entries.find(e => e.identifier === 'main').extension).toBe(false);
+    });
+
+    // TEST 6: A preset prompt named authorsNote keeps its text and findings next to ST's Author's Note
+    it('should not collide with preset prompts of the same name', () => {
+        const options = { extensionPrompts: { '2_floating_prompt': EXTENSION_PROMPTS['2_floating_prompt'] } };
+        const model = normalizePreset(presetRealComplex, options);
+        const own = model.entries.find(e => e.identifier === 'authorsNote');
+        const note = model.entries.find(e => e.identifier === 'extension:2_floating_prompt');
+        expect(own.rendered).toContain('professional detachment');
+        expect(note.rendered).toBe('[Keep replies under 200 words.]');
+
+        const depth = checkInjectionDepth(presetRealComplex, options);
+        expect(depth.filter(f => f.affectedEntry === 'authorsNote')).toHaveLength(1);
+        expect(depth.filter(f => f.affectedEntry === 'extension:2_floating_prompt')).toHaveLength(1);
+        expect(new Set(depth.map(f => f.id)).size).toBe(depth.length);
+    });
+
+});
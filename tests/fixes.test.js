@@ -0,0 +1,112 @@
+const {
+    FIX_TYPE,
+    applyFix,
+    snapshotPreset,
+    createUndoStack
+} = require('../core/fixes');
+const { analyze } = require('../analyzer');
+const { normalizePreset } = require('../core/preset-model');
+const presetBadMacros = require('./fixtures/preset-bad-macros.json');
+const presetBadOrdering = require('./fixtures/preset-bad-ordering.json');
+const presetDeepInjection = require('./fixtures/preset-deep-injection.json');
+
+function copy(preset) {
+    return JSON.parse(JSON.stringify(preset));
+}
+
+function orderOf(preset) {
+    return normalizePreset(preset).entries.map(entry => entry.identifier);
+}
+
+describe('Structured Fixes', () => {
+
+    // TEST 1: Shallow injections carry a depth fix
+    it('should attach an injection_depth fix to injection-depth findings', () => {
+        const finding = analyze(presetDeepInjection, { provider: 'anthropic' }).findings
+            .find(f => f.id === 'injection-depth-authors-note');
+        expect(finding.fix.type).toBe(FIX_TYPE.SET_PROMPT_FIELD);
+        expect(finding.fix.field).toBe('injection_depth');
+        expect(finding.fix.value).toBe(4);
+        expect(finding.fix.label.includes('injection depth')).toBe(true);
+    });
+
+    // TEST 2: Applying a fix resolves its finding
+    it('should resolve the finding once its fix is applied', () => {
+        const preset = copy(presetDeepInjection);
+        const finding = analyze(preset, { provider: 'anthropic' }).findings
+            .find(f => f.id === 'injection-depth-authors-note');
+        expect(applyFix(preset, finding.fix)).toBe(true);
+        expect(analyze(preset, { provider: 'anthropic' }).findings
+            .some(f => f.id === 'injection-depth-authors-note')).toBe(false);
+    });
+
+    // TEST 3: prompt-ordering moves the volatile entry behind the last stable one
+    it('should move the flagged entry after the last stable entry', () => {
+        const preset = copy(presetBadOrdering);
+        const finding = analyze(preset, { provider: 'openai' }).findings
+            .find(f => f.rule === 'prompt-ordering');
+        expect(finding.fix.type).toBe(FIX_TYPE.MOVE_ENTRY);
+        expect(finding.fix.after).toBe('nsfw');
+
+        applyFix(preset, finding.fix);
+        expect(orderOf(preset).slice(-1)).toEqual(['chatHistory']);
+    });
+
+    // TEST 4: Dynamic macros before the chat history get a move fix
+    it('should offer moving entries with dynamic macros after the chat history', () => {
+        const findings = analyze(presetBadMacros, { provider: 'anthropic' }).findings
+            .filter(f => f.rule === 'macro-placement');
+        const withFix = findings.filter(f => f.fix);
+        expect(withFix.length).toBeGreaterThan(0);
+        expect(withFix.every(f => f.fix.after === 'chatHistory')).toBe(true);
+    });
+
+    // TEST 5: Squash fix only for the squash-off finding
+    it('should attach a setting fix to the anthropic squash finding', () => {
+        const finding = analyze(presetBadOrdering, { provider: 'anthropic' }).findings
+            .find(f => f.id === 'provider-specific-anthropic-squash-off');
+        expect(finding.fix).toEqual({
+            type: FIX_TYPE.SET_SETTING,
+            field: 'squash_system_messages',
+            value: true,
+            label: 'Turn on squash_system_messages'
+        });
+    });
+
+    // TEST 6: A fix that changes nothing reports false
+    it('should report false for fixes that change nothing', () => {
+        const preset = copy(presetBadOrdering);
+        const fix = { type: FIX_TYPE.SET_SETTING, field: 'squash_system_messages', value: true, label: '' };
+        expect(applyFix(preset, fix)).toBe(true);
+        expect(applyFix(preset, fix)).toBe(false);
+        expect(applyFix(preset, { type: FIX_TYPE.MOVE_ENTRY, identifier: 'missing', after: 'main' })).toBe(false);
+    });
+
+    // TEST 7: Undo restores snapshots in reverse order
+    it('should undo applied fixes in reverse order', () => {
+        const preset = copy(presetDeepInjection);
+        const original = JSON.stringify(preset);
+        const stack = createUndoStack();
+
+        stack.push('first', snapshotPreset(preset));
+        applyFix(preset, { type: FIX_TYPE.SET_PROMPT_FIELD, identifier: 'authors-note', field: 'injection_depth', value: 4 });
+        const afterFirst = JSON.stringify(preset);
+        stack.push('second', snapshotPreset(preset));
+        applyFix(preset, { type: FIX_TYPE.SET_SETTING, field: 'squash_system_messages', value: true });
+
+        expect(stack.peek()).toBe('second');
+        expect(stack.undo(preset)).toBe('second');
+        expect(JSON.stringify(preset)).toBe(afterFirst);
+        expect(stack.undo(preset)).toBe('first');
+        expect(JSON.stringify(preset)).toBe(original);
+        expect(stack.undo(preset)).toBe(null);
+    });
+
+    // TEST 8: The stack drops the oldest record beyond its limit
+    it('should keep at most `limit` records', () => {
+        const stack = createUndoStack(3);
+        for (let i = 0; i < 5; i++) stack.push(`fix ${i}`, {});
+        expect(stack.size).toBe(3);
+        expect(stack.peek()).toBe('fix 4');
+    });
+});
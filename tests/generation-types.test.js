@@ -0,0 +1,57 @@
+const { checkGenerationTypes } = require('../rules/generation-types');
+const presetGood = require('./fixtures/preset-good.json');
+const presetRealComplex = require('./fixtures/preset-real-complex.json');
+
+function withTriggeredEntry(preset, trigger) {
+    const copy = JSON.parse(JSON.stringify(preset));
+    copy.prompts.push({ identifier: 'swipeNote', name: 'Swipe Note', content: 'Write a different reply.', role: 'system', injection_trigger: trigger });
+    copy.prompt_order[0].order.splice(1, 0, { identifier: 'swipeNote', enabled: true });
+    return copy;
+}
+
+describe('Generation Types Rule', () => {
+
+    // TEST 1: A preset every generation type shares the prefix of has no findings
+    it('should report nothing when follow-up generations reuse the cache', () => {
+        const preset = Object.assign({}, presetGood, { continue_prefill: true });
+        expect(checkGenerationTypes(preset, { provider: 'anthropic' })).toHaveLength(0);
+        expect(checkGenerationTypes(presetGood, { provider: 'openai' })).toHaveLength(0);
+    });
+
+    // TEST 2: An entry only swipes send breaks their prefix early
+    it('should flag generation types that lose more prefix than a normal turn', () => {
+        const findings = checkGenerationTypes(withTriggeredEntry(presetGood, ['swipe', 'regenerate']), { provider: 'openai' });
+        expect(findings.map(f => f.id)).toEqual(['generation-types-swipe-prefix-loss', 'generation-types-regenerate-prefix-loss']);
+        expect(findings[0].severity).toBe('warning');
+        expect(findings[0].affectedEntry).toBe('swipeNote');
+        expect(findings[0].meta.cause).toBe('trigger');
+        expect(findings[0].meta.lostTokens).toBeGreaterThan(0);
+        expect(findings[0].recommendation).toContain('after the chat history');
+    });
+
+    // TEST 3: Claude continues without continue_prefill get a setting fix
+    it('should suggest continue_prefill for Claude', () => {
+        const findings = checkGenerationTypes(presetRealComplex, { provider: 'anthropic' });
+        const nudge = findings.find(f => f.id === 'generation-types-continue-nudge');
+        expect(nudge.severity).toBe('info');
+        expect(nudge.fix.field).toBe('continue_prefill');
+        expect(nudge.fix.value).toBe(true);
+        expect(nudge.meta.prefillPrefixTokens).toBeGreaterThan(nudge.meta.prefixTokens);
+        expect(checkGenerationTypes(presetRealComplex, { provider: 'openai' }).some(f => f.id === 'generation-types-continue-nudge')).toBe(false);
+    });
+
+    // TEST 4: Only the normal run compares; per-type runs would repeat the findings
+    it('should only run for normal generations', () => {
+        const preset = withTriggeredEntry(presetGood, ['swipe']);
+        expect(checkGenerationTypes(preset, { provider: 'openai', generationType: 'swipe' })).toHaveLength(0);
+        expect(checkGenerationTypes(preset, { provider: 'openai', generationType: 'normal' })).toHaveLength(1);
+        expect(checkGenerationTypes(null, {})).toHaveLength(0);
+    });
+
+    // TEST 5: Severity overrides
+    it('should honor severity overrides', () => {
+        const findings = checkGenerationTypes(withTriggeredEntry(presetGood, ['swipe']), { provider: 'openai', severity: { prefixLoss: 'critical' } });
+        expect(findings[0].severity).toBe('critical');
+    });
+
+});
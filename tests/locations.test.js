@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { locateFinding, findSourceRange } = require('../core/locations');
+const { analyze } = require('../analyzer');
+
+const badMacrosSource = fs.readFileSync(path.join(__dirname, 'fixtures', 'preset-bad-macros.json'), 'utf8');
+const presetBadMacros = JSON.parse(badMacrosSource);
+const presetBadOrdering = require('./fixtures/preset-bad-ordering.json');
+const presetDeepInjection = require('./fixtures/preset-deep-injection.json');
+
+describe('Finding Locations', () => {
+
+    // TEST 1: Macro findings point at the macro inside the entry content
+    it('should locate dynamic macros by pointer and offset', () => {
+        const finding = analyze(presetBadMacros, { provider: 'anthropic' }).findings
+            .find(f => f.rule === 'macro-placement' && f.affectedEntry === 'main');
+        const index = presetBadMacros.prompts.findIndex(p => p.identifier === 'main');
+        expect(finding.location.pointer).toBe(`/prompts/${index}/content`);
+
+        const content = presetBadMacros.prompts[index].content;
+        const { offset, length } = finding.location;
+        expect(content.slice(offset, offset + length).startsWith('{{random')).toBe(true);
+    });
+
+    // TEST 2: Field-level findings point at the field
+    it('should point injection and squash findings at their fields', () => {
+        const depth = analyze(presetDeepInjection, { provider: 'anthropic' }).findings
+            .find(f => f.id === 'injection-depth-authors-note');
+        const index = presetDeepInjection.prompts.findIndex(p => p.identifier === 'authors-note');
+        expect(depth.location).toEqual({ pointer: `/prompts/${index}/injection_depth` });
+
+        const squash = analyze(presetBadOrdering, { provider: 'anthropic' }).findings
+            .find(f => f.id === 'provider-specific-anthropic-squash-off');
+        expect(squash.location.pointer).toBe('/squash_system_messages');
+    });
+
+    // TEST 3: Ordering findings point into prompt_order
+    it('should point prompt-ordering findings at the order entry', () => {
+        const finding = analyze(presetBadOrdering, { provider: 'openai' }).findings
+            .find(f => f.rule === 'prompt-ordering');
+        const order = presetBadOrdering.prompt_order[0].order;
+        expect(finding.location.pointer).toBe(`/prompt_order/0/order/${order.findIndex(e => e.identifier === 'chatHistory')}`);
+    });
+
+    // TEST 4: Whole-preset findings point at the root
+    it('should point whole-preset findings at the document root', () => {
+        const location = locateFinding(presetBadOrdering, { rule: 'token-thresholds', affectedEntry: 'all' });
+        expect(location).toEqual({ pointer: '' });
+    });
+
+    // TEST 5: Source ranges land on the macro text in the file
+    it('should map a location to the macro in the file text', () => {
+        const finding = analyze(presetBadMacros, { provider: 'anthropic' }).findings
+            .find(f => f.rule === 'macro-placement');
+        const range = findSourceRange(badMacrosSource, finding.location);
+        expect(badMacrosSource.slice(range.start, range.end).startsWith('{{random')).toBe(true);
+        const lines = badMacrosSource.split('\n');
+        expect(lines[range.startLine - 1].slice(range.startColumn - 1).startsWith('{{random')).toBe(true);
+    });
+
+    // TEST 6: Escapes in the file shift raw offsets
+    it('should account for JSON escapes before the macro', () => {
+        const source = JSON.stringify({ prompts: [{ identifier: 'a', content: 'Line "one"\nTime: é {{time}}' }] }, null, 4)
+            .replace('é', '\\u00e9');
+        const content = JSON.parse(source).prompts[0].content;
+        const offset = content.indexOf('{{time}}');
+        const range = findSourceRange(source, { pointer: '/prompts/0/content', offset, length: 8 });
+        expect(source.slice(range.start, range.end)).toBe('{{time}}');
+    });
+
+    // TEST 7: Pointers that do not resolve
+    it('should return null for pointers missing from the file', () => {
+        expect(findSourceRange(badMacrosSource, { pointer: '/prompts/999/content' })).toBe(null);
+        expect(findSourceRange(badMacrosSource, { pointer: '/nothing' })).toBe(null);
+    });
+});
@@ -0,0 +1,84 @@
+const { evaluateMacros, createEvaluationState, renderEntries } = require('../core/macro-evaluator');
+const { normalizePreset, getStableText } = require('../core/preset-model');
+const { checkTokenThresholds } = require('../rules/token-thresholds');
+const presetIzumi = require('./fixtures/preset-real-izumi.json');
+
+describe('Macro Evaluator', () => {
+
+    // TEST 1: Silent macros render to nothing
+    it('should render comments, noop and variable writes as empty text', () => {
+        expect(evaluateMacros('{{// author notes }}{{noop}}{{setvar::x::1}}')).toBe('');
+        expect(evaluateMacros('A{{newline}}B')).toBe('A\nB');
+    });
+
+    // TEST 2: {{trim}} removes the newlines around it
+    it('should remove {{trim}} with its surrounding newlines', () => {
+        expect(evaluateMacros('First\n\n{{trim}}\n\nSecond')).toBe('FirstSecond');
+    });
+
+    // TEST 3: Chat and card macros use fixed, overridable stand-ins
+    it('should render char and user with stand-ins', () => {
+        expect(evaluateMacros('{{char}} talks to {{user}}.')).toBe('Character talks to User.');
+        const state = createEvaluationState({ standIns: { char: 'Seraphina', User: 'Alex' } });
+        expect(evaluateMacros('{{char}} talks to {{user}}.', state)).toBe('Seraphina talks to Alex.');
+        expect(evaluateMacros('{{pick::red,blue}}')).toBe('red');
+    });
+
+    // TEST 4: Volatile macros render a per-generation stand-in
+    it('should render volatile macros with a per-generation stand-in', () => {
+        expect(evaluateMacros('Mood: {{random::a,b}}', createEvaluationState({ generation: 0 }))).toBe('Mood: A:random');
+        expect(evaluateMacros('Mood: {{random::a,b}}', createEvaluationState({ generation: 1 }))).toBe('Mood: B:random');
+        expect(evaluateMacros('{{lastUserMessage}}', createEvaluationState({ generation: 2 }))).toBe('C:lastUserMessage');
+    });
+
+    // TEST 5: Variables flow through nested macros and across entries
+    it('should evaluate variables across entries in order', () => {
+        const rendered = renderEntries([
+            { identifier: 'early', content: 'Style: {{getvar::style}}' },
+            { identifier: 'toggles', content: '{{setvar::style::terse, {{char}}-focused}}' },
+            { identifier: 'late', content: 'Style: {{getvar::style}}' }
+        ]);
+        // The early getvar reads the value stored by the previous generation
+        expect(rendered.early).toBe('Style: terse, Character-focused');
+        expect(rendered.toggles).toBe('');
+        expect(rendered.late).toBe('Style: terse, Character-focused');
+    });
+
+    // TEST 6: Accumulating writes differ between consecutive generations
+    it('should accumulate addvar and incvar per generation', () => {
+        const entries = [{ identifier: 'counter', content: 'Turn {{incvar::n}}' }];
+        expect(renderEntries(entries, { generation: 0 }).counter).toBe('Turn 2');
+        expect(renderEntries(entries, { generation: 1 }).counter).toBe('Turn 3');
+    });
+
+    // TEST 7: Unknown macros are left untouched, like ST does
+    it('should leave unknown macros untouched', () => {
+        expect(evaluateMacros('{{myExtension::{{char}}}}')).toBe('{{myExtension::Character}}');
+    });
+
+    // TEST 8: Rules measure the rendered text, not the template
+    it('should measure rendered text in the stable prefix', () => {
+        const preset = {
+            prompts: [
+                { identifier: 'main', name: 'Main', content: '{{// ' + 'Long author comment. '.repeat(400) + '}}Be brief.', role: 'system' },
+                { identifier: 'chatHistory', name: 'Chat History', marker: true }
+            ],
+            prompt_order: [{ character_id: 100001, order: [
+                { identifier: 'main', enabled: true },
+                { identifier: 'chatHistory', enabled: true }
+            ]}]
+        };
+        expect(getStableText(normalizePreset(preset))).toBe('Be brief.');
+        const findings = checkTokenThresholds(preset, { provider: 'anthropic' });
+        expect(findings[0].meta.estimatedTokens).toBeLessThan(10);
+    });
+
+    // TEST 9: Izumi renders without leftover variable macros
+    it('should render the Izumi preset without variable macros left over', () => {
+        const model = normalizePreset(presetIzumi);
+        const text = model.entries.map(e => e.rendered).join('\n');
+        expect(/\{\{(setvar|getvar)/i.test(text)).toBe(false);
+        expect(text.length).toBeLessThan(model.entries.map(e => e.content).join('\n').length);
+    });
+
+});
@@ -70,4 +70,23 @@ describe('Macro Placement Rule', () => {
         expect(findings.length).toBe(0);
     });
 
+    // TEST 9: Per-message macros bust the prefix on every turn too
+    it('should flag per-message macros like lastUserMessage', () => {
+        const preset = {
+            prompts: [
+                { identifier: 'main', name: 'Main Prompt', content: 'Reply to: {{lastUserMessage}}', enabled: true, role: 'system' },
+                { identifier: 'chatHistory', name: 'Chat History', content: '', enabled: true, role: 'system' }
+            ],
+            prompt_order: [{ character_id: 100001, order: [
+                { identifier: 'main', enabled: true },
+                { identifier: 'chatHistory', enabled: true }
+            ]}]
+        };
+        const findings = checkMacroPlacement(preset);
+        expect(findings).toHaveLength(1);
+        expect(findings[0].severity).toBe('critical');
+        expect(findings[0].meta.macroFound).toBe('{{lastUserMessage}}');
+        expect(findings[0].meta.volatility).toBe('per-message');
+    });
+
 });
@@ -0,0 +1,77 @@
+const { MACRO_VOLATILITY, getMacroInfo, parseMacros, findDynamicMacros, getContentVolatility } = require('../core/macros');
+const presetIzumi = require('./fixtures/preset-real-izumi.json');
+
+describe('Macro Catalogue', () => {
+
+    // TEST 1: Every volatility class is represented
+    it('should classify macros into volatility classes', () => {
+        expect(getMacroInfo('random').volatility).toBe(MACRO_VOLATILITY.PER_GENERATION);
+        expect(getMacroInfo('lastUserMessage').volatility).toBe(MACRO_VOLATILITY.PER_MESSAGE);
+        expect(getMacroInfo('lastChatMessage').volatility).toBe(MACRO_VOLATILITY.PER_MESSAGE);
+        expect(getMacroInfo('outlet').volatility).toBe(MACRO_VOLATILITY.PER_MESSAGE);
+        expect(getMacroInfo('pick').volatility).toBe(MACRO_VOLATILITY.PER_CHAT);
+        expect(getMacroInfo('user').volatility).toBe(MACRO_VOLATILITY.PER_CHAT);
+        expect(getMacroInfo('persona').volatility).toBe(MACRO_VOLATILITY.PER_CHAT);
+        expect(getMacroInfo('getvar').volatility).toBe(MACRO_VOLATILITY.PER_CHAT);
+        expect(getMacroInfo('char').volatility).toBe(MACRO_VOLATILITY.PER_CHARACTER);
+        expect(getMacroInfo('setvar').volatility).toBe(MACRO_VOLATILITY.STATIC);
+        expect(getMacroInfo('trim').volatility).toBe(MACRO_VOLATILITY.STATIC);
+    });
+
+    // TEST 2: Names are matched case-insensitively, unknown names are marked
+    it('should match names case-insensitively and mark unknown macros', () => {
+        expect(getMacroInfo('LastUserMessage').known).toBe(true);
+        expect(getMacroInfo('LastUserMessage').volatility).toBe(MACRO_VOLATILITY.PER_MESSAGE);
+        const unknown = getMacroInfo('myExtensionMacro');
+        expect(unknown.known).toBe(false);
+        expect(unknown.volatility).toBe(MACRO_VOLATILITY.PER_CHAT);
+    });
+
+    // TEST 3: Argument syntaxes resolve to the macro name
+    it('should parse names and arguments from every argument syntax', () => {
+        const macros = parseMacros('{{random::a::b}} {{roll:d6}} {{time_UTC-5}} {{datetimeformat YYYY}} {{getvar::mood}}');
+        expect(macros.map(m => m.name)).toEqual(['random', 'roll', 'time_UTC', 'datetimeformat', 'getvar']);
+        expect(macros.map(m => m.args)).toEqual(['a::b', 'd6', '-5', 'YYYY', 'mood']);
+        expect(macros[0].raw).toBe('{{random::a::b}}');
+        expect(macros[0].macro).toBe('{{random}}');
+        expect(macros[1].index).toBe(17);
+    });
+
+    // TEST 4: Nested macros are reported after the macro around them
+    it('should report nested macros', () => {
+        const macros = parseMacros('{{setvar::greeting::Hi {{user}}, it is {{time}}}}');
+        expect(macros.map(m => m.name)).toEqual(['setvar', 'user', 'time']);
+        expect(macros[0].length).toBe('{{setvar::greeting::Hi {{user}}, it is {{time}}}}'.length);
+    });
+
+    // TEST 5: Comments are static and their text is not parsed
+    it('should treat comments as static and skip macros inside them', () => {
+        const macros = parseMacros('{{// uses {{random}} later }}Text');
+        expect(macros).toHaveLength(1);
+        expect(macros[0].macro).toBe('{{//}}');
+        expect(macros[0].volatility).toBe(MACRO_VOLATILITY.STATIC);
+    });
+
+    // TEST 6: Only per-generation and per-message macros change between turns
+    it('should report only turn-volatile macros as dynamic', () => {
+        const dynamic = findDynamicMacros('{{char}} {{user}} {{pick::a,b}} {{getvar::x}} {{lastMessage}} {{random::a,b}} {{trim}}');
+        expect(dynamic.map(m => m.name)).toEqual(['lastMessage', 'random']);
+    });
+
+    // TEST 7: Content volatility is the most volatile macro it contains
+    it('should rank content by its most volatile macro', () => {
+        expect(getContentVolatility('Plain text')).toBe(MACRO_VOLATILITY.STATIC);
+        expect(getContentVolatility('{{char}} and {{user}}')).toBe(MACRO_VOLATILITY.PER_CHAT);
+        expect(getContentVolatility('{{char}} {{lastUserMessage}}')).toBe(MACRO_VOLATILITY.PER_MESSAGE);
+    });
+
+    // TEST 8: The Izumi preset's variable and chat macros are all recognized
+    it('should recognize every macro used by the Izumi preset', () => {
+        const macros = presetIzumi.prompts.flatMap(p => parseMacros(p.content));
+        expect(macros.filter(m => m.name === 'getvar').length).toBe(205);
+        expect(macros.filter(m => m.name === 'setvar').length).toBe(199);
+        expect(macros.filter(m => !m.known).map(m => m.name)).toEqual([]);
+        expect(macros.filter(m => /^last/i.test(m.name)).every(m => m.volatility === MACRO_VOLATILITY.PER_MESSAGE)).toBe(true);
+    });
+
+});
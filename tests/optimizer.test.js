@@ -0,0 +1,80 @@
+const { optimizePreset, exportPreset } = require('../core/optimizer');
+const { normalizePreset } = require('../core/preset-model');
+const presetBadMacros = require('./fixtures/preset-bad-macros.json');
+const presetBadOrdering = require('./fixtures/preset-bad-ordering.json');
+const presetDeepInjection = require('./fixtures/preset-deep-injection.json');
+const presetRealComplex = require('./fixtures/preset-real-complex.json');
+const presetRealIzumi = require('./fixtures/preset-real-izumi.json');
+
+function orderOf(preset) {
+    return normalizePreset(preset).entries.map(entry => entry.identifier);
+}
+
+describe('Preset Optimizer', () => {
+
+    // TEST 1: The input preset is left untouched
+    it('should not modify the input preset', () => {
+        const snapshot = JSON.stringify(presetBadMacros);
+        optimizePreset(presetBadMacros, { provider: 'anthropic' });
+        expect(JSON.stringify(presetBadMacros)).toBe(snapshot);
+    });
+
+    // TEST 2: Dynamic macro lines leave the cached prefix
+    it('should move dynamic macro lines after the chat history', () => {
+        const result = optimizePreset(presetBadMacros, { provider: 'anthropic' });
+        const main = result.preset.prompts.find(p => p.identifier === 'main');
+        const moved = result.preset.prompts.find(p => p.identifier === 'cacheAnalyzerDynamic');
+        expect(main.content.includes('{{random')).toBe(false);
+        expect(moved.content.includes('{{random')).toBe(true);
+
+        const order = orderOf(result.preset);
+        expect(order.indexOf('cacheAnalyzerDynamic')).toBe(order.indexOf('chatHistory') + 1);
+        expect(result.after.summary.critical).toBe(0);
+    });
+
+    // TEST 3: Nothing is moved across the chat history; entries after it keep their position
+    it('should leave the chat history and post-history entries in place', () => {
+        const result = optimizePreset(presetBadOrdering, { provider: 'anthropic' });
+        expect(orderOf(result.preset)).toEqual(orderOf(presetBadOrdering));
+        expect(result.changes.filter(c => c.rule === 'prompt-ordering')).toHaveLength(0);
+
+        const izumi = optimizePreset(presetRealIzumi, { provider: 'anthropic' });
+        const before = orderOf(presetRealIzumi);
+        const after = orderOf(izumi.preset);
+        expect(after.slice(after.indexOf('chatHistory'))).toEqual(before.slice(before.indexOf('chatHistory')));
+        expect(after.indexOf('chatHistory')).toBe(before.indexOf('chatHistory'));
+    });
+
+    // TEST 4: Shallow injections are deepened
+    it('should deepen shallow injections', () => {
+        const result = optimizePreset(presetDeepInjection, { provider: 'anthropic' });
+        const note = result.preset.prompts.find(p => p.identifier === 'authors-note');
+        expect(note.injection_depth).toBe(4);
+        expect(result.after.findings.filter(f => f.rule === 'injection-depth')).toHaveLength(0);
+    });
+
+    // TEST 5: Squashing is only switched on where cache_control is honoured
+    it('should enable squash_system_messages for cache_control providers only', () => {
+        expect(optimizePreset(presetBadOrdering, { provider: 'anthropic' }).preset.squash_system_messages).toBe(true);
+        expect(optimizePreset(presetBadOrdering, { provider: 'openrouter', modelId: 'anthropic/claude-sonnet-4' }).preset.squash_system_messages).toBe(true);
+        expect(optimizePreset(presetBadOrdering, { provider: 'openai' }).preset.squash_system_messages).toBe(presetBadOrdering.squash_system_messages);
+        expect(optimizePreset(presetBadOrdering, { provider: 'openrouter', modelId: 'openai/gpt-4o' }).preset.squash_system_messages).toBe(presetBadOrdering.squash_system_messages);
+    });
+
+    // TEST 6: Before/after analysis shows the improvement
+    it('should report before and after scores', () => {
+        const result = optimizePreset(presetRealComplex, { provider: 'anthropic' });
+        expect(result.after.score).toBeGreaterThan(result.before.score);
+        expect(result.changes.length).toBeGreaterThan(0);
+        expect(optimizePreset({ prompts: [] })).toBe(null);
+    });
+
+    // TEST 7: Exports as ST preset JSON
+    it('should export the optimized preset as ST preset JSON', () => {
+        const result = optimizePreset(presetBadMacros, { provider: 'anthropic' });
+        const json = exportPreset(result.preset);
+        expect(JSON.parse(json).prompts.length).toBe(result.preset.prompts.length);
+        expect(json.startsWith('{\n    "')).toBe(true);
+    });
+
+});
@@ -0,0 +1,99 @@
+const { normalizePeriodicPrompts, analyzePeriodicity, PERIODIC_SESSION_TURNS } = require('../core/periodicity');
+const { checkPeriodicPrompts } = require('../rules/periodic-prompts');
+const { computeCacheDiff } = require('../core/cache-diff');
+const { analyze } = require('../analyzer');
+const { renderPeriodicity } = require('../ui/components');
+const presetIzumi = require('./fixtures/preset-real-izumi.json');
+
+const NOTE = '[Keep replies under 200 words.]';
+const SUMMARY = 'Summary: the party reached the northern pass.';
+
+describe('Periodicity', () => {
+
+    // TEST 1: ST's settings with their defaults; off and empty sources drop out
+    it('should read Author\'s Note and Summarize settings', () => {
+        const periodic = normalizePeriodicPrompts({ authorsNote: { content: NOTE, interval: '3' }, summary: { interval: 20, position: 1, depth: 6 } });
+        expect(periodic.authorsNote).toEqual({ content: NOTE, interval: 3, depth: 4, position: 1, role: 0 });
+        expect(periodic.summary.interval).toBe(20);
+        expect(periodic.summary.depth).toBe(6);
+        expect(periodic.summary.content).toContain('Summary');
+
+        expect(normalizePeriodicPrompts({ authorsNote: { content: NOTE, interval: 0 } }).authorsNote).toBe(null);
+        expect(normalizePeriodicPrompts({ authorsNote: { content: '', interval: 2 } }).authorsNote).toBe(null);
+        expect(normalizePeriodicPrompts({ summary: { interval: 0 } }).summary).toBe(null);
+        expect(normalizePeriodicPrompts(null)).toEqual({ authorsNote: null, summary: null });
+    });
+
+    // TEST 2: The simulator sends turn N with its own extension prompts
+    it('should diff turns sent with different extension prompts', () => {
+        const note = { '2_floating_prompt': { value: NOTE, position: 1, depth: 4, role: 0 } };
+        const plain = computeCacheDiff(presetIzumi, { provider: 'anthropic' });
+        const inserted = computeCacheDiff(presetIzumi, { provider: 'anthropic', extensionPrompts: note, previousExtensionPrompts: {} });
+        expect(inserted.cachedTokens).toBeLessThan(plain.cachedTokens);
+        expect(inserted.cause.identifier).toBe('extension:2_floating_prompt');
+    });
+
+    // TEST 3: A note every 4 turns goes cold where it appears and where it disappears
+    it('should predict cold turns from the Author\'s Note interval', () => {
+        const report = analyzePeriodicity(presetIzumi, { provider: 'anthropic', periodicPrompts: { authorsNote: { content: NOTE, interval: 4 } } });
+        expect(report.turns).toHaveLength(PERIODIC_SESSION_TURNS);
+        expect(report.turns[0].cold).toBe(false);
+        expect(report.turns.filter(t => t.authorsNote).map(t => t.turn).slice(0, 3)).toEqual([4, 8, 12]);
+        expect(report.turns.filter(t => t.cold).map(t => t.turn).slice(0, 4)).toEqual([4, 5, 8, 9]);
+        expect(report.turns[5].lostTokens).toBe(0);
+        expect(report.summary.coldTurns).toBe(24);
+        expect(report.summary.hitRate).toBeLessThan(report.baseline.hitRate);
+        expect(report.sources[0].coldTurns).toHaveLength(24);
+
+        // Sent on every turn, the note is part of the stable request
+        const always = analyzePeriodicity(presetIzumi, { provider: 'anthropic', periodicPrompts: { authorsNote: { content: NOTE, interval: 1 } } });
+        expect(always.summary.coldTurns).toBe(0);
+    });
+
+    // TEST 4: A summary rewrite every 10 messages busts the prefix every fifth turn
+    it('should predict cold turns from summary rewrites', () => {
+        const report = analyzePeriodicity(presetIzumi, { provider: 'anthropic', sessionTurns: 20, periodicPrompts: { summary: { content: SUMMARY, interval: 10 } } });
+        expect(report.turns.filter(t => t.cold).map(t => t.turn)).toEqual([5, 10, 15, 20]);
+        expect(report.turns[4].causes).toEqual(['summary']);
+        expect(report.turns[4].cachedTokens).toBeLessThan(report.turns[3].cachedTokens);
+
+        // In the chat, a rewrite only resends the messages after it
+        const inChat = analyzePeriodicity(presetIzumi, { provider: 'anthropic', sessionTurns: 20, periodicPrompts: { summary: { content: SUMMARY, interval: 10, position: 1, depth: 2 } } });
+        expect(inChat.turns[4].lostTokens).toBeLessThan(report.turns[4].lostTokens);
+    });
+
+    // TEST 5: One finding per source with cold turns
+    it('should flag periodic prompts that leave turns cold', () => {
+        expect(checkPeriodicPrompts(presetIzumi, { provider: 'anthropic' })).toHaveLength(0);
+        const findings = checkPeriodicPrompts(presetIzumi, { provider: 'anthropic', periodicPrompts: { authorsNote: { content: NOTE, interval: 4 }, summary: { content: SUMMARY, interval: 10 } } });
+        expect(findings.map(f => f.id)).toEqual(['periodic-prompts-authorsNote-cold-turns', 'periodic-prompts-summary-cold-turns']);
+        expect(findings[0].severity).toBe('warning');
+        expect(findings[0].recommendation).toContain('insertion frequency to 1');
+        expect(findings[1].recommendation).toContain('In-chat @ Depth');
+        expect(findings[1].meta.coldTurns).toContain(10);
+        expect(checkPeriodicPrompts(presetIzumi, { provider: 'anthropic', periodicPrompts: { authorsNote: { content: NOTE, interval: 1 } } })).toHaveLength(0);
+    });
+
+    // TEST 6: analyze() attaches the replay and the dashboard draws the strip
+    it('should attach the session replay and render a hit/miss strip', () => {
+        const results = analyze(presetIzumi, { provider: 'anthropic', periodicPrompts: { authorsNote: { content: NOTE, interval: 4 } } });
+        expect(results.periodicity.summary.coldTurns).toBe(24);
+        expect(results.findings.some(f => f.rule === 'periodic-prompts')).toBe(true);
+        expect(analyze(presetIzumi, { provider: 'anthropic' }).periodicity).toBe(null);
+
+        const html = renderPeriodicity(results.periodicity);
+        expect(html).toContain('ca-turn-strip');
+        expect(html.match(/ca-turn-miss/g)).toHaveLength(24);
+        expect(html.match(/ca-turn-hit/g)).toHaveLength(25);
+        expect(html).toContain("Turn 4: cold after Author's Note");
+        expect(renderPeriodicity(null)).toBe('');
+    });
+
+    // TEST 7: The rule reads the replay analyze() already ran
+    it('should reuse the session replay passed in options.periodicity', () => {
+        const periodicity = analyzePeriodicity(presetIzumi, { provider: 'anthropic', periodicPrompts: { authorsNote: { content: NOTE, interval: 4 } } });
+        const findings = checkPeriodicPrompts(presetIzumi, { provider: 'anthropic', periodicPrompts: { summary: { content: SUMMARY, interval: 10 } }, periodicity });
+        expect(findings.map(f => f.id)).toEqual(['periodic-prompts-authorsNote-cold-turns']);
+    });
+
+});
@@ -0,0 +1,112 @@
+const { normalizePreset, resolveModel, getStableText, triggersOn } = require('../core/preset-model');
+const presetIzumi = require('./fixtures/preset-real-izumi.json');
+const presetGood = require('./fixtures/preset-good.json');
+const presetRealComplex = require('./fixtures/preset-real-complex.json');
+
+describe('Preset Model', () => {
+
+    // TEST 1: Resolves the order block and keeps only enabled entries
+    it('should resolve enabled entries in prompt_order sequence', () => {
+        const model = normalizePreset(presetRealComplex);
+        expect(model.characterId).toBe(100001);
+        expect(model.entries.some(e => e.identifier === 'anti429')).toBe(false);
+        expect(model.entries[0].identifier).toBe('main');
+        expect(model.entries[0].position).toBe(0);
+        expect(model.order.length).toBe(14);
+    });
+
+    // TEST 2: Reads the real ST prompt shape
+    it('should normalize marker, system_prompt and injection fields from a real ST preset', () => {
+        const model = normalizePreset(presetIzumi);
+        const chatHistory = model.promptMap.chatHistory;
+        expect(chatHistory.marker).toBe(true);
+        expect(chatHistory.volatile).toBe(true);
+        expect(chatHistory.injectionDepth).toBe(null);
+        const main = model.promptMap.main;
+        expect(main.marker).toBe(false);
+        expect(main.systemPrompt).toBe(true);
+        expect(main.injectionOrder).toBe(100);
+        expect(main.injectionTrigger).toEqual([]);
+        expect(model.prompts.filter(p => p.forbidOverrides).length).toBe(1);
+        expect(model.squashSystemMessages).toBe(true);
+    });
+
+    // TEST 3: Infers markers for presets that omit the field
+    it('should infer markers for empty built-in identifiers without a marker field', () => {
+        const model = normalizePreset(presetGood);
+        expect(model.promptMap.chatHistory.marker).toBe(true);
+        expect(model.promptMap.main.marker).toBe(false);
+        const complex = normalizePreset(presetRealComplex);
+        // charDescription carries its own content in this fixture, so it is not a marker
+        expect(complex.promptMap.charDescription.marker).toBe(false);
+    });
+
+    // TEST 4: Supports legacy flat prompt_order arrays
+    it('should accept a flat prompt_order array', () => {
+        const model = normalizePreset({
+            prompts: [{ identifier: 'main', content: 'Hi.' }],
+            prompt_order: [{ identifier: 'main', enabled: true }]
+        });
+        expect(model.orders.length).toBe(1);
+        expect(model.characterId).toBe(null);
+        expect(model.entries.length).toBe(1);
+        expect(model.entries[0].role).toBe('system');
+    });
+
+    // TEST 5: Marks order entries whose prompt definition is missing
+    it('should flag order entries without a prompt definition', () => {
+        const model = normalizePreset({
+            prompts: [],
+            prompt_order: [{ character_id: 100001, order: [{ identifier: 'ghost', enabled: true }] }]
+        });
+        expect(model.entries[0].missing).toBe(true);
+        expect(model.entries[0].content).toBe('');
+    });
+
+    // TEST 6: Selects a specific character_id block
+    it('should select the requested character_id block', () => {
+        const preset = {
+            prompts: [{ identifier: 'a', content: 'A' }, { identifier: 'b', content: 'B' }],
+            prompt_order: [
+                { character_id: 100000, order: [{ identifier: 'a', enabled: true }] },
+                { character_id: 100001, order: [{ identifier: 'b', enabled: true }] }
+            ]
+        };
+        expect(normalizePreset(preset, { characterId: 100000 }).entries[0].identifier).toBe('a');
+        expect(normalizePreset(preset, { characterId: '100000' }).entries[0].identifier).toBe('a');
+    });
+
+    // TEST 7: Defaults to the global order ST sends, not whichever block comes first
+    it('should default to the global 100001 block', () => {
+        const preset = {
+            prompts: [{ identifier: 'a', content: 'A' }, { identifier: 'b', content: 'B' }],
+            prompt_order: [
+                { character_id: 100000, order: [{ identifier: 'a', enabled: true }] },
+                { character_id: 100001, order: [{ identifier: 'b', enabled: true }] }
+            ]
+        };
+        expect(normalizePreset(preset).characterId).toBe(100001);
+        expect(normalizePreset(preset, { characterId: 5 }).entries[0].identifier).toBe('b');
+        expect(normalizePreset({ prompts: [], prompt_order: [{ character_id: 7, order: [] }] }).characterId).toBe(7);
+    });
+
+    // TEST 8: Stable text skips volatile entries; resolveModel reuses a provided model
+    it('should join stable content and reuse a provided model', () => {
+        const model = normalizePreset(presetGood);
+        expect(getStableText(model)).toContain('helpful creative writing assistant');
+        expect(resolveModel(null, { model })).toBe(model);
+        expect(normalizePreset(null)).toBe(null);
+    });
+
+    // TEST 9: injection_trigger limits an entry to the generation types it lists
+    it('should leave out entries whose injection_trigger excludes the generation type', () => {
+        const preset = JSON.parse(JSON.stringify(presetGood));
+        preset.prompts.find(p => p.identifier === 'main').injection_trigger = ['continue', 'impersonate'];
+        const ids = type => normalizePreset(preset, { generationType: type }).entries.map(e => e.identifier);
+        expect(ids('normal').includes('main')).toBe(false);
+        expect(ids('continue')).toContain('main');
+        expect(normalizePreset(preset).entries.map(e => e.identifier)).toContain('main');
+        expect(triggersOn({ injectionTrigger: [] }, 'quiet')).toBe(true);
+    });
+
+});
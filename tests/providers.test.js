@@ -0,0 +1,123 @@
+const { PROVIDER_PROFILES, getProviderProfile, getCacheThreshold, detectConnection } = require('../core/providers');
+const { checkTokenThresholds } = require('../rules/token-thresholds');
+const { checkProviderSpecific } = require('../rules/provider-specific');
+const { computeCacheDiff } = require('../core/cache-diff');
+const presetThresholdMiss = require('./fixtures/preset-threshold-miss.json');
+const presetGood = require('./fixtures/preset-good.json');
+const { renderAssumedProvider } = require('../ui/components');
+
+const PROFILE_FIELDS = ['caching', 'minTokens', 'granularity', 'maxBreakpoints', 'ttlSeconds'];
+
+describe('Provider Profiles', () => {
+
+    // TEST 1: Every provider defines every field
+    it('should define every profile field for every provider', () => {
+        for (const provider of Object.keys(PROVIDER_PROFILES)) {
+            const profile = getProviderProfile(provider);
+            for (const field of PROFILE_FIELDS) expect(field in profile).toBe(true);
+            expect(['explicit', 'automatic', 'none']).toContain(profile.caching);
+        }
+    });
+
+    // TEST 2: Model overrides win over provider defaults, longest key first
+    it('should apply per-model overrides', () => {
+        expect(getCacheThreshold('anthropic')).toBe(1024);
+        expect(getCacheThreshold('anthropic', 'claude-sonnet-4-20250514')).toBe(1024);
+        expect(getCacheThreshold('anthropic', 'claude-3-5-haiku-20241022')).toBe(2048);
+        const flash = getProviderProfile('google', 'gemini-2.5-flash');
+        expect(flash.caching).toBe('automatic');
+        expect(flash.minTokens).toBe(1024);
+        expect(getProviderProfile('google', 'gemini-1.5-pro').caching).toBe('explicit');
+    });
+
+    // TEST 3: OpenRouter vendor/model ids use the vendor's profile
+    it('should resolve OpenRouter models through their vendor', () => {
+        const profile = getProviderProfile('openrouter', 'anthropic/claude-3-5-haiku');
+        expect(profile.provider).toBe('openrouter');
+        expect(profile.family).toBe('anthropic');
+        expect(profile.model).toBe('claude-3-5-haiku');
+        expect(profile.minTokens).toBe(2048);
+        expect(getProviderProfile('openrouter', 'some-lab/model').family).toBe('openrouter');
+    });
+
+    // TEST 4: Unknown providers fall back to the default provider
+    it('should fall back to the default profile', () => {
+        expect(getProviderProfile('unknown').family).toBe('anthropic');
+    });
+
+    // TEST 5: The threshold rule reads the model's minimum
+    it('should check thresholds against the model minimum', () => {
+        const sonnet = checkTokenThresholds(presetThresholdMiss, { provider: 'anthropic', tokenizer: () => 1500 });
+        const haiku = checkTokenThresholds(presetThresholdMiss, { provider: 'anthropic', modelId: 'claude-3-5-haiku', tokenizer: () => 1500 });
+        expect(sonnet).toHaveLength(0);
+        expect(haiku).toHaveLength(1);
+        expect(haiku[0].meta.threshold).toBe(2048);
+        expect(checkTokenThresholds(presetThresholdMiss, { provider: 'mistral' })).toHaveLength(0);
+    });
+
+    // TEST 6: Provider-specific checks follow the profile
+    it('should run provider checks from the profile', () => {
+        const deepseek = checkProviderSpecific(presetGood, { provider: 'deepseek', tokenizer: () => 100 });
+        expect(deepseek[0].id).toBe('provider-specific-deepseek-alignment');
+        expect(deepseek[0].meta.paddingNeeded).toBe(28);
+
+        const cohere = checkProviderSpecific(presetGood, { provider: 'cohere' });
+        expect(cohere).toHaveLength(1);
+        expect(cohere[0].id).toBe('provider-specific-cohere-no-caching');
+
+        const routed = checkProviderSpecific(presetGood, { provider: 'openrouter', modelId: 'anthropic/claude-sonnet-4' });
+        expect(routed.some(f => f.id.startsWith('provider-specific-anthropic-'))).toBe(true);
+    });
+
+    // TEST 7: The cache diff rounds to the granularity and respects no-caching providers
+    it('should apply granularity and caching mode to the cache diff', () => {
+        const openai = computeCacheDiff(presetGood, { provider: 'openai', tokenizer: text => text.length });
+        expect(openai.cachedTokens % 128).toBe(0);
+        expect(computeCacheDiff(presetGood, { provider: 'mistral' }).cachedTokens).toBe(0);
+        expect(computeCacheDiff(presetGood, { provider: 'local' }).belowThreshold).toBe(false);
+    });
+
+    // TEST 8: Source and model field from ST's chat completion settings
+    it('should detect provider and model from the connection', () => {
+        const claude = detectConnection({ chat_completion_source: 'claude', claude_model: 'claude-3-5-haiku-latest', openai_model: 'gpt-4o' });
+        expect(claude.provider).toBe('anthropic');
+        expect(claude.modelId).toBe('claude-3-5-haiku-latest');
+        expect(claude.profile.minTokens).toBe(2048);
+
+        expect(detectConnection({ chat_completion_source: 'vertexai', vertexai_model: 'gemini-2.5-pro' }).profile.caching).toBe('automatic');
+        expect(detectConnection({ chat_completion_source: 'mistralai', mistralai_model: 'mistral-large-latest' }).provider).toBe('mistral');
+        expect(detectConnection({ chat_completion_source: 'deepseek', deepseek_model: 'deepseek-chat' }).provider).toBe('deepseek');
+    });
+
+    // TEST 9: OpenRouter models keep the source but use the vendor's rules
+    it('should resolve OpenRouter vendor prefixes', () => {
+        const connection = detectConnection({ chat_completion_source: 'openrouter', openrouter_model: 'anthropic/claude-sonnet-4' });
+        expect(connection.provider).toBe('openrouter');
+        expect(connection.profile.family).toBe('anthropic');
+        expect(connection.profile.maxBreakpoints).toBe(4);
+    });
+
+    // TEST 10: Custom endpoints by model id; unknown sources are flagged as assumed
+    it('should infer custom endpoints and flag unknown sources', () => {
+        expect(detectConnection({ chat_completion_source: 'custom', custom_model: 'claude-opus-4' }).provider).toBe('anthropic');
+        expect(detectConnection({ chat_completion_source: 'custom', custom_model: 'Llama-3.3-70B' }).provider).toBe('local');
+
+        const xai = detectConnection({ chat_completion_source: 'xai', xai_model: 'grok-4' });
+        expect(xai.assumed).toBe(true);
+        expect(xai.modelId).toBe('grok-4');
+        expect(xai.provider).toBe('generic');
+        expect(xai.profile.cacheControl).toBe(false);
+        expect(xai.profile.maxBreakpoints).toBe(0);
+        expect(detectConnection(null).assumed).toBe(true);
+        expect(detectConnection({ chat_completion_source: 'claude' }).assumed).toBe(false);
+    });
+
+    // TEST 11: The dashboard says when the profile is assumed
+    it('should show a notice for assumed connections', () => {
+        const html = renderAssumedProvider(detectConnection({ chat_completion_source: 'xai', xai_model: 'grok-4' }));
+        expect(html).toContain('ca-assumed-notice');
+        expect(html).toContain('No cache profile for "xai"');
+        expect(renderAssumedProvider(detectConnection({ chat_completion_source: 'claude' }))).toBe('');
+        expect(renderAssumedProvider(null)).toBe('');
+    });
+});
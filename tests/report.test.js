@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { REPORT_FORMATS, REPORT_SCHEMA_VERSION, formatReport } = require('../core/report');
+const { analyze } = require('../analyzer');
+const badMacrosSource = fs.readFileSync(path.join(__dirname, 'fixtures', 'preset-bad-macros.json'), 'utf8');
+const presetBadMacros = JSON.parse(badMacrosSource);
+const schema = require('../schema/report.v1.schema.json');
+const presetGood = require('./fixtures/preset-good.json');
+
+const reports = [
+    { file: 'bad-macros.json', source: badMacrosSource, results: analyze(presetBadMacros, { provider: 'anthropic' }) },
+    { file: 'good.json', results: analyze(presetGood, { provider: 'anthropic' }) },
+    { file: 'broken.json', error: 'not valid JSON' }
+];
+
+describe('Report Formatters', () => {
+
+    // TEST 1: Every advertised format has a formatter
+    it('should format every listed format', () => {
+        for (const format of REPORT_FORMATS) {
+            expect(typeof formatReport(reports, format)).toBe('string');
+        }
+    });
+
+    // TEST 2: Text lists each file with its score and findings, worst first
+    it('should print scores and findings as text', () => {
+        const text = formatReport(reports, 'text');
+        const bad = reports[0].results;
+        expect(text).toContain(`bad-macros.json: score ${bad.score}/100`);
+        expect(text).toContain('broken.json: not valid JSON');
+        expect(text.indexOf('critical ')).toBeLessThan(text.indexOf('warning '));
+    });
+
+    // TEST 3: JSON carries the raw results
+    it('should include findings and summaries in JSON', () => {
+        const json = JSON.parse(formatReport(reports, 'json'));
+        expect(json.files).toHaveLength(3);
+        expect(json.files[0].findings).toHaveLength(reports[0].results.findings.length);
+        expect(json.files[2].error).toBe('not valid JSON');
+    });
+
+    // TEST 4: SARIF maps severities to levels
+    it('should produce SARIF 2.1.0 results with mapped levels', () => {
+        const sarif = JSON.parse(formatReport(reports, 'sarif'));
+        expect(sarif.version).toBe('2.1.0');
+        const results = sarif.runs[0].results;
+        const total = reports[0].results.findings.length + reports[1].results.findings.length;
+        expect(results).toHaveLength(total);
+        expect(results.some(r => r.level === 'error')).toBe(true);
+        expect(results.every(r => ['error', 'warning', 'note'].includes(r.level))).toBe(true);
+    });
+
+    // TEST 5: Markdown and HTML render one dashboard section per file
+    it('should render a section per file in Markdown and HTML', () => {
+        const markdown = formatReport(reports, 'markdown');
+        expect(markdown).toContain('## bad-macros.json');
+        expect(markdown).toContain('Could not analyze: not valid JSON');
+
+        const html = formatReport(reports, 'html', { css: '.ca-test-css {}' });
+        expect(html).toContain('bad-macros.json</h2>');
+        expect(html).toContain('.ca-test-css {}');
+    });
+
+    // TEST 6: Unknown formats are rejected
+    it('should throw on unknown formats', () => {
+        let error = null;
+        try {
+            formatReport(reports, 'xml');
+        } catch (e) {
+            error = e;
+        }
+        expect(error !== null).toBe(true);
+    });
+
+    // TEST 7: JSON follows the versioned schema
+    it('should emit every field the schema requires', () => {
+        const json = JSON.parse(formatReport(reports, 'json'));
+        expect(json.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+        expect(schema.properties.schemaVersion.const).toBe(REPORT_SCHEMA_VERSION);
+
+        for (const key of schema.$defs.fileResult.required) expect(key in json.files[0]).toBe(true);
+        for (const finding of json.files[0].findings) {
+            for (const key of schema.$defs.finding.required) expect(key in finding).toBe(true);
+            expect(typeof finding.location.pointer).toBe('string');
+        }
+    });
+
+    // TEST 8: Locations carry file regions when the source is known
+    it('should add line and column regions from the file text', () => {
+        const json = JSON.parse(formatReport(reports, 'json'));
+        const macro = json.files[0].findings.find(f => f.rule === 'macro-placement');
+        expect(macro.location.region.startLine).toBeGreaterThan(1);
+        expect(json.files[1].findings.every(f => !f.location.region)).toBe(true);
+
+        const sarif = JSON.parse(formatReport(reports, 'sarif'));
+        const result = sarif.runs[0].results.find(r => r.ruleId === 'macro-placement');
+        const region = result.locations[0].physicalLocation.region;
+        expect(badMacrosSource.substr(region.charOffset, region.charLength).startsWith('{{')).toBe(true);
+        expect(result.locations[0].logicalLocations[0].fullyQualifiedName).toBe(macro.location.pointer);
+        expect(result.properties.contentOffset).toBe(macro.location.offset);
+    });
+});
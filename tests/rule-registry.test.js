@@ -0,0 +1,85 @@
+const { registerRule, unregisterRule, getRule, getRules } = require('../rules');
+const { analyze } = require('../analyzer');
+const presetBadMacros = require('./fixtures/preset-bad-macros.json');
+const presetGood = require('./fixtures/preset-good.json');
+
+describe('Rule Registry', () => {
+
+    // TEST 1: Built-in rules are registered with their descriptors
+    it('should register the built-in rules', () => {
+        const ids = getRules().map(r => r.id);
+        expect(ids).toEqual(['macro-placement', 'prompt-ordering', 'token-thresholds', 'injection-depth', 'provider-specific', 'cache-breakpoints', 'generation-types', 'world-info', 'variable-flow', 'periodic-prompts']);
+        expect(getRule('macro-placement').severity.firstEntry).toBe('critical');
+        expect(getRule('provider-specific').providers).toContain('anthropic');
+    });
+
+    // TEST 2: analyze() runs a house rule without changes to analyzer.js
+    it('should run registered house rules', () => {
+        registerRule({
+            id: 'house-no-nsfw',
+            providers: ['all'],
+            severity: { found: 'info' },
+            check: (preset, options) => preset.prompts
+                .filter(p => p.identifier === 'nsfw')
+                .map(p => ({ id: 'house-no-nsfw', rule: 'house-no-nsfw', severity: options.severity.found, affectedEntry: p.identifier }))
+        });
+        try {
+            const results = analyze(presetGood, { provider: 'anthropic' });
+            const house = results.findings.filter(f => f.rule === 'house-no-nsfw');
+            expect(house.length).toBe(1);
+            expect(house[0].severity).toBe('info');
+        } finally {
+            unregisterRule('house-no-nsfw');
+        }
+        expect(getRule('house-no-nsfw')).toBe(null);
+    });
+
+    // TEST 3: Rules can be switched off per run
+    it('should skip rules disabled through options.rules', () => {
+        const results = analyze(presetBadMacros, { provider: 'anthropic', rules: { 'macro-placement': false } });
+        expect(results.findings.filter(f => f.rule === 'macro-placement').length).toBe(0);
+        expect(results.summary.critical).toBe(0);
+    });
+
+    // TEST 4: Rules registered as disabled only run when switched on
+    it('should run default-disabled rules only when enabled in options', () => {
+        registerRule({ id: 'house-opt-in', enabled: false, check: () => [{ rule: 'house-opt-in', severity: 'info' }] });
+        try {
+            expect(analyze(presetGood, {}).findings.filter(f => f.rule === 'house-opt-in').length).toBe(0);
+            expect(analyze(presetGood, { rules: { 'house-opt-in': true } }).findings.filter(f => f.rule === 'house-opt-in').length).toBe(1);
+        } finally {
+            unregisterRule('house-opt-in');
+        }
+    });
+
+    // TEST 5: Severity maps can be overridden per rule
+    it('should apply per-rule severity overrides', () => {
+        const results = analyze(presetBadMacros, {
+            provider: 'anthropic',
+            severities: { 'macro-placement': { firstEntry: 'warning' } }
+        });
+        const mainFindings = results.findings.filter(f => f.rule === 'macro-placement' && f.affectedEntry === 'main');
+        expect(mainFindings.length).toBe(2);
+        expect(mainFindings.every(f => f.severity === 'warning')).toBe(true);
+    });
+
+    // TEST 6: Provider-scoped rules are skipped for other providers
+    it('should skip rules that do not target the analyzed provider', () => {
+        registerRule({ id: 'house-gemini-only', providers: ['google'], check: () => [{ rule: 'house-gemini-only', severity: 'info' }] });
+        try {
+            expect(analyze(presetGood, { provider: 'anthropic' }).findings.filter(f => f.rule === 'house-gemini-only').length).toBe(0);
+            expect(analyze(presetGood, { provider: 'google' }).findings.filter(f => f.rule === 'house-gemini-only').length).toBe(1);
+        } finally {
+            unregisterRule('house-gemini-only');
+        }
+    });
+
+    // TEST 7: Invalid descriptors are rejected
+    it('should reject rules without an id or check function', () => {
+        let threw = false;
+        try { registerRule({ id: 'broken' }); } catch (e) { threw = true; }
+        expect(threw).toBe(true);
+        expect(getRule('broken')).toBe(null);
+    });
+
+});
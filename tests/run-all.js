@@ -6,12 +6,36 @@ global.it = it;
 global.expect = expect;
 
 // Import all test files (each registers tests via describe/it)
+require('./macros.test');
+require('./variable-flow.test');
+require('./macro-evaluator.test');
+require('./preset-model.test');
+require('./tokenizers.test');
+require('./simulator.test');
+require('./cache-diff.test');
+require('./providers.test');
+require('./breakpoints.test');
 require('./macro-placement.test');
 require('./prompt-ordering.test');
 require('./token-thresholds.test');
 require('./injection-depth.test');
 require('./provider-specific.test');
+require('./cache-breakpoints.test');
+require('./generation-types.test');
+require('./world-info.test');
+require('./extension-prompts.test');
+require('./periodicity.test');
+require('./rule-registry.test');
 require('./analyzer.test');
+require('./fixes.test');
+require('./locations.test');
+require('./optimizer.test');
+require('./compare.test');
+require('./cost.test');
+require('./report.test');
+require('./ui-report.test');
+require('./cli.test');
+require('./browser-parity.test');
 
 // Run
 runTests();
@@ -0,0 +1,151 @@
+const { assemblePrompt, buildSyntheticChat, findDivergence, simulateTurns, simulateGeneration, serializeMessages, utf8Length } = require('../core/simulator');
+const presetGood = require('./fixtures/preset-good.json');
+const presetBadMacros = require('./fixtures/preset-bad-macros.json');
+const presetDeepInjection = require('./fixtures/preset-deep-injection.json');
+const presetRealComplex = require('./fixtures/preset-real-complex.json');
+
+describe('Prompt Assembly Simulator', () => {
+
+    // TEST 1: Relative entries, markers and chat history in prompt_order sequence
+    it('should assemble relative entries around the chat history', () => {
+        const messages = assemblePrompt(presetGood, { chatLength: 4, squash: false });
+        expect(messages.map(m => m.identifier)).toEqual(['main', 'char-desc', 'chatHistory', 'chatHistory', 'chatHistory', 'chatHistory', 'nsfw']);
+        expect(messages[2].role).toBe('assistant');
+        expect(messages[5].role).toBe('user');
+    });
+
+    // TEST 2: Synthetic history grows by one exchange per turn and keeps old messages intact
+    it('should extend the synthetic chat without changing earlier messages', () => {
+        const turn0 = buildSyntheticChat(4);
+        const turn1 = buildSyntheticChat(6);
+        expect(turn1.slice(0, 4)).toEqual(turn0);
+        expect(turn1[5].role).toBe('user');
+    });
+
+    // TEST 3: In-chat injections land at their depth counted from the newest message
+    it('should place in-chat injections at their injection depth', () => {
+        const messages = assemblePrompt(presetDeepInjection, { chatLength: 6 });
+        const ids = messages.map(m => m.identifier);
+        expect(ids[ids.length - 1]).toBe('authors-note');
+        expect(ids[ids.length - 3]).toBe('dynamic-inject');
+        expect(ids.indexOf('deep-inject')).toBe(ids.length - 8);
+        expect(ids).toContain('main');
+        expect(ids.includes('disabled-inject')).toBe(false);
+    });
+
+    // TEST 4: Same depth — higher injection_order ends up closer to the end
+    it('should order same-depth injections by injection_order', () => {
+        const preset = {
+            prompts: [
+                { identifier: 'chatHistory', marker: true },
+                { identifier: 'low', content: 'LOW', role: 'system', injection_position: 1, injection_depth: 0, injection_order: 50 },
+                { identifier: 'high', content: 'HIGH', role: 'system', injection_position: 1, injection_depth: 0, injection_order: 200 }
+            ],
+            prompt_order: [{ character_id: 100001, order: [
+                { identifier: 'chatHistory', enabled: true },
+                { identifier: 'low', enabled: true },
+                { identifier: 'high', enabled: true }
+            ]}]
+        };
+        const messages = assemblePrompt(preset, { chatLength: 2 });
+        expect(messages.slice(-2).map(m => m.content)).toEqual(['LOW', 'HIGH']);
+    });
+
+    // TEST 5: Squashing merges consecutive system prompts but not chat messages
+    it('should squash consecutive system prompts when the preset enables it', () => {
+        const messages = assemblePrompt(presetRealComplex, { chatLength: 2 });
+        expect(messages[0].identifiers.length).toBeGreaterThan(1);
+        expect(messages[0].identifiers).toContain('main');
+        expect(messages.filter(m => m.source === 'chat').length).toBe(2);
+    });
+
+    // TEST 6: A per-generation macro in the first entry diverges almost immediately
+    it('should locate the divergence inside the entry holding a dynamic macro', () => {
+        const result = simulateTurns(presetBadMacros, { chatLength: 4 });
+        expect(result.divergence.identical).toBe(false);
+        expect(result.divergence.messageIndex).toBe(0);
+        expect(result.divergence.next.identifier).toBe('main');
+        expect(result.divergence.byteOffset).toBe('system\nYou are a '.length);
+    });
+
+    // TEST 7: A static preset only diverges where the chat grows
+    it('should diverge at the end of the shared chat for a static preset', () => {
+        const result = simulateTurns(presetGood, { chatLength: 4, squash: false });
+        const previousText = serializeMessages(result.previous);
+        expect(result.divergence.next.source).toBe('chat');
+        expect(result.divergence.messageIndex).toBe(6);
+        expect(result.divergence.byteOffset).toBeLessThan(utf8Length(previousText));
+    });
+
+    // TEST 8: Byte offsets count UTF-8 bytes, not UTF-16 units
+    it('should report divergence offsets in UTF-8 bytes', () => {
+        const a = [{ role: 'system', content: 'Izumi 🌸 A' }];
+        const b = [{ role: 'system', content: 'Izumi 🌸 B' }];
+        const divergence = findDivergence(a, b);
+        expect(divergence.charOffset).toBe('system\nIzumi 🌸 '.length);
+        expect(divergence.byteOffset).toBe('system\nIzumi '.length + 4 + 1);
+        expect(findDivergence(a, a).identical).toBe(true);
+    });
+
+    // TEST 9: Each generation type follows turn N's normal request with its own chat
+    it('should simulate the request each generation type sends', () => {
+        const normal = simulateGeneration(presetGood, { generationType: 'normal', chatLength: 4 });
+        const turns = simulateTurns(presetGood, { chatLength: 4 });
+        expect(serializeMessages(normal.next)).toBe(serializeMessages(turns.next));
+
+        // A swipe resends the same request
+        expect(simulateGeneration(presetGood, { generationType: 'swipe', chatLength: 4 }).divergence.identical).toBe(true);
+
+        // A continue carries the assistant's reply, followed by the continue nudge
+        const next = simulateGeneration(presetGood, { generationType: 'continue', chatLength: 4 }).next;
+        const chat = next.filter(m => m.source === 'chat');
+        expect(chat).toHaveLength(5);
+        expect(chat[4].role).toBe('assistant');
+        expect(next.map(m => m.identifier)).toContain('continueNudge');
+    });
+
+    // TEST 10: Continue prefill, assistant prefill and impersonation prompt end the request
+    it('should model the generation tail of continues, prefills and impersonations', () => {
+        const preset = Object.assign({}, presetGood, { continue_prefill: true, continue_postfix: '', assistant_prefill: 'Sure:' });
+
+        // With continue_prefill the reply leaves the chat and becomes the prefill
+        const continued = simulateGeneration(preset, { generationType: 'continue', chatLength: 4, provider: 'anthropic' });
+        const last = continued.next[continued.next.length - 1];
+        expect(continued.next.filter(m => m.source === 'chat')).toHaveLength(4);
+        expect(last.identifier).toBe('continuePrefill');
+        expect(last.role).toBe('assistant');
+        expect(last.content.startsWith('Sure:')).toBe(true);
+
+        // The assistant prefill is only sent to Claude
+        const claude = simulateGeneration(preset, { generationType: 'swipe', chatLength: 4, provider: 'anthropic' });
+        expect(claude.previous[claude.previous.length - 1].identifier).toBe('assistantPrefill');
+        const openai = simulateGeneration(preset, { generationType: 'swipe', chatLength: 4, provider: 'openai' });
+        expect(openai.previous.map(m => m.identifier)).toEqual(['main', 'char-desc', 'chatHistory', 'chatHistory', 'chatHistory', 'chatHistory', 'nsfw']);
+
+        // An impersonation ends on the impersonation prompt
+        const impersonate = simulateGeneration(presetGood, { generationType: 'impersonate', chatLength: 4 });
+        expect(impersonate.next[impersonate.next.length - 1].identifier).toBe('impersonationPrompt');
+        expect(impersonate.next[impersonate.next.length - 1].source).toBe('generation');
+    });
+
+    // TEST 11: An injection without injection_order sorts as ST's default of 100
+    it('should treat a missing injection_order as 100', () => {
+        const preset = {
+            prompts: [
+                { identifier: 'chatHistory', marker: true },
+                { identifier: 'late', content: 'LATE', role: 'system', injection_position: 1, injection_depth: 0, injection_order: 200 },
+                { identifier: 'implicit', content: 'IMPLICIT', role: 'system', injection_position: 1, injection_depth: 0 },
+                { identifier: 'early', content: 'EARLY', role: 'system', injection_position: 1, injection_depth: 0, injection_order: 50 }
+            ],
+            prompt_order: [{ character_id: 100001, order: [
+                { identifier: 'chatHistory', enabled: true },
+                { identifier: 'late', enabled: true },
+                { identifier: 'implicit', enabled: true },
+                { identifier: 'early', enabled: true }
+            ]}]
+        };
+        const messages = assemblePrompt(preset, { chatLength: 2 });
+        expect(messages.slice(-3).map(m => m.content)).toEqual(['EARLY', 'IMPLICIT', 'LATE']);
+    });
+
+});
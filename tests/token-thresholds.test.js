@@ -74,4 +74,13 @@ describe('Token Threshold Rule', () => {
         expect(findings[0].meta.threshold).toBe(1024);
     });
 
+    // TEST 8: Estimated counts get a wider near-threshold margin than exact ones
+    it('should widen the near-threshold margin for estimated counts', () => {
+        const exact = checkTokenThresholds(presetThresholdMiss, { provider: 'anthropic', tokenizer: () => 860 });
+        expect(exact[0].severity).toBe('info');
+        expect(exact[0].meta.estimated).toBe(false);
+        const estimated = checkTokenThresholds(presetThresholdMiss, { provider: 'anthropic' });
+        expect(estimated[0].meta.estimated).toBe(true);
+        expect(estimated[0].description).toContain('The count is an estimate');
+    });
 });
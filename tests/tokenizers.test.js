@@ -0,0 +1,111 @@
+const { countTokens, getTokenizer, resolveTokenizer, isEstimate, createCachedTokenizer } = require('../core/tokenizers');
+const { computeCacheDiff } = require('../core/cache-diff');
+const presetGood = require('./fixtures/preset-good.json');
+
+describe('Tokenizers', () => {
+
+    // TEST 1: Common English words are single tokens, like real BPE vocabularies
+    it('should count common words and punctuation like cl100k', () => {
+        expect(countTokens('Hello world', 'cl100k')).toBe(2);
+        expect(countTokens('The quick brown fox jumps over the lazy dog.', 'cl100k')).toBe(10);
+        expect(countTokens('', 'cl100k')).toBe(0);
+    });
+
+    // TEST 2: Long words split into several tokens
+    it('should split long words into several tokens', () => {
+        expect(countTokens('internationalization', 'cl100k')).toBeGreaterThan(1);
+        expect(countTokens('internationalization', 'claude')).toBeGreaterThan(countTokens('international', 'claude'));
+    });
+
+    // TEST 3: SentencePiece splits every digit, BPE groups up to three
+    it('should split digits per encoding family', () => {
+        expect(countTokens('123456', 'cl100k')).toBe(2);
+        expect(countTokens('123456', 'gemini')).toBe(6);
+    });
+
+    // TEST 4: Larger vocabularies spend fewer tokens on non-Latin scripts
+    it('should spend fewer tokens on CJK text with larger vocabularies', () => {
+        const text = 'こんにちは世界、今日はいい天気ですね';
+        expect(countTokens(text, 'o200k')).toBeLessThan(countTokens(text, 'cl100k'));
+        expect(countTokens(text, 'gemini')).toBeLessThan(countTokens(text, 'claude'));
+    });
+
+    // TEST 5: Provider picks the encoding; options.tokenizer wins
+    it('should pick the tokenizer from the provider', () => {
+        const text = 'Stable system instructions with 12345 numbers.';
+        expect(getTokenizer('openai')(text)).toBe(countTokens(text, 'o200k'));
+        expect(getTokenizer('google')(text)).toBe(countTokens(text, 'gemini'));
+        expect(getTokenizer('anthropic')(text)).toBe(countTokens(text, 'claude'));
+        expect(getTokenizer('cl100k')(text)).toBe(countTokens(text, 'cl100k'));
+        expect(resolveTokenizer({ provider: 'google' })(text)).toBe(countTokens(text, 'gemini'));
+        expect(resolveTokenizer({ provider: 'google', tokenizer: () => 7 })(text)).toBe(7);
+    });
+
+    // TEST 6: Stays within a sane range of chars/4 on ordinary prose
+    it('should stay close to the usual characters-per-token ratio on prose', () => {
+        const prose = 'The warrior tightens their grip on the blade, feeling the familiar weight of steel and purpose. '.repeat(20);
+        const ratio = prose.length / countTokens(prose, 'claude');
+        expect(ratio).toBeGreaterThan(3);
+        expect(ratio).toBeLessThan(6);
+    });
+
+    // TEST 7: Cached wrapper estimates first, then serves exact counts after flush
+    it('should serve exact async counts after flush', async () => {
+        const calls = [];
+        const tokenizer = createCachedTokenizer(async text => { calls.push(text); return 42; }, () => 1);
+
+        expect(tokenizer('abc')).toBe(1);
+        expect(tokenizer('abc')).toBe(1);
+        expect(await tokenizer.flush()).toBe(1);
+        expect(tokenizer('abc')).toBe(42);
+        expect(await tokenizer.flush()).toBe(0);
+        expect(calls).toEqual(['abc']);
+    });
+
+    // TEST 8: A failing async counter keeps the estimate
+    it('should keep the estimate when the async counter fails', async () => {
+        const tokenizer = createCachedTokenizer(async () => { throw new Error('offline'); }, () => 5);
+        expect(tokenizer('abc')).toBe(5);
+        expect(await tokenizer.flush()).toBe(0);
+        expect(tokenizer('abc')).toBe(5);
+    });
+
+    // TEST 9: The model id picks the encoding: GPT-4 and GPT-3.5 are cl100k, GPT-4o and later o200k
+    it('should pick the encoding from the model id', () => {
+        expect(getTokenizer('openai', 'gpt-4-turbo').encoding).toBe('cl100k');
+        expect(getTokenizer('openai', 'gpt-3.5-turbo').encoding).toBe('cl100k');
+        expect(getTokenizer('openai', 'gpt-4o-mini').encoding).toBe('o200k');
+        expect(getTokenizer('openai', 'o3-mini').encoding).toBe('o200k');
+        expect(getTokenizer('openai').encoding).toBe('o200k');
+        expect(getTokenizer('openrouter', 'openai/gpt-4').encoding).toBe('cl100k');
+        expect(getTokenizer('openrouter', 'anthropic/claude-sonnet-4').encoding).toBe('claude');
+        expect(resolveTokenizer({ provider: 'openai', modelId: 'gpt-4' }).encoding).toBe('cl100k');
+    });
+
+    // TEST 10: o200k splits camelCase words at the capital, cl100k keeps them whole
+    it('should pre-tokenize o200k with its own pattern', () => {
+        expect(countTokens('getElementById', 'o200k')).toBeGreaterThan(countTokens('getelementbyid', 'o200k'));
+        expect(countTokens('getElementById', 'cl100k')).toBe(countTokens('getelementbyid', 'cl100k'));
+    });
+
+    // TEST 11: Offline counts are flagged as estimates until ST has counted every text
+    it('should flag estimated counts', async () => {
+        expect(isEstimate(getTokenizer('anthropic'))).toBe(true);
+        expect(isEstimate(() => 3)).toBe(false);
+
+        const tokenizer = createCachedTokenizer(async () => 4, getTokenizer('anthropic'));
+        expect(computeCacheDiff(presetGood, { provider: 'anthropic', tokenizer }).estimated).toBe(true);
+        await tokenizer.flush();
+        expect(computeCacheDiff(presetGood, { provider: 'anthropic', tokenizer }).estimated).toBe(false);
+        expect(computeCacheDiff(presetGood, { provider: 'anthropic' }).estimated).toBe(true);
+    });
+
+
+    // TEST 12: Capitalized and ALL-CAPS words split sooner; Claude counts above cl100k
+    it('should spend more tokens on capitalized and upper-case words', () => {
+        expect(countTokens(' Wissbegierde', 'cl100k')).toBeGreaterThan(countTokens(' wissbegierde', 'cl100k'));
+        expect(countTokens(' OCEAN', 'cl100k')).toBeGreaterThan(countTokens(' ocean', 'cl100k'));
+        const prose = 'The warrior stands at the gates of the ancient city, their sword drawn. The wind howls through the ruins.';
+        expect(countTokens(prose, 'claude')).toBeGreaterThan(countTokens(prose, 'cl100k'));
+    });
+});
@@ -0,0 +1,69 @@
+const { renderHtmlReport, renderMarkdownReport } = require('../ui/report');
+const { analyze, getPromptEntries } = require('../analyzer');
+const presetBadMacros = require('./fixtures/preset-bad-macros.json');
+const presetBadOrdering = require('./fixtures/preset-bad-ordering.json');
+const presetGood = require('./fixtures/preset-good.json');
+
+function section(title, preset) {
+    const results = analyze(preset, { provider: 'anthropic' });
+    return { title, results, entries: getPromptEntries(preset, results.findings) };
+}
+
+const bad = section('Bad Ordering', presetBadOrdering);
+const macros = section('Bad Macros', presetBadMacros);
+const good = section('Good', presetGood);
+const generatedAt = new Date('2026-01-02T00:00:00Z');
+
+describe('Shareable Reports', () => {
+
+    // TEST 1: HTML is a full document with the stylesheet inlined
+    it('should render a standalone HTML document', () => {
+        const html = renderHtmlReport([bad], { css: '.cache-analyzer { --ca-test: 1; }', generatedAt });
+        expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+        expect(html).toContain('<style>');
+        expect(html).toContain('.cache-analyzer { --ca-test: 1; }');
+        expect(html).toContain('on 2026-01-02');
+    });
+
+    // TEST 2: HTML carries the dashboard: score bar, pills, findings, prompt order
+    it('should reuse the dashboard renderers in HTML', () => {
+        const html = renderHtmlReport([bad], { generatedAt });
+        expect(html).toContain(`style="width: ${bad.results.score}%"`);
+        expect(html).toContain('ca-pill');
+        expect(html).toContain('ca-finding-card');
+        expect(html).toContain('ca-prompt-viz');
+    });
+
+    // TEST 3: Apply buttons need the extension, so reports leave them out
+    it('should not include fix buttons in HTML', () => {
+        expect(bad.results.findings.some(finding => finding.fix)).toBe(true);
+        expect(renderHtmlReport([bad], { generatedAt }).includes('ca-btn-fix')).toBe(false);
+    });
+
+    // TEST 4: Markdown mirrors the dashboard sections
+    it('should render score bar, pills, findings and prompt order in Markdown', () => {
+        const markdown = renderMarkdownReport([bad], { generatedAt });
+        expect(markdown).toContain(`**${bad.results.score}/100**`);
+        expect(markdown).toContain('█');
+        expect(markdown).toContain('### Findings');
+        expect(markdown).toContain(`**${bad.results.findings[0].title.replace(/([\\`*_~|])/g, '\\$1')}**`);
+        expect(markdown).toContain('### Prompt Order');
+        expect(markdown).toContain('1. ');
+    });
+
+    // TEST 5: Findings are listed worst first
+    it('should list critical findings before warnings in Markdown', () => {
+        const markdown = renderMarkdownReport([macros], { generatedAt }).split('### Findings')[1];
+        const critical = markdown.indexOf('⛔');
+        const warning = markdown.indexOf('⚠');
+        expect(critical).toBeGreaterThan(-1);
+        expect(warning === -1 || critical < warning).toBe(true);
+    });
+
+    // TEST 6: Clean presets and unreadable files
+    it('should handle clean presets and errors', () => {
+        const markdown = renderMarkdownReport([good, { title: 'broken.json', error: 'not valid JSON' }], { generatedAt });
+        expect(markdown).toContain('## Good');
+        expect(markdown).toContain('Could not analyze: not valid JSON');
+    });
+});
@@ -0,0 +1,121 @@
+const { analyzeVariableFlow, findUnstableMacros } = require('../core/variable-flow');
+const { checkVariableFlow } = require('../rules/variable-flow');
+const { normalizePreset } = require('../core/preset-model');
+const { computeCacheDiff } = require('../core/cache-diff');
+const presetIzumi = require('./fixtures/preset-real-izumi.json');
+
+// Builds a preset from [identifier, content] pairs with chat history last
+function buildPreset(entries, extraOrder = ['chatHistory']) {
+    const prompts = entries.map(([identifier, content]) => ({ identifier, name: identifier, content, role: 'system' }));
+    prompts.push({ identifier: 'chatHistory', name: 'Chat History', marker: true });
+    const order = entries.map(([identifier]) => identifier).concat(extraOrder);
+    return {
+        prompts,
+        prompt_order: [{ character_id: 100001, order: order.map(identifier => ({ identifier, enabled: true })) }]
+    };
+}
+
+describe('Variable Flow', () => {
+
+    // TEST 1: Toggles set to fixed text keep their readers stable
+    it('should keep getvars of fixed toggles stable', () => {
+        const model = normalizePreset(buildPreset([
+            ['toggles', '{{setvar::style::Write in past tense.}}'],
+            ['main', 'Rules: {{getvar::style}}']
+        ]));
+        const main = model.entries.find(e => e.identifier === 'main');
+        expect(main.volatile).toBe(false);
+        expect(model.variables.variables[0].volatility).toBe('static');
+        expect(checkVariableFlow(null, { model })).toHaveLength(0);
+    });
+
+    // TEST 2: A variable set from {{random}} makes its readers volatile
+    it('should flag readers of a variable set from a volatile macro', () => {
+        const model = normalizePreset(buildPreset([
+            ['toggles', '{{setvar::mood::{{random::happy,sad}}}}'],
+            ['main', 'Mood: {{getvar::mood}}']
+        ]));
+        expect(model.entries.find(e => e.identifier === 'toggles').volatile).toBe(false);
+        expect(model.entries.find(e => e.identifier === 'main').volatile).toBe(true);
+
+        const findings = checkVariableFlow(null, { model });
+        expect(findings).toHaveLength(1);
+        expect(findings[0].affectedEntry).toBe('main');
+        expect(findings[0].severity).toBe('warning');
+        expect(findings[0].meta.origins).toEqual(['{{random}} in "toggles"']);
+    });
+
+    // TEST 3: Volatility travels through variable-to-variable chains
+    it('should follow transitive setvar chains', () => {
+        const flow = analyzeVariableFlow(normalizePreset(buildPreset([
+            ['late', '{{setvar::c::{{getvar::b}}}}'],
+            ['mid', '{{setvar::b::Last said: {{getvar::a}}}}'],
+            ['source', '{{setvar::a::{{lastUserMessage}}}}'],
+            ['main', '{{getvar::c}}']
+        ])).entries);
+        const c = flow.variables.find(v => v.name === 'c');
+        expect(c.volatility).toBe('per-message');
+        expect(c.origins).toEqual(['{{lastUserMessage}} in "source"']);
+        expect(flow.entries.main.unstableVariables).toEqual(['c']);
+    });
+
+    // TEST 4: Accumulating writes change the value on every build
+    it('should treat incvar and addvar as per-generation writes', () => {
+        const flow = analyzeVariableFlow(normalizePreset(buildPreset([
+            ['counter', '{{addvar::log::x}}'],
+            ['main', '{{getvar::log}}']
+        ])).entries);
+        expect(flow.variables.find(v => v.name === 'log').volatility).toBe('per-generation');
+    });
+
+    // TEST 5: Readers after the chat history are reported as info
+    it('should downgrade unstable readers after the chat history', () => {
+        const preset = buildPreset([
+            ['toggles', '{{setvar::mood::{{roll:d20}}}}'],
+            ['post', 'Mood: {{getvar::mood}}']
+        ], []);
+        preset.prompt_order[0].order.splice(1, 0, { identifier: 'chatHistory', enabled: true });
+        const findings = checkVariableFlow(preset);
+        expect(findings).toHaveLength(1);
+        expect(findings[0].severity).toBe('info');
+        expect(findings[0].meta.inPrefix).toBe(false);
+    });
+
+    // TEST 6: Never-set reads and never-read writes are reported
+    it('should report variables never set and never read', () => {
+        const findings = checkVariableFlow(buildPreset([
+            ['toggles', '{{setvar::unused::x}}{{setglobalvar::shared::y}}'],
+            ['main', '{{getvar::missing}} {{getglobalvar::shared}}']
+        ]));
+        const unset = findings.find(f => f.id === 'variable-flow-unset');
+        const unread = findings.find(f => f.id === 'variable-flow-unread');
+        expect(unset.meta.variables).toEqual(['missing']);
+        expect(unset.affectedEntry).toBe('main');
+        expect(unread.meta.variables).toEqual(['unused']);
+        expect(unread.affectedEntry).toBe('toggles');
+    });
+
+    // TEST 7: The simulator and cache diff see through the variable
+    it('should attribute the cache divergence to the volatile getvar', () => {
+        const preset = buildPreset([
+            ['toggles', '{{setvar::mood::{{random::happy,sad}}}}'],
+            ['main', 'Stable rules. Mood: {{getvar::mood}}']
+        ]);
+        const model = normalizePreset(preset);
+        expect(findUnstableMacros('A {{getvar::mood}} {{time}}', model.variables).map(m => m.name)).toEqual(['getvar', 'time']);
+
+        const diff = computeCacheDiff(preset, { chatLength: 4 });
+        expect(diff.cause.kind).toBe('macro');
+        expect(diff.cause.identifier).toBe('main');
+        expect(diff.cause.macro).toBe('{{getvar}}');
+    });
+
+    // TEST 8: Izumi's toggles are fixed text, so its getvars stay stable
+    it('should keep the Izumi toggles stable', () => {
+        const model = normalizePreset(presetIzumi);
+        expect(model.variables.variables.length).toBeGreaterThan(40);
+        expect(Object.values(model.variables.entries).some(e => e.volatile)).toBe(false);
+        expect(model.variables.unset.map(v => v.name)).toEqual(['nd', 'pinghe']);
+    });
+
+});
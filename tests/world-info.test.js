@@ -0,0 +1,117 @@
+const { normalizeLorebook, classifyWorldInfoEntry, simulateActivation, analyzeWorldInfo, WORLD_INFO_POSITION } = require('../core/world-info');
+const { checkWorldInfo } = require('../rules/world-info');
+const { analyze } = require('../analyzer');
+const { renderWorldInfo } = require('../ui/components');
+const lorebook = require('./fixtures/lorebook.json');
+const presetIzumi = require('./fixtures/preset-real-izumi.json');
+const presetGood = require('./fixtures/preset-good.json');
+
+// Mentions dragons on every third user message
+function dragonChat(length) {
+    const chat = [];
+    for (let i = 0; i < length; i++) {
+        const role = i % 2 === 0 ? 'user' : 'assistant';
+        chat.push({ role, content: role === 'user' && i % 6 === 0 ? 'Is that a dragon on the ridge?' : 'We keep walking north.' });
+    }
+    return chat;
+}
+
+describe('World Info', () => {
+
+    // TEST 1: ST world files, character books and entry arrays normalize alike
+    it('should read lorebooks in ST and character book formats', () => {
+        const entries = normalizeLorebook(lorebook);
+        expect(entries.map(e => e.name)).toEqual(['The Realm', 'Dragons', 'Tavern Rumors', 'Cursed Sword']);
+        expect(entries[0].world).toBe('Northern Reaches');
+
+        const book = normalizeLorebook({ data: { character_book: { entries: [
+            { id: 7, keys: ['harbor'], content: 'The harbor.', enabled: true, insertion_order: 10, extensions: { position: 4, depth: 1, probability: 30, useProbability: true } },
+            { id: 8, keys: ['old'], content: 'Unused.', enabled: false }
+        ] } } });
+        expect(book).toHaveLength(1);
+        expect(book[0].uid).toBe(7);
+        expect(book[0].position).toBe(WORLD_INFO_POSITION.AT_DEPTH);
+        expect(book[0].kind).toBe('probability');
+        expect(normalizeLorebook(null)).toEqual([]);
+    });
+
+    // TEST 2: Entries are classified by what decides whether they are sent
+    it('should classify entries as constant, keyword, probability or timed', () => {
+        expect(normalizeLorebook(lorebook).map(e => e.kind)).toEqual(['constant', 'keyword', 'probability', 'timed']);
+        expect(classifyWorldInfoEntry({ constant: true, useProbability: false, probability: 40, sticky: 0, cooldown: 0, delay: 0 })).toBe('constant');
+        expect(classifyWorldInfoEntry({ constant: false, useProbability: true, probability: 100, sticky: 0, cooldown: 0, delay: 3 })).toBe('timed');
+    });
+
+    // TEST 3: Keywords are scanned in the chat as it grows; timers hold and block activation
+    it('should replay activation over the chat', () => {
+        const [, dragons, , sword] = normalizeLorebook(lorebook);
+        const active = simulateActivation(dragons, { chat: dragonChat(20) });
+        expect(active).toHaveLength(10);
+        expect(active.some(Boolean)).toBe(true);
+        expect(active.every(Boolean)).toBe(false);
+
+        // Sticky 4 keeps it two turns; cooldown 2 blocks the turn after
+        const timed = simulateActivation(Object.assign({}, sword, { constant: true }), { turns: 6 });
+        expect(timed).toEqual([true, true, false, true, true, false]);
+
+        // Rolls are seeded, so reports repeat
+        expect(simulateActivation(dragons, { turns: 12 })).toEqual(simulateActivation(dragons, { turns: 12 }));
+    });
+
+    // TEST 4: Where each entry lands, whether before the stable prefix ends, and its churn
+    it('should report churning entries before the stable prefix ends', () => {
+        const report = analyzeWorldInfo(presetIzumi, { provider: 'anthropic', worldInfo: { entries: [lorebook], chat: dragonChat(20) } });
+        const byName = name => report.entries.find(e => e.name === name);
+        expect(byName('The Realm').anchor).toBe('worldInfoBefore');
+        expect(byName('The Realm').churn).toBe(0);
+        expect(byName('The Realm').recommendation).toBe(null);
+        expect(byName('Dragons').beforeStableEnd).toBe(true);
+        expect(byName('Dragons').churn).toBeGreaterThan(0);
+        expect(byName('Dragons').recommendation.position).toBe(WORLD_INFO_POSITION.AT_DEPTH);
+        expect(byName('Cursed Sword').anchor).toBe('atDepth');
+        expect(byName('Cursed Sword').beforeStableEnd).toBe(false);
+        expect(byName('Dragons').invalidatedTokens).toBeGreaterThan(byName('Cursed Sword').invalidatedTokens);
+        expect(report.summary.beforeStableEnd).toBe(2);
+        // The sword is never mentioned, so its spot never changes
+        expect(byName('Cursed Sword').churn).toBe(0);
+        expect(report.anchors.map(a => a.anchor)).toEqual(['worldInfoBefore', 'worldInfoAfter']);
+    });
+
+    // TEST 5: Entries firing on most turns are better off constant
+    it('should recommend making frequent entries constant', () => {
+        const frequent = JSON.parse(JSON.stringify(lorebook));
+        frequent.entries['2'].probability = 90;
+        const report = analyzeWorldInfo(presetIzumi, { worldInfo: { entries: [frequent], turns: 40 } });
+        expect(report.entries.find(e => e.name === 'Tavern Rumors').recommendation.constant).toBe(true);
+    });
+
+    // TEST 6: One finding per World Info spot before the stable prefix ends
+    it('should flag World Info markers whose content changes between turns', () => {
+        expect(checkWorldInfo(presetIzumi, { provider: 'anthropic' })).toHaveLength(0);
+        const findings = checkWorldInfo(presetIzumi, { provider: 'anthropic', worldInfo: { entries: [lorebook], chat: dragonChat(20) } });
+        expect(findings.map(f => f.id)).toEqual(['world-info-worldInfoBefore-churn', 'world-info-worldInfoAfter-churn']);
+        expect(findings[0].severity).toBe('warning');
+        expect(findings[0].affectedEntry).toBe('worldInfoBefore');
+        expect(findings[0].description).toContain('"Dragons"');
+        expect(findings[0].recommendation).toContain('depth 4');
+        expect(findings[0].meta.expectedTokensPerTurn).toBeGreaterThan(0);
+
+        // A preset without World Info markers sends none of it
+        expect(checkWorldInfo(presetGood, { worldInfo: { entries: [lorebook] } })).toHaveLength(0);
+    });
+
+    // TEST 7: analyze() attaches the report and the dashboard lists it
+    it('should attach the World Info report to analysis results', () => {
+        const results = analyze(presetIzumi, { provider: 'anthropic', worldInfo: { entries: [lorebook] } });
+        expect(results.worldInfo.summary.total).toBe(4);
+        expect(results.findings.some(f => f.rule === 'world-info')).toBe(true);
+        expect(analyze(presetIzumi, { provider: 'anthropic' }).worldInfo).toBe(null);
+
+        const html = renderWorldInfo(results.worldInfo);
+        expect(html).toContain('ca-world-info');
+        expect(html).toContain('Tavern Rumors');
+        expect(html).toContain('sticky/cooldown');
+        expect(renderWorldInfo(null)).toBe('');
+    });
+
+});
@@ -56,6 +56,15 @@ function renderSummaryPills(summary) {
     return `<div class="ca-summary-pills">${pills.join('')}</div>`;
 }
 
+// Apply button for findings that carry a structured fix (core/fixes.js)
+function renderFixButton(finding) {
+    if (!finding.fix) return '';
+    return `
+            <div class="ca-finding-fix">
+                <button class="menu_button ca-btn-secondary ca-btn-fix" data-finding-id="${escapeHtml(finding.id)}" title="${escapeHtml(finding.fix.label)}">Apply: ${escapeHtml(finding.fix.label)}</button>
+            </div>`;
+}
+
 function renderFindingCard(finding) {
     const icon = getSeverityIcon(finding.severity);
     const severityClass = finding.severity;
@@ -68,9 +77,17 @@ function renderFindingCard(finding) {
             <div class="ca-finding-desc">${escapeHtml(finding.description)}</div>
             <div class="ca-finding-rec">\uD83D\uDCA1 ${escapeHtml(finding.recommendation)}</div>
             <div class="ca-finding-meta">${escapeHtml(finding.rule)} \u2022 ${escapeHtml(finding.affectedEntry)}</div>
+            ${renderFixButton(finding)}
         </div>`;
 }
 
+// Critical first, then warning, then info
+function sortFindings(findings) {
+    const order = { critical: 0, warning: 1, info: 2 };
+    const rank = finding => (finding.severity in order ? order[finding.severity] : 3);
+    return [...findings].sort((a, b) => rank(a) - rank(b));
+}
+
 function renderFindingsList(findings) {
     if (!findings || findings.length === 0) {
         return `<div class="ca-findings-list">
@@ -81,18 +98,163 @@ function renderFindingsList(findings) {
             </div>
         </div>`;
     }
-    // Sort: critical first, then warning, then info
-    const order = { critical: 0, warning: 1, info: 2 };
-    const sorted = [...findings].sort((a, b) => (order[a.severity] || 3) - (order[b.severity] || 3));
-    return `<div class="ca-findings-list">${sorted.map(f => renderFindingCard(f)).join('')}</div>`;
+    return `<div class="ca-findings-list">${sortFindings(findings).map(f => renderFindingCard(f)).join('')}</div>`;
+}
+
+// Plain-text sentence on where the shared prefix ends
+function describeCacheCause(cache) {
+    if (cache.belowThreshold) {
+        return `Shared prefix of ${cache.prefixTokens} tokens is below the ${cache.threshold}-token cache minimum.`;
+    } else if (cache.cause.kind === 'macro') {
+        return `Prefix breaks at "${cache.cause.name}" (${cache.cause.macro}).`;
+    } else if (cache.cause.kind === 'injection') {
+        return `Prefix breaks at in-chat injection "${cache.cause.name}".`;
+    } else if (cache.cause.kind === 'generation') {
+        return `Prefix breaks at the ${cache.cause.name.toLowerCase()}.`;
+    } else if (cache.cause.kind === 'trigger') {
+        return `Prefix breaks at "${cache.cause.name}", which only some generation types send.`;
+    } else if (cache.cause.kind === 'entry') {
+        return `Prefix breaks at "${cache.cause.name}".`;
+    }
+    return 'Prefix holds until the new chat messages.';
+}
+
+// Next-message cache hit from the two-turn diff (results.cache)
+function renderCacheDiff(cache) {
+    if (!cache) return '';
+
+    const percent = Math.round(cache.hitRate * 100);
+    const cause = describeCacheCause(cache);
+
+    return `
+        <div class="ca-cache-diff">
+            <div class="ca-cache-diff-header">
+                <span class="ca-cache-diff-title">Next message cache hit</span>
+                <span class="ca-cache-diff-value">${percent}%</span>
+            </div>
+            <div class="ca-cache-diff-detail">${cache.cachedTokens} of ${cache.totalTokens} input tokens cached${cache.estimated ? ' (estimated)' : ''}. ${escapeHtml(cause)}</div>
+        </div>`;
+}
+
+// One row per generation type (analyzer.analyzeGenerationTypes): score and
+// how much of the normal request's cache that generation reads back
+function renderGenerationTypes(typeResults) {
+    if (!typeResults || typeResults.length === 0) return '';
+
+    const rows = typeResults.map(result => {
+        const prefix = result.prefix;
+        const percent = prefix ? `${Math.round(prefix.hitRate * 100)}%` : '\u2014';
+        const cause = prefix ? describeCacheCause(prefix) : '';
+        return `
+            <tr>
+                <td class="ca-cost-model">${escapeHtml(result.generationType)}</td>
+                <td>${result.score}</td>
+                <td>${percent}</td>
+                <td class="ca-generation-cause">${escapeHtml(cause)}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <div class="ca-cache-diff ca-generation-types">
+            <div class="ca-cache-diff-header">
+                <span class="ca-cache-diff-title">Generation types</span>
+            </div>
+            <table class="ca-cost-table">
+                <thead><tr><th>Type</th><th>Score</th><th>Cache hit</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+const WORLD_INFO_KIND_LABELS = {
+    constant: 'constant',
+    keyword: 'keyword',
+    probability: 'probability',
+    timed: 'sticky/cooldown'
+};
+
+// worldInfo is analyzeWorldInfo()'s report (core/world-info.js). Entries
+// landing before the stable prefix ends are listed first and highlighted.
+function renderWorldInfo(worldInfo) {
+    if (!worldInfo || worldInfo.entries.length === 0) return '';
+
+    const entries = worldInfo.entries
+        .filter(entry => entry.sent)
+        .sort((a, b) => (b.beforeStableEnd - a.beforeStableEnd) || (b.churn - a.churn));
+    const rows = entries.map(entry => {
+        const where = entry.depth === null ? entry.anchor : `${entry.anchor} (depth ${entry.depth})`;
+        const title = entry.recommendation ? ` title="${escapeHtml(entry.recommendation.text)}"` : '';
+        return `
+            <tr${title}>
+                <td class="ca-cost-model">${escapeHtml(entry.name)}</td>
+                <td>${WORLD_INFO_KIND_LABELS[entry.kind]}</td>
+                <td class="${entry.beforeStableEnd ? 'ca-world-info-early' : ''}">${escapeHtml(where)}</td>
+                <td>${Math.round(entry.activationRate * 100)}%</td>
+                <td>${Math.round(entry.churn * 100)}%</td>
+            </tr>`;
+    }).join('');
+
+    const { summary } = worldInfo;
+    return `
+        <div class="ca-cache-diff ca-world-info">
+            <div class="ca-cache-diff-header">
+                <span class="ca-cache-diff-title">World Info</span>
+                <span class="ca-cache-diff-detail">${summary.beforeStableEnd} of ${summary.total} entries change the cached prefix</span>
+            </div>
+            <table class="ca-cost-table">
+                <thead><tr><th>Entry</th><th>Type</th><th>Lands at</th><th>Fires</th><th>Changes</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+const PERIODIC_CAUSE_LABELS = {
+    authorsNote: "Author's Note",
+    summary: 'summary rewrite'
+};
+
+function describeTurn(turn) {
+    if (turn.turn === 1) return 'Turn 1: writes the cache';
+    const causes = turn.causes.map(cause => PERIODIC_CAUSE_LABELS[cause]).join(' + ');
+    const cached = `${Math.round(turn.hitRate * 100)}% cached`;
+    return turn.cold
+        ? `Turn ${turn.turn}: cold after ${causes} (${cached}, ${turn.lostTokens} tokens resent)`
+        : `Turn ${turn.turn}: ${cached}`;
+}
+
+// periodicity is analyzePeriodicity()'s report (core/periodicity.js): one
+// cell per simulated turn, cold turns marked with what changed
+function renderPeriodicity(periodicity) {
+    if (!periodicity || periodicity.sources.length === 0) return '';
+
+    const cells = periodicity.turns.map(turn => {
+        const state = turn.turn === 1 ? 'write' : (turn.cold ? 'miss' : 'hit');
+        return `<span class="ca-turn-cell ca-turn-${state}" title="${escapeHtml(describeTurn(turn))}"></span>`;
+    }).join('');
+
+    const { summary } = periodicity;
+    const schedules = periodicity.sources.map(source => source.source === 'authorsNote'
+        ? `Author's Note every ${source.interval} turn${source.interval === 1 ? '' : 's'}`
+        : `summary every ${source.interval} messages`);
+    return `
+        <div class="ca-cache-diff ca-periodicity">
+            <div class="ca-cache-diff-header">
+                <span class="ca-cache-diff-title">Next ${summary.turns} turns</span>
+                <span class="ca-cache-diff-detail">${summary.coldTurns} cold turn${summary.coldTurns === 1 ? '' : 's'} · ${Math.round(summary.hitRate * 100)}% cached on average</span>
+            </div>
+            <div class="ca-turn-strip">${cells}</div>
+            <div class="ca-cache-diff-detail">${escapeHtml(schedules.join(', '))}</div>
+        </div>`;
 }
 
+// orderedEntries come from analyzer.getPromptEntries(); entries without a
+// `volatile` flag fall back to the built-in volatile markers.
 function renderPromptViz(orderedEntries) {
     if (!orderedEntries || orderedEntries.length === 0) return '';
 
     const volatileIds = new Set(['chatHistory', 'dialogueExamples']);
     const rows = orderedEntries.map(entry => {
-        const isVolatile = volatileIds.has(entry.identifier);
+        const isVolatile = typeof entry.volatile === 'boolean' ? entry.volatile : volatileIds.has(entry.identifier);
         const dotClass = entry.flagged ? 'ca-dot-flagged' : (isVolatile ? 'ca-dot-volatile' : 'ca-dot-stable');
         const tagClass = isVolatile ? 'ca-tag-volatile' : 'ca-tag-stable';
         const tagText = isVolatile ? 'volatile' : 'stable';
@@ -100,7 +262,8 @@ function renderPromptViz(orderedEntries) {
         return `
             <div class="ca-prompt-entry">
                 <div class="ca-prompt-dot ${dotClass}"></div>
-                <span class="ca-prompt-name">${name}</span>
+                <span class="ca-prompt-name">${name}</span>${entry.extension ? `
+                <span class="ca-prompt-tag ca-tag-extension">extension</span>` : ''}
                 <span class="ca-prompt-tag ${tagClass}">${tagText}</span>
             </div>`;
     });
@@ -112,6 +275,273 @@ function renderPromptViz(orderedEntries) {
         </div>`;
 }
 
+// Dropdown for switching between prompt_order blocks; hidden when there is only one
+function renderOrderSelector(orderResults, selectedId) {
+    if (!orderResults || orderResults.length < 2) return '';
+
+    const options = orderResults.map(result => {
+        const value = escapeHtml(String(result.characterId));
+        const selected = String(result.characterId) === String(selectedId) ? ' selected' : '';
+        return `<option value="${value}"${selected}>${escapeHtml(result.label)} \u2014 ${result.score}</option>`;
+    });
+
+    return `
+        <div class="ca-order-selector">
+            <label class="ca-order-label" for="ca-order-select">Prompt order</label>
+            <select class="ca-order-select" id="ca-order-select">${options.join('')}</select>
+        </div>`;
+}
+
+// Detected provider/model line for the panel header (core/providers.js detectConnection())
+function renderConnection(connection) {
+    if (!connection) return '';
+    const { profile } = connection;
+    const caching = profile.caching === 'none'
+        ? 'no prompt caching'
+        : `${profile.caching} caching from ${profile.minTokens} tokens`;
+    const model = connection.modelId ? ` \u00B7 <span class="ca-connection-model">${escapeHtml(connection.modelId)}</span>` : '';
+    const assumed = connection.assumed
+        ? `<span class="ca-connection-assumed" title="No cache profile for this source; analyzing as ${escapeHtml(profile.label)}">${escapeHtml(connection.source || 'unknown source')} \u2014 assumed</span>`
+        : '';
+
+    return `
+        <div class="ca-connection-line">
+            <span class="ca-connection-provider">${escapeHtml(profile.label)}</span>${model}
+            <span class="ca-connection-caching">${caching}</span>
+            ${assumed}
+        </div>`;
+}
+
+// Dashboard notice when the connection has no cache profile of its own
+function renderAssumedProvider(connection) {
+    if (!connection || !connection.assumed) return '';
+    const source = connection.source ? `"${escapeHtml(connection.source)}"` : 'the current connection';
+    return `
+        <div class="ca-assumed-notice">
+            No cache profile for ${source} \u2014 analyzed with generic prefix caching from ${connection.profile.minTokens} tokens, without cache_control or provider-specific checks.
+        </div>`;
+}
+
+function formatUsd(value) {
+    const digits = Math.abs(value) < 0.01 ? 4 : 2;
+    return `${value < 0 ? '\u2212' : ''}$${Math.abs(value).toFixed(digits)}`;
+}
+
+// Per-session cost table from core/cost.js estimateSavings()
+function renderCostEstimate(estimate) {
+    if (!estimate) return '';
+    if (estimate.models.length === 0) {
+        return `
+        <div class="ca-cost">
+            <div class="ca-compare-section-title">Cost per session</div>
+            <div class="ca-empty-subtext">${escapeHtml(estimate.message)}</div>
+        </div>`;
+    }
+
+    const rows = estimate.models.map(row => {
+        const percent = Math.round(row.percent * 100);
+        const savedClass = row.savings > 0 ? 'ca-cost-saved' : (row.savings < 0 ? 'ca-cost-lost' : '');
+        return `
+            <tr>
+                <td class="ca-cost-model">${escapeHtml(row.model)}</td>
+                <td>${formatUsd(row.current)}</td>
+                <td>${formatUsd(row.optimized)}</td>
+                <td class="${savedClass}">${formatUsd(row.savings)} (${formatDelta(percent, '%')})</td>
+            </tr>`;
+    }).join('');
+    const { session, latency } = estimate;
+
+    return `
+        <div class="ca-cost">
+            <div class="ca-compare-section-title">Cost per session \u2014 ${session.turns} turns, ~${session.messageTokens}-token messages</div>
+            <table class="ca-cost-table">
+                <thead><tr><th>Model</th><th>Current</th><th>Optimized</th><th>Saved</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="ca-compare-stats">
+                <span>Time to first token ${latency.current} ms \u2192 ${latency.optimized} ms</span>
+                <span>Cached input ${Math.round(estimate.current.cachedTokens / Math.max(1, estimate.current.inputTokens) * 100)}% \u2192 ${Math.round(estimate.optimized.cachedTokens / Math.max(1, estimate.optimized.inputTokens) * 100)}%</span>
+            </div>
+        </div>`;
+}
+
+// Settings form for the pricing tables (USD per million tokens) and session shape
+function renderPricingEditor(pricing, session) {
+    const field = (provider, model, name, value) =>
+        `<input type="number" class="text_pole ca-pricing-input" min="0" step="0.001" data-provider="${escapeHtml(provider)}" data-model="${escapeHtml(model)}" data-field="${name}" value="${value}">`;
+
+    const rows = Object.entries(pricing).map(([provider, models]) => Object.entries(models).map(([model, prices]) => `
+            <tr>
+                <td class="ca-cost-model">${escapeHtml(model)}</td>
+                <td>${field(provider, model, 'input', prices.input)}</td>
+                <td>${field(provider, model, 'cacheWrite', prices.cacheWrite)}</td>
+                <td>${field(provider, model, 'cacheRead', prices.cacheRead)}</td>
+            </tr>`).join('')).join('');
+
+    return `
+        <div class="ca-pricing">
+            <div class="ca-order-selector">
+                <label class="ca-order-label" for="ca-session-turns">Turns per session</label>
+                <input type="number" class="text_pole ca-session-input" id="ca-session-turns" min="1" max="200" step="1" value="${session.turns}">
+                <label class="ca-order-label" for="ca-session-message-tokens">Tokens per message</label>
+                <input type="number" class="text_pole ca-session-input" id="ca-session-message-tokens" min="1" step="10" value="${session.messageTokens}">
+            </div>
+            <table class="ca-cost-table">
+                <thead><tr><th>Model ($ / 1M tokens)</th><th>Input</th><th>Cache write</th><th>Cache read</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="ca-optimize-actions">
+                <button class="menu_button ca-btn-secondary" id="ca-btn-pricing-reset">Reset prices</button>
+            </div>
+        </div>`;
+}
+
+// ST reads these from config.yaml (claude.enableSystemPromptCache,
+// claude.cachingAtDepth), which extensions cannot see, so they are mirrored here
+function renderCacheControlEditor(cacheControl) {
+    return `
+        <div class="ca-cache-control">
+            <div class="ca-order-selector">
+                <label class="ca-order-label" for="ca-cache-system">System prompt cache</label>
+                <input type="checkbox" class="ca-cache-control-input" id="ca-cache-system"${cacheControl.systemPromptCache ? ' checked' : ''}>
+                <label class="ca-order-label" for="ca-cache-depth">Caching at depth</label>
+                <input type="number" class="text_pole ca-cache-control-input" id="ca-cache-depth" min="-1" step="1" value="${cacheControl.cachingAtDepth}">
+            </div>
+            <div class="ca-empty-subtext">Match claude.enableSystemPromptCache and claude.cachingAtDepth in SillyTavern's config.yaml; -1 turns depth caching off.</div>
+        </div>`;
+}
+
+// Before/after view for core/optimizer.js results, with export and apply actions
+function renderOptimization(result, cost) {
+    if (!result) return renderEmptyState();
+
+    const before = getScoreLabel(result.before.score);
+    const after = getScoreLabel(result.after.score);
+    const hit = r => (r.cache ? `${Math.round(r.cache.hitRate * 100)}%` : '\u2014');
+    const changes = result.changes.length > 0
+        ? result.changes.map(change => `
+            <div class="ca-optimize-change">
+                <span class="ca-optimize-change-rule">${escapeHtml(change.rule)}</span>
+                <span class="ca-optimize-change-desc">${escapeHtml(change.description)}</span>
+            </div>`).join('')
+        : '<div class="ca-empty-subtext">Nothing to change \u2014 the preset is already as cache-friendly as the optimizer can make it.</div>';
+
+    return `
+        <div class="ca-optimize">
+            <div class="ca-optimize-scores">
+                <div class="ca-optimize-score">
+                    <span class="ca-optimize-score-title">Before</span>
+                    <span class="ca-score-label ${before.class}">${result.before.score}</span>
+                    <span class="ca-optimize-score-hit">${hit(result.before)} cache hit</span>
+                </div>
+                <span class="ca-optimize-arrow">\u2192</span>
+                <div class="ca-optimize-score">
+                    <span class="ca-optimize-score-title">After</span>
+                    <span class="ca-score-label ${after.class}">${result.after.score}</span>
+                    <span class="ca-optimize-score-hit">${hit(result.after)} cache hit</span>
+                </div>
+            </div>
+            <div class="ca-optimize-changes">${changes}</div>
+            ${renderCostEstimate(cost)}
+            <div class="ca-optimize-actions">
+                <button class="menu_button ca-btn-secondary" id="ca-btn-export">Export JSON</button>
+                <button class="menu_button ca-btn-secondary" id="ca-btn-apply"${result.changes.length === 0 ? ' disabled' : ''}>Apply to preset</button>
+                <button class="menu_button ca-btn-secondary" id="ca-btn-back">Back</button>
+            </div>
+        </div>`;
+}
+
+// Saved preset picker for the compare view
+function renderComparePicker(names, selected) {
+    if (!names || names.length === 0) {
+        return `
+        <div class="ca-empty-state">
+            <div class="ca-empty-text">No saved presets to compare with</div>
+        </div>`;
+    }
+
+    const options = names.map(name => {
+        const isSelected = name === selected ? ' selected' : '';
+        return `<option value="${escapeHtml(name)}"${isSelected}>${escapeHtml(name)}</option>`;
+    });
+
+    return `
+        <div class="ca-order-selector">
+            <label class="ca-order-label" for="ca-compare-select">Compare with</label>
+            <select class="ca-order-select" id="ca-compare-select">${options.join('')}</select>
+        </div>
+        <div class="ca-optimize-actions">
+            <button class="menu_button ca-btn-secondary" id="ca-btn-compare-run">Compare</button>
+            <button class="menu_button ca-btn-secondary" id="ca-btn-back">Back</button>
+        </div>`;
+}
+
+function formatDelta(value, suffix = '') {
+    if (value === 0) return `\u00B10${suffix}`;
+    return `${value > 0 ? '+' : '\u2212'}${Math.abs(value)}${suffix}`;
+}
+
+function describeEntryChange(entry) {
+    if (entry.status === 'added') return 'added';
+    if (entry.status === 'removed') return 'removed';
+
+    const parts = [];
+    if (entry.position.before !== entry.position.after) parts.push(`position ${entry.position.before + 1} \u2192 ${entry.position.after + 1}`);
+    if (entry.enabled.before !== entry.enabled.after) parts.push(entry.enabled.after ? 'enabled' : 'disabled');
+    if (entry.contentChanged) parts.push('content changed');
+    return parts.join(', ');
+}
+
+// Regression view for core/compare.js results; `labels` names the two sides
+function renderComparison(result, labels = {}) {
+    if (!result) return renderEmptyState();
+
+    const before = getScoreLabel(result.score.before);
+    const after = getScoreLabel(result.score.after);
+    const hitDelta = Math.round(result.cacheHitRate.after * 100) - Math.round(result.cacheHitRate.before * 100);
+
+    // Resolved findings belong to the other preset — nothing to apply them to
+    const resolved = result.findings.resolved.map(f => renderFindingCard(Object.assign({}, f, { fix: null })));
+    const added = result.findings.added.map(f => renderFindingCard(f));
+    const section = (title, cards) => (cards.length > 0
+        ? `<div class="ca-compare-section-title">${title} (${cards.length})</div><div class="ca-findings-list">${cards.join('')}</div>`
+        : '');
+
+    const changedEntries = result.entries.filter(entry => entry.status !== 'unchanged');
+    const entryRows = changedEntries.map(entry => `
+            <div class="ca-compare-entry">
+                <span class="ca-compare-status ca-compare-${entry.status}">${entry.status}</span>
+                <span class="ca-compare-entry-name">${escapeHtml(entry.name || entry.identifier)}</span>
+                <span class="ca-compare-entry-desc">${escapeHtml(describeEntryChange(entry))}</span>
+            </div>`).join('');
+
+    return `
+        <div class="ca-optimize ca-compare">
+            <div class="ca-optimize-scores">
+                <div class="ca-optimize-score">
+                    <span class="ca-optimize-score-title">${escapeHtml(labels.before || 'Before')}</span>
+                    <span class="ca-score-label ${before.class}">${result.score.before}</span>
+                </div>
+                <span class="ca-optimize-arrow">\u2192</span>
+                <div class="ca-optimize-score">
+                    <span class="ca-optimize-score-title">${escapeHtml(labels.after || 'After')}</span>
+                    <span class="ca-score-label ${after.class}">${result.score.after}</span>
+                </div>
+            </div>
+            <div class="ca-compare-stats">
+                <span>Score ${formatDelta(result.score.delta)}</span>
+                <span>Stable prefix ${formatDelta(result.stablePrefixTokens.delta, ' tokens')}</span>
+                <span>Cache hit ${formatDelta(hitDelta, '%')}</span>
+            </div>
+            ${section('New findings', added)}
+            ${section('Resolved findings', resolved)}
+            ${changedEntries.length > 0 ? `<div class="ca-compare-section-title">Changed entries (${changedEntries.length})</div><div class="ca-compare-entries">${entryRows}</div>` : '<div class="ca-empty-subtext">No entries changed.</div>'}
+            <div class="ca-optimize-actions">
+                <button class="menu_button ca-btn-secondary" id="ca-btn-back">Back</button>
+            </div>
+        </div>`;
+}
+
 function renderEmptyState() {
     return `
         <div class="ca-empty-state">
@@ -133,27 +563,49 @@ function renderLoadingState() {
         </div>`;
 }
 
-function renderDashboard(results) {
+// typeResults is optional: the per-generation-type sweep, shown when the
+// preset has entries limited to some generation types
+function renderDashboard(results, orderedEntries, typeResults) {
     if (!results) return renderEmptyState();
 
     return `
         ${renderScoreBar(results.score)}
         ${renderSummaryPills(results.summary)}
-        ${renderFindingsList(results.findings)}`;
-}
-
-if (typeof module !== 'undefined') {
-    module.exports = {
-        getScoreLabel,
-        getSeverityIcon,
-        escapeHtml,
-        renderScoreBar,
-        renderSummaryPills,
-        renderFindingCard,
-        renderFindingsList,
-        renderPromptViz,
-        renderEmptyState,
-        renderLoadingState,
-        renderDashboard,
-    };
+        ${renderCacheDiff(results.cache)}
+        ${renderGenerationTypes(typeResults)}
+        ${renderWorldInfo(results.worldInfo)}
+        ${renderPeriodicity(results.periodicity)}
+        ${renderFindingsList(results.findings)}
+        ${renderPromptViz(orderedEntries)}`;
 }
+
+const api = {
+    getScoreLabel,
+    getSeverityIcon,
+    escapeHtml,
+    renderScoreBar,
+    renderSummaryPills,
+    renderFindingCard,
+    sortFindings,
+    renderFindingsList,
+    describeCacheCause,
+    renderCacheDiff,
+    renderGenerationTypes,
+    renderWorldInfo,
+    renderPeriodicity,
+    renderPromptViz,
+    renderOrderSelector,
+    renderConnection,
+    renderAssumedProvider,
+    renderCostEstimate,
+    renderPricingEditor,
+    renderCacheControlEditor,
+    renderOptimization,
+    renderComparePicker,
+    renderComparison,
+    renderEmptyState,
+    renderLoadingState,
+    renderDashboard,
+};
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -5,18 +5,19 @@
  *
  * Exports:
  *   initDashboard(container, onAnalyze) — Injects the panel into container element
- *   updateDashboard(results) — Renders analysis results
+ *   updateDashboard(results, orderedEntries) — Renders analysis results and prompt order
  *   showLoading() — Shows loading state
  *   showEmpty() — Shows empty/initial state
  */
 
 // Import components if running in Node (for testing)
-// In browser, components.js is loaded via script tag before this file
+// In browser, components.js is loaded before this file and registers itself
+// on globalThis.CacheAnalyzer
 let components;
 if (typeof module !== 'undefined' && typeof require === 'function') {
     components = require('./components');
-} else if (typeof window !== 'undefined') {
-    components = window;
+} else {
+    components = globalThis.CacheAnalyzer;
 }
 
 let panelBody = null;
@@ -74,14 +75,14 @@ function initDashboard(container, onAnalyze) {
     });
 }
 
-function updateDashboard(results) {
+function updateDashboard(results, orderedEntries) {
     if (!panelBody) return;
 
     if (analyzeBtn) {
         analyzeBtn.classList.remove('ca-loading');
     }
 
-    panelBody.innerHTML = components.renderDashboard(results);
+    panelBody.innerHTML = components.renderDashboard(results, orderedEntries);
 
     // Trigger score bar animation after render
     requestAnimationFrame(function () {
@@ -108,6 +109,6 @@ function showEmpty() {
     panelBody.innerHTML = components.renderEmptyState();
 }
 
-if (typeof module !== 'undefined') {
-    module.exports = { initDashboard, updateDashboard, showLoading, showEmpty };
-}
+const api = { initDashboard, updateDashboard, showLoading, showEmpty };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);
@@ -0,0 +1,157 @@
+// ui/report.js — Shareable reports
+// Standalone HTML (styles.css inlined, opens anywhere) and Markdown (Discord,
+// preset pages) versions of the dashboard: score bar, summary pills, cache
+// hit, findings and prompt order. The HTML report reuses the dashboard
+// renderers as they are; the Markdown report mirrors them in text.
+
+const shared = typeof module !== 'undefined' ? null : globalThis.CacheAnalyzer;
+const {
+    getScoreLabel,
+    getSeverityIcon,
+    escapeHtml,
+    sortFindings,
+    describeCacheCause,
+    renderDashboard
+} = shared || require('./components');
+
+const REPORT_TITLE = 'Preset Cache Analysis';
+
+// Width of the Markdown score bar, in characters
+const MARKDOWN_BAR_WIDTH = 20;
+
+// Page chrome around the dashboard markup; the dashboard itself is styled by styles.css
+const PAGE_STYLES = `
+body { margin: 0; padding: 24px; background: #0A0A0A; }
+.ca-report { max-width: 720px; margin: 0 auto; display: flex; flex-direction: column; gap: 16px; }
+.ca-report-title { margin: 0; font-size: 20px; color: var(--ca-orange-glow); }
+.ca-report-section-title { margin: 8px 0 0; font-size: 16px; color: var(--ca-text-primary); }
+.ca-report-footer { font-size: 11px; color: var(--ca-text-secondary); }`;
+
+// Apply buttons only work inside the dashboard
+function withoutFixes(results) {
+    return Object.assign({}, results, {
+        findings: results.findings.map(finding => Object.assign({}, finding, { fix: null }))
+    });
+}
+
+function formatDate(date) {
+    return (date || new Date()).toISOString().slice(0, 10);
+}
+
+/**
+ * Standalone HTML document for one or more analyzed presets.
+ *
+ * sections — [{ title, results, entries }] with results from analyze() and
+ *            entries from getPromptEntries(), or [{ title, error }]
+ * options  — css: styles.css text to inline; title: page heading;
+ *            generatedAt: Date shown in the footer (defaults to now)
+ */
+function renderHtmlReport(sections, options = {}) {
+    const title = options.title || REPORT_TITLE;
+    const body = sections.map(section => {
+        const heading = sections.length > 1 || section.title
+            ? `<h2 class="ca-report-section-title">${escapeHtml(section.title || '')}</h2>`
+            : '';
+        if (section.error) {
+            return `${heading}<div class="ca-empty-subtext">Could not analyze: ${escapeHtml(section.error)}</div>`;
+        }
+        return heading + renderDashboard(withoutFixes(section.results), section.entries || []);
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+${options.css || ''}
+${PAGE_STYLES}
+</style>
+</head>
+<body>
+<div class="cache-analyzer ca-report">
+<h1 class="ca-report-title">🔥 ${escapeHtml(title)}</h1>
+${body}
+<div class="ca-report-footer">Generated by Preset Cache Analyzer on ${formatDate(options.generatedAt)}</div>
+</div>
+</body>
+</html>
+`;
+}
+
+// Characters that would turn into formatting in Markdown
+function escapeMarkdown(text) {
+    return String(text || '').replace(/([\\`*_~|])/g, '\\$1');
+}
+
+function renderMarkdownScoreBar(score) {
+    const filled = Math.round(score / (100 / MARKDOWN_BAR_WIDTH));
+    const bar = '█'.repeat(filled) + '░'.repeat(MARKDOWN_BAR_WIDTH - filled);
+    return `\`${bar}\` **${score}/100** · ${getScoreLabel(score).label}`;
+}
+
+function renderMarkdownPills(summary) {
+    const pills = [];
+    if (summary.critical > 0) pills.push(`${getSeverityIcon('critical')} ${summary.critical} Critical`);
+    if (summary.warning > 0) pills.push(`${getSeverityIcon('warning')} ${summary.warning} Warning`);
+    if (summary.info > 0) pills.push(`${getSeverityIcon('info')} ${summary.info} Info`);
+    return pills.length > 0 ? pills.join(' · ') : '✅ No issues';
+}
+
+function renderMarkdownCache(cache) {
+    if (!cache) return null;
+    const percent = Math.round(cache.hitRate * 100);
+    return `**Next message cache hit: ${percent}%** — ${cache.cachedTokens} of ${cache.totalTokens} input tokens cached${cache.estimated ? ' (estimated)' : ''}. ${escapeMarkdown(describeCacheCause(cache))}`;
+}
+
+function renderMarkdownFindings(findings) {
+    if (findings.length === 0) return ['No issues found — the preset looks cache-friendly!'];
+    return sortFindings(findings).map(finding => [
+        `- ${getSeverityIcon(finding.severity)} **${escapeMarkdown(finding.title)}** (\`${finding.affectedEntry}\`)`,
+        `  ${escapeMarkdown(finding.description)}`,
+        `  💡 ${escapeMarkdown(finding.recommendation)}`
+    ].join('\n'));
+}
+
+// Same dot colors as the dashboard: flagged, volatile, stable
+function renderMarkdownPromptOrder(entries) {
+    return entries.map((entry, index) => {
+        const dot = entry.flagged ? '🔴' : (entry.volatile ? '🟠' : '🟢');
+        const tag = `${entry.extension ? 'extension, ' : ''}${entry.volatile ? 'volatile' : 'stable'}`;
+        return `${index + 1}. ${dot} ${escapeMarkdown(entry.name || entry.identifier)} — ${tag}`;
+    });
+}
+
+/**
+ * Markdown version of renderHtmlReport(); same arguments, `css` is ignored.
+ * Uses lists rather than tables so it renders in Discord too.
+ */
+function renderMarkdownReport(sections, options = {}) {
+    const lines = [`# ${escapeMarkdown(options.title || REPORT_TITLE)}`, ''];
+
+    for (const section of sections) {
+        if (sections.length > 1 || section.title) lines.push(`## ${escapeMarkdown(section.title || '')}`, '');
+        if (section.error) {
+            lines.push(`Could not analyze: ${escapeMarkdown(section.error)}`, '');
+            continue;
+        }
+
+        const { results } = section;
+        lines.push(renderMarkdownScoreBar(results.score), '', renderMarkdownPills(results.summary), '');
+        const cache = renderMarkdownCache(results.cache);
+        if (cache) lines.push(cache, '');
+        lines.push('### Findings', '', ...renderMarkdownFindings(results.findings), '');
+
+        if (section.entries && section.entries.length > 0) {
+            lines.push('### Prompt Order', '', ...renderMarkdownPromptOrder(section.entries), '');
+        }
+    }
+
+    lines.push(`_Generated by Preset Cache Analyzer on ${formatDate(options.generatedAt)}_`);
+    return lines.join('\n');
+}
+
+const api = { renderHtmlReport, renderMarkdownReport };
+if (typeof module !== 'undefined') module.exports = api;
+else globalThis.CacheAnalyzer = Object.assign(globalThis.CacheAnalyzer || {}, api);